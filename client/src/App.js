@@ -10,18 +10,39 @@ import 'react-toastify/dist/ReactToastify.css';
 import Navbar from './components/Layout/Navbar';
 import Footer from './components/Layout/Footer';
 import ProtectedRoute from './components/Auth/ProtectedRoute';
+import AdminRoute from './components/Auth/AdminRoute';
 
 // Pages
 import Home from './pages/Home';
 import Login from './pages/Auth/Login';
 import Register from './pages/Auth/Register';
+import VerifyEmail from './pages/Auth/VerifyEmail';
+import ForgotPassword from './pages/Auth/ForgotPassword';
+import ResetPassword from './pages/Auth/ResetPassword';
+import TwoFactorVerify from './pages/Auth/TwoFactorVerify';
 import Dashboard from './pages/Dashboard/Dashboard';
 import ResumeBuilder from './pages/Resume/ResumeBuilder';
 import ResumeList from './pages/Resume/ResumeList';
 import JobSearch from './pages/Jobs/JobSearch';
 import JobDetails from './pages/Jobs/JobDetails';
+import SavedJobs from './pages/Jobs/SavedJobs';
+import UnsubscribeAlerts from './pages/Jobs/UnsubscribeAlerts';
+import JobTemplates from './pages/Jobs/JobTemplates';
+import JobAnalytics from './pages/Jobs/JobAnalytics';
+import JobPromotions from './pages/Jobs/JobPromotions';
 import Applications from './pages/Applications/Applications';
 import Profile from './pages/Profile/Profile';
+import AcceptInvitation from './pages/Company/AcceptInvitation';
+import AdminDashboard from './pages/Admin/AdminDashboard';
+import AdminUsers from './pages/Admin/AdminUsers';
+import AdminJobs from './pages/Admin/AdminJobs';
+import AdminModeration from './pages/Admin/AdminModeration';
+import AdminApplications from './pages/Admin/AdminApplications';
+import Sessions from './pages/Profile/Sessions';
+import TwoFactorSettings from './pages/Profile/TwoFactorSettings';
+import Privacy from './pages/Profile/Privacy';
+import ApiKeys from './pages/Profile/ApiKeys';
+import Webhooks from './pages/Profile/Webhooks';
 
 // Context
 import { AuthProvider } from './context/AuthContext';
@@ -102,9 +123,14 @@ function App() {
                   {/* Public Routes */}
                   <Route path="/" element={<Home />} />
                   <Route path="/login" element={<Login />} />
+                  <Route path="/login/2fa" element={<TwoFactorVerify />} />
                   <Route path="/register" element={<Register />} />
+                  <Route path="/verify-email" element={<VerifyEmail />} />
+                  <Route path="/forgot-password" element={<ForgotPassword />} />
+                  <Route path="/reset-password" element={<ResetPassword />} />
                   <Route path="/jobs" element={<JobSearch />} />
                   <Route path="/jobs/:id" element={<JobDetails />} />
+                  <Route path="/alerts/unsubscribe" element={<UnsubscribeAlerts />} />
                   
                   {/* Protected Routes */}
                   <Route path="/dashboard" element={
@@ -137,12 +163,109 @@ function App() {
                     </ProtectedRoute>
                   } />
                   
+                  <Route path="/saved-jobs" element={
+                    <ProtectedRoute>
+                      <SavedJobs />
+                    </ProtectedRoute>
+                  } />
+                  
+                  <Route path="/job-templates" element={
+                    <ProtectedRoute>
+                      <JobTemplates />
+                    </ProtectedRoute>
+                  } />
+                  
+                  <Route path="/job-analytics" element={
+                    <ProtectedRoute>
+                      <JobAnalytics />
+                    </ProtectedRoute>
+                  } />
+                  
+                  <Route path="/jobs/:id/analytics" element={
+                    <ProtectedRoute>
+                      <JobAnalytics />
+                    </ProtectedRoute>
+                  } />
+                  
+                  <Route path="/job-promotions" element={
+                    <ProtectedRoute>
+                      <JobPromotions />
+                    </ProtectedRoute>
+                  } />
+                  
                   <Route path="/profile" element={
                     <ProtectedRoute>
                       <Profile />
                     </ProtectedRoute>
                   } />
                   
+                  <Route path="/profile/sessions" element={
+                    <ProtectedRoute>
+                      <Sessions />
+                    </ProtectedRoute>
+                  } />
+                  
+                  <Route path="/profile/security" element={
+                    <ProtectedRoute>
+                      <TwoFactorSettings />
+                    </ProtectedRoute>
+                  } />
+                  
+                  <Route path="/profile/privacy" element={
+                    <ProtectedRoute>
+                      <Privacy />
+                    </ProtectedRoute>
+                  } />
+                  
+                  <Route path="/profile/api-keys" element={
+                    <ProtectedRoute>
+                      <ApiKeys />
+                    </ProtectedRoute>
+                  } />
+                  
+                  <Route path="/profile/webhooks" element={
+                    <ProtectedRoute>
+                      <Webhooks />
+                    </ProtectedRoute>
+                  } />
+                  
+                  <Route path="/invitations/accept" element={
+                    <ProtectedRoute>
+                      <AcceptInvitation />
+                    </ProtectedRoute>
+                  } />
+                  
+                  {/* Admin Routes */}
+                  <Route path="/admin" element={
+                    <AdminRoute>
+                      <AdminDashboard />
+                    </AdminRoute>
+                  } />
+                  
+                  <Route path="/admin/users" element={
+                    <AdminRoute>
+                      <AdminUsers />
+                    </AdminRoute>
+                  } />
+                  
+                  <Route path="/admin/jobs" element={
+                    <AdminRoute>
+                      <AdminJobs />
+                    </AdminRoute>
+                  } />
+                  
+                  <Route path="/admin/moderation" element={
+                    <AdminRoute>
+                      <AdminModeration />
+                    </AdminRoute>
+                  } />
+                  
+                  <Route path="/admin/applications" element={
+                    <AdminRoute>
+                      <AdminApplications />
+                    </AdminRoute>
+                  } />
+                  
                   {/* Redirect unknown routes */}
                   <Route path="*" element={<Navigate to="/" replace />} />
                 </Routes>
@@ -0,0 +1,30 @@
+import React from 'react';
+import { Navigate } from 'react-router-dom';
+import { Box, CircularProgress } from '@mui/material';
+
+import { useAuth } from '../../context/AuthContext';
+
+// Renders children only for authenticated admins
+const AdminRoute = ({ children }) => {
+  const { isAuthenticated, isLoading, hasRole } = useAuth();
+
+  if (isLoading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace />;
+  }
+
+  if (!hasRole('admin')) {
+    return <Navigate to="/dashboard" replace />;
+  }
+
+  return children;
+};
+
+export default AdminRoute;
\ No newline at end of file
@@ -8,6 +8,7 @@ const initialState = {
   isAuthenticated: false,
   isLoading: true,
   error: null,
+  twoFactorToken: null,
 };
 
 // Action types
@@ -15,6 +16,7 @@ const AUTH_ACTIONS = {
   LOGIN_START: 'LOGIN_START',
   LOGIN_SUCCESS: 'LOGIN_SUCCESS',
   LOGIN_FAILURE: 'LOGIN_FAILURE',
+  TWO_FACTOR_REQUIRED: 'TWO_FACTOR_REQUIRED',
   LOGOUT: 'LOGOUT',
   REGISTER_START: 'REGISTER_START',
   REGISTER_SUCCESS: 'REGISTER_SUCCESS',
@@ -47,6 +49,15 @@ const authReducer = (state, action) => {
         isAuthenticated: true,
         isLoading: false,
         error: null,
+        twoFactorToken: null,
+      };
+
+    case AUTH_ACTIONS.TWO_FACTOR_REQUIRED:
+      return {
+        ...state,
+        isLoading: false,
+        error: null,
+        twoFactorToken: action.payload,
       };
 
     case AUTH_ACTIONS.LOAD_USER_SUCCESS:
@@ -128,6 +139,7 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       console.error('Load user error:', error);
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       localStorage.removeItem('user');
       dispatch({ 
         type: AUTH_ACTIONS.LOAD_USER_FAILURE, 
@@ -141,9 +153,19 @@ export const AuthProvider = ({ children }) => {
     try {
       dispatch({ type: AUTH_ACTIONS.LOGIN_START });
       const response = await authAPI.login(credentials);
+
+      // Password accepted but a second factor is needed before a session is issued
+      if (response.data.two_factor_required) {
+        dispatch({
+          type: AUTH_ACTIONS.TWO_FACTOR_REQUIRED,
+          payload: response.data.two_factor_token
+        });
+        return { success: false, twoFactorRequired: true };
+      }
       
-      // Store token and user in localStorage
+      // Store tokens and user in localStorage
       localStorage.setItem('token', response.data.token);
+      localStorage.setItem('refreshToken', response.data.refresh_token);
       localStorage.setItem('user', JSON.stringify(response.data.user));
       
       dispatch({ 
@@ -162,14 +184,45 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Complete a 2FA login with an authenticator code or a recovery code
+  const verifyTwoFactor = async ({ code, recovery_code }) => {
+    try {
+      dispatch({ type: AUTH_ACTIONS.LOGIN_START });
+      const response = await authAPI.verifyTwoFactor({
+        two_factor_token: state.twoFactorToken,
+        ...(code ? { code } : { recovery_code })
+      });
+
+      localStorage.setItem('token', response.data.token);
+      localStorage.setItem('refreshToken', response.data.refresh_token);
+      localStorage.setItem('user', JSON.stringify(response.data.user));
+
+      dispatch({
+        type: AUTH_ACTIONS.LOGIN_SUCCESS,
+        payload: response.data
+      });
+
+      return { success: true, data: response.data };
+    } catch (error) {
+      console.error('Two-factor verify error:', error);
+      // Keep the challenge token so the user can retry until it expires
+      dispatch({
+        type: AUTH_ACTIONS.TWO_FACTOR_REQUIRED,
+        payload: state.twoFactorToken
+      });
+      return { success: false, error: error.error || 'Verification failed' };
+    }
+  };
+
   // Register function
   const register = async (userData) => {
     try {
       dispatch({ type: AUTH_ACTIONS.REGISTER_START });
       const response = await authAPI.register(userData);
       
-      // Store token and user in localStorage
+      // Store tokens and user in localStorage
       localStorage.setItem('token', response.data.token);
+      localStorage.setItem('refreshToken', response.data.refresh_token);
       localStorage.setItem('user', JSON.stringify(response.data.user));
       
       dispatch({ 
@@ -188,9 +241,20 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  // Logout function
-  const logout = () => {
+  // Logout function - revokes the session server-side before clearing local state
+  const logout = async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    if (refreshToken) {
+      try {
+        await authAPI.logout(refreshToken);
+      } catch (error) {
+        console.error('Logout error:', error);
+      }
+    }
+
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
     dispatch({ type: AUTH_ACTIONS.LOGOUT });
   };
@@ -241,6 +305,11 @@ export const AuthProvider = ({ children }) => {
     return roles.includes(state.user?.role);
   };
 
+  // Check if the user has confirmed their email address
+  const isEmailVerified = () => {
+    return !!state.user?.email_verified_at;
+  };
+
   // Get user's full name
   const getUserFullName = () => {
     if (!state.user) return '';
@@ -255,9 +324,11 @@ export const AuthProvider = ({ children }) => {
     isAuthenticated: state.isAuthenticated,
     isLoading: state.isLoading,
     error: state.error,
+    twoFactorRequired: !!state.twoFactorToken,
     
     // Actions
     login,
+    verifyTwoFactor,
     register,
     logout,
     updateProfile,
@@ -268,6 +339,7 @@ export const AuthProvider = ({ children }) => {
     // Utilities
     hasRole,
     hasAnyRole,
+    isEmailVerified,
     getUserFullName,
   };
 
@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import {
+  Container,
+  Paper,
+  Typography,
+  Box,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent
+} from '@mui/material';
+import { DataGrid } from '@mui/x-data-grid';
+
+// API
+import { adminAPI } from '../../services/api';
+
+const AdminApplications = () => {
+  const [status, setStatus] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  const [paginationModel, setPaginationModel] = useState({ page: 0, pageSize: 20 });
+
+  const params = {
+    page: paginationModel.page + 1,
+    limit: paginationModel.pageSize,
+    status: status || undefined
+  };
+
+  const { data, isLoading } = useQuery(['adminApplications', params], () => adminAPI.getApplications(params), {
+    keepPreviousData: true
+  });
+
+  const { data: selected } = useQuery(
+    ['adminApplication', selectedId],
+    () => adminAPI.getApplication(selectedId),
+    { enabled: !!selectedId }
+  );
+
+  const columns = [
+    { field: 'id', headerName: 'ID', width: 70 },
+    {
+      field: 'job',
+      headerName: 'Job',
+      flex: 1,
+      minWidth: 200,
+      valueGetter: (params) => params.row.job?.title
+    },
+    {
+      field: 'applicant',
+      headerName: 'Applicant',
+      flex: 1,
+      minWidth: 200,
+      valueGetter: (params) => `${params.row.applicant?.first_name} ${params.row.applicant?.last_name} (${params.row.applicant?.email})`
+    },
+    {
+      field: 'status',
+      headerName: 'Status',
+      width: 120,
+      renderCell: (params) => <Chip size="small" label={params.row.status} />
+    },
+    {
+      field: 'applied_at',
+      headerName: 'Applied',
+      width: 120,
+      valueGetter: (params) => new Date(params.row.applied_at).toLocaleDateString()
+    }
+  ];
+
+  const application = selected?.data;
+
+  return (
+    <Container maxWidth="lg">
+      <Typography variant="h4" sx={{ mb: 3 }}>Applications</Typography>
+
+      <Paper sx={{ p: 2 }}>
+        <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+          <FormControl size="small" sx={{ minWidth: 150 }}>
+            <InputLabel>Status</InputLabel>
+            <Select value={status} label="Status" onChange={(e) => setStatus(e.target.value)}>
+              <MenuItem value="">All</MenuItem>
+              <MenuItem value="pending">Pending</MenuItem>
+              <MenuItem value="reviewed">Reviewed</MenuItem>
+              <MenuItem value="shortlisted">Shortlisted</MenuItem>
+              <MenuItem value="rejected">Rejected</MenuItem>
+              <MenuItem value="hired">Hired</MenuItem>
+            </Select>
+          </FormControl>
+        </Box>
+
+        <DataGrid
+          autoHeight
+          rows={data?.data || []}
+          columns={columns}
+          loading={isLoading}
+          paginationMode="server"
+          rowCount={data?.pagination?.total_items || 0}
+          paginationModel={paginationModel}
+          onPaginationModelChange={setPaginationModel}
+          pageSizeOptions={[20, 50, 100]}
+          onRowClick={(params) => setSelectedId(params.row.id)}
+        />
+      </Paper>
+
+      <Dialog open={!!selectedId} onClose={() => setSelectedId(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Application #{selectedId}</DialogTitle>
+        <DialogContent>
+          {application && (
+            <Box>
+              <Typography variant="subtitle2">Job</Typography>
+              <Typography gutterBottom>{application.job?.title}</Typography>
+              <Typography variant="subtitle2">Applicant</Typography>
+              <Typography gutterBottom>
+                {application.applicant?.first_name} {application.applicant?.last_name} · {application.applicant?.email}
+              </Typography>
+              <Typography variant="subtitle2">Resume</Typography>
+              <Typography gutterBottom>{application.resume?.title}</Typography>
+              <Typography variant="subtitle2">Cover letter</Typography>
+              <Typography sx={{ whiteSpace: 'pre-wrap' }}>{application.cover_letter || '—'}</Typography>
+            </Box>
+          )}
+        </DialogContent>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default AdminApplications;
\ No newline at end of file
@@ -0,0 +1,121 @@
+import React from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import {
+  Container,
+  Typography,
+  Grid,
+  Card,
+  CardContent,
+  Button,
+  Box,
+  CircularProgress
+} from '@mui/material';
+
+// API
+import { adminAPI } from '../../services/api';
+
+const StatCard = ({ title, value, subtitle }) => (
+  <Card>
+    <CardContent>
+      <Typography variant="subtitle2" color="text.secondary">
+        {title}
+      </Typography>
+      <Typography variant="h4">{value}</Typography>
+      {subtitle && (
+        <Typography variant="body2" color="text.secondary">
+          {subtitle}
+        </Typography>
+      )}
+    </CardContent>
+  </Card>
+);
+
+const AdminDashboard = () => {
+  const { data, isLoading } = useQuery('adminStats', adminAPI.getStats);
+  const stats = data?.data;
+
+  if (isLoading || !stats) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Container maxWidth="lg">
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4">Admin Console</Typography>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button component={RouterLink} to="/admin/users" variant="outlined">Users</Button>
+          <Button component={RouterLink} to="/admin/jobs" variant="outlined">Jobs</Button>
+          <Button component={RouterLink} to="/admin/moderation" variant="outlined">
+            Review queue{stats.jobs.in_review ? ` (${stats.jobs.in_review})` : ''}
+          </Button>
+          <Button component={RouterLink} to="/admin/applications" variant="outlined">Applications</Button>
+        </Box>
+      </Box>
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} sm={6} md={3}>
+          <StatCard
+            title="Users"
+            value={stats.users.total}
+            subtitle={`${stats.users.new_last_7_days} new this week · ${stats.users.inactive} inactive`}
+          />
+        </Grid>
+        <Grid item xs={12} sm={6} md={3}>
+          <StatCard
+            title="Active Jobs"
+            value={stats.jobs.active}
+            subtitle={`${stats.jobs.total} total · ${stats.jobs.new_last_7_days} new this week · ${stats.jobs.in_review} in review`}
+          />
+        </Grid>
+        <Grid item xs={12} sm={6} md={3}>
+          <StatCard
+            title="Applications"
+            value={stats.applications.total}
+            subtitle={`${stats.applications.new_last_7_days} new this week`}
+          />
+        </Grid>
+        <Grid item xs={12} sm={6} md={3}>
+          <StatCard
+            title="Companies"
+            value={stats.companies}
+            subtitle={`${stats.resumes} resumes`}
+          />
+        </Grid>
+
+        <Grid item xs={12} md={6}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>Users by role</Typography>
+              {Object.entries(stats.users.by_role).map(([role, count]) => (
+                <Box key={role} sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                  <Typography sx={{ textTransform: 'capitalize' }}>{role}</Typography>
+                  <Typography>{count}</Typography>
+                </Box>
+              ))}
+            </CardContent>
+          </Card>
+        </Grid>
+        <Grid item xs={12} md={6}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>Applications by status</Typography>
+              {Object.entries(stats.applications.by_status).map(([status, count]) => (
+                <Box key={status} sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                  <Typography sx={{ textTransform: 'capitalize' }}>{status}</Typography>
+                  <Typography>{count}</Typography>
+                </Box>
+              ))}
+            </CardContent>
+          </Card>
+        </Grid>
+      </Grid>
+    </Container>
+  );
+};
+
+export default AdminDashboard;
\ No newline at end of file
@@ -0,0 +1,152 @@
+import React, { useState } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import { useQuery, useQueryClient } from 'react-query';
+import {
+  Container,
+  Paper,
+  Typography,
+  Box,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Button,
+  Chip,
+  Link
+} from '@mui/material';
+import { DataGrid } from '@mui/x-data-grid';
+import { toast } from 'react-toastify';
+
+// API
+import { adminAPI } from '../../services/api';
+
+const JOB_STATUSES = ['draft', 'scheduled', 'published', 'paused', 'in_review', 'closed', 'expired', 'filled'];
+
+const statusColors = {
+  published: 'success',
+  scheduled: 'info',
+  paused: 'warning',
+  in_review: 'warning',
+  expired: 'error'
+};
+
+const AdminJobs = () => {
+  const queryClient = useQueryClient();
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState('all');
+  const [paginationModel, setPaginationModel] = useState({ page: 0, pageSize: 20 });
+
+  const params = {
+    page: paginationModel.page + 1,
+    limit: paginationModel.pageSize,
+    search: search || undefined,
+    status
+  };
+
+  const { data, isLoading } = useQuery(['adminJobs', params], () => adminAPI.getJobs(params), {
+    keepPreviousData: true
+  });
+
+  const runAction = async (action, successMessage) => {
+    try {
+      await action();
+      toast.success(successMessage);
+      queryClient.invalidateQueries('adminJobs');
+    } catch (error) {
+      toast.error(error.error || 'Action failed');
+    }
+  };
+
+  const columns = [
+    { field: 'id', headerName: 'ID', width: 70 },
+    {
+      field: 'title',
+      headerName: 'Title',
+      flex: 1,
+      minWidth: 200,
+      renderCell: (params) => (
+        <Link component={RouterLink} to={`/jobs/${params.row.id}`}>{params.row.title}</Link>
+      )
+    },
+    {
+      field: 'company',
+      headerName: 'Company / Employer',
+      flex: 1,
+      minWidth: 180,
+      valueGetter: (params) => params.row.company?.name ||
+        `${params.row.employer?.first_name || ''} ${params.row.employer?.last_name || ''}`
+    },
+    {
+      field: 'status',
+      headerName: 'Status',
+      width: 110,
+      renderCell: (params) => (
+        <Chip
+          size="small"
+          label={params.row.status}
+          color={statusColors[params.row.status] || 'default'}
+        />
+      )
+    },
+    {
+      field: 'actions',
+      headerName: 'Actions',
+      width: 220,
+      sortable: false,
+      renderCell: (params) => !['closed', 'filled'].includes(params.row.status) && (
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button size="small" onClick={() => runAction(() => adminAPI.unpublishJob(params.row.id), 'Job unpublished')}>
+            Unpublish
+          </Button>
+          {params.row.status === 'published' && (
+            <Button size="small" color="secondary" onClick={() => runAction(() => adminAPI.expireJob(params.row.id), 'Job expired')}>
+              Expire
+            </Button>
+          )}
+        </Box>
+      )
+    }
+  ];
+
+  return (
+    <Container maxWidth="lg">
+      <Typography variant="h4" sx={{ mb: 3 }}>Jobs</Typography>
+
+      <Paper sx={{ p: 2 }}>
+        <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+          <TextField
+            size="small"
+            label="Search title"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+          />
+          <FormControl size="small" sx={{ minWidth: 150 }}>
+            <InputLabel>Status</InputLabel>
+            <Select value={status} label="Status" onChange={(e) => setStatus(e.target.value)}>
+              <MenuItem value="all">All</MenuItem>
+              {JOB_STATUSES.map(name => (
+                <MenuItem key={name} value={name}>{name}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Box>
+
+        <DataGrid
+          autoHeight
+          rows={data?.data || []}
+          columns={columns}
+          loading={isLoading}
+          paginationMode="server"
+          rowCount={data?.pagination?.total_items || 0}
+          paginationModel={paginationModel}
+          onPaginationModelChange={setPaginationModel}
+          pageSizeOptions={[20, 50, 100]}
+          disableRowSelectionOnClick
+        />
+      </Paper>
+    </Container>
+  );
+};
+
+export default AdminJobs;
\ No newline at end of file
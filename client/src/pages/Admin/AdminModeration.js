@@ -0,0 +1,196 @@
+import React, { useState } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import { useQuery, useQueryClient } from 'react-query';
+import {
+  Container,
+  Paper,
+  Typography,
+  Box,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Button,
+  Chip,
+  Link,
+  Alert,
+  Pagination,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
+} from '@mui/material';
+import { toast } from 'react-toastify';
+import { formatDistanceToNow } from 'date-fns';
+
+// API
+import { adminAPI } from '../../services/api';
+
+const FLAG_LABELS = {
+  duplicate: 'Duplicate of own job',
+  duplicate_platform: 'Copy of another employer’s job',
+  banned_phrase: 'Banned phrase',
+  payment_request: 'Payment request',
+  external_contact: 'Off-platform contact',
+  suspicious_salary: 'Suspicious salary'
+};
+
+const PAGE_SIZE = 20;
+
+// Jobs the automated checks held back, oldest first. Approving publishes the
+// job (or restores its schedule); rejecting returns it to the employer's
+// drafts with the note as the reason.
+const AdminModeration = () => {
+  const queryClient = useQueryClient();
+  const [flag, setFlag] = useState('');
+  const [page, setPage] = useState(1);
+  const [decision, setDecision] = useState(null);
+  const [note, setNote] = useState('');
+
+  const params = { page, limit: PAGE_SIZE, flag: flag || undefined };
+  const { data, isLoading } = useQuery(['adminModeration', params], () => adminAPI.getModerationQueue(params), {
+    keepPreviousData: true
+  });
+  const jobs = data?.data || [];
+
+  const openDecision = (job, action) => {
+    setNote('');
+    setDecision({ job, action });
+  };
+
+  const handleDecide = async () => {
+    const { job, action } = decision;
+    try {
+      if (action === 'approve') {
+        await adminAPI.approveJob(job.id, note || undefined);
+        toast.success('Job approved');
+      } else {
+        await adminAPI.rejectJob(job.id, note);
+        toast.success('Job rejected; the employer was told why');
+      }
+      setDecision(null);
+      queryClient.invalidateQueries('adminModeration');
+      queryClient.invalidateQueries('adminStats');
+    } catch (error) {
+      toast.error(error.error || 'Action failed');
+    }
+  };
+
+  return (
+    <Container maxWidth="lg">
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4">Review queue</Typography>
+        <FormControl size="small" sx={{ minWidth: 220 }}>
+          <InputLabel>Flag</InputLabel>
+          <Select
+            value={flag}
+            label="Flag"
+            onChange={(e) => {
+              setFlag(e.target.value);
+              setPage(1);
+            }}
+          >
+            <MenuItem value="">All flags</MenuItem>
+            {Object.entries(FLAG_LABELS).map(([code, label]) => (
+              <MenuItem key={code} value={code}>{label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      </Box>
+
+      {isLoading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
+          <CircularProgress />
+        </Box>
+      ) : jobs.length === 0 ? (
+        <Alert severity="success">No jobs are waiting for review.</Alert>
+      ) : (
+        jobs.map(job => (
+          <Paper key={job.id} sx={{ p: 2, mb: 2 }}>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', gap: 2 }}>
+              <Box>
+                <Typography variant="h6">{job.title}</Typography>
+                <Typography variant="body2" color="text.secondary">
+                  {job.company?.name || `${job.employer?.first_name || ''} ${job.employer?.last_name || ''}`}
+                  {' · '}{job.employer?.email}
+                  {!job.employer?.email_verified_at && ' (email not verified)'}
+                  {' · '}held {formatDistanceToNow(new Date(job.updated_at), { addSuffix: true })}
+                  {job.location && ` · ${job.location}`}
+                </Typography>
+              </Box>
+              <Box sx={{ display: 'flex', gap: 1, alignItems: 'flex-start' }}>
+                <Button variant="contained" color="success" onClick={() => openDecision(job, 'approve')}>
+                  Approve
+                </Button>
+                <Button variant="outlined" color="error" onClick={() => openDecision(job, 'reject')}>
+                  Reject
+                </Button>
+              </Box>
+            </Box>
+
+            <Box sx={{ mt: 1.5, display: 'flex', flexDirection: 'column', gap: 1 }}>
+              {(job.moderation_flags || []).map((raised, index) => (
+                <Alert key={index} severity="warning" icon={false}>
+                  <Chip size="small" label={FLAG_LABELS[raised.code] || raised.code} sx={{ mr: 1 }} />
+                  {raised.message}
+                  {raised.details?.job_id && (
+                    <>
+                      {' '}
+                      <Link component={RouterLink} to={`/jobs/${raised.details.job_id}`}>
+                        Compare with job #{raised.details.job_id}
+                      </Link>
+                      {` (${Math.round(raised.details.similarity * 100)}% similar)`}
+                    </>
+                  )}
+                </Alert>
+              ))}
+            </Box>
+
+            <Typography variant="body2" sx={{ mt: 1.5, whiteSpace: 'pre-line', maxHeight: 160, overflow: 'auto' }}>
+              {job.description}
+            </Typography>
+          </Paper>
+        ))
+      )}
+
+      {data?.pagination?.total_pages > 1 && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+          <Pagination count={data.pagination.total_pages} page={page} onChange={(e, value) => setPage(value)} />
+        </Box>
+      )}
+
+      <Dialog open={Boolean(decision)} onClose={() => setDecision(null)} fullWidth maxWidth="sm">
+        <DialogTitle>
+          {decision?.action === 'approve' ? 'Approve' : 'Reject'} “{decision?.job.title}”
+        </DialogTitle>
+        <DialogContent>
+          <TextField
+            fullWidth
+            multiline
+            minRows={3}
+            sx={{ mt: 1 }}
+            label={decision?.action === 'approve' ? 'Note for the employer (optional)' : 'Reason shown to the employer'}
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            inputProps={{ maxLength: 1000 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDecision(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            color={decision?.action === 'approve' ? 'success' : 'error'}
+            disabled={decision?.action === 'reject' && !note.trim()}
+            onClick={handleDecide}
+          >
+            {decision?.action === 'approve' ? 'Approve' : 'Reject'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default AdminModeration;
\ No newline at end of file
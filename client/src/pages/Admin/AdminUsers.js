@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { useQuery, useQueryClient } from 'react-query';
+import {
+  Container,
+  Paper,
+  Typography,
+  Box,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Button
+} from '@mui/material';
+import { DataGrid } from '@mui/x-data-grid';
+import { toast } from 'react-toastify';
+
+// API
+import { adminAPI } from '../../services/api';
+
+const AdminUsers = () => {
+  const queryClient = useQueryClient();
+  const [search, setSearch] = useState('');
+  const [role, setRole] = useState('');
+  const [paginationModel, setPaginationModel] = useState({ page: 0, pageSize: 20 });
+
+  const params = {
+    page: paginationModel.page + 1,
+    limit: paginationModel.pageSize,
+    search: search || undefined,
+    role: role || undefined
+  };
+
+  const { data, isLoading } = useQuery(['adminUsers', params], () => adminAPI.getUsers(params), {
+    keepPreviousData: true
+  });
+
+  const runAction = async (action, successMessage) => {
+    try {
+      await action();
+      toast.success(successMessage);
+      queryClient.invalidateQueries('adminUsers');
+    } catch (error) {
+      toast.error(error.error || 'Action failed');
+    }
+  };
+
+  const columns = [
+    { field: 'id', headerName: 'ID', width: 70 },
+    { field: 'email', headerName: 'Email', flex: 1, minWidth: 200 },
+    {
+      field: 'name',
+      headerName: 'Name',
+      flex: 1,
+      minWidth: 150,
+      valueGetter: (params) => `${params.row.first_name} ${params.row.last_name}`
+    },
+    {
+      field: 'role',
+      headerName: 'Role',
+      width: 150,
+      renderCell: (params) => (
+        <Select
+          size="small"
+          value={params.row.role}
+          onChange={(e) => runAction(
+            () => adminAPI.updateUserRole(params.row.id, e.target.value),
+            'Role updated'
+          )}
+        >
+          <MenuItem value="applicant">Applicant</MenuItem>
+          <MenuItem value="employer">Employer</MenuItem>
+          <MenuItem value="admin">Admin</MenuItem>
+        </Select>
+      )
+    },
+    {
+      field: 'is_active',
+      headerName: 'Status',
+      width: 130,
+      renderCell: (params) => (
+        <Button
+          size="small"
+          color={params.row.is_active ? 'secondary' : 'primary'}
+          onClick={() => runAction(
+            () => adminAPI.updateUserStatus(params.row.id, !params.row.is_active),
+            params.row.is_active ? 'User deactivated' : 'User activated'
+          )}
+        >
+          {params.row.is_active ? 'Deactivate' : 'Activate'}
+        </Button>
+      )
+    },
+    {
+      field: 'two_factor_enabled',
+      headerName: '2FA',
+      width: 110,
+      renderCell: (params) => params.row.two_factor_enabled && (
+        <Button
+          size="small"
+          onClick={() => runAction(() => adminAPI.resetUserTwoFactor(params.row.id), '2FA reset')}
+        >
+          Reset
+        </Button>
+      )
+    },
+    {
+      field: 'created_at',
+      headerName: 'Joined',
+      width: 120,
+      valueGetter: (params) => new Date(params.row.created_at).toLocaleDateString()
+    }
+  ];
+
+  return (
+    <Container maxWidth="lg">
+      <Typography variant="h4" sx={{ mb: 3 }}>Users</Typography>
+
+      <Paper sx={{ p: 2 }}>
+        <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+          <TextField
+            size="small"
+            label="Search name or email"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+          />
+          <FormControl size="small" sx={{ minWidth: 150 }}>
+            <InputLabel>Role</InputLabel>
+            <Select value={role} label="Role" onChange={(e) => setRole(e.target.value)}>
+              <MenuItem value="">All</MenuItem>
+              <MenuItem value="applicant">Applicant</MenuItem>
+              <MenuItem value="employer">Employer</MenuItem>
+              <MenuItem value="admin">Admin</MenuItem>
+            </Select>
+          </FormControl>
+        </Box>
+
+        <DataGrid
+          autoHeight
+          rows={data?.data || []}
+          columns={columns}
+          loading={isLoading}
+          paginationMode="server"
+          rowCount={data?.pagination?.total_items || 0}
+          paginationModel={paginationModel}
+          onPaginationModelChange={setPaginationModel}
+          pageSizeOptions={[20, 50, 100]}
+          disableRowSelectionOnClick
+        />
+      </Paper>
+    </Container>
+  );
+};
+
+export default AdminUsers;
\ No newline at end of file
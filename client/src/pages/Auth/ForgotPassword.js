@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Typography,
+  Box,
+  Button,
+  TextField,
+  Link,
+  Alert
+} from '@mui/material';
+import { toast } from 'react-toastify';
+
+// API
+import { forgotPassword } from '../../services/api';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setLoading(true);
+      await forgotPassword(email);
+      setSent(true);
+    } catch (error) {
+      toast.error(error.error || 'Failed to send reset link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Container maxWidth="sm">
+      <Paper sx={{ p: 4 }}>
+        <Typography variant="h5" gutterBottom>
+          Forgot Password
+        </Typography>
+
+        {sent ? (
+          <Alert severity="success">
+            If an account exists for {email}, we've sent a link to reset your password.
+          </Alert>
+        ) : (
+          <Box component="form" onSubmit={handleSubmit}>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              Enter your email address and we'll send you a link to reset your password.
+            </Typography>
+            <TextField
+              fullWidth
+              required
+              type="email"
+              label="Email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              sx={{ mb: 2 }}
+            />
+            <Button type="submit" variant="contained" fullWidth disabled={loading}>
+              Send Reset Link
+            </Button>
+          </Box>
+        )}
+
+        <Box sx={{ mt: 2, textAlign: 'center' }}>
+          <Link component={RouterLink} to="/login">
+            Back to login
+          </Link>
+        </Box>
+      </Paper>
+    </Container>
+  );
+};
+
+export default ForgotPassword;
\ No newline at end of file
@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { useSearchParams, useNavigate } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Typography,
+  Box,
+  Button,
+  TextField,
+  Alert
+} from '@mui/material';
+import { toast } from 'react-toastify';
+
+// API
+import { resetPassword } from '../../services/api';
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const token = searchParams.get('token');
+
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (password !== confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await resetPassword(token, password);
+      toast.success(response.message);
+      navigate('/login');
+    } catch (error) {
+      toast.error(error.error || 'Failed to reset password');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Container maxWidth="sm">
+      <Paper sx={{ p: 4 }}>
+        <Typography variant="h5" gutterBottom>
+          Reset Password
+        </Typography>
+
+        {!token ? (
+          <Alert severity="error">Reset link is missing its token.</Alert>
+        ) : (
+          <Box component="form" onSubmit={handleSubmit}>
+            <TextField
+              fullWidth
+              required
+              type="password"
+              label="New Password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              inputProps={{ minLength: 6 }}
+              sx={{ mb: 2 }}
+            />
+            <TextField
+              fullWidth
+              required
+              type="password"
+              label="Confirm New Password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              sx={{ mb: 2 }}
+            />
+            <Button type="submit" variant="contained" fullWidth disabled={loading}>
+              Reset Password
+            </Button>
+          </Box>
+        )}
+      </Paper>
+    </Container>
+  );
+};
+
+export default ResetPassword;
\ No newline at end of file
@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import { useNavigate, Navigate } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Typography,
+  Box,
+  Button,
+  TextField,
+  Link
+} from '@mui/material';
+import { toast } from 'react-toastify';
+
+import { useAuth } from '../../context/AuthContext';
+
+const TwoFactorVerify = () => {
+  const navigate = useNavigate();
+  const { twoFactorRequired, verifyTwoFactor, isLoading } = useAuth();
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+
+  if (!twoFactorRequired) {
+    return <Navigate to="/login" replace />;
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const result = await verifyTwoFactor(
+      useRecoveryCode ? { recovery_code: code.trim() } : { code: code.trim() }
+    );
+
+    if (result.success) {
+      navigate('/dashboard');
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  return (
+    <Container maxWidth="sm">
+      <Paper sx={{ p: 4 }}>
+        <Typography variant="h5" gutterBottom>
+          Two-Factor Authentication
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          {useRecoveryCode
+            ? 'Enter one of your recovery codes.'
+            : 'Enter the 6-digit code from your authenticator app.'}
+        </Typography>
+
+        <Box component="form" onSubmit={handleSubmit}>
+          <TextField
+            fullWidth
+            required
+            autoFocus
+            label={useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            inputProps={useRecoveryCode ? {} : { inputMode: 'numeric', maxLength: 6 }}
+            sx={{ mb: 2 }}
+          />
+          <Button type="submit" variant="contained" fullWidth disabled={isLoading}>
+            Verify
+          </Button>
+        </Box>
+
+        <Box sx={{ mt: 2, textAlign: 'center' }}>
+          <Link
+            component="button"
+            variant="body2"
+            onClick={() => {
+              setUseRecoveryCode(prev => !prev);
+              setCode('');
+            }}
+          >
+            {useRecoveryCode ? 'Use authenticator app instead' : 'Use a recovery code'}
+          </Link>
+        </Box>
+      </Paper>
+    </Container>
+  );
+};
+
+export default TwoFactorVerify;
\ No newline at end of file
@@ -0,0 +1,74 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams, Link as RouterLink } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Typography,
+  Box,
+  Button,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+
+// API
+import { verifyEmail } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const { isAuthenticated, loadUser } = useAuth();
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    const token = searchParams.get('token');
+
+    if (!token) {
+      setStatus('error');
+      setMessage('Verification link is missing its token.');
+      return;
+    }
+
+    verifyEmail(token)
+      .then((response) => {
+        setStatus('success');
+        setMessage(response.message);
+        if (isAuthenticated) {
+          loadUser();
+        }
+      })
+      .catch((error) => {
+        setStatus('error');
+        setMessage(error.error || 'Verification failed');
+      });
+  }, [searchParams]);
+
+  return (
+    <Container maxWidth="sm">
+      <Paper sx={{ p: 4, textAlign: 'center' }}>
+        <Typography variant="h5" gutterBottom>
+          Email Verification
+        </Typography>
+
+        {status === 'verifying' && (
+          <Box sx={{ py: 3 }}>
+            <CircularProgress />
+          </Box>
+        )}
+
+        {status !== 'verifying' && (
+          <>
+            <Alert severity={status === 'success' ? 'success' : 'error'} sx={{ my: 2 }}>
+              {message}
+            </Alert>
+            <Button component={RouterLink} to={isAuthenticated ? '/dashboard' : '/login'} variant="contained">
+              {isAuthenticated ? 'Go to Dashboard' : 'Go to Login'}
+            </Button>
+          </>
+        )}
+      </Paper>
+    </Container>
+  );
+};
+
+export default VerifyEmail;
\ No newline at end of file
@@ -0,0 +1,67 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams, Link as RouterLink } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Typography,
+  Box,
+  Button,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+
+// API
+import { acceptInvitation } from '../../services/api';
+
+const AcceptInvitation = () => {
+  const [searchParams] = useSearchParams();
+  const [status, setStatus] = useState('accepting');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    const token = searchParams.get('token');
+
+    if (!token) {
+      setStatus('error');
+      setMessage('Invitation link is missing its token.');
+      return;
+    }
+
+    acceptInvitation(token)
+      .then((response) => {
+        setStatus('success');
+        setMessage(response.message);
+      })
+      .catch((error) => {
+        setStatus('error');
+        setMessage(error.error || 'Failed to accept invitation');
+      });
+  }, [searchParams]);
+
+  return (
+    <Container maxWidth="sm">
+      <Paper sx={{ p: 4, textAlign: 'center' }}>
+        <Typography variant="h5" gutterBottom>
+          Company Invitation
+        </Typography>
+
+        {status === 'accepting' ? (
+          <Box sx={{ py: 3 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <>
+            <Alert severity={status === 'success' ? 'success' : 'error'} sx={{ my: 2 }}>
+              {message}
+            </Alert>
+            <Button component={RouterLink} to="/dashboard" variant="contained">
+              Go to Dashboard
+            </Button>
+          </>
+        )}
+      </Paper>
+    </Container>
+  );
+};
+
+export default AcceptInvitation;
\ No newline at end of file
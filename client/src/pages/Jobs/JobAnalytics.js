@@ -0,0 +1,293 @@
+import React, { useState } from 'react';
+import { Link as RouterLink, useParams } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import {
+  Container,
+  Typography,
+  Grid,
+  Card,
+  CardContent,
+  Button,
+  Box,
+  Alert,
+  CircularProgress,
+  TextField,
+  MenuItem,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Link
+} from '@mui/material';
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend
+} from 'recharts';
+import { format, parseISO, subDays } from 'date-fns';
+
+// API
+import { getJobAnalytics, getEmployerAnalytics } from '../../services/api';
+
+const RANGES = [
+  { value: 7, label: 'Last 7 days' },
+  { value: 30, label: 'Last 30 days' },
+  { value: 90, label: 'Last 90 days' },
+  { value: 365, label: 'Last 12 months' }
+];
+
+const COLORS = {
+  views: '#1976d2',
+  apply_starts: '#42a5f5',
+  applications: '#dc004e',
+  conversion_rate: '#2e7d32'
+};
+
+const TOP_SOURCES = 8;
+
+// The server counts UTC days
+const utcDay = (date) => date.toISOString().slice(0, 10);
+
+const percent = (value) => (value === null || value === undefined ? '–' : `${value}%`);
+
+const sourceLabel = (row) => (row.medium && row.medium !== 'none' ? `${row.source} / ${row.medium}` : row.source);
+
+const StatCard = ({ title, value, subtitle }) => (
+  <Card>
+    <CardContent>
+      <Typography variant="subtitle2" color="text.secondary">
+        {title}
+      </Typography>
+      <Typography variant="h4">{value}</Typography>
+      {subtitle && (
+        <Typography variant="body2" color="text.secondary">
+          {subtitle}
+        </Typography>
+      )}
+    </CardContent>
+  </Card>
+);
+
+const FunnelTable = ({ rows, label, renderLabel }) => (
+  <Table size="small">
+    <TableHead>
+      <TableRow>
+        <TableCell>{label}</TableCell>
+        <TableCell align="right">Views</TableCell>
+        <TableCell align="right">Apply clicks</TableCell>
+        <TableCell align="right">Applications</TableCell>
+        <TableCell align="right">Conversion</TableCell>
+      </TableRow>
+    </TableHead>
+    <TableBody>
+      {rows.map((row, index) => (
+        <TableRow key={index}>
+          <TableCell>{renderLabel(row)}</TableCell>
+          <TableCell align="right">{row.views}</TableCell>
+          <TableCell align="right">{row.apply_starts}</TableCell>
+          <TableCell align="right">{row.applications}</TableCell>
+          <TableCell align="right">{percent(row.conversion_rate)}</TableCell>
+        </TableRow>
+      ))}
+    </TableBody>
+  </Table>
+);
+
+// Views -> applications funnel of one job (/jobs/:id/analytics) or of all
+// the employer's jobs (/job-analytics), over time and by traffic source
+const JobAnalytics = () => {
+  const { id } = useParams();
+  const [days, setDays] = useState(30);
+
+  const range = { from: utcDay(subDays(new Date(), days - 1)), to: utcDay(new Date()) };
+  const { data, isLoading, error } = useQuery(
+    ['jobAnalytics', id || 'all', range.from, range.to],
+    () => (id ? getJobAnalytics(id, range) : getEmployerAnalytics(range)),
+    { keepPreviousData: true }
+  );
+  const report = data?.data;
+
+  if (error) {
+    return (
+      <Container maxWidth="lg">
+        <Alert severity="error">{error.error || 'Failed to load analytics'}</Alert>
+      </Container>
+    );
+  }
+
+  if (isLoading || !report) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  const { totals } = report;
+  const daily = report.daily.map(day => ({ ...day, label: format(parseISO(day.date), 'MMM d') }));
+  const sources = report.by_source.slice(0, TOP_SOURCES).map(row => ({ ...row, label: sourceLabel(row) }));
+
+  return (
+    <Container maxWidth="lg">
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3, gap: 2 }}>
+        <Box>
+          <Typography variant="h4">{id ? report.job.title : 'Job analytics'}</Typography>
+          <Typography color="text.secondary">
+            Views, apply clicks and applications by day and traffic source
+          </Typography>
+        </Box>
+        <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+          {id && (
+            <Button component={RouterLink} to="/job-analytics" variant="outlined">
+              All jobs
+            </Button>
+          )}
+          <TextField
+            select
+            size="small"
+            value={days}
+            onChange={(event) => setDays(event.target.value)}
+          >
+            {RANGES.map(option => (
+              <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+            ))}
+          </TextField>
+        </Box>
+      </Box>
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} sm={4}>
+          <StatCard title="Views" value={totals.views} />
+        </Grid>
+        <Grid item xs={12} sm={4}>
+          <StatCard
+            title="Apply clicks"
+            value={totals.apply_starts}
+            subtitle={`${percent(totals.apply_start_rate)} of views`}
+          />
+        </Grid>
+        <Grid item xs={12} sm={4}>
+          <StatCard
+            title="Applications"
+            value={totals.applications}
+            subtitle={`${percent(totals.conversion_rate)} conversion from views`}
+          />
+        </Grid>
+
+        <Grid item xs={12}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>Views → applications over time</Typography>
+              <ResponsiveContainer width="100%" height={300}>
+                <LineChart data={daily}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="label" minTickGap={20} />
+                  <YAxis yAxisId="count" allowDecimals={false} />
+                  <YAxis yAxisId="rate" orientation="right" unit="%" />
+                  <Tooltip formatter={(value, name) => (name === 'Conversion' ? percent(value) : value)} />
+                  <Legend />
+                  <Line yAxisId="count" type="monotone" dataKey="views" name="Views" stroke={COLORS.views} dot={false} />
+                  <Line yAxisId="count" type="monotone" dataKey="apply_starts" name="Apply clicks" stroke={COLORS.apply_starts} dot={false} />
+                  <Line yAxisId="count" type="monotone" dataKey="applications" name="Applications" stroke={COLORS.applications} dot={false} />
+                  <Line
+                    yAxisId="rate"
+                    type="monotone"
+                    dataKey="conversion_rate"
+                    name="Conversion"
+                    stroke={COLORS.conversion_rate}
+                    strokeDasharray="5 5"
+                    dot={false}
+                    connectNulls
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+            </CardContent>
+          </Card>
+        </Grid>
+
+        <Grid item xs={12} md={7}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>By source</Typography>
+              {sources.length === 0 ? (
+                <Typography color="text.secondary">No visits in this period yet.</Typography>
+              ) : (
+                <ResponsiveContainer width="100%" height={Math.max(sources.length * 48, 160)}>
+                  <BarChart data={sources} layout="vertical" margin={{ left: 24 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis type="number" allowDecimals={false} />
+                    <YAxis type="category" dataKey="label" width={140} />
+                    <Tooltip />
+                    <Legend />
+                    <Bar dataKey="views" name="Views" fill={COLORS.views} />
+                    <Bar dataKey="applications" name="Applications" fill={COLORS.applications} />
+                  </BarChart>
+                </ResponsiveContainer>
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+        <Grid item xs={12} md={5}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>Top referrers</Typography>
+              {report.referrers.length === 0 ? (
+                <Typography color="text.secondary">No referring sites in this period.</Typography>
+              ) : (
+                <FunnelTable rows={report.referrers} label="Site" renderLabel={row => row.referrer_host} />
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+
+        {report.by_source.length > 0 && (
+          <Grid item xs={12}>
+            <Card>
+              <CardContent>
+                <Typography variant="h6" gutterBottom>Conversion by source</Typography>
+                <FunnelTable
+                  rows={report.by_source}
+                  label="Source / medium"
+                  renderLabel={sourceLabel}
+                />
+              </CardContent>
+            </Card>
+          </Grid>
+        )}
+
+        {!id && (
+          <Grid item xs={12}>
+            <Card>
+              <CardContent>
+                <Typography variant="h6" gutterBottom>By job</Typography>
+                {report.jobs.length === 0 ? (
+                  <Typography color="text.secondary">You have not posted any jobs yet.</Typography>
+                ) : (
+                  <FunnelTable
+                    rows={report.jobs}
+                    label="Job"
+                    renderLabel={job => (
+                      <Link component={RouterLink} to={`/jobs/${job.id}/analytics`}>
+                        {job.title}
+                      </Link>
+                    )}
+                  />
+                )}
+              </CardContent>
+            </Card>
+          </Grid>
+        )}
+      </Grid>
+    </Container>
+  );
+};
+
+export default JobAnalytics;
\ No newline at end of file
@@ -0,0 +1,444 @@
+import React, { useState, useEffect } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import { useQuery, useQueryClient } from 'react-query';
+import {
+  Container,
+  Typography,
+  Grid,
+  Card,
+  CardContent,
+  Box,
+  Button,
+  TextField,
+  MenuItem,
+  Alert,
+  Chip,
+  Link,
+  LinearProgress,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  List,
+  ListItemButton,
+  ListItemText,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
+} from '@mui/material';
+import { Add as AddIcon, Download as DownloadIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { format, addDays, parseISO } from 'date-fns';
+
+// API
+import {
+  getPromotionOptions,
+  getPromotions,
+  createPromotion,
+  updatePromotion,
+  cancelPromotion,
+  getInvoices,
+  getInvoice,
+  exportInvoice,
+  getMyJobs,
+  getMyCompanies
+} from '../../services/api';
+
+const STATE_COLORS = {
+  running: 'success',
+  scheduled: 'info',
+  paused: 'warning',
+  exhausted: 'error',
+  ended: 'default',
+  cancelled: 'default'
+};
+
+const TYPE_LABELS = {
+  featured: 'Featured',
+  sponsored: 'Sponsored'
+};
+
+// Jobs that can still go live
+const PROMOTABLE_STATUSES = 'draft,scheduled,published,paused,in_review';
+
+const money = (amount, currency) => `${Number(amount).toFixed(2)} ${currency}`;
+
+const dateInput = (date) => format(date, 'yyyy-MM-dd');
+
+// Promotions run until the end of the chosen day
+const endOfDay = (value) => new Date(`${value}T23:59:59`).toISOString();
+
+const priceLabel = (option, currency) => [
+  option.per_1000_impressions > 0 && `${money(option.per_1000_impressions, currency)} per 1000 impressions`,
+  option.per_click > 0 && `${money(option.per_click, currency)} per click`
+].filter(Boolean).join(' + ');
+
+const emptyForm = () => ({
+  job_id: '',
+  type: 'featured',
+  starts_at: dateInput(new Date()),
+  ends_at: dateInput(addDays(new Date(), 30)),
+  budget: ''
+});
+
+// Featured and sponsored placements of the employer's jobs, and the monthly
+// usage statements they are billed on. No payment is taken here.
+const JobPromotions = () => {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [companies, setCompanies] = useState([]);
+  const [account, setAccount] = useState('');
+  const [month, setMonth] = useState(null);
+
+  const accountParams = account ? { company_id: account } : {};
+
+  const { data: options } = useQuery('promotionOptions', getPromotionOptions);
+  const { data: promotions, isLoading } = useQuery('promotions', () => getPromotions());
+  const { data: jobs } = useQuery(['promotableJobs'], () => getMyJobs({ status: PROMOTABLE_STATUSES, limit: 100 }), {
+    enabled: Boolean(form)
+  });
+  const { data: invoices } = useQuery(['promotionInvoices', account], () => getInvoices(accountParams));
+  const { data: invoice } = useQuery(['promotionInvoice', account, month], () => getInvoice(month, accountParams), {
+    enabled: Boolean(month)
+  });
+
+  useEffect(() => {
+    getMyCompanies()
+      .then(response => setCompanies(response.data.filter(company => company.membership_role === 'owner')))
+      .catch(() => setCompanies([]));
+  }, []);
+
+  const currency = options?.data.currency || 'USD';
+  const pricing = Object.fromEntries((options?.data.types || []).map(option => [option.type, option]));
+
+  const refresh = () => {
+    queryClient.invalidateQueries('promotions');
+    queryClient.invalidateQueries('promotionInvoices');
+    queryClient.invalidateQueries('promotionInvoice');
+  };
+
+  const runAction = async (action, success) => {
+    try {
+      const response = await action();
+      toast.success(response.message || success);
+      refresh();
+      return true;
+    } catch (error) {
+      toast.error(error.error || 'Request failed');
+      return false;
+    }
+  };
+
+  const handleChange = (setter, field) => (event) => {
+    setter(prev => ({ ...prev, [field]: event.target.value }));
+  };
+
+  const handleCreate = async () => {
+    const created = await runAction(() => createPromotion({
+      job_id: form.job_id,
+      type: form.type,
+      starts_at: new Date(`${form.starts_at}T00:00:00`).toISOString(),
+      ends_at: endOfDay(form.ends_at),
+      budget: Number(form.budget)
+    }), 'Promotion created');
+    if (created) setForm(null);
+  };
+
+  const handleUpdate = async () => {
+    const updated = await runAction(() => updatePromotion(editing.id, {
+      budget: Number(editing.budget),
+      ends_at: endOfDay(editing.ends_at)
+    }), 'Promotion updated');
+    if (updated) setEditing(null);
+  };
+
+  const handleCancel = (promotion) => {
+    if (window.confirm(`Cancel the ${promotion.type} promotion of "${promotion.job_title}"? What it spent so far stays billed.`)) {
+      runAction(() => cancelPromotion(promotion.id), 'Promotion cancelled');
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      const blob = await exportInvoice(month, accountParams);
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${invoice.data.number}.csv`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error(error.error || 'Failed to download the invoice');
+    }
+  };
+
+  return (
+    <Container maxWidth="lg">
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Box>
+          <Typography variant="h4">Promoted jobs</Typography>
+          <Typography color="text.secondary">
+            Featured jobs appear at the top of matching searches, sponsored jobs further down the page
+          </Typography>
+        </Box>
+        <Button variant="contained" startIcon={<AddIcon />} onClick={() => setForm(emptyForm())}>
+          Promote a job
+        </Button>
+      </Box>
+
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          {isLoading && <LinearProgress />}
+          {promotions?.data.length === 0 ? (
+            <Typography color="text.secondary">You have not promoted any jobs yet.</Typography>
+          ) : (
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Job</TableCell>
+                  <TableCell>Type</TableCell>
+                  <TableCell>State</TableCell>
+                  <TableCell>Period</TableCell>
+                  <TableCell>Spent</TableCell>
+                  <TableCell align="right">Impressions</TableCell>
+                  <TableCell align="right">Clicks</TableCell>
+                  <TableCell align="right">Click rate</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {(promotions?.data || []).map(promotion => {
+                  const final = ['ended', 'cancelled'].includes(promotion.state);
+                  return (
+                    <TableRow key={promotion.id}>
+                      <TableCell>
+                        {promotion.job_id ? (
+                          <Link component={RouterLink} to={`/jobs/${promotion.job_id}/analytics`}>
+                            {promotion.job_title}
+                          </Link>
+                        ) : promotion.job_title}
+                      </TableCell>
+                      <TableCell>{TYPE_LABELS[promotion.type]}</TableCell>
+                      <TableCell>
+                        <Chip size="small" label={promotion.state} color={STATE_COLORS[promotion.state]} />
+                      </TableCell>
+                      <TableCell>
+                        {format(parseISO(promotion.starts_at), 'MMM d')} – {format(parseISO(promotion.ends_at), 'MMM d, yyyy')}
+                      </TableCell>
+                      <TableCell sx={{ minWidth: 140 }}>
+                        {money(promotion.spent, promotion.currency)} of {money(promotion.budget, promotion.currency)}
+                        <LinearProgress
+                          variant="determinate"
+                          value={Math.min((promotion.spent / promotion.budget) * 100, 100)}
+                          sx={{ mt: 0.5 }}
+                        />
+                      </TableCell>
+                      <TableCell align="right">{promotion.impressions}</TableCell>
+                      <TableCell align="right">{promotion.clicks}</TableCell>
+                      <TableCell align="right">
+                        {promotion.click_rate === null ? '–' : `${promotion.click_rate}%`}
+                      </TableCell>
+                      <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                        {!final && (
+                          <>
+                            <Button
+                              size="small"
+                              onClick={() => runAction(
+                                () => updatePromotion(promotion.id, { status: promotion.status === 'paused' ? 'active' : 'paused' }),
+                                'Promotion updated'
+                              )}
+                            >
+                              {promotion.status === 'paused' ? 'Resume' : 'Pause'}
+                            </Button>
+                            <Button
+                              size="small"
+                              onClick={() => setEditing({
+                                id: promotion.id,
+                                budget: promotion.budget,
+                                ends_at: dateInput(parseISO(promotion.ends_at))
+                              })}
+                            >
+                              Edit
+                            </Button>
+                            <Button size="small" color="error" onClick={() => handleCancel(promotion)}>
+                              Cancel
+                            </Button>
+                          </>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={4}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>Invoices</Typography>
+              {companies.length > 0 && (
+                <TextField
+                  select
+                  fullWidth
+                  size="small"
+                  label="Billed to"
+                  value={account}
+                  onChange={(event) => {
+                    setAccount(event.target.value);
+                    setMonth(null);
+                  }}
+                  sx={{ mb: 1 }}
+                >
+                  <MenuItem value="">My personal jobs</MenuItem>
+                  {companies.map(company => (
+                    <MenuItem key={company.id} value={company.id}>{company.name}</MenuItem>
+                  ))}
+                </TextField>
+              )}
+              {invoices?.data.invoices.length === 0 ? (
+                <Typography color="text.secondary">No charges yet.</Typography>
+              ) : (
+                <List dense>
+                  {(invoices?.data.invoices || []).map(entry => (
+                    <ListItemButton
+                      key={`${entry.month}-${entry.currency}`}
+                      selected={entry.month === month}
+                      onClick={() => setMonth(entry.month)}
+                    >
+                      <ListItemText
+                        primary={format(parseISO(`${entry.month}-01`), 'MMMM yyyy')}
+                        secondary={`${entry.impressions} impressions · ${entry.clicks} clicks`}
+                      />
+                      <Typography variant="body2">{money(entry.amount, entry.currency)}</Typography>
+                    </ListItemButton>
+                  ))}
+                </List>
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+
+        <Grid item xs={12} md={8}>
+          {invoice?.data && (
+            <Card>
+              <CardContent>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 2 }}>
+                  <Box>
+                    <Typography variant="h6">Invoice {invoice.data.number}</Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      {invoice.data.billed_to.name}
+                      {invoice.data.billed_to.email && ` · ${invoice.data.billed_to.email}`}
+                      {' · '}{invoice.data.period.from} to {invoice.data.period.to}
+                    </Typography>
+                  </Box>
+                  <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                    {invoice.data.status === 'open' && <Chip size="small" label="Month in progress" />}
+                    <Button size="small" startIcon={<DownloadIcon />} onClick={handleExport}>
+                      CSV
+                    </Button>
+                  </Box>
+                </Box>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Job</TableCell>
+                      <TableCell>Charge</TableCell>
+                      <TableCell align="right">Quantity</TableCell>
+                      <TableCell align="right">Unit price</TableCell>
+                      <TableCell align="right">Amount</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {invoice.data.lines.map(line => (
+                      <TableRow key={`${line.promotion_id}-${line.kind}`}>
+                        <TableCell>{line.job_title}</TableCell>
+                        <TableCell>{TYPE_LABELS[line.type]} {line.kind}s</TableCell>
+                        <TableCell align="right">{line.quantity}</TableCell>
+                        <TableCell align="right">{money(line.unit_price, line.currency)} / {line.unit}</TableCell>
+                        <TableCell align="right">{money(line.amount, line.currency)}</TableCell>
+                      </TableRow>
+                    ))}
+                    {invoice.data.totals.map(total => (
+                      <TableRow key={total.currency}>
+                        <TableCell colSpan={4} align="right"><strong>Total</strong></TableCell>
+                        <TableCell align="right"><strong>{money(total.amount, total.currency)}</strong></TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+                <Alert severity="info" sx={{ mt: 2 }}>
+                  This statement records usage only; no payment is collected.
+                </Alert>
+              </CardContent>
+            </Card>
+          )}
+        </Grid>
+      </Grid>
+
+      <Dialog open={Boolean(form)} onClose={() => setForm(null)} fullWidth maxWidth="sm">
+        <DialogTitle>Promote a job</DialogTitle>
+        {form && (
+          <DialogContent>
+            <TextField select fullWidth label="Job" value={form.job_id} onChange={handleChange(setForm, 'job_id')} margin="normal">
+              {(jobs?.data || []).map(job => (
+                <MenuItem key={job.id} value={job.id}>{job.title} ({job.status})</MenuItem>
+              ))}
+            </TextField>
+            <TextField select fullWidth label="Placement" value={form.type} onChange={handleChange(setForm, 'type')} margin="normal"
+              helperText={pricing[form.type] && priceLabel(pricing[form.type], currency)}
+            >
+              {Object.entries(TYPE_LABELS).map(([type, label]) => (
+                <MenuItem key={type} value={type}>{label}</MenuItem>
+              ))}
+            </TextField>
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField fullWidth type="date" label="Starts" value={form.starts_at} onChange={handleChange(setForm, 'starts_at')}
+                margin="normal" InputLabelProps={{ shrink: true }}
+              />
+              <TextField fullWidth type="date" label="Ends" value={form.ends_at} onChange={handleChange(setForm, 'ends_at')}
+                margin="normal" InputLabelProps={{ shrink: true }}
+                helperText={options && `At most ${options.data.max_days} days`}
+              />
+            </Box>
+            <TextField fullWidth type="number" label={`Budget (${currency})`} value={form.budget} onChange={handleChange(setForm, 'budget')}
+              margin="normal" helperText={options && `At least ${money(options.data.min_budget, currency)}; the promotion stops when it is spent`}
+            />
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setForm(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleCreate} disabled={!form?.job_id || !form?.budget}>
+            Promote
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={Boolean(editing)} onClose={() => setEditing(null)} fullWidth maxWidth="xs">
+        <DialogTitle>Edit promotion</DialogTitle>
+        {editing && (
+          <DialogContent>
+            <TextField fullWidth type="number" label={`Budget (${currency})`} value={editing.budget} onChange={handleChange(setEditing, 'budget')}
+              margin="normal"
+            />
+            <TextField fullWidth type="date" label="Ends" value={editing.ends_at} onChange={handleChange(setEditing, 'ends_at')}
+              margin="normal" InputLabelProps={{ shrink: true }}
+            />
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setEditing(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleUpdate}>Save</Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default JobPromotions;
\ No newline at end of file
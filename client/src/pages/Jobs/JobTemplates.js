@@ -0,0 +1,531 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Container,
+  Paper,
+  Typography,
+  Box,
+  Button,
+  TextField,
+  Alert,
+  Chip,
+  MenuItem,
+  List,
+  ListItem,
+  ListItemText,
+  ListItemSecondaryAction,
+  IconButton,
+  Tooltip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormControlLabel,
+  Checkbox,
+  Divider
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  PostAdd as PostAddIcon
+} from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { formatDistanceToNow } from 'date-fns';
+
+// API
+import {
+  getTemplates,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  createJobFromTemplate,
+  getMyCompanies,
+  getSalaryOptions
+} from '../../services/api';
+
+const QUESTION_TYPES = [
+  { value: 'yes_no', label: 'Yes / no' },
+  { value: 'single_choice', label: 'Single choice' },
+  { value: 'multi_choice', label: 'Multiple choice' },
+  { value: 'number', label: 'Number' },
+  { value: 'text', label: 'Free text' },
+  { value: 'file', label: 'File upload' }
+];
+
+const CHOICE_TYPES = ['single_choice', 'multi_choice'];
+
+const emptyForm = {
+  name: '',
+  company_id: '',
+  title: '',
+  description: '',
+  requirements: '',
+  location: '',
+  salary_min: '',
+  salary_max: '',
+  salary_currency: 'USD',
+  salary_period: 'yearly',
+  employment_type: 'full-time',
+  experience_level: 'mid',
+  work_mode: 'onsite',
+  screening_questions: [],
+  skills: []
+};
+
+const emptySkill = { name: '', importance: 'required', min_proficiency: '', min_years: '' };
+
+const emptyKnockout = { reject_when: '', reject_options: '', min: '', max: '' };
+
+const emptyQuestion = { question: '', type: 'yes_no', options: '', required: false, knockout: emptyKnockout };
+
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+const knockoutToForm = (knockout) => ({
+  reject_when: knockout?.reject_when === undefined ? '' : (knockout.reject_when ? 'yes' : 'no'),
+  reject_options: (knockout?.reject_options || []).join(', '),
+  min: knockout?.min ?? '',
+  max: knockout?.max ?? ''
+});
+
+// Knockout rule for the question's type, or undefined when none is set
+const knockoutFromForm = (type, rule) => {
+  if (type === 'yes_no' && rule.reject_when) {
+    return { reject_when: rule.reject_when === 'yes' };
+  }
+  if (CHOICE_TYPES.includes(type) && splitList(rule.reject_options).length > 0) {
+    return { reject_options: splitList(rule.reject_options) };
+  }
+  if (type === 'number' && (rule.min !== '' || rule.max !== '')) {
+    return {
+      ...(rule.min !== '' && { min: Number(rule.min) }),
+      ...(rule.max !== '' && { max: Number(rule.max) })
+    };
+  }
+  return undefined;
+};
+
+const toNumber = (value) => (value === '' || value === null ? null : Number(value));
+
+const JobTemplates = () => {
+  const [templates, setTemplates] = useState([]);
+  const [companies, setCompanies] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [loading, setLoading] = useState(false);
+  const [salaryOptions, setSalaryOptions] = useState({ currencies: ['USD'], periods: ['yearly'] });
+
+  const loadTemplates = useCallback(async () => {
+    try {
+      const response = await getTemplates();
+      setTemplates(response.data);
+    } catch (error) {
+      toast.error('Failed to load templates');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTemplates();
+    getMyCompanies()
+      .then(response => setCompanies(response.data.filter(company => ['owner', 'recruiter'].includes(company.membership_role))))
+      .catch(() => setCompanies([]));
+    getSalaryOptions()
+      .then(response => setSalaryOptions(response.data))
+      .catch(() => {});
+  }, [loadTemplates]);
+
+  const runAction = async (action) => {
+    try {
+      setLoading(true);
+      await action();
+      await loadTemplates();
+    } catch (error) {
+      toast.error(error.error || 'Request failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openAdd = () => {
+    setForm(emptyForm);
+    setEditing({ isNew: true });
+  };
+
+  const openEdit = (template) => {
+    setForm({
+      ...emptyForm,
+      ...Object.fromEntries(Object.keys(emptyForm).map(field => [field, template[field] ?? emptyForm[field]])),
+      company_id: template.company_id || '',
+      screening_questions: template.screening_questions.map(question => ({
+        ...question,
+        options: (question.options || []).join(', '),
+        knockout: knockoutToForm(question.knockout)
+      })),
+      skills: (template.skills || []).map(skill => ({ ...emptySkill, ...skill }))
+    });
+    setEditing(template);
+  };
+
+  const handleChange = (field) => (event) => {
+    setForm(prev => ({ ...prev, [field]: event.target.value }));
+  };
+
+  const updateQuestion = (index, changes) => {
+    setForm(prev => ({
+      ...prev,
+      screening_questions: prev.screening_questions.map((question, i) => (i === index ? { ...question, ...changes } : question))
+    }));
+  };
+
+  const updateKnockout = (index, changes) => {
+    const question = form.screening_questions[index];
+    updateQuestion(index, { knockout: { ...question.knockout, ...changes } });
+  };
+
+  const updateSkill = (index, changes) => {
+    setForm(prev => ({
+      ...prev,
+      skills: prev.skills.map((skill, i) => (i === index ? { ...skill, ...changes } : skill))
+    }));
+  };
+
+  const addSkill = () => {
+    setForm(prev => ({ ...prev, skills: [...prev.skills, emptySkill] }));
+  };
+
+  const removeSkill = (index) => {
+    setForm(prev => ({ ...prev, skills: prev.skills.filter((skill, i) => i !== index) }));
+  };
+
+  const addQuestion = () => {
+    setForm(prev => ({ ...prev, screening_questions: [...prev.screening_questions, emptyQuestion] }));
+  };
+
+  const removeQuestion = (index) => {
+    setForm(prev => ({
+      ...prev,
+      screening_questions: prev.screening_questions.filter((question, i) => i !== index)
+    }));
+  };
+
+  const handleSave = () => runAction(async () => {
+    const payload = {
+      ...form,
+      company_id: form.company_id || null,
+      salary_min: toNumber(form.salary_min),
+      salary_max: toNumber(form.salary_max),
+      screening_questions: form.screening_questions.map(({ options, knockout, ...question }) => ({
+        ...question,
+        ...(CHOICE_TYPES.includes(question.type) && { options: splitList(options) }),
+        knockout: knockoutFromForm(question.type, knockout)
+      })),
+      skills: form.skills
+        .filter(skill => skill.name.trim())
+        .map(skill => ({
+          name: skill.name.trim(),
+          importance: skill.importance,
+          min_proficiency: skill.min_proficiency || null,
+          min_years: toNumber(skill.min_years)
+        }))
+    };
+
+    const response = editing.isNew
+      ? await createTemplate(payload)
+      : await updateTemplate(editing.id, payload);
+
+    toast.success(response.message);
+    setEditing(null);
+  });
+
+  const handleDelete = (template) => runAction(async () => {
+    const response = await deleteTemplate(template.id);
+    toast.success(response.message);
+  });
+
+  // New jobs from a template start as drafts so the recruiter can adjust
+  // dates and details before publishing
+  const handlePost = (template) => runAction(async () => {
+    const response = await createJobFromTemplate(template.id, { status: 'draft' });
+    toast.success(`${response.message}: ${response.data.title}`);
+  });
+
+  return (
+    <Container maxWidth="md">
+      <Paper sx={{ p: 4 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+          <Typography variant="h5">
+            Job Templates
+          </Typography>
+          <Button variant="contained" startIcon={<AddIcon />} onClick={openAdd}>
+            New template
+          </Button>
+        </Box>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Save the roles you post regularly and start new jobs from them. Company templates are
+          shared with everyone who can manage the company's jobs.
+        </Typography>
+
+        {templates.length === 0 && (
+          <Alert severity="info">
+            No templates yet. Create one here or save an existing job as a template.
+          </Alert>
+        )}
+
+        <List>
+          {templates.map(template => (
+            <ListItem key={template.id} divider>
+              <ListItemText
+                primary={
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                    {template.name}
+                    <Chip label={template.company?.name || 'Personal'} size="small" variant="outlined" />
+                    {template.screening_questions.length > 0 && (
+                      <Chip label={`${template.screening_questions.length} questions`} size="small" variant="outlined" />
+                    )}
+                  </Box>
+                }
+                secondary={[
+                  template.title,
+                  template.location,
+                  template.usage_count > 0 && `Used ${template.usage_count} times`,
+                  template.last_used_at && `last ${formatDistanceToNow(new Date(template.last_used_at), { addSuffix: true })}`
+                ].filter(Boolean).join(' · ')}
+              />
+              <ListItemSecondaryAction>
+                <Tooltip title="Create job from template">
+                  <IconButton onClick={() => handlePost(template)} disabled={loading}>
+                    <PostAddIcon />
+                  </IconButton>
+                </Tooltip>
+                <Tooltip title="Edit">
+                  <IconButton onClick={() => openEdit(template)} disabled={loading}>
+                    <EditIcon />
+                  </IconButton>
+                </Tooltip>
+                <Tooltip title="Delete">
+                  <IconButton edge="end" onClick={() => handleDelete(template)} disabled={loading}>
+                    <DeleteIcon />
+                  </IconButton>
+                </Tooltip>
+              </ListItemSecondaryAction>
+            </ListItem>
+          ))}
+        </List>
+      </Paper>
+
+      <Dialog open={!!editing} onClose={() => setEditing(null)} fullWidth maxWidth="md">
+        <DialogTitle>{editing?.isNew ? 'New template' : `Edit ${editing?.name}`}</DialogTitle>
+        <DialogContent sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: '8px !important' }}>
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <TextField label="Template name" value={form.name} onChange={handleChange('name')} required fullWidth />
+            <TextField select label="Shared with" value={form.company_id} onChange={handleChange('company_id')} fullWidth>
+              <MenuItem value="">Only me</MenuItem>
+              {companies.map(company => (
+                <MenuItem key={company.id} value={company.id}>{company.name}</MenuItem>
+              ))}
+            </TextField>
+          </Box>
+          <TextField label="Job title" value={form.title} onChange={handleChange('title')} required />
+          <TextField
+            label="Description"
+            value={form.description}
+            onChange={handleChange('description')}
+            multiline
+            minRows={4}
+            required
+          />
+          <TextField
+            label="Requirements"
+            value={form.requirements}
+            onChange={handleChange('requirements')}
+            multiline
+            minRows={3}
+          />
+          <TextField label="Location" value={form.location} onChange={handleChange('location')} />
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <TextField type="number" label="Salary min" value={form.salary_min} onChange={handleChange('salary_min')} fullWidth />
+            <TextField type="number" label="Salary max" value={form.salary_max} onChange={handleChange('salary_max')} fullWidth />
+            <TextField select label="Currency" value={form.salary_currency} onChange={handleChange('salary_currency')} sx={{ minWidth: 110 }}>
+              {salaryOptions.currencies.map(currency => (
+                <MenuItem key={currency} value={currency}>{currency}</MenuItem>
+              ))}
+            </TextField>
+            <TextField select label="Per" value={form.salary_period} onChange={handleChange('salary_period')} sx={{ minWidth: 120 }}>
+              {salaryOptions.periods.map(period => (
+                <MenuItem key={period} value={period}>{period}</MenuItem>
+              ))}
+            </TextField>
+          </Box>
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <TextField select label="Employment type" value={form.employment_type} onChange={handleChange('employment_type')} fullWidth>
+              {['full-time', 'part-time', 'contract', 'internship'].map(type => (
+                <MenuItem key={type} value={type}>{type}</MenuItem>
+              ))}
+            </TextField>
+            <TextField select label="Experience level" value={form.experience_level} onChange={handleChange('experience_level')} fullWidth>
+              {['entry', 'mid', 'senior', 'executive'].map(level => (
+                <MenuItem key={level} value={level}>{level}</MenuItem>
+              ))}
+            </TextField>
+            <TextField select label="Work mode" value={form.work_mode} onChange={handleChange('work_mode')} fullWidth>
+              {['onsite', 'hybrid', 'remote'].map(mode => (
+                <MenuItem key={mode} value={mode}>{mode}</MenuItem>
+              ))}
+            </TextField>
+          </Box>
+
+          <Divider />
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            <Typography variant="subtitle1">Skills</Typography>
+            <Button size="small" startIcon={<AddIcon />} onClick={addSkill}>
+              Add skill
+            </Button>
+          </Box>
+          {form.skills.map((skill, index) => (
+            <Box key={index} sx={{ display: 'flex', gap: 1, alignItems: 'flex-start', flexWrap: 'wrap' }}>
+              <TextField
+                label="Skill"
+                value={skill.name}
+                onChange={(event) => updateSkill(index, { name: event.target.value })}
+                sx={{ flex: 2, minWidth: 180 }}
+              />
+              <TextField
+                select
+                label="Importance"
+                value={skill.importance}
+                onChange={(event) => updateSkill(index, { importance: event.target.value })}
+                sx={{ flex: 1, minWidth: 130 }}
+              >
+                <MenuItem value="required">Required</MenuItem>
+                <MenuItem value="preferred">Preferred</MenuItem>
+              </TextField>
+              <TextField
+                select
+                label="Minimum level"
+                value={skill.min_proficiency}
+                onChange={(event) => updateSkill(index, { min_proficiency: event.target.value })}
+                sx={{ flex: 1, minWidth: 140 }}
+              >
+                <MenuItem value="">Any</MenuItem>
+                {['beginner', 'intermediate', 'advanced', 'expert'].map(level => (
+                  <MenuItem key={level} value={level}>{level}</MenuItem>
+                ))}
+              </TextField>
+              <TextField
+                type="number"
+                label="Minimum years"
+                value={skill.min_years}
+                onChange={(event) => updateSkill(index, { min_years: event.target.value })}
+                sx={{ flex: 1, minWidth: 120 }}
+              />
+              <IconButton onClick={() => removeSkill(index)}>
+                <DeleteIcon />
+              </IconButton>
+            </Box>
+          ))}
+
+          <Divider />
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            <Typography variant="subtitle1">Screening questions</Typography>
+            <Button size="small" startIcon={<AddIcon />} onClick={addQuestion}>
+              Add question
+            </Button>
+          </Box>
+          {form.screening_questions.map((question, index) => (
+            <Box key={question.id || index} sx={{ display: 'flex', gap: 1, alignItems: 'flex-start', flexWrap: 'wrap' }}>
+              <TextField
+                label="Question"
+                value={question.question}
+                onChange={(event) => updateQuestion(index, { question: event.target.value })}
+                sx={{ flex: 2, minWidth: 240 }}
+              />
+              <TextField
+                select
+                label="Type"
+                value={question.type}
+                onChange={(event) => updateQuestion(index, { type: event.target.value })}
+                sx={{ flex: 1, minWidth: 150 }}
+              >
+                {QUESTION_TYPES.map(type => (
+                  <MenuItem key={type.value} value={type.value}>{type.label}</MenuItem>
+                ))}
+              </TextField>
+              {CHOICE_TYPES.includes(question.type) && (
+                <TextField
+                  label="Options"
+                  helperText="Comma separated"
+                  value={question.options}
+                  onChange={(event) => updateQuestion(index, { options: event.target.value })}
+                  sx={{ flex: 2, minWidth: 200 }}
+                />
+              )}
+              {question.type === 'yes_no' && (
+                <TextField
+                  select
+                  label="Reject if answer is"
+                  value={question.knockout.reject_when}
+                  onChange={(event) => updateKnockout(index, { reject_when: event.target.value })}
+                  sx={{ flex: 1, minWidth: 150 }}
+                >
+                  <MenuItem value="">Never</MenuItem>
+                  <MenuItem value="yes">Yes</MenuItem>
+                  <MenuItem value="no">No</MenuItem>
+                </TextField>
+              )}
+              {CHOICE_TYPES.includes(question.type) && (
+                <TextField
+                  label="Reject options"
+                  helperText="Applicants picking any of these are rejected"
+                  value={question.knockout.reject_options}
+                  onChange={(event) => updateKnockout(index, { reject_options: event.target.value })}
+                  sx={{ flex: 2, minWidth: 200 }}
+                />
+              )}
+              {question.type === 'number' && (
+                <>
+                  <TextField
+                    type="number"
+                    label="Reject below"
+                    value={question.knockout.min}
+                    onChange={(event) => updateKnockout(index, { min: event.target.value })}
+                    sx={{ flex: 1, minWidth: 120 }}
+                  />
+                  <TextField
+                    type="number"
+                    label="Reject above"
+                    value={question.knockout.max}
+                    onChange={(event) => updateKnockout(index, { max: event.target.value })}
+                    sx={{ flex: 1, minWidth: 120 }}
+                  />
+                </>
+              )}
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    checked={!!question.required}
+                    onChange={(event) => updateQuestion(index, { required: event.target.checked })}
+                  />
+                }
+                label="Required"
+              />
+              <IconButton onClick={() => removeQuestion(index)}>
+                <DeleteIcon />
+              </IconButton>
+            </Box>
+          ))}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditing(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleSave}
+            disabled={loading || !form.name || !form.title || !form.description}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default JobTemplates;
\ No newline at end of file
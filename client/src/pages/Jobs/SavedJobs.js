@@ -0,0 +1,339 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Typography,
+  Box,
+  Button,
+  TextField,
+  Alert,
+  Chip,
+  MenuItem,
+  Tabs,
+  Tab,
+  List,
+  ListItem,
+  ListItemText,
+  ListItemSecondaryAction,
+  IconButton,
+  Tooltip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Link
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  OpenInNew as OpenInNewIcon
+} from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { format, formatDistanceToNow } from 'date-fns';
+
+// API
+import { getTracker, createBookmark, updateBookmark, deleteBookmark } from '../../services/api';
+
+const STAGES = ['saved', 'applied', 'interviewing', 'offer', 'rejected', 'withdrawn'];
+
+const stageColors = {
+  saved: 'default',
+  applied: 'primary',
+  interviewing: 'info',
+  offer: 'success',
+  rejected: 'error',
+  withdrawn: 'default'
+};
+
+const emptyForm = {
+  title: '',
+  company_name: '',
+  url: '',
+  location: '',
+  stage: 'applied',
+  deadline: '',
+  notes: '',
+  tags: '',
+  remind_days_before: 3
+};
+
+const parseTags = (value) => [...new Set(value.split(',').map(tag => tag.trim()).filter(Boolean))];
+
+const SavedJobs = () => {
+  const [items, setItems] = useState([]);
+  const [stageCounts, setStageCounts] = useState({});
+  const [tags, setTags] = useState([]);
+  const [stage, setStage] = useState('');
+  const [tag, setTag] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [loading, setLoading] = useState(false);
+
+  const loadTracker = useCallback(async () => {
+    try {
+      const response = await getTracker({ stage: stage || undefined, tag: tag || undefined });
+      setItems(response.data);
+      setStageCounts(response.stages);
+      setTags(response.tags);
+    } catch (error) {
+      toast.error('Failed to load saved jobs');
+    }
+  }, [stage, tag]);
+
+  useEffect(() => {
+    loadTracker();
+  }, [loadTracker]);
+
+  const runAction = async (action) => {
+    try {
+      setLoading(true);
+      await action();
+      await loadTracker();
+    } catch (error) {
+      toast.error(error.error || 'Request failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openAdd = () => {
+    setForm(emptyForm);
+    setEditing({ isNew: true });
+  };
+
+  const openEdit = (item) => {
+    setForm({
+      ...emptyForm,
+      title: item.title || '',
+      company_name: item.company || '',
+      url: item.url || '',
+      location: item.location || '',
+      stage: item.stage,
+      deadline: item.source === 'external' && item.deadline ? item.deadline.slice(0, 10) : '',
+      notes: item.notes || '',
+      tags: item.tags.join(', '),
+      remind_days_before: item.remind_days_before ?? ''
+    });
+    setEditing(item);
+  };
+
+  const handleChange = (field) => (event) => {
+    setForm(prev => ({ ...prev, [field]: event.target.value }));
+  };
+
+  const handleSave = () => runAction(async () => {
+    const personal = {
+      notes: form.notes || null,
+      tags: parseTags(form.tags),
+      remind_days_before: form.remind_days_before === '' ? null : parseInt(form.remind_days_before, 10)
+    };
+    const outside = {
+      title: form.title,
+      company_name: form.company_name || null,
+      url: form.url || null,
+      location: form.location || null,
+      deadline: form.deadline || null
+    };
+
+    let response;
+    if (editing.isNew) {
+      response = await createBookmark({ ...outside, ...personal, stage: form.stage });
+    } else if (editing.bookmark_id) {
+      response = await updateBookmark(editing.bookmark_id, {
+        ...personal,
+        ...(editing.source === 'external' && outside),
+        // Platform applications take their stage from the employer's status
+        ...(editing.source !== 'application' && { stage: form.stage })
+      });
+    } else {
+      // Notes on an application without a bookmark create one
+      response = await createBookmark({ job_id: editing.job_id, ...personal });
+    }
+
+    toast.success(response.message);
+    setEditing(null);
+  });
+
+  const handleDelete = (item) => runAction(async () => {
+    const response = await deleteBookmark(item.bookmark_id);
+    toast.success(response.message);
+  });
+
+  const totalCount = Object.values(stageCounts).reduce((sum, count) => sum + count, 0);
+
+  return (
+    <Container maxWidth="md">
+      <Paper sx={{ p: 4 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+          <Typography variant="h5">
+            Saved Jobs & Applications
+          </Typography>
+          <Button variant="contained" startIcon={<AddIcon />} onClick={openAdd}>
+            Track outside job
+          </Button>
+        </Box>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Everything you saved or applied to, including jobs from other sites. We email you
+          before a saved job's application deadline.
+        </Typography>
+
+        <Tabs
+          value={stage}
+          onChange={(event, value) => setStage(value)}
+          variant="scrollable"
+          scrollButtons="auto"
+          sx={{ mb: 2 }}
+        >
+          <Tab value="" label={`All (${totalCount})`} />
+          {STAGES.map(name => (
+            <Tab key={name} value={name} label={`${name} (${stageCounts[name] ?? 0})`} />
+          ))}
+        </Tabs>
+
+        {tags.length > 0 && (
+          <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+            {tags.map(name => (
+              <Chip
+                key={name}
+                label={name}
+                size="small"
+                color={tag === name ? 'primary' : 'default'}
+                onClick={() => setTag(tag === name ? '' : name)}
+              />
+            ))}
+          </Box>
+        )}
+
+        {items.length === 0 && (
+          <Alert severity="info">
+            Nothing here yet. Save jobs from the job search or track applications you sent elsewhere.
+          </Alert>
+        )}
+
+        <List>
+          {items.map(item => (
+            <ListItem key={item.key} divider>
+              <ListItemText
+                primary={
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                    {item.job_id ? (
+                      <Link component={RouterLink} to={`/jobs/${item.job_id}`}>{item.title}</Link>
+                    ) : item.title}
+                    {item.company && (
+                      <Typography component="span" color="text.secondary">at {item.company}</Typography>
+                    )}
+                    <Chip label={item.stage} size="small" color={stageColors[item.stage]} />
+                    {item.source === 'external' && <Chip label="Outside" size="small" variant="outlined" />}
+                    {item.tags.map(name => (
+                      <Chip key={name} label={name} size="small" variant="outlined" />
+                    ))}
+                  </Box>
+                }
+                secondary={
+                  <>
+                    {[
+                      item.location,
+                      item.deadline && `Closes ${format(new Date(item.deadline), 'MMM d, yyyy')}`,
+                      item.applied_at && `Applied ${formatDistanceToNow(new Date(item.applied_at), { addSuffix: true })}`
+                    ].filter(Boolean).join(' · ')}
+                    {item.notes && (
+                      <Typography variant="body2" component="span" sx={{ display: 'block', whiteSpace: 'pre-line' }}>
+                        {item.notes}
+                      </Typography>
+                    )}
+                  </>
+                }
+              />
+              <ListItemSecondaryAction>
+                {item.url && (
+                  <Tooltip title="Open posting">
+                    <IconButton href={item.url} target="_blank" rel="noopener noreferrer">
+                      <OpenInNewIcon />
+                    </IconButton>
+                  </Tooltip>
+                )}
+                <Tooltip title="Edit notes">
+                  <IconButton onClick={() => openEdit(item)} disabled={loading}>
+                    <EditIcon />
+                  </IconButton>
+                </Tooltip>
+                {item.bookmark_id && item.source !== 'application' && (
+                  <Tooltip title="Remove">
+                    <IconButton edge="end" onClick={() => handleDelete(item)} disabled={loading}>
+                      <DeleteIcon />
+                    </IconButton>
+                  </Tooltip>
+                )}
+              </ListItemSecondaryAction>
+            </ListItem>
+          ))}
+        </List>
+      </Paper>
+
+      <Dialog open={!!editing} onClose={() => setEditing(null)} fullWidth maxWidth="sm">
+        <DialogTitle>{editing?.isNew ? 'Track an outside job' : editing?.title}</DialogTitle>
+        <DialogContent sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: '8px !important' }}>
+          {(editing?.isNew || editing?.source === 'external') && (
+            <>
+              <TextField label="Job title" value={form.title} onChange={handleChange('title')} required />
+              <TextField label="Company" value={form.company_name} onChange={handleChange('company_name')} />
+              <TextField label="Link to posting" value={form.url} onChange={handleChange('url')} />
+              <TextField label="Location" value={form.location} onChange={handleChange('location')} />
+              <TextField
+                type="date"
+                label="Application deadline"
+                value={form.deadline}
+                onChange={handleChange('deadline')}
+                InputLabelProps={{ shrink: true }}
+              />
+            </>
+          )}
+          {editing?.source !== 'application' && (
+            <TextField select label="Stage" value={form.stage} onChange={handleChange('stage')}>
+              {STAGES.map(name => (
+                <MenuItem key={name} value={name}>{name}</MenuItem>
+              ))}
+            </TextField>
+          )}
+          <TextField
+            label="Notes"
+            value={form.notes}
+            onChange={handleChange('notes')}
+            multiline
+            minRows={3}
+          />
+          <TextField
+            label="Tags"
+            helperText="Comma separated, e.g. dream-job, referral"
+            value={form.tags}
+            onChange={handleChange('tags')}
+          />
+          {editing?.source !== 'application' && (
+            <TextField
+              type="number"
+              label="Remind me days before the deadline"
+              helperText="Leave empty for no reminder"
+              value={form.remind_days_before ?? ''}
+              onChange={handleChange('remind_days_before')}
+              inputProps={{ min: 0, max: 30 }}
+            />
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditing(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleSave}
+            disabled={loading || ((editing?.isNew || editing?.source === 'external') && !form.title)}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default SavedJobs;
\ No newline at end of file
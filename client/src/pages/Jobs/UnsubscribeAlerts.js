@@ -0,0 +1,77 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams, Link as RouterLink } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Typography,
+  Box,
+  Button,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+
+// API
+import { unsubscribeAlerts } from '../../services/api';
+
+// Target of the "Stop these alerts" link in job alert digests; works without signing in
+const UnsubscribeAlerts = () => {
+  const [searchParams] = useSearchParams();
+  const [status, setStatus] = useState('working');
+  const [message, setMessage] = useState('');
+  const [searchName, setSearchName] = useState('');
+
+  useEffect(() => {
+    const token = searchParams.get('token');
+
+    if (!token) {
+      setStatus('error');
+      setMessage('Unsubscribe link is missing its token.');
+      return;
+    }
+
+    unsubscribeAlerts(token)
+      .then((response) => {
+        setStatus('success');
+        setMessage(response.message);
+        setSearchName(response.data.name);
+      })
+      .catch((error) => {
+        setStatus('error');
+        setMessage(error.error || 'Failed to unsubscribe');
+      });
+  }, [searchParams]);
+
+  return (
+    <Container maxWidth="sm">
+      <Paper sx={{ p: 4, textAlign: 'center' }}>
+        <Typography variant="h5" gutterBottom>
+          Job Alerts
+        </Typography>
+
+        {status === 'working' && (
+          <Box sx={{ py: 3 }}>
+            <CircularProgress />
+          </Box>
+        )}
+
+        {status !== 'working' && (
+          <>
+            {searchName && (
+              <Typography color="text.secondary">
+                "{searchName}"
+              </Typography>
+            )}
+            <Alert severity={status === 'success' ? 'success' : 'error'} sx={{ my: 2 }}>
+              {message}
+            </Alert>
+            <Button component={RouterLink} to="/jobs" variant="contained">
+              Browse Jobs
+            </Button>
+          </>
+        )}
+      </Paper>
+    </Container>
+  );
+};
+
+export default UnsubscribeAlerts;
\ No newline at end of file
@@ -0,0 +1,226 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Container,
+  Paper,
+  Typography,
+  Box,
+  Button,
+  TextField,
+  Alert,
+  Chip,
+  Checkbox,
+  FormControlLabel,
+  FormGroup,
+  List,
+  ListItem,
+  ListItemText,
+  ListItemSecondaryAction,
+  IconButton,
+  Tooltip,
+  Divider
+} from '@mui/material';
+import {
+  Autorenew as AutorenewIcon,
+  Delete as DeleteIcon,
+  ContentCopy as ContentCopyIcon
+} from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { formatDistanceToNow } from 'date-fns';
+
+// API
+import { getApiKeys, createApiKey, rotateApiKey, revokeApiKey } from '../../services/api';
+
+const ApiKeys = () => {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [availableScopes, setAvailableScopes] = useState([]);
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState([]);
+  const [rateLimit, setRateLimit] = useState(60);
+  const [newKey, setNewKey] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    loadApiKeys();
+  }, []);
+
+  const loadApiKeys = async () => {
+    try {
+      const response = await getApiKeys();
+      setApiKeys(response.data);
+      setAvailableScopes(response.scopes);
+    } catch (error) {
+      toast.error('Failed to load API keys');
+    }
+  };
+
+  const toggleScope = (scope) => {
+    setScopes(prev => (
+      prev.includes(scope) ? prev.filter(item => item !== scope) : [...prev, scope]
+    ));
+  };
+
+  const runAction = async (action) => {
+    try {
+      setLoading(true);
+      await action();
+      await loadApiKeys();
+    } catch (error) {
+      toast.error(error.error || 'Request failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = () => runAction(async () => {
+    const response = await createApiKey({
+      name,
+      scopes,
+      rate_limit_per_minute: parseInt(rateLimit, 10)
+    });
+    setNewKey(response.data);
+    setName('');
+    setScopes([]);
+    toast.success(response.message);
+  });
+
+  const handleRotate = (id) => runAction(async () => {
+    const response = await rotateApiKey(id);
+    setNewKey(response.data);
+    toast.success(response.message);
+  });
+
+  const handleRevoke = (id) => runAction(async () => {
+    const response = await revokeApiKey(id);
+    toast.success(response.message);
+  });
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(newKey.key);
+    toast.success('API key copied');
+  };
+
+  return (
+    <Container maxWidth="md">
+      <Paper sx={{ p: 4 }}>
+        <Typography variant="h5" gutterBottom>
+          API Keys
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+          Use API keys to connect Zapier, Make, n8n or your own scripts. Send the key in the
+          X-API-Key header. Keys only reach the resources their scopes allow.
+        </Typography>
+
+        {newKey && (
+          <Alert
+            severity="success"
+            sx={{ mb: 3 }}
+            action={
+              <IconButton size="small" onClick={handleCopy}>
+                <ContentCopyIcon fontSize="small" />
+              </IconButton>
+            }
+            onClose={() => setNewKey(null)}
+          >
+            <Typography variant="subtitle2">
+              Copy the key for "{newKey.name}" now. It will not be shown again.
+            </Typography>
+            <Typography sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>{newKey.key}</Typography>
+            {newKey.signing_secret && (
+              <>
+                <Typography variant="subtitle2" sx={{ mt: 1 }}>
+                  Signing secret for HMAC-signed webhook requests (send key ID {newKey.id} in X-JobBoard-Key-Id)
+                </Typography>
+                <Typography sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>{newKey.signing_secret}</Typography>
+              </>
+            )}
+          </Alert>
+        )}
+
+        <Box sx={{ mb: 3 }}>
+          <Box sx={{ display: 'flex', gap: 2, mb: 1 }}>
+            <TextField
+              label="Key Name"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              sx={{ flexGrow: 1 }}
+            />
+            <TextField
+              type="number"
+              label="Requests / minute"
+              value={rateLimit}
+              onChange={(e) => setRateLimit(e.target.value)}
+              inputProps={{ min: 1, max: 1000 }}
+              sx={{ width: 180 }}
+            />
+          </Box>
+          <FormGroup row>
+            {availableScopes.map(scope => (
+              <FormControlLabel
+                key={scope}
+                control={
+                  <Checkbox checked={scopes.includes(scope)} onChange={() => toggleScope(scope)} />
+                }
+                label={scope}
+              />
+            ))}
+          </FormGroup>
+          <Button
+            variant="contained"
+            onClick={handleCreate}
+            disabled={loading || !name || scopes.length === 0}
+          >
+            Create API key
+          </Button>
+        </Box>
+
+        <Divider />
+
+        {apiKeys.length === 0 && (
+          <Alert severity="info" sx={{ mt: 2 }}>You have no API keys yet.</Alert>
+        )}
+
+        <List>
+          {apiKeys.map(apiKey => (
+            <ListItem key={apiKey.id} divider>
+              <ListItemText
+                primary={
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                    {apiKey.name}
+                    <Typography component="span" sx={{ fontFamily: 'monospace' }} color="text.secondary">
+                      {apiKey.key_prefix}…
+                    </Typography>
+                    {apiKey.revoked_at && <Chip label="Revoked" size="small" color="error" />}
+                    {apiKey.scopes.map(scope => (
+                      <Chip key={scope} label={scope} size="small" variant="outlined" />
+                    ))}
+                  </Box>
+                }
+                secondary={`${apiKey.rate_limit_per_minute} req/min · Last used ${
+                  apiKey.last_used_at
+                    ? formatDistanceToNow(new Date(apiKey.last_used_at), { addSuffix: true })
+                    : 'never'
+                }`}
+              />
+              {!apiKey.revoked_at && (
+                <ListItemSecondaryAction>
+                  <Tooltip title="Rotate secret">
+                    <IconButton onClick={() => handleRotate(apiKey.id)} disabled={loading}>
+                      <AutorenewIcon />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Revoke">
+                    <IconButton edge="end" onClick={() => handleRevoke(apiKey.id)} disabled={loading}>
+                      <DeleteIcon />
+                    </IconButton>
+                  </Tooltip>
+                </ListItemSecondaryAction>
+              )}
+            </ListItem>
+          ))}
+        </List>
+      </Paper>
+    </Container>
+  );
+};
+
+export default ApiKeys;
\ No newline at end of file
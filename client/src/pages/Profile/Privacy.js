@@ -0,0 +1,159 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Container,
+  Paper,
+  Typography,
+  Box,
+  Button,
+  TextField,
+  Alert,
+  Divider
+} from '@mui/material';
+import {
+  Download as DownloadIcon,
+  DeleteForever as DeleteForeverIcon
+} from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+
+// API
+import {
+  exportAccountData,
+  getDeletionStatus,
+  requestAccountDeletion,
+  cancelAccountDeletion
+} from '../../services/api';
+
+const Privacy = () => {
+  const [status, setStatus] = useState(null);
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const loadStatus = async () => {
+    try {
+      const response = await getDeletionStatus();
+      setStatus(response.data);
+    } catch (error) {
+      toast.error('Failed to load account status');
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      setLoading(true);
+      const blob = await exportAccountData();
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `job-board-data-${format(new Date(), 'yyyy-MM-dd')}.zip`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error(error.error || 'Failed to export your data');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRequestDeletion = async () => {
+    try {
+      setLoading(true);
+      const response = await requestAccountDeletion(password);
+      setStatus(response.data);
+      setPassword('');
+      toast.success(response.message);
+    } catch (error) {
+      toast.error(error.error || 'Failed to schedule account deletion');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCancelDeletion = async () => {
+    try {
+      setLoading(true);
+      const response = await cancelAccountDeletion();
+      setStatus(response.data);
+      toast.success(response.message);
+    } catch (error) {
+      toast.error(error.error || 'Failed to cancel account deletion');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!status) {
+    return null;
+  }
+
+  return (
+    <Container maxWidth="md">
+      <Paper sx={{ p: 4 }}>
+        <Typography variant="h5" gutterBottom>
+          Privacy & Data
+        </Typography>
+
+        <Typography variant="h6" sx={{ mt: 2 }}>
+          Download your data
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Get a ZIP archive with your profile, resumes, applications and AI analyses as JSON,
+          plus the resume files you uploaded.
+        </Typography>
+        <Button variant="outlined" startIcon={<DownloadIcon />} onClick={handleExport} disabled={loading}>
+          Export my data
+        </Button>
+
+        <Divider sx={{ my: 4 }} />
+
+        <Typography variant="h6">
+          Delete your account
+        </Typography>
+
+        {status.deletion_scheduled_at ? (
+          <Box>
+            <Alert severity="warning" sx={{ my: 2 }}>
+              Your account will be permanently deleted on{' '}
+              {format(new Date(status.deletion_scheduled_at), 'MMMM d, yyyy')}.
+              You can cancel until then.
+            </Alert>
+            <Button variant="contained" onClick={handleCancelDeletion} disabled={loading}>
+              Cancel deletion
+            </Button>
+          </Box>
+        ) : (
+          <Box>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              Your account will be deleted after a {status.grace_period_days}-day grace period.
+              Resumes and uploaded files are removed; applications you already sent stay with
+              employers in anonymized form.
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                type="password"
+                label="Current Password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+              />
+              <Button
+                variant="contained"
+                color="error"
+                startIcon={<DeleteForeverIcon />}
+                onClick={handleRequestDeletion}
+                disabled={loading || !password}
+              >
+                Delete account
+              </Button>
+            </Box>
+          </Box>
+        )}
+      </Paper>
+    </Container>
+  );
+};
+
+export default Privacy;
\ No newline at end of file
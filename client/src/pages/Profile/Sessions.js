@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Container,
+  Paper,
+  Typography,
+  Box,
+  Button,
+  List,
+  ListItem,
+  ListItemText,
+  ListItemSecondaryAction,
+  IconButton,
+  Chip,
+  Divider,
+  Alert
+} from '@mui/material';
+import {
+  Devices as DevicesIcon,
+  Logout as LogoutIcon
+} from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { formatDistanceToNow } from 'date-fns';
+
+// API
+import { getSessions, revokeSession, revokeOtherSessions } from '../../services/api';
+
+const Sessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const loadSessions = async () => {
+    try {
+      setLoading(true);
+      const response = await getSessions();
+      setSessions(response.data);
+    } catch (error) {
+      toast.error('Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async (sessionId) => {
+    try {
+      await revokeSession(sessionId);
+      toast.success('Device signed out');
+      setSessions(prev => prev.filter(session => session.id !== sessionId));
+    } catch (error) {
+      toast.error(error.error || 'Failed to revoke session');
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    try {
+      await revokeOtherSessions();
+      toast.success('Signed out of all other devices');
+      setSessions(prev => prev.filter(session => session.is_current));
+    } catch (error) {
+      toast.error(error.error || 'Failed to revoke sessions');
+    }
+  };
+
+  return (
+    <Container maxWidth="md">
+      <Paper sx={{ p: 4 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+          <Typography variant="h5">Active Sessions</Typography>
+          <Button
+            variant="outlined"
+            color="secondary"
+            startIcon={<LogoutIcon />}
+            onClick={handleRevokeOthers}
+            disabled={loading || sessions.length <= 1}
+          >
+            Sign out other devices
+          </Button>
+        </Box>
+
+        {!loading && sessions.length === 0 && (
+          <Alert severity="info">No active sessions found.</Alert>
+        )}
+
+        <List>
+          {sessions.map((session, index) => (
+            <React.Fragment key={session.id}>
+              {index > 0 && <Divider component="li" />}
+              <ListItem>
+                <DevicesIcon sx={{ mr: 2, color: 'text.secondary' }} />
+                <ListItemText
+                  primary={
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      {session.user_agent || 'Unknown device'}
+                      {session.is_current && <Chip label="This device" size="small" color="primary" />}
+                    </Box>
+                  }
+                  secondary={`${session.ip_address || 'Unknown IP'} · Last active ${
+                    session.last_used_at
+                      ? formatDistanceToNow(new Date(session.last_used_at), { addSuffix: true })
+                      : 'never'
+                  }`}
+                />
+                {!session.is_current && (
+                  <ListItemSecondaryAction>
+                    <IconButton edge="end" onClick={() => handleRevoke(session.id)}>
+                      <LogoutIcon />
+                    </IconButton>
+                  </ListItemSecondaryAction>
+                )}
+              </ListItem>
+            </React.Fragment>
+          ))}
+        </List>
+      </Paper>
+    </Container>
+  );
+};
+
+export default Sessions;
\ No newline at end of file
@@ -0,0 +1,190 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Container,
+  Paper,
+  Typography,
+  Box,
+  Button,
+  TextField,
+  Alert,
+  Grid
+} from '@mui/material';
+import { toast } from 'react-toastify';
+
+// API
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} from '../../services/api';
+
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const loadStatus = async () => {
+    try {
+      const response = await getTwoFactorStatus();
+      setStatus(response.data);
+    } catch (error) {
+      toast.error('Failed to load two-factor status');
+    }
+  };
+
+  const runAction = async (action) => {
+    try {
+      setLoading(true);
+      await action();
+      setCode('');
+      setPassword('');
+    } catch (error) {
+      toast.error(error.error || 'Request failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSetup = () => runAction(async () => {
+    const response = await setupTwoFactor();
+    setEnrollment(response.data);
+  });
+
+  const handleEnable = () => runAction(async () => {
+    const response = await enableTwoFactor(code);
+    setEnrollment(null);
+    setRecoveryCodes(response.data.recovery_codes);
+    toast.success(response.message);
+    await loadStatus();
+  });
+
+  const handleDisable = () => runAction(async () => {
+    const response = await disableTwoFactor(password, code);
+    toast.success(response.message);
+    await loadStatus();
+  });
+
+  const handleRegenerate = () => runAction(async () => {
+    const response = await regenerateRecoveryCodes(code);
+    setRecoveryCodes(response.data.recovery_codes);
+    toast.success(response.message);
+    await loadStatus();
+  });
+
+  if (!status) {
+    return null;
+  }
+
+  return (
+    <Container maxWidth="md">
+      <Paper sx={{ p: 4 }}>
+        <Typography variant="h5" gutterBottom>
+          Two-Factor Authentication
+        </Typography>
+
+        {status.required && !status.enabled && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            Your account role requires two-factor authentication. Set it up to continue using all features.
+          </Alert>
+        )}
+
+        {recoveryCodes.length > 0 && (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            <Typography variant="subtitle2" gutterBottom>
+              Save these recovery codes. Each can be used once if you lose your device.
+            </Typography>
+            <Grid container spacing={1}>
+              {recoveryCodes.map(recoveryCode => (
+                <Grid item xs={6} sm={4} key={recoveryCode}>
+                  <Typography sx={{ fontFamily: 'monospace' }}>{recoveryCode}</Typography>
+                </Grid>
+              ))}
+            </Grid>
+          </Alert>
+        )}
+
+        {!status.enabled && !enrollment && (
+          <Box>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              Protect your account with a time-based code from an authenticator app.
+            </Typography>
+            <Button variant="contained" onClick={handleSetup} disabled={loading}>
+              Set up two-factor authentication
+            </Button>
+          </Box>
+        )}
+
+        {enrollment && (
+          <Box>
+            <Typography variant="body2" sx={{ mb: 2 }}>
+              Scan this QR code with your authenticator app, or enter the secret manually.
+            </Typography>
+            <Box component="img" src={enrollment.qr_code} alt="Two-factor QR code" sx={{ width: 200, height: 200 }} />
+            <Typography sx={{ fontFamily: 'monospace', my: 2 }}>{enrollment.secret}</Typography>
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                label="Authentication Code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                inputProps={{ inputMode: 'numeric', maxLength: 6 }}
+              />
+              <Button variant="contained" onClick={handleEnable} disabled={loading || code.length !== 6}>
+                Confirm
+              </Button>
+            </Box>
+          </Box>
+        )}
+
+        {status.enabled && (
+          <Box>
+            <Alert severity="success" sx={{ mb: 2 }}>
+              Two-factor authentication is enabled. {status.recovery_codes_remaining} recovery codes remaining.
+            </Alert>
+            <Grid container spacing={2}>
+              <Grid item xs={12} sm={6}>
+                <TextField
+                  fullWidth
+                  label="Authentication Code"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                />
+              </Grid>
+              {!status.required && (
+                <Grid item xs={12} sm={6}>
+                  <TextField
+                    fullWidth
+                    type="password"
+                    label="Current Password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                  />
+                </Grid>
+              )}
+            </Grid>
+            <Box sx={{ display: 'flex', gap: 2, mt: 2 }}>
+              <Button variant="outlined" onClick={handleRegenerate} disabled={loading || !code}>
+                Regenerate recovery codes
+              </Button>
+              {!status.required && (
+                <Button variant="outlined" color="secondary" onClick={handleDisable} disabled={loading || !code || !password}>
+                  Disable two-factor
+                </Button>
+              )}
+            </Box>
+          </Box>
+        )}
+      </Paper>
+    </Container>
+  );
+};
+
+export default TwoFactorSettings;
\ No newline at end of file
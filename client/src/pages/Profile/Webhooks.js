@@ -0,0 +1,317 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Container,
+  Paper,
+  Typography,
+  Box,
+  Button,
+  TextField,
+  Alert,
+  Chip,
+  Checkbox,
+  FormControlLabel,
+  FormGroup,
+  MenuItem,
+  Switch,
+  IconButton,
+  Tooltip,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Divider
+} from '@mui/material';
+import {
+  Send as SendIcon,
+  Autorenew as AutorenewIcon,
+  Delete as DeleteIcon,
+  History as HistoryIcon,
+  Replay as ReplayIcon
+} from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { formatDistanceToNow } from 'date-fns';
+
+// API
+import { webhookAPI, getMyCompanies } from '../../services/api';
+
+const statusColors = {
+  pending: 'warning',
+  succeeded: 'success',
+  failed: 'error'
+};
+
+const Webhooks = () => {
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [availableEvents, setAvailableEvents] = useState([]);
+  const [companies, setCompanies] = useState([]);
+  const [url, setUrl] = useState('');
+  const [events, setEvents] = useState([]);
+  const [companyId, setCompanyId] = useState('');
+  const [secret, setSecret] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    loadSubscriptions();
+    loadCompanies();
+  }, []);
+
+  const loadSubscriptions = async () => {
+    try {
+      const response = await webhookAPI.getSubscriptions();
+      setSubscriptions(response.data);
+      setAvailableEvents(response.events);
+    } catch (error) {
+      toast.error('Failed to load webhooks');
+    }
+  };
+
+  const loadCompanies = async () => {
+    try {
+      const response = await getMyCompanies();
+      setCompanies(response.data.filter(company => company.membership_role === 'owner'));
+    } catch (error) {
+      setCompanies([]);
+    }
+  };
+
+  const loadDeliveries = async (subscription) => {
+    try {
+      const response = await webhookAPI.getDeliveries(subscription.id);
+      setSelected(subscription);
+      setDeliveries(response.data);
+    } catch (error) {
+      toast.error('Failed to load deliveries');
+    }
+  };
+
+  const toggleEvent = (event) => {
+    setEvents(prev => (
+      prev.includes(event) ? prev.filter(item => item !== event) : [...prev, event]
+    ));
+  };
+
+  const runAction = async (action) => {
+    try {
+      setLoading(true);
+      await action();
+      await loadSubscriptions();
+    } catch (error) {
+      toast.error(error.error || 'Request failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = () => runAction(async () => {
+    const response = await webhookAPI.createSubscription({
+      url,
+      events,
+      company_id: companyId || null
+    });
+    setSecret(response.data.secret);
+    setUrl('');
+    setEvents([]);
+    setCompanyId('');
+    toast.success(response.message);
+  });
+
+  const handleToggleActive = (subscription) => runAction(async () => {
+    await webhookAPI.updateSubscription(subscription.id, {
+      url: subscription.url,
+      events: subscription.events,
+      description: subscription.description,
+      is_active: !subscription.is_active
+    });
+  });
+
+  const handleTest = (subscription) => runAction(async () => {
+    const response = await webhookAPI.sendTest(subscription.id);
+    toast[response.data.status === 'succeeded' ? 'success' : 'warning'](response.message);
+    if (selected?.id === subscription.id) {
+      await loadDeliveries(subscription);
+    }
+  });
+
+  const handleRotate = (subscription) => runAction(async () => {
+    const response = await webhookAPI.rotateSecret(subscription.id);
+    setSecret(response.data.secret);
+    toast.success(response.message);
+  });
+
+  const handleDelete = (subscription) => runAction(async () => {
+    const response = await webhookAPI.deleteSubscription(subscription.id);
+    if (selected?.id === subscription.id) {
+      setSelected(null);
+    }
+    toast.success(response.message);
+  });
+
+  const handleReplay = (delivery) => runAction(async () => {
+    const response = await webhookAPI.replayDelivery(selected.id, delivery.id);
+    toast[response.data.status === 'succeeded' ? 'success' : 'warning'](response.message);
+    await loadDeliveries(selected);
+  });
+
+  return (
+    <Container maxWidth="lg">
+      <Paper sx={{ p: 4 }}>
+        <Typography variant="h5" gutterBottom>
+          Webhooks
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+          We POST signed JSON events to your endpoint. Verify the X-JobBoard-Signature header
+          with your signing secret.
+        </Typography>
+
+        {secret && (
+          <Alert severity="success" sx={{ mb: 3 }} onClose={() => setSecret(null)}>
+            <Typography variant="subtitle2">
+              Signing secret (shown once):
+            </Typography>
+            <Typography sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>{secret}</Typography>
+          </Alert>
+        )}
+
+        <Box sx={{ mb: 3 }}>
+          <Box sx={{ display: 'flex', gap: 2, mb: 1 }}>
+            <TextField
+              label="Endpoint URL"
+              value={url}
+              onChange={(e) => setUrl(e.target.value)}
+              placeholder="https://hooks.zapier.com/..."
+              sx={{ flexGrow: 1 }}
+            />
+            {companies.length > 0 && (
+              <TextField
+                select
+                label="Owner"
+                value={companyId}
+                onChange={(e) => setCompanyId(e.target.value)}
+                sx={{ width: 220 }}
+              >
+                <MenuItem value="">Just me</MenuItem>
+                {companies.map(company => (
+                  <MenuItem key={company.id} value={company.id}>{company.name}</MenuItem>
+                ))}
+              </TextField>
+            )}
+          </Box>
+          <FormGroup row>
+            {availableEvents.map(event => (
+              <FormControlLabel
+                key={event}
+                control={<Checkbox checked={events.includes(event)} onChange={() => toggleEvent(event)} />}
+                label={event}
+              />
+            ))}
+          </FormGroup>
+          <Button
+            variant="contained"
+            onClick={handleCreate}
+            disabled={loading || !url || events.length === 0}
+          >
+            Add webhook
+          </Button>
+        </Box>
+
+        <Divider sx={{ mb: 2 }} />
+
+        {subscriptions.length === 0 && (
+          <Alert severity="info">No webhooks registered yet.</Alert>
+        )}
+
+        {subscriptions.map(subscription => (
+          <Box
+            key={subscription.id}
+            sx={{ display: 'flex', alignItems: 'center', gap: 1, py: 1, borderBottom: 1, borderColor: 'divider' }}
+          >
+            <Box sx={{ flexGrow: 1 }}>
+              <Typography sx={{ wordBreak: 'break-all' }}>{subscription.url}</Typography>
+              <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', mt: 0.5 }}>
+                {subscription.company && <Chip label={subscription.company.name} size="small" color="primary" />}
+                {subscription.events.map(event => (
+                  <Chip key={event} label={event} size="small" variant="outlined" />
+                ))}
+              </Box>
+            </Box>
+            <Tooltip title={subscription.is_active ? 'Active' : 'Paused'}>
+              <Switch
+                checked={subscription.is_active}
+                onChange={() => handleToggleActive(subscription)}
+                disabled={loading}
+              />
+            </Tooltip>
+            <Tooltip title="Send test event">
+              <IconButton onClick={() => handleTest(subscription)} disabled={loading}>
+                <SendIcon />
+              </IconButton>
+            </Tooltip>
+            <Tooltip title="Delivery log">
+              <IconButton onClick={() => loadDeliveries(subscription)}>
+                <HistoryIcon />
+              </IconButton>
+            </Tooltip>
+            <Tooltip title="Rotate signing secret">
+              <IconButton onClick={() => handleRotate(subscription)} disabled={loading}>
+                <AutorenewIcon />
+              </IconButton>
+            </Tooltip>
+            <Tooltip title="Delete">
+              <IconButton onClick={() => handleDelete(subscription)} disabled={loading}>
+                <DeleteIcon />
+              </IconButton>
+            </Tooltip>
+          </Box>
+        ))}
+
+        {selected && (
+          <Box sx={{ mt: 4 }}>
+            <Typography variant="h6" gutterBottom>
+              Deliveries for {selected.url}
+            </Typography>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Event</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell>Response</TableCell>
+                  <TableCell>Attempts</TableCell>
+                  <TableCell>Created</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {deliveries.map(delivery => (
+                  <TableRow key={delivery.id}>
+                    <TableCell>{delivery.event}</TableCell>
+                    <TableCell>
+                      <Chip label={delivery.status} size="small" color={statusColors[delivery.status]} />
+                    </TableCell>
+                    <TableCell>{delivery.response_status || delivery.error || '-'}</TableCell>
+                    <TableCell>{delivery.attempts}</TableCell>
+                    <TableCell>{formatDistanceToNow(new Date(delivery.created_at), { addSuffix: true })}</TableCell>
+                    <TableCell align="right">
+                      <Tooltip title="Replay">
+                        <IconButton size="small" onClick={() => handleReplay(delivery)} disabled={loading}>
+                          <ReplayIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+            {deliveries.length === 0 && (
+              <Alert severity="info" sx={{ mt: 2 }}>No deliveries yet.</Alert>
+            )}
+          </Box>
+        )}
+      </Paper>
+    </Container>
+  );
+};
+
+export default Webhooks;
\ No newline at end of file
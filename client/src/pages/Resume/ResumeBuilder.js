@@ -34,7 +34,7 @@ import { toast } from 'react-toastify';
 import { motion } from 'framer-motion';
 
 // API
-import { createResume, updateResume, getResume } from '../../services/api';
+import { createResume, updateResume, getResume, getSalaryOptions } from '../../services/api';
 
 const steps = [
   'Basic Information',
@@ -62,11 +62,21 @@ const ResumeBuilder = () => {
     current_company: '',
     location: '',
     salary_expectation: '',
+    salary_expectation_currency: 'USD',
+    salary_expectation_period: 'yearly',
     work_experience: [],
     education: [],
     skills: []
   });
 
+  const [salaryOptions, setSalaryOptions] = useState({ currencies: ['USD'], periods: ['yearly'] });
+
+  useEffect(() => {
+    getSalaryOptions()
+      .then(response => setSalaryOptions(response.data))
+      .catch(() => {});
+  }, []);
+
   // Load existing resume if editing
   useEffect(() => {
     if (isEditing) {
@@ -321,11 +331,36 @@ const ResumeBuilder = () => {
                 type="number"
                 value={formData.salary_expectation}
                 onChange={(e) => handleInputChange('salary_expectation', e.target.value)}
-                InputProps={{
-                  startAdornment: <Typography variant="body2" sx={{ mr: 1 }}>₹</Typography>
-                }}
               />
             </Grid>
+            <Grid item xs={6} sm={3}>
+              <FormControl fullWidth>
+                <InputLabel>Currency</InputLabel>
+                <Select
+                  label="Currency"
+                  value={formData.salary_expectation_currency}
+                  onChange={(e) => handleInputChange('salary_expectation_currency', e.target.value)}
+                >
+                  {salaryOptions.currencies.map(currency => (
+                    <MenuItem key={currency} value={currency}>{currency}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={6} sm={3}>
+              <FormControl fullWidth>
+                <InputLabel>Per</InputLabel>
+                <Select
+                  label="Per"
+                  value={formData.salary_expectation_period}
+                  onChange={(e) => handleInputChange('salary_expectation_period', e.target.value)}
+                >
+                  {salaryOptions.periods.map(period => (
+                    <MenuItem key={period} value={period}>{period}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
           </Grid>
         );
 
@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { getAttribution } from './attribution';
 
 // Create axios instance with base configuration
 const api = axios.create({
@@ -23,17 +24,61 @@ api.interceptors.request.use(
   }
 );
 
+// Clear stored credentials and send the user back to login
+const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  window.location.href = '/login';
+};
+
+// Single in-flight refresh shared by all requests that hit a 401
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    refreshPromise = axios
+      .post(`${api.defaults.baseURL}/auth/refresh`, { refresh_token: refreshToken })
+      .then(({ data }) => {
+        localStorage.setItem('token', data.data.token);
+        localStorage.setItem('refreshToken', data.data.refresh_token);
+        return data.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
 // Response interceptor to handle errors
 api.interceptors.response.use(
   (response) => {
     return response.data;
   },
-  (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+  async (error) => {
+    const originalRequest = error.config;
+    const isAuthRequest = /\/auth\/(login|register|refresh|logout|2fa\/verify)$/.test(originalRequest?.url || '');
+
+    if (error.response?.status === 401 && originalRequest && !isAuthRequest) {
+      // Access token expired: rotate the refresh token and retry once
+      if (!originalRequest._retry && localStorage.getItem('refreshToken')) {
+        originalRequest._retry = true;
+
+        try {
+          const token = await refreshAccessToken();
+          originalRequest.headers.Authorization = `Bearer ${token}`;
+          return api(originalRequest);
+        } catch (refreshError) {
+          clearSession();
+          return Promise.reject(refreshError.response?.data || refreshError.message);
+        }
+      }
+
+      clearSession();
     }
     
     return Promise.reject(error.response?.data || error.message);
@@ -47,6 +92,48 @@ export const authAPI = {
   getProfile: () => api.get('/auth/me'),
   updateProfile: (profileData) => api.put('/auth/profile', profileData),
   changePassword: (passwordData) => api.post('/auth/change-password', passwordData),
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+  resendVerification: () => api.post('/auth/resend-verification'),
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (token, newPassword) => api.post('/auth/reset-password', { token, new_password: newPassword }),
+  verifyTwoFactor: (twoFactorData) => api.post('/auth/2fa/verify', twoFactorData),
+  getTwoFactorStatus: () => api.get('/auth/2fa/status'),
+  setupTwoFactor: () => api.post('/auth/2fa/setup'),
+  enableTwoFactor: (code) => api.post('/auth/2fa/enable', { code }),
+  disableTwoFactor: (password, code) => api.post('/auth/2fa/disable', { password, code }),
+  regenerateRecoveryCodes: (code) => api.post('/auth/2fa/recovery-codes', { code }),
+  logout: (refreshToken) => api.post('/auth/logout', { refresh_token: refreshToken }),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (id) => api.delete(`/auth/sessions/${id}`),
+  revokeOtherSessions: () => api.delete('/auth/sessions'),
+};
+
+// API key API calls
+export const apiKeyAPI = {
+  getApiKeys: () => api.get('/api-keys'),
+  createApiKey: (keyData) => api.post('/api-keys', keyData),
+  rotateApiKey: (id) => api.post(`/api-keys/${id}/rotate`),
+  revokeApiKey: (id) => api.delete(`/api-keys/${id}`),
+};
+
+// Webhook subscription API calls
+export const webhookAPI = {
+  getSubscriptions: () => api.get('/webhook-subscriptions'),
+  createSubscription: (subscriptionData) => api.post('/webhook-subscriptions', subscriptionData),
+  updateSubscription: (id, subscriptionData) => api.put(`/webhook-subscriptions/${id}`, subscriptionData),
+  deleteSubscription: (id) => api.delete(`/webhook-subscriptions/${id}`),
+  rotateSecret: (id) => api.post(`/webhook-subscriptions/${id}/rotate-secret`),
+  sendTest: (id) => api.post(`/webhook-subscriptions/${id}/test`),
+  getDeliveries: (id, params = {}) => api.get(`/webhook-subscriptions/${id}/deliveries`, { params }),
+  replayDelivery: (id, deliveryId) => api.post(`/webhook-subscriptions/${id}/deliveries/${deliveryId}/replay`),
+};
+
+// Account privacy API calls
+export const accountAPI = {
+  exportData: () => api.get('/account/export', { responseType: 'blob' }),
+  getDeletionStatus: () => api.get('/account/deletion'),
+  requestDeletion: (password) => api.post('/account/deletion', { password }),
+  cancelDeletion: () => api.delete('/account/deletion'),
 };
 
 // Resume API calls
@@ -89,21 +176,122 @@ export const resumeAPI = {
 // Job API calls
 export const jobAPI = {
   getJobs: (params = {}) => api.get('/jobs', { params }),
-  getJob: (id) => api.get(`/jobs/${id}`),
+  // Job views, apply clicks and applications carry the visitor's traffic source
+  getJob: (id) => api.get(`/jobs/${id}`, { params: getAttribution() }),
+  recordApplyStart: (id) => api.post(`/jobs/${id}/apply-start`, getAttribution()),
   createJob: (jobData) => api.post('/jobs', jobData),
   updateJob: (id, jobData) => api.put(`/jobs/${id}`, jobData),
   deleteJob: (id) => api.delete(`/jobs/${id}`),
   searchJobs: (searchParams) => api.get('/jobs/search', { params: searchParams }),
+  getMyJobs: (params = {}) => api.get('/jobs/employer/my-jobs', { params }),
+  changeJobStatus: (id, statusData) => api.post(`/jobs/${id}/status`, statusData),
+  renewJob: (id, days) => api.post(`/jobs/${id}/renew`, { days }),
+  createJobFromTemplate: (templateId, overrides = {}) => api.post(`/jobs/from-template/${templateId}`, overrides),
+  duplicateJob: (id, overrides = {}) => api.post(`/jobs/${id}/duplicate`, overrides),
+  getSalaryOptions: () => api.get('/jobs/salary-options'),
+  getSkillMatch: (id, resumeId) => api.get(`/jobs/${id}/skill-match`, { params: { resume_id: resumeId } }),
+  getJobAnalytics: (id, params = {}) => api.get(`/jobs/${id}/analytics`, { params }),
+  getEmployerAnalytics: (params = {}) => api.get('/jobs/employer/analytics', { params }),
+};
+
+// Job template API calls (employers)
+export const jobTemplateAPI = {
+  getTemplates: (params = {}) => api.get('/job-templates', { params }),
+  getTemplate: (id) => api.get(`/job-templates/${id}`),
+  createTemplate: (templateData) => api.post('/job-templates', templateData),
+  createTemplateFromJob: (jobId, name) => api.post(`/job-templates/from-job/${jobId}`, { name }),
+  updateTemplate: (id, templateData) => api.put(`/job-templates/${id}`, templateData),
+  deleteTemplate: (id) => api.delete(`/job-templates/${id}`),
+};
+
+// Bulk job import API calls (employers). Runs import an uploaded feed file,
+// or the profile's file or URL source when none is given.
+export const jobImportAPI = {
+  getImportProfiles: (params = {}) => api.get('/job-imports', { params }),
+  getImportProfile: (id) => api.get(`/job-imports/${id}`),
+  createImportProfile: (profileData) => api.post('/job-imports', profileData),
+  updateImportProfile: (id, profileData) => api.put(`/job-imports/${id}`, profileData),
+  deleteImportProfile: (id) => api.delete(`/job-imports/${id}`),
+  runImport: (id, { file, dryRun = false } = {}) => {
+    const formData = new FormData();
+    if (file) {
+      formData.append('file', file);
+    }
+    return api.post(`/job-imports/${id}/run`, formData, {
+      params: { dry_run: dryRun },
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+  },
+};
+
+// Job promotion API calls (employers). Clicks on promoted listings are public;
+// invoices cover personal jobs or a company (`company_id`).
+export const promotionAPI = {
+  getPromotionOptions: () => api.get('/promotions/options'),
+  getPromotions: (params = {}) => api.get('/promotions', { params }),
+  createPromotion: (promotionData) => api.post('/promotions', promotionData),
+  updatePromotion: (id, promotionData) => api.put(`/promotions/${id}`, promotionData),
+  cancelPromotion: (id) => api.post(`/promotions/${id}/cancel`),
+  recordPromotionClick: (id) => api.post(`/promotions/${id}/click`),
+  getInvoices: (params = {}) => api.get('/promotions/invoices', { params }),
+  getInvoice: (month, params = {}) => api.get(`/promotions/invoices/${month}`, { params }),
+  exportInvoice: (month, params = {}) => api.get(`/promotions/invoices/${month}`, {
+    params: { ...params, format: 'csv' },
+    responseType: 'blob'
+  }),
+};
+
+// Bookmark and job tracker API calls
+export const bookmarkAPI = {
+  getBookmarks: (params = {}) => api.get('/bookmarks', { params }),
+  getTracker: (params = {}) => api.get('/bookmarks/tracker', { params }),
+  createBookmark: (bookmarkData) => api.post('/bookmarks', bookmarkData),
+  updateBookmark: (id, bookmarkData) => api.put(`/bookmarks/${id}`, bookmarkData),
+  deleteBookmark: (id) => api.delete(`/bookmarks/${id}`),
+};
+
+// Saved search and job alert API calls
+export const savedSearchAPI = {
+  getSavedSearches: () => api.get('/saved-searches'),
+  createSavedSearch: (searchData) => api.post('/saved-searches', searchData),
+  updateSavedSearch: (id, searchData) => api.put(`/saved-searches/${id}`, searchData),
+  deleteSavedSearch: (id) => api.delete(`/saved-searches/${id}`),
+  runSavedSearch: (id, params = {}) => api.get(`/saved-searches/${id}/jobs`, { params }),
+  pauseSavedSearch: (id) => api.post(`/saved-searches/${id}/pause`),
+  resumeSavedSearch: (id) => api.post(`/saved-searches/${id}/resume`),
+  unsubscribeAlerts: (token) => api.post(`/saved-searches/unsubscribe/${encodeURIComponent(token)}`),
+};
+
+// Company API calls
+export const companyAPI = {
+  getMyCompanies: () => api.get('/companies/mine'),
+  getCompany: (id) => api.get(`/companies/${id}`),
+  createCompany: (companyData) => api.post('/companies', companyData),
+  updateCompany: (id, companyData) => api.put(`/companies/${id}`, companyData),
+  getMembers: (id) => api.get(`/companies/${id}/members`),
+  updateMemberRole: (id, userId, role) => api.put(`/companies/${id}/members/${userId}`, { role }),
+  removeMember: (id, userId) => api.delete(`/companies/${id}/members/${userId}`),
+  getInvitations: (id) => api.get(`/companies/${id}/invitations`),
+  inviteMember: (id, invitationData) => api.post(`/companies/${id}/invitations`, invitationData),
+  revokeInvitation: (id, invitationId) => api.delete(`/companies/${id}/invitations/${invitationId}`),
+  acceptInvitation: (token) => api.post('/companies/invitations/accept', { token }),
 };
 
 // Application API calls
 export const applicationAPI = {
   getApplications: () => api.get('/applications'),
   getApplication: (id) => api.get(`/applications/${id}`),
-  createApplication: (applicationData) => api.post('/applications', applicationData),
+  createApplication: (applicationData) => api.post('/applications', { attribution: getAttribution(), ...applicationData }),
   updateApplication: (id, applicationData) => api.put(`/applications/${id}`, applicationData),
   deleteApplication: (id) => api.delete(`/applications/${id}`),
-  getJobApplications: (jobId) => api.get(`/applications/job/${jobId}`),
+  getJobApplications: (jobId, params = {}) => api.get(`/applications/job/${jobId}`, { params }),
+  uploadScreeningFile: (file) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    return api.post('/applications/screening-files', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+  },
 };
 
 // AI API calls
@@ -121,6 +309,33 @@ export const aiAPI = {
     api.post('/ai/improve-resume', { resume_id: resumeId, target_role: targetRole }),
 };
 
+// Admin API calls
+export const adminAPI = {
+  getStats: () => api.get('/admin/stats'),
+  getUsers: (params = {}) => api.get('/admin/users', { params }),
+  getUser: (id) => api.get(`/admin/users/${id}`),
+  updateUserStatus: (id, isActive) => api.put(`/admin/users/${id}/status`, { is_active: isActive }),
+  updateUserRole: (id, role) => api.put(`/admin/users/${id}/role`, { role }),
+  resetUserTwoFactor: (id) => api.delete(`/auth/2fa/users/${id}`),
+  getJobs: (params = {}) => api.get('/admin/jobs', { params }),
+  unpublishJob: (id) => api.post(`/admin/jobs/${id}/unpublish`),
+  expireJob: (id) => api.post(`/admin/jobs/${id}/expire`),
+  getModerationQueue: (params = {}) => api.get('/admin/moderation', { params }),
+  approveJob: (id, note) => api.post(`/admin/moderation/${id}/approve`, { note }),
+  rejectJob: (id, note) => api.post(`/admin/moderation/${id}/reject`, { note }),
+  getApplications: (params = {}) => api.get('/admin/applications', { params }),
+  getApplication: (id) => api.get(`/admin/applications/${id}`),
+};
+
+// Audit log API calls (admins and company owners)
+export const auditAPI = {
+  getAuditLogs: (params = {}) => api.get('/audit-logs', { params }),
+  exportAuditLogs: (params = {}, format = 'csv') => api.get('/audit-logs/export', {
+    params: { ...params, format },
+    responseType: 'blob'
+  }),
+};
+
 // Skills API calls
 export const skillsAPI = {
   getSkills: () => api.get('/skills'),
@@ -155,6 +370,30 @@ export const login = authAPI.login;
 export const getProfile = authAPI.getProfile;
 export const updateProfile = authAPI.updateProfile;
 export const changePassword = authAPI.changePassword;
+export const logout = authAPI.logout;
+export const verifyTwoFactor = authAPI.verifyTwoFactor;
+export const getTwoFactorStatus = authAPI.getTwoFactorStatus;
+export const setupTwoFactor = authAPI.setupTwoFactor;
+export const enableTwoFactor = authAPI.enableTwoFactor;
+export const disableTwoFactor = authAPI.disableTwoFactor;
+export const regenerateRecoveryCodes = authAPI.regenerateRecoveryCodes;
+export const verifyEmail = authAPI.verifyEmail;
+export const resendVerification = authAPI.resendVerification;
+export const forgotPassword = authAPI.forgotPassword;
+export const resetPassword = authAPI.resetPassword;
+export const getSessions = authAPI.getSessions;
+export const revokeSession = authAPI.revokeSession;
+export const revokeOtherSessions = authAPI.revokeOtherSessions;
+
+export const getApiKeys = apiKeyAPI.getApiKeys;
+export const createApiKey = apiKeyAPI.createApiKey;
+export const rotateApiKey = apiKeyAPI.rotateApiKey;
+export const revokeApiKey = apiKeyAPI.revokeApiKey;
+
+export const exportAccountData = accountAPI.exportData;
+export const getDeletionStatus = accountAPI.getDeletionStatus;
+export const requestAccountDeletion = accountAPI.requestDeletion;
+export const cancelAccountDeletion = accountAPI.cancelDeletion;
 
 export const getResumes = resumeAPI.getResumes;
 export const getResume = resumeAPI.getResume;
@@ -168,12 +407,62 @@ export const createJob = jobAPI.createJob;
 export const updateJob = jobAPI.updateJob;
 export const deleteJob = jobAPI.deleteJob;
 export const searchJobs = jobAPI.searchJobs;
+export const getMyJobs = jobAPI.getMyJobs;
+export const changeJobStatus = jobAPI.changeJobStatus;
+export const renewJob = jobAPI.renewJob;
+export const createJobFromTemplate = jobAPI.createJobFromTemplate;
+export const duplicateJob = jobAPI.duplicateJob;
+export const getSalaryOptions = jobAPI.getSalaryOptions;
+export const getSkillMatch = jobAPI.getSkillMatch;
+export const recordApplyStart = jobAPI.recordApplyStart;
+export const getJobAnalytics = jobAPI.getJobAnalytics;
+export const getEmployerAnalytics = jobAPI.getEmployerAnalytics;
+
+export const getTemplates = jobTemplateAPI.getTemplates;
+export const createTemplate = jobTemplateAPI.createTemplate;
+export const updateTemplate = jobTemplateAPI.updateTemplate;
+export const deleteTemplate = jobTemplateAPI.deleteTemplate;
+
+export const getImportProfiles = jobImportAPI.getImportProfiles;
+export const createImportProfile = jobImportAPI.createImportProfile;
+export const updateImportProfile = jobImportAPI.updateImportProfile;
+export const deleteImportProfile = jobImportAPI.deleteImportProfile;
+export const runImport = jobImportAPI.runImport;
+
+export const getPromotionOptions = promotionAPI.getPromotionOptions;
+export const getPromotions = promotionAPI.getPromotions;
+export const createPromotion = promotionAPI.createPromotion;
+export const updatePromotion = promotionAPI.updatePromotion;
+export const cancelPromotion = promotionAPI.cancelPromotion;
+export const recordPromotionClick = promotionAPI.recordPromotionClick;
+export const getInvoices = promotionAPI.getInvoices;
+export const getInvoice = promotionAPI.getInvoice;
+export const exportInvoice = promotionAPI.exportInvoice;
+
+export const getBookmarks = bookmarkAPI.getBookmarks;
+export const getTracker = bookmarkAPI.getTracker;
+export const createBookmark = bookmarkAPI.createBookmark;
+export const updateBookmark = bookmarkAPI.updateBookmark;
+export const deleteBookmark = bookmarkAPI.deleteBookmark;
+
+export const getSavedSearches = savedSearchAPI.getSavedSearches;
+export const createSavedSearch = savedSearchAPI.createSavedSearch;
+export const updateSavedSearch = savedSearchAPI.updateSavedSearch;
+export const deleteSavedSearch = savedSearchAPI.deleteSavedSearch;
+export const unsubscribeAlerts = savedSearchAPI.unsubscribeAlerts;
+
+export const getMyCompanies = companyAPI.getMyCompanies;
+export const getCompany = companyAPI.getCompany;
+export const createCompany = companyAPI.createCompany;
+export const updateCompany = companyAPI.updateCompany;
+export const acceptInvitation = companyAPI.acceptInvitation;
 
 export const getApplications = applicationAPI.getApplications;
 export const getApplication = applicationAPI.getApplication;
 export const createApplication = applicationAPI.createApplication;
 export const updateApplication = applicationAPI.updateApplication;
 export const deleteApplication = applicationAPI.deleteApplication;
+export const uploadScreeningFile = applicationAPI.uploadScreeningFile;
 
 export const analyzeResume = aiAPI.analyzeResume;
 export const matchJobs = aiAPI.matchJobs;
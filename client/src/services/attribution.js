@@ -0,0 +1,43 @@
+// First-touch traffic source for this browser session. Job views, apply
+// clicks and applications send it along so employers can see where their
+// candidates come from (see GET /api/jobs/:id/analytics).
+const STORAGE_KEY = 'attribution';
+
+const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign'];
+
+const externalReferrer = () => {
+  try {
+    const referrer = document.referrer && new URL(document.referrer);
+    return referrer && referrer.host !== window.location.host ? referrer.href : '';
+  } catch (error) {
+    return '';
+  }
+};
+
+// Called once on page load. A landing with UTM tags or from another site
+// starts a new attribution; plain reloads and in-app navigation keep it.
+export const captureAttribution = () => {
+  const params = new URLSearchParams(window.location.search);
+  const attribution = {};
+  UTM_PARAMS.forEach((name) => {
+    if (params.get(name)) attribution[name] = params.get(name).slice(0, 200);
+  });
+  const referrer = externalReferrer();
+  if (referrer) attribution.referrer = referrer.slice(0, 2000);
+
+  try {
+    if (Object.keys(attribution).length > 0 || !sessionStorage.getItem(STORAGE_KEY)) {
+      sessionStorage.setItem(STORAGE_KEY, JSON.stringify(attribution));
+    }
+  } catch (error) {
+    // Storage can be unavailable (private mode); visits then count as direct
+  }
+};
+
+export const getAttribution = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
\ No newline at end of file
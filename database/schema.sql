@@ -17,8 +17,16 @@ CREATE TABLE users (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     is_active BOOLEAN DEFAULT TRUE,
+    email_verified_at TIMESTAMP NULL,
+    two_factor_enabled BOOLEAN DEFAULT FALSE,
+    two_factor_secret VARCHAR(255),
+    two_factor_last_step BIGINT NULL,
+    deletion_requested_at TIMESTAMP NULL,
+    deletion_scheduled_at TIMESTAMP NULL,
+    deleted_at TIMESTAMP NULL,
     INDEX idx_email (email),
-    INDEX idx_role (role)
+    INDEX idx_role (role),
+    INDEX idx_deletion_scheduled_at (deletion_scheduled_at)
 );
 
 -- Resumes table for storing resume data
@@ -31,7 +39,18 @@ CREATE TABLE resumes (
     current_position VARCHAR(200),
     current_company VARCHAR(200),
     location VARCHAR(200),
+    city VARCHAR(100),
+    region VARCHAR(100),
+    country VARCHAR(100),
+    country_code CHAR(2),
+    latitude DECIMAL(9,6),
+    longitude DECIMAL(9,6),
+    preferred_work_modes JSON,
+    max_commute_km INT,
     salary_expectation DECIMAL(10,2),
+    salary_expectation_currency CHAR(3) NOT NULL DEFAULT 'USD',
+    salary_expectation_period ENUM('hourly', 'daily', 'monthly', 'yearly') NOT NULL DEFAULT 'yearly',
+    salary_expectation_annual INT,
     resume_file_url VARCHAR(500),
     is_public BOOLEAN DEFAULT FALSE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -101,27 +120,133 @@ CREATE TABLE education (
     INDEX idx_resume_id (resume_id)
 );
 
+-- Companies (organizations that own job postings)
+CREATE TABLE companies (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(200) NOT NULL,
+    logo_url VARCHAR(500),
+    website VARCHAR(500),
+    description TEXT,
+    size ENUM('1-10', '11-50', '51-200', '201-500', '501-1000', '1000+'),
+    industry VARCHAR(100),
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_name (name),
+    INDEX idx_industry (industry)
+);
+
+-- Company memberships with per-company roles
+CREATE TABLE company_members (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    company_id INT NOT NULL,
+    user_id INT NOT NULL,
+    role ENUM('owner', 'recruiter', 'hiring_manager', 'viewer') NOT NULL DEFAULT 'recruiter',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_company_member (company_id, user_id),
+    INDEX idx_user_id (user_id)
+);
+
+-- Email invitations to join a company
+CREATE TABLE company_invitations (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    company_id INT NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    role ENUM('owner', 'recruiter', 'hiring_manager', 'viewer') NOT NULL DEFAULT 'recruiter',
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    invited_by INT,
+    expires_at TIMESTAMP NOT NULL,
+    accepted_at TIMESTAMP NULL,
+    revoked_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+    FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_company_id (company_id),
+    INDEX idx_email (email)
+);
+
 -- Jobs table for job postings
 CREATE TABLE jobs (
     id INT PRIMARY KEY AUTO_INCREMENT,
     employer_id INT NOT NULL,
+    company_id INT,
     title VARCHAR(200) NOT NULL,
     description TEXT NOT NULL,
     requirements TEXT,
     location VARCHAR(200),
+    city VARCHAR(100),
+    region VARCHAR(100),
+    country VARCHAR(100),
+    country_code CHAR(2),
+    latitude DECIMAL(9,6),
+    longitude DECIMAL(9,6),
+    work_mode ENUM('onsite', 'hybrid', 'remote') DEFAULT 'onsite',
+    remote_regions JSON,
     salary_min DECIMAL(10,2),
     salary_max DECIMAL(10,2),
+    salary_currency CHAR(3) NOT NULL DEFAULT 'USD',
+    salary_period ENUM('hourly', 'daily', 'monthly', 'yearly') NOT NULL DEFAULT 'yearly',
+    -- Yearly pay in the normalized currency, for salary filters and sorting
+    salary_min_annual INT,
+    salary_max_annual INT,
     employment_type ENUM('full-time', 'part-time', 'contract', 'internship') DEFAULT 'full-time',
     experience_level ENUM('entry', 'mid', 'senior', 'executive') DEFAULT 'mid',
+    screening_questions JSON,
     is_active BOOLEAN DEFAULT TRUE,
+    status ENUM('draft', 'scheduled', 'published', 'paused', 'in_review', 'closed', 'expired', 'filled') DEFAULT 'published',
+    publish_at TIMESTAMP NULL,
+    published_at TIMESTAMP NULL,
+    expires_at TIMESTAMP NULL,
+    closed_at TIMESTAMP NULL,
     application_deadline DATE,
+    -- Reference id in the source ATS for imported jobs (the import upsert key)
+    external_ref VARCHAR(191),
+    import_profile_id INT,
+    -- Automated duplicate/spam checks: flagged jobs wait in_review until an
+    -- admin approves or rejects them
+    moderation_status ENUM('clear', 'pending', 'approved', 'rejected') NOT NULL DEFAULT 'clear',
+    moderation_flags JSON,
+    moderation_note TEXT,
+    moderated_by INT,
+    moderated_at TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (employer_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE SET NULL,
+    FOREIGN KEY (moderated_by) REFERENCES users(id) ON DELETE SET NULL,
     INDEX idx_employer_id (employer_id),
+    INDEX idx_company_id (company_id),
     INDEX idx_active (is_active),
+    INDEX idx_status_publish_at (status, publish_at),
+    INDEX idx_status_expires_at (status, expires_at),
     INDEX idx_location (location),
-    INDEX idx_employment_type (employment_type)
+    INDEX idx_coordinates (latitude, longitude),
+    INDEX idx_country_code (country_code),
+    INDEX idx_work_mode (work_mode),
+    INDEX idx_employment_type (employment_type),
+    INDEX idx_salary_annual (salary_min_annual, salary_max_annual),
+    INDEX idx_external_ref (external_ref),
+    INDEX idx_import_profile_id (import_profile_id)
+);
+
+-- Skills a job asks for, linked to the skills taxonomy
+CREATE TABLE job_skills (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    job_id INT NOT NULL,
+    skill_id INT NOT NULL,
+    importance ENUM('required', 'preferred') NOT NULL DEFAULT 'required',
+    min_proficiency ENUM('beginner', 'intermediate', 'advanced', 'expert'),
+    min_years INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE,
+    FOREIGN KEY (skill_id) REFERENCES skills(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_job_skill (job_id, skill_id),
+    INDEX idx_skill_id (skill_id)
 );
 
 -- Job applications table
@@ -131,7 +256,15 @@ CREATE TABLE applications (
     applicant_id INT NOT NULL,
     resume_id INT NOT NULL,
     cover_letter TEXT,
+    screening_answers JSON,
+    knocked_out BOOLEAN DEFAULT FALSE,
+    knockout_reasons JSON,
     status ENUM('pending', 'reviewed', 'shortlisted', 'rejected', 'hired') DEFAULT 'pending',
+    -- Where the applicant found the job (see job_daily_stats)
+    source VARCHAR(100),
+    medium VARCHAR(50),
+    campaign VARCHAR(100),
+    referrer_host VARCHAR(191),
     applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     notes TEXT,
@@ -141,7 +274,69 @@ CREATE TABLE applications (
     UNIQUE KEY unique_application (job_id, applicant_id),
     INDEX idx_job_id (job_id),
     INDEX idx_applicant_id (applicant_id),
-    INDEX idx_status (status)
+    INDEX idx_status (status),
+    INDEX idx_job_knocked_out (job_id, knocked_out)
+);
+
+-- Daily views, apply clicks and applications per job and traffic source
+CREATE TABLE job_daily_stats (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    job_id INT NOT NULL,
+    date DATE NOT NULL,
+    source VARCHAR(100) NOT NULL,
+    medium VARCHAR(50) NOT NULL DEFAULT 'none',
+    campaign VARCHAR(100) NOT NULL DEFAULT '',
+    referrer_host VARCHAR(191) NOT NULL DEFAULT '',
+    views INT NOT NULL DEFAULT 0,
+    apply_starts INT NOT NULL DEFAULT 0,
+    applications INT NOT NULL DEFAULT 0,
+    FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_job_day_source (job_id, date, source, medium, campaign, referrer_host)
+);
+
+-- Featured and sponsored placements of jobs in search results. Prices are
+-- copied at purchase; the job's title stays for invoices after it is deleted
+CREATE TABLE job_promotions (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    job_id INT,
+    job_title VARCHAR(200) NOT NULL,
+    employer_id INT NOT NULL,
+    company_id INT,
+    created_by INT,
+    type ENUM('featured', 'sponsored') NOT NULL,
+    status ENUM('active', 'paused', 'cancelled') NOT NULL DEFAULT 'active',
+    starts_at TIMESTAMP NOT NULL,
+    ends_at TIMESTAMP NOT NULL,
+    budget DECIMAL(10,2) NOT NULL,
+    currency CHAR(3) NOT NULL,
+    price_per_1000_impressions DECIMAL(10,2) NOT NULL DEFAULT 0,
+    price_per_click DECIMAL(10,2) NOT NULL DEFAULT 0,
+    spent DECIMAL(12,4) NOT NULL DEFAULT 0,
+    impressions INT NOT NULL DEFAULT 0,
+    clicks INT NOT NULL DEFAULT 0,
+    cancelled_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE SET NULL,
+    FOREIGN KEY (employer_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_job_id (job_id),
+    INDEX idx_status_period (status, starts_at, ends_at),
+    INDEX idx_employer_id (employer_id),
+    INDEX idx_company_id (company_id)
+);
+
+-- Billing ledger: daily impression and click charges per promotion
+CREATE TABLE promotion_charges (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    promotion_id INT NOT NULL,
+    date DATE NOT NULL,
+    kind ENUM('impression', 'click') NOT NULL,
+    quantity INT NOT NULL DEFAULT 0,
+    amount DECIMAL(12,4) NOT NULL DEFAULT 0,
+    FOREIGN KEY (promotion_id) REFERENCES job_promotions(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_promotion_day_kind (promotion_id, date, kind)
 );
 
 -- AI analysis table for LLM-powered insights
@@ -160,6 +355,308 @@ CREATE TABLE ai_analysis (
     INDEX idx_analysis_type (analysis_type)
 );
 
+-- User sessions (one per signed-in device) for refresh token rotation
+CREATE TABLE user_sessions (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    user_agent VARCHAR(500),
+    ip_address VARCHAR(45),
+    last_used_at TIMESTAMP NULL,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP NULL,
+    revoked_reason ENUM('logout', 'user_revoked', 'token_reuse', 'password_change', 'admin_revoked'),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_revoked_at (revoked_at)
+);
+
+-- Refresh tokens (hashed); each session forms one rotating token family
+CREATE TABLE refresh_tokens (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    session_id INT NOT NULL,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (session_id) REFERENCES user_sessions(id) ON DELETE CASCADE,
+    INDEX idx_session_id (session_id)
+);
+
+-- Single-use tokens for email verification and password reset (HMAC of the token is stored)
+CREATE TABLE auth_tokens (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    purpose ENUM('email_verification', 'password_reset') NOT NULL,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_purpose (user_id, purpose)
+);
+
+-- Hashed single-use recovery codes for two-factor authentication
+CREATE TABLE two_factor_recovery_codes (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    code_hash CHAR(64) NOT NULL,
+    used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id)
+);
+
+-- Long-lived, scoped API keys for integrations (only a keyed hash is stored)
+CREATE TABLE api_keys (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(16) NOT NULL,
+    key_hash CHAR(64) NOT NULL UNIQUE,
+    signing_secret VARCHAR(64),
+    scopes JSON NOT NULL,
+    rate_limit_per_minute INT NOT NULL DEFAULT 60,
+    last_used_at TIMESTAMP NULL,
+    last_used_ip VARCHAR(45),
+    expires_at TIMESTAMP NULL,
+    revoked_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id)
+);
+
+-- Outbound webhook endpoints owned by a user or a company
+CREATE TABLE webhook_subscriptions (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    company_id INT NULL,
+    url VARCHAR(500) NOT NULL,
+    description VARCHAR(200),
+    events JSON NOT NULL,
+    secret VARCHAR(100) NOT NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_company_id (company_id)
+);
+
+-- Webhook delivery log with retry state
+CREATE TABLE webhook_deliveries (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    subscription_id INT NOT NULL,
+    event VARCHAR(50) NOT NULL,
+    event_id CHAR(36) NOT NULL,
+    payload JSON NOT NULL,
+    status ENUM('pending', 'succeeded', 'failed') DEFAULT 'pending',
+    attempts INT DEFAULT 0,
+    next_attempt_at TIMESTAMP NULL,
+    response_status INT NULL,
+    error VARCHAR(500),
+    delivered_at TIMESTAMP NULL,
+    replay_of INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (subscription_id) REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+    INDEX idx_subscription_id (subscription_id),
+    INDEX idx_status_next_attempt (status, next_attempt_at)
+);
+
+-- Inbound webhook requests processed in the background
+CREATE TABLE webhook_jobs (
+    id CHAR(36) PRIMARY KEY,
+    user_id INT NOT NULL,
+    api_key_id INT NULL,
+    type ENUM('resume_analysis', 'job_matching') NOT NULL,
+    idempotency_key VARCHAR(255) NULL,
+    request_hash CHAR(64) NOT NULL,
+    payload JSON NOT NULL,
+    status ENUM('queued', 'processing', 'succeeded', 'failed') DEFAULT 'queued',
+    attempts INT DEFAULT 0,
+    result JSON NULL,
+    error VARCHAR(500),
+    started_at TIMESTAMP NULL,
+    completed_at TIMESTAMP NULL,
+    callback_url VARCHAR(500),
+    callback_secret VARCHAR(100),
+    callback_status ENUM('pending', 'succeeded', 'failed') NULL,
+    callback_attempts INT DEFAULT 0,
+    callback_next_attempt_at TIMESTAMP NULL,
+    callback_response_status INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_user_idempotency_key (user_id, idempotency_key),
+    INDEX idx_status_started (status, started_at),
+    INDEX idx_callback_status_next_attempt (callback_status, callback_next_attempt_at)
+);
+
+-- Analyzed job text for full-text search (terms are hex-encoded, see services/search)
+CREATE TABLE job_search_documents (
+    job_id INT PRIMARY KEY,
+    title_terms TEXT NOT NULL,
+    company_terms TEXT NOT NULL,
+    skills_terms TEXT NOT NULL,
+    body_terms MEDIUMTEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE,
+    FULLTEXT INDEX ft_all_terms (title_terms, company_terms, skills_terms, body_terms),
+    FULLTEXT INDEX ft_title_terms (title_terms),
+    FULLTEXT INDEX ft_company_terms (company_terms),
+    FULLTEXT INDEX ft_skills_terms (skills_terms),
+    FULLTEXT INDEX ft_body_terms (body_terms)
+);
+
+-- Search vocabulary for typo tolerance
+CREATE TABLE job_search_terms (
+    term VARCHAR(40) PRIMARY KEY,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Saved job searches with scheduled alert digests
+CREATE TABLE saved_searches (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    filters JSON NOT NULL,
+    frequency ENUM('instant', 'daily', 'weekly') DEFAULT 'daily',
+    channels JSON NOT NULL,
+    is_paused BOOLEAN DEFAULT FALSE,
+    unsubscribe_token VARCHAR(64) UNIQUE NOT NULL,
+    last_run_at TIMESTAMP NOT NULL,
+    next_run_at TIMESTAMP NOT NULL,
+    last_notified_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_paused_next_run (is_paused, next_run_at)
+);
+
+-- Saved jobs and applications made outside the platform (job_id NULL)
+CREATE TABLE job_bookmarks (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    job_id INT NULL,
+    title VARCHAR(200),
+    company_name VARCHAR(200),
+    url VARCHAR(500),
+    location VARCHAR(200),
+    notes TEXT,
+    tags JSON NOT NULL,
+    stage ENUM('saved', 'applied', 'interviewing', 'offer', 'rejected', 'withdrawn') DEFAULT 'saved',
+    applied_at TIMESTAMP NULL,
+    deadline DATE NULL,
+    remind_days_before INT DEFAULT 3,
+    reminder_sent_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_user_job (user_id, job_id),
+    INDEX idx_stage_reminder (stage, reminder_sent_at)
+);
+
+-- Reusable job postings, personal (company_id NULL) or shared with a company
+CREATE TABLE job_templates (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    employer_id INT NOT NULL,
+    company_id INT NULL,
+    name VARCHAR(100) NOT NULL,
+    title VARCHAR(200) NOT NULL,
+    description TEXT NOT NULL,
+    requirements TEXT,
+    location VARCHAR(200),
+    salary_min DECIMAL(10,2),
+    salary_max DECIMAL(10,2),
+    salary_currency CHAR(3),
+    salary_period ENUM('hourly', 'daily', 'monthly', 'yearly'),
+    employment_type ENUM('full-time', 'part-time', 'contract', 'internship'),
+    experience_level ENUM('entry', 'mid', 'senior', 'executive'),
+    work_mode ENUM('onsite', 'hybrid', 'remote'),
+    remote_regions JSON,
+    screening_questions JSON NOT NULL,
+    skills JSON NOT NULL,
+    usage_count INT DEFAULT 0,
+    last_used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (employer_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+    INDEX idx_employer_id (employer_id),
+    INDEX idx_company_id (company_id)
+);
+
+-- Saved column mappings and sources for bulk job imports (CSV, JSON, XML)
+CREATE TABLE job_import_profiles (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    employer_id INT NOT NULL,
+    company_id INT NULL,
+    name VARCHAR(100) NOT NULL,
+    format ENUM('csv', 'json', 'xml') NOT NULL,
+    record_path VARCHAR(200),
+    mapping JSON NOT NULL,
+    defaults JSON NOT NULL,
+    publish_status ENUM('draft', 'published') NOT NULL DEFAULT 'published',
+    close_missing BOOLEAN NOT NULL DEFAULT FALSE,
+    source_type ENUM('upload', 'file', 'url') NOT NULL DEFAULT 'upload',
+    source_location VARCHAR(500),
+    schedule ENUM('manual', 'hourly', 'daily', 'weekly') NOT NULL DEFAULT 'manual',
+    next_run_at TIMESTAMP NULL,
+    last_run_at TIMESTAMP NULL,
+    last_run JSON,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (employer_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+    INDEX idx_employer_id (employer_id),
+    INDEX idx_company_id (company_id),
+    INDEX idx_schedule_next_run (schedule, next_run_at)
+);
+
+-- In-app notifications
+CREATE TABLE notifications (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    type VARCHAR(50) NOT NULL,
+    title VARCHAR(200) NOT NULL,
+    body TEXT,
+    data JSON,
+    read_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_read (user_id, read_at),
+    INDEX idx_created_at (created_at)
+);
+
+-- Append-only audit trail; rows are never updated or deleted
+CREATE TABLE audit_logs (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    actor_id INT NULL,
+    actor_role VARCHAR(20) NULL,
+    action VARCHAR(100) NOT NULL,
+    target_type VARCHAR(50) NULL,
+    target_id INT NULL,
+    company_id INT NULL,
+    changes JSON NULL,
+    metadata JSON NULL,
+    ip_address VARCHAR(45) NULL,
+    user_agent VARCHAR(500) NULL,
+    request_id VARCHAR(64) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_actor_id (actor_id),
+    INDEX idx_action (action),
+    INDEX idx_target (target_type, target_id),
+    INDEX idx_company_id (company_id),
+    INDEX idx_created_at (created_at)
+);
+
 -- Insert sample skills
 INSERT INTO skills (name, category) VALUES
 ('JavaScript', 'Programming'),
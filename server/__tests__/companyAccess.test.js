@@ -0,0 +1,108 @@
+jest.mock('../models', () => ({
+  Job: { findOne: jest.fn() },
+  CompanyMember: { findOne: jest.fn(), findAll: jest.fn() }
+}));
+
+const { Op } = require('sequelize');
+const { Job, CompanyMember } = require('../models');
+const {
+  roleHasPermission,
+  hasCompanyPermission,
+  getCompanyIds,
+  jobAccessWhere,
+  findAccessibleJob
+} = require('../services/companyAccess');
+
+const employer = { id: 5, role: 'employer' };
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('roleHasPermission', () => {
+  it('grants job management to owners and recruiters only', () => {
+    expect(roleHasPermission('owner', 'jobs:manage')).toBe(true);
+    expect(roleHasPermission('recruiter', 'jobs:manage')).toBe(true);
+    expect(roleHasPermission('hiring_manager', 'jobs:manage')).toBe(false);
+    expect(roleHasPermission('viewer', 'jobs:manage')).toBe(false);
+  });
+
+  it('keeps company management with owners', () => {
+    expect(roleHasPermission('owner', 'company:manage')).toBe(true);
+    expect(roleHasPermission('recruiter', 'company:manage')).toBe(false);
+  });
+
+  it('grants nothing to unknown roles', () => {
+    expect(roleHasPermission('intern', 'jobs:view')).toBe(false);
+    expect(roleHasPermission(undefined, 'jobs:view')).toBe(false);
+  });
+});
+
+describe('hasCompanyPermission', () => {
+  it('checks the role of the membership', async () => {
+    CompanyMember.findOne.mockResolvedValue({ role: 'viewer' });
+
+    await expect(hasCompanyPermission(5, 3, 'jobs:view')).resolves.toBe(true);
+    await expect(hasCompanyPermission(5, 3, 'jobs:manage')).resolves.toBe(false);
+    expect(CompanyMember.findOne).toHaveBeenCalledWith({ where: { user_id: 5, company_id: 3 } });
+  });
+
+  it('denies non-members', async () => {
+    CompanyMember.findOne.mockResolvedValue(null);
+
+    await expect(hasCompanyPermission(5, 3, 'jobs:view')).resolves.toBe(false);
+  });
+});
+
+describe('getCompanyIds', () => {
+  it('keeps only companies where the role grants the permission', async () => {
+    CompanyMember.findAll.mockResolvedValue([
+      { company_id: 1, role: 'owner' },
+      { company_id: 2, role: 'viewer' },
+      { company_id: 3, role: 'recruiter' }
+    ]);
+
+    await expect(getCompanyIds(5, 'jobs:manage')).resolves.toEqual([1, 3]);
+  });
+});
+
+describe('jobAccessWhere', () => {
+  it('lets admins act on every job', async () => {
+    await expect(jobAccessWhere({ id: 1, role: 'admin' }, 'jobs:manage')).resolves.toEqual({});
+    expect(CompanyMember.findAll).not.toHaveBeenCalled();
+  });
+
+  it('limits non-members to their personal jobs, never company ones', async () => {
+    CompanyMember.findAll.mockResolvedValue([]);
+
+    await expect(jobAccessWhere(employer, 'jobs:manage'))
+      .resolves.toEqual({ employer_id: 5, company_id: null });
+  });
+
+  it('reaches company jobs only through a granting membership', async () => {
+    CompanyMember.findAll.mockResolvedValue([
+      { company_id: 1, role: 'recruiter' },
+      { company_id: 2, role: 'viewer' }
+    ]);
+
+    await expect(jobAccessWhere(employer, 'jobs:manage')).resolves.toEqual({
+      [Op.or]: [
+        { employer_id: 5, company_id: null },
+        { company_id: { [Op.in]: [1] } }
+      ]
+    });
+  });
+});
+
+describe('findAccessibleJob', () => {
+  it('combines the job id with the access rules', async () => {
+    CompanyMember.findAll.mockResolvedValue([]);
+    Job.findOne.mockResolvedValue(null);
+
+    await expect(findAccessibleJob(employer, 9, 'jobs:view', { attributes: ['id'] })).resolves.toBeNull();
+    expect(Job.findOne).toHaveBeenCalledWith({
+      attributes: ['id'],
+      where: { [Op.and]: [{ id: 9 }, { employer_id: 5, company_id: null }] }
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,53 @@
+const { escapeCsv, toCsv, parseCsv } = require('../services/csv');
+
+describe('escapeCsv', () => {
+  it.each(['=SUM(A1:A2)', '+1+1', '-2+3', '@cmd', '\tvalue', '\rvalue'])(
+    'neutralizes text starting a formula: %j',
+    (value) => {
+      expect(escapeCsv(value).replace(/^"|"$/g, '')).toBe(`'${value}`);
+    }
+  );
+
+  it('quotes neutralized text that still needs quoting', () => {
+    expect(escapeCsv('=HYPERLINK("http://x","y")')).toBe('"\'=HYPERLINK(""http://x"",""y"")"');
+  });
+
+  it('leaves numbers alone, including negative ones', () => {
+    expect(escapeCsv(-42)).toBe('-42');
+    expect(escapeCsv(3.5)).toBe('3.5');
+  });
+
+  it('leaves ordinary text alone', () => {
+    expect(escapeCsv('Senior engineer')).toBe('Senior engineer');
+    expect(escapeCsv('a-b')).toBe('a-b');
+  });
+
+  it('quotes commas, quotes and line breaks', () => {
+    expect(escapeCsv('a,b')).toBe('"a,b"');
+    expect(escapeCsv('say "hi"')).toBe('"say ""hi"""');
+    expect(escapeCsv('line\nbreak')).toBe('"line\nbreak"');
+  });
+
+  it('writes empty cells for null and undefined', () => {
+    expect(escapeCsv(null)).toBe('');
+    expect(escapeCsv(undefined)).toBe('');
+  });
+
+  it('writes dates as ISO strings and objects as JSON', () => {
+    expect(escapeCsv(new Date('2026-01-02T03:04:05Z'))).toBe('2026-01-02T03:04:05.000Z');
+    expect(escapeCsv({ a: 1 })).toBe('"{""a"":1}"');
+  });
+});
+
+describe('toCsv', () => {
+  it('round-trips through parseCsv', () => {
+    const rows = [{ name: 'Acme, Inc.', note: 'says "hi"' }, { name: 'Plain', note: '' }];
+    const csv = toCsv(rows, [{ key: 'name', header: 'Name' }, 'note']);
+
+    expect(csv.split('\r\n')[0]).toBe('Name,note');
+    expect(parseCsv(csv)).toEqual([
+      { Name: 'Acme, Inc.', note: 'says "hi"' },
+      { Name: 'Plain', note: '' }
+    ]);
+  });
+});
\ No newline at end of file
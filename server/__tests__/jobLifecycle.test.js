@@ -0,0 +1,107 @@
+jest.mock('../models', () => ({
+  Job: { findAll: jest.fn(), update: jest.fn() }
+}));
+jest.mock('../services/audit', () => ({ recordAudit: jest.fn() }));
+jest.mock('../services/webhooks', () => ({ emitEvent: jest.fn() }));
+jest.mock('../services/search', () => ({ indexJob: jest.fn() }));
+
+const { Job } = require('../models');
+const { sweepJobLifecycle, transitionUpdates, JobStateError } = require('../services/jobLifecycle');
+
+const now = new Date('2026-06-15T12:00:00Z');
+
+// In-memory jobs that Job.update changes the way the conditional UPDATE would
+let jobs;
+const fakeJob = (attributes) => {
+  const job = {
+    moderation_status: 'approved',
+    application_deadline: null,
+    published_at: null,
+    expires_at: null,
+    ...attributes,
+    toJSON: () => ({ ...job }),
+    reload: jest.fn()
+  };
+  jobs.set(job.id, job);
+  return job;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jobs = new Map();
+  Job.update.mockImplementation(async (updates, { where }) => {
+    const job = jobs.get(where.id);
+    if (!job || job.status !== where.status) return [0];
+    Object.assign(job, updates);
+    return [1];
+  });
+});
+
+const sweep = async ({ due = [], stale = [] }) => {
+  Job.findAll.mockResolvedValueOnce(due).mockResolvedValueOnce(stale);
+  return sweepJobLifecycle(now);
+};
+
+describe('sweepJobLifecycle', () => {
+  it('publishes due jobs and expires stale ones', async () => {
+    const due = fakeJob({ id: 1, status: 'scheduled', publish_at: new Date('2026-06-15T11:00:00Z') });
+    const stale = fakeJob({ id: 2, status: 'published', expires_at: new Date('2026-06-14T00:00:00Z') });
+
+    const counts = await sweep({ due: [due], stale: [stale] });
+
+    expect(due.status).toBe('published');
+    expect(due.is_active).toBe(true);
+    expect(stale.status).toBe('expired');
+    expect(counts).toMatchObject({ published: 1, expired: 1 });
+  });
+
+  it('counts jobs held for review instead of publishing them', async () => {
+    const due = fakeJob({ id: 1, status: 'scheduled', moderation_status: 'pending' });
+
+    const counts = await sweep({ due: [due] });
+
+    expect(due.status).toBe('in_review');
+    expect(counts.in_review).toBe(1);
+    expect(Object.values(counts).every(Number.isFinite)).toBe(true);
+  });
+
+  it('moves jobs that cannot be published back to draft', async () => {
+    const due = fakeJob({ id: 1, status: 'scheduled', moderation_status: 'rejected' });
+
+    const counts = await sweep({ due: [due] });
+
+    expect(due.status).toBe('draft');
+    expect(due.is_active).toBe(false);
+    expect(counts).toMatchObject({ published: 0, draft: 1 });
+  });
+
+  it('closes scheduled jobs whose deadline passed before they went live', async () => {
+    const due = fakeJob({ id: 1, status: 'scheduled', application_deadline: new Date('2026-06-01T00:00:00Z') });
+
+    const counts = await sweep({ due: [due] });
+
+    expect(due.status).toBe('closed');
+    expect(counts.closed).toBe(1);
+  });
+
+  it('leaves jobs another request changed in the meantime alone', async () => {
+    const due = fakeJob({ id: 1, status: 'scheduled' });
+    jobs.set(1, { ...due, status: 'published' });
+
+    const counts = await sweep({ due: [due] });
+
+    expect(due.status).toBe('scheduled');
+    expect(counts).toMatchObject({ published: 0, draft: 0 });
+  });
+});
+
+describe('transitionUpdates', () => {
+  it('refuses moves the state machine does not allow', () => {
+    expect(() => transitionUpdates({ status: 'filled' }, 'published')).toThrow(JobStateError);
+  });
+
+  it('requires a future date to schedule a job', () => {
+    expect(() => transitionUpdates({ status: 'draft' }, 'scheduled', { publishAt: new Date(now - 1000), now }))
+      .toThrow('Scheduling requires a future publish_at');
+  });
+});
\ No newline at end of file
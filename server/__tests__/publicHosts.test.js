@@ -0,0 +1,144 @@
+const dns = require('dns');
+const http = require('http');
+const axios = require('axios');
+const {
+  PrivateHostError,
+  isPrivateAddress,
+  assertPublicUrl,
+  pinnedLookup,
+  publicRequestOptions
+} = require('../services/publicHosts');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('isPrivateAddress', () => {
+  it.each([
+    ['0.0.0.0', 4],
+    ['10.1.2.3', 4],
+    ['100.64.0.1', 4],
+    ['127.0.0.1', 4],
+    ['169.254.169.254', 4],
+    ['172.16.0.1', 4],
+    ['172.31.255.255', 4],
+    ['192.168.1.1', 4],
+    ['224.0.0.1', 4],
+    ['239.255.255.250', 4],
+    ['240.0.0.1', 4],
+    ['255.255.255.255', 4],
+    ['::', 6],
+    ['::1', 6],
+    ['fc00::1', 6],
+    ['fd12:3456::1', 6],
+    ['fe80::1', 6],
+    ['::ffff:127.0.0.1', 6],
+    ['::ffff:10.0.0.1', 6],
+    ['64:ff9b::a9fe:a9fe', 6]
+  ])('blocks %s', (address, family) => {
+    expect(isPrivateAddress(address, family)).toBe(true);
+  });
+
+  it.each([
+    ['8.8.8.8', 4],
+    ['172.32.0.1', 4],
+    ['100.128.0.1', 4],
+    ['223.255.255.255', 4],
+    ['2606:4700:4700::1111', 6],
+    ['::ffff:8.8.8.8', 6]
+  ])('allows %s', (address, family) => {
+    expect(isPrivateAddress(address, family)).toBe(false);
+  });
+});
+
+describe('assertPublicUrl', () => {
+  it('rejects literal private addresses', async () => {
+    await expect(assertPublicUrl('http://127.0.0.1:8080/hook')).rejects.toThrow(PrivateHostError);
+    await expect(assertPublicUrl('http://[::1]/hook')).rejects.toThrow('::1 is not a public host');
+  });
+
+  it('rejects a host if any of its addresses is private', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([
+      { address: '93.184.216.34', family: 4 },
+      { address: '10.0.0.5', family: 4 }
+    ]);
+
+    await expect(assertPublicUrl('https://mixed.example.com/feed')).rejects.toThrow('mixed.example.com is not a public host');
+  });
+
+  it('rejects hosts that do not resolve', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockRejectedValue(Object.assign(new Error('nope'), { code: 'ENOTFOUND' }));
+
+    await expect(assertPublicUrl('https://missing.example.com')).rejects.toThrow('Could not resolve missing.example.com');
+  });
+
+  it('returns the checked addresses of a public host', async () => {
+    const addresses = [{ address: '93.184.216.34', family: 4 }];
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue(addresses);
+
+    await expect(assertPublicUrl('https://example.com/hook')).resolves.toEqual(addresses);
+  });
+});
+
+describe('pinnedLookup', () => {
+  const lookup = pinnedLookup([
+    { address: '93.184.216.34', family: 4 },
+    { address: '2606:2800:220:1::1', family: 6 }
+  ]);
+
+  it('answers with the pinned address whatever the hostname', (done) => {
+    lookup('anything.example.com', {}, (error, address, family) => {
+      expect(error).toBeNull();
+      expect([address, family]).toEqual(['93.184.216.34', 4]);
+      done();
+    });
+  });
+
+  it('honors the requested family and `all`', (done) => {
+    lookup('example.com', { family: 6, all: true }, (error, addresses) => {
+      expect(addresses).toEqual([{ address: '2606:2800:220:1::1', family: 6 }]);
+      done();
+    });
+  });
+
+  it('fails when no pinned address has the requested family', (done) => {
+    pinnedLookup([{ address: '93.184.216.34', family: 4 }])('example.com', { family: 6 }, (error) => {
+      expect(error.code).toBe('ENOTFOUND');
+      done();
+    });
+  });
+});
+
+describe('publicRequestOptions', () => {
+  it('refuses private hosts before any request is made', async () => {
+    await expect(publicRequestOptions('http://169.254.169.254/latest/meta-data')).rejects.toThrow(PrivateHostError);
+  });
+
+  it('returns agents pinned to the checked addresses', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+
+    const { httpAgent, httpsAgent } = await publicRequestOptions('https://example.com/hook');
+
+    for (const agent of [httpAgent, httpsAgent]) {
+      const address = await new Promise((resolve, reject) => {
+        agent.options.lookup('example.com', {}, (error, value) => (error ? reject(error) : resolve(value)));
+      });
+      expect(address).toBe('93.184.216.34');
+    }
+  });
+
+  it('sends requests through a pinned agent without resolving the host again', async () => {
+    const server = http.createServer((req, res) => res.end(req.headers.host));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    try {
+      const httpAgent = new http.Agent({ lookup: pinnedLookup([{ address: '127.0.0.1', family: 4 }]) });
+      const response = await axios.get(`http://pinned.invalid:${port}/`, { httpAgent, proxy: false });
+
+      expect(response.data).toBe(`pinned.invalid:${port}`);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
\ No newline at end of file
@@ -0,0 +1,90 @@
+const { Op } = require('sequelize');
+const {
+  SalaryError,
+  annualize,
+  salaryAttributes,
+  salaryFilterConditions,
+  payTransparencyViolations
+} = require('../services/salary');
+
+describe('annualize', () => {
+  it('scales pay periods to a full-time year', () => {
+    expect(annualize(50, 'USD', 'hourly')).toBe(104000);
+    expect(annualize(400, 'USD', 'daily')).toBe(104000);
+    expect(annualize(5000, 'USD', 'monthly')).toBe(60000);
+    expect(annualize(60000, 'USD', 'yearly')).toBe(60000);
+  });
+
+  it('converts between currencies through the base rate', () => {
+    expect(annualize(5000, 'EUR', 'monthly')).toBe(65217);
+    expect(annualize(100000, 'USD', 'yearly', 'EUR')).toBe(92000);
+  });
+
+  it('returns null for blank amounts', () => {
+    expect(annualize(null)).toBeNull();
+    expect(annualize('')).toBeNull();
+  });
+
+  it('rejects unknown currencies, periods and non-numbers', () => {
+    expect(() => annualize(100, 'XYZ')).toThrow(SalaryError);
+    expect(() => annualize(100, 'USD', 'weekly')).toThrow('Unknown salary period: weekly');
+    expect(() => annualize('lots')).toThrow('Salary amounts must be numbers');
+  });
+});
+
+describe('salaryAttributes', () => {
+  it('fills in what an update leaves alone', () => {
+    const current = { salary_min: 20, salary_max: 30, salary_currency: 'USD', salary_period: 'hourly' };
+
+    expect(salaryAttributes({ salary_max: 40 }, current)).toEqual({
+      salary_currency: 'USD',
+      salary_period: 'hourly',
+      salary_min_annual: 41600,
+      salary_max_annual: 83200
+    });
+  });
+});
+
+describe('salaryFilterConditions', () => {
+  it('compares annualized pay', () => {
+    expect(salaryFilterConditions({ salary_min: '50', salary_period: 'hourly' }))
+      .toEqual([{ salary_min_annual: { [Op.gte]: 104000 } }]);
+  });
+
+  it('keeps undisclosed salaries only when asked to', () => {
+    const [condition] = salaryFilterConditions({ salary_max: '90000', include_undisclosed: 'true' });
+
+    expect(condition[Op.or]).toEqual([
+      { salary_max_annual: { [Op.lte]: 90000 } },
+      { salary_min_annual: null, salary_max_annual: null }
+    ]);
+  });
+
+  it('adds nothing without a salary filter', () => {
+    expect(salaryFilterConditions({ salary_currency: 'EUR' })).toEqual([]);
+  });
+});
+
+describe('payTransparencyViolations', () => {
+  it('requires a full range where the rules ask for one', () => {
+    expect(payTransparencyViolations({ country_code: 'US', region: 'CA', salary_min: 100000 }))
+      .toEqual(['Jobs in California must advertise a salary range']);
+  });
+
+  it('requires some figure where the rules ask for one', () => {
+    expect(payTransparencyViolations({ country_code: 'DE', salary_min: null, salary_max: null }))
+      .toEqual(['Jobs in the European Union must advertise a salary']);
+  });
+
+  it('caps the yearly width of a range in the rule currency', () => {
+    const job = { country_code: 'CA', region: 'ON', salary_currency: 'CAD', salary_min: 50000 };
+
+    expect(payTransparencyViolations({ ...job, salary_max: 120000 }))
+      .toEqual(['Salary ranges in Ontario cannot span more than 50000 CAD a year']);
+    expect(payTransparencyViolations({ ...job, salary_max: 90000 })).toEqual([]);
+  });
+
+  it('applies no rules outside covered jurisdictions', () => {
+    expect(payTransparencyViolations({ country_code: 'US', region: 'TX', salary_min: null })).toEqual([]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,68 @@
+jest.mock('../models', () => ({ sequelize: {} }));
+
+const { ScreeningError, publicQuestions, evaluateAnswers, ownsScreeningFile } = require('../services/screening');
+
+const questions = [
+  { id: 'q_auth', question: 'Authorized to work?', type: 'yes_no', required: true, knockout: { reject_when: false } },
+  { id: 'q_years', question: 'Years of experience', type: 'number', required: true, knockout: { min: 3 } },
+  { id: 'q_shift', question: 'Shift', type: 'single_choice', options: ['day', 'night'], knockout: { reject_options: ['night'] } },
+  { id: 'q_langs', question: 'Languages', type: 'multi_choice', options: ['en', 'de', 'fr'], knockout: { reject_options: ['fr'] } },
+  { id: 'q_note', question: 'Anything else?', type: 'text' },
+  { id: 'q_cert', question: 'Certificate', type: 'file' }
+];
+
+describe('evaluateAnswers', () => {
+  it('stores answers with their question and passes qualifying applicants', () => {
+    const { answers, knockouts } = evaluateAnswers(questions, { q_auth: true, q_years: 5, q_shift: 'day' }, 7);
+
+    expect(knockouts).toEqual([]);
+    expect(answers).toEqual([
+      { question_id: 'q_auth', question: 'Authorized to work?', type: 'yes_no', value: true },
+      { question_id: 'q_years', question: 'Years of experience', type: 'number', value: 5 },
+      { question_id: 'q_shift', question: 'Shift', type: 'single_choice', value: 'day' }
+    ]);
+  });
+
+  it('reports every knockout rule an applicant trips', () => {
+    const { knockouts } = evaluateAnswers(questions, {
+      q_auth: false,
+      q_years: 1,
+      q_shift: 'night',
+      q_langs: ['en', 'fr']
+    }, 7);
+
+    expect(knockouts.map(knockout => knockout.question_id)).toEqual(['q_auth', 'q_years', 'q_shift', 'q_langs']);
+  });
+
+  it('requires required answers', () => {
+    expect(() => evaluateAnswers(questions, { q_auth: true }, 7)).toThrow('Please answer "Years of experience"');
+  });
+
+  it('rejects unknown questions and malformed answers', () => {
+    expect(() => evaluateAnswers(questions, { q_auth: true, q_years: 5, q_other: 1 }, 7))
+      .toThrow('Unknown screening question: q_other');
+    expect(() => evaluateAnswers(questions, { q_auth: 'yes', q_years: 5 }, 7)).toThrow(ScreeningError);
+    expect(() => evaluateAnswers(questions, { q_auth: true, q_years: 5, q_shift: 'evening' }, 7))
+      .toThrow('Invalid answer to "Shift"');
+  });
+
+  it('accepts only screening files the applicant uploaded', () => {
+    const base = { q_auth: true, q_years: 5 };
+
+    expect(() => evaluateAnswers(questions, { ...base, q_cert: '/uploads/screening/screening-7-1-2.pdf' }, 7)).not.toThrow();
+    expect(() => evaluateAnswers(questions, { ...base, q_cert: '/uploads/screening/screening-8-1-2.pdf' }, 7))
+      .toThrow('Invalid answer to "Certificate"');
+  });
+});
+
+describe('ownsScreeningFile', () => {
+  it('rejects files outside the screening uploads', () => {
+    expect(ownsScreeningFile(7, '/uploads/resumes/screening-7-1.pdf')).toBe(false);
+  });
+});
+
+describe('publicQuestions', () => {
+  it('hides knockout rules from applicants', () => {
+    expect(publicQuestions(questions).some(question => 'knockout' in question)).toBe(false);
+  });
+});
\ No newline at end of file
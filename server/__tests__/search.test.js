@@ -0,0 +1,107 @@
+const { Op } = require('sequelize');
+const { analyze, stem, editDistance, allowedTypos } = require('../services/search/analyzer');
+const { parseQuery, hasPositiveClauses, isEmptyQuery } = require('../services/search/queryParser');
+const createMemoryEngine = require('../services/search/memoryEngine');
+
+describe('analyzer', () => {
+  it('keeps tech tokens whole and drops stop words', () => {
+    expect(analyze('Senior Node.js developers for C++ and C# .NET'))
+      .toEqual(['senior', 'node.js', 'develop', 'c++', 'c#', '.net']);
+  });
+
+  it('reduces word forms to one stem', () => {
+    expect(['developers', 'developing', 'development'].map(stem)).toEqual(['develop', 'develop', 'develop']);
+    expect(stem('running')).toBe('run');
+    expect(stem('companies')).toBe('company');
+  });
+
+  it('keeps doubled consonants that belong to the word', () => {
+    expect(stem('skills')).toBe('skill');
+    expect(stem('class')).toBe('class');
+  });
+
+  it('folds accents', () => {
+    expect(analyze('Café résumé')).toEqual(['cafe', 'resum']);
+  });
+
+  it('measures edit distance and gives up past the limit', () => {
+    expect(editDistance('kubernets', 'kubernetes')).toBe(1);
+    expect(editDistance('abc', 'xyz', 1)).toBe(2);
+  });
+
+  it('allows typos by term length, never in tech tokens', () => {
+    expect(allowedTypos('go')).toBe(0);
+    expect(allowedTypos('react')).toBe(1);
+    expect(allowedTypos('kubernetes')).toBe(2);
+    expect(allowedTypos('node.js')).toBe(0);
+  });
+});
+
+describe('parseQuery', () => {
+  it('splits terms, phrases and exclusions', () => {
+    expect(parseQuery('"node.js" -php senior -"team lead" full-time the')).toEqual({
+      terms: [['senior']],
+      phrases: [['node.js'], ['full', 'time']],
+      excluded: [['php'], ['team', 'lead']]
+    });
+  });
+
+  it('treats stop words alone as an empty query', () => {
+    expect(isEmptyQuery(parseQuery('the and'))).toBe(true);
+  });
+
+  it('keeps exclusion-only queries', () => {
+    const query = parseQuery('-php');
+    expect(hasPositiveClauses(query)).toBe(false);
+    expect(isEmptyQuery(query)).toBe(false);
+  });
+
+  it('caps the number of clauses', () => {
+    const words = Array.from({ length: 40 }, (_, index) => `word${index}`);
+    expect(parseQuery(words.join(' ')).terms).toHaveLength(32);
+  });
+});
+
+describe('memory engine', () => {
+  const document = (jobId, title, body = '') => ({
+    job_id: jobId,
+    fields: { title: analyze(title), company: [], skills: [], body: analyze(body) }
+  });
+
+  let engine;
+
+  beforeEach(async () => {
+    engine = createMemoryEngine();
+    await engine.index(document(1, 'Node.js developer'));
+    await engine.index(document(2, 'Java developer', 'some node.js'));
+    await engine.index(document(3, 'PHP developer'));
+    await engine.index(document(4, 'Senior node.js engineer'));
+  });
+
+  it('ranks title matches above body matches', async () => {
+    const results = await engine.search(parseQuery('node.js developer'), { limit: 10 });
+    expect(results.map(result => result.job_id)).toEqual([1, 2]);
+  });
+
+  it('drops excluded documents', async () => {
+    const results = await engine.search(parseQuery('developer -php -java'), { limit: 10 });
+    expect(results.map(result => result.job_id)).toEqual([1]);
+  });
+
+  it('scores only the requested jobs', async () => {
+    const results = await engine.search(parseQuery('node.js'), { jobIds: [2, 3, 4] });
+    expect(results.map(result => result.job_id).sort()).toEqual([2, 4]);
+  });
+
+  it('matches every hit in its job condition, however many there are', async () => {
+    const condition = await engine.matchCondition(parseQuery('node.js'));
+    expect(condition.id[Op.in].sort()).toEqual([1, 2, 4]);
+  });
+
+  it('forgets removed documents', async () => {
+    await engine.remove(1);
+    expect(await engine.hasTerm('develop')).toBe(true);
+    const results = await engine.search(parseQuery('node.js developer'), { limit: 10 });
+    expect(results.map(result => result.job_id)).toEqual([2]);
+  });
+});
\ No newline at end of file
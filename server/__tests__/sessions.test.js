@@ -0,0 +1,112 @@
+jest.mock('../models', () => ({
+  UserSession: {
+    create: jest.fn(),
+    update: jest.fn(),
+    sequelize: { transaction: jest.fn(callback => callback('transaction')) }
+  },
+  RefreshToken: { findOne: jest.fn(), update: jest.fn(), create: jest.fn() }
+}));
+
+process.env.JWT_SECRET = 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const { RefreshToken } = require('../models');
+const { RefreshError, rotateRefreshToken } = require('../services/sessions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const user = { id: 3, email: 'user@example.com', role: 'applicant', is_active: true };
+
+const storedToken = (overrides = {}) => {
+  const session = {
+    id: 11,
+    user_id: 3,
+    revoked_at: null,
+    expires_at: new Date(Date.now() + DAY_MS),
+    update: jest.fn().mockResolvedValue()
+  };
+  return {
+    id: 21,
+    used_at: null,
+    expires_at: new Date(Date.now() + DAY_MS),
+    session,
+    ...overrides
+  };
+};
+
+const rotationError = (promise) => promise.then(
+  () => { throw new Error('expected a RefreshError'); },
+  (error) => {
+    expect(error).toBeInstanceOf(RefreshError);
+    return error;
+  }
+);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('rotateRefreshToken', () => {
+  it('issues a new token pair bound to the session', async () => {
+    const stored = storedToken();
+    RefreshToken.findOne.mockResolvedValue(stored);
+    RefreshToken.update.mockResolvedValue([1]);
+
+    const result = await rotateRefreshToken('old-token', async () => user);
+
+    expect(result.refresh_token).toMatch(/^[0-9a-f]{96}$/);
+    expect(result.refresh_token).not.toBe('old-token');
+    expect(jwt.verify(result.token, 'test-secret')).toMatchObject({ id: 3, sid: 11 });
+    expect(RefreshToken.update).toHaveBeenCalledWith(
+      { used_at: expect.any(Date) },
+      { where: { id: 21, used_at: null }, transaction: 'transaction' }
+    );
+    expect(RefreshToken.create).toHaveBeenCalledWith(
+      expect.objectContaining({ session_id: 11, token_hash: expect.stringMatching(/^[0-9a-f]{64}$/) }),
+      { transaction: 'transaction' }
+    );
+  });
+
+  it('revokes the whole session when a used token comes back', async () => {
+    const stored = storedToken({ used_at: new Date() });
+    RefreshToken.findOne.mockResolvedValue(stored);
+
+    const error = await rotationError(rotateRefreshToken('old-token', async () => user));
+
+    expect(error.code).toBe('reuse');
+    expect(stored.session.update).toHaveBeenCalledWith({ revoked_at: expect.any(Date), revoked_reason: 'token_reuse' });
+    expect(RefreshToken.create).not.toHaveBeenCalled();
+  });
+
+  it('treats losing a concurrent rotation as reuse', async () => {
+    const stored = storedToken();
+    RefreshToken.findOne.mockResolvedValue(stored);
+    RefreshToken.update.mockResolvedValue([0]);
+
+    const error = await rotationError(rotateRefreshToken('old-token', async () => user));
+
+    expect(error.code).toBe('reuse');
+    expect(stored.session.update).toHaveBeenCalledWith(expect.objectContaining({ revoked_reason: 'token_reuse' }));
+    expect(RefreshToken.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects unknown tokens, ended sessions and deactivated users', async () => {
+    RefreshToken.findOne.mockResolvedValueOnce(null);
+    expect((await rotationError(rotateRefreshToken('nope', async () => user))).code).toBe('invalid');
+
+    const revoked = storedToken();
+    revoked.session.revoked_at = new Date();
+    RefreshToken.findOne.mockResolvedValueOnce(revoked);
+    expect((await rotationError(rotateRefreshToken('old-token', async () => user))).code).toBe('expired');
+
+    RefreshToken.findOne.mockResolvedValueOnce(storedToken({ expires_at: new Date(Date.now() - 1000) }));
+    expect((await rotationError(rotateRefreshToken('old-token', async () => user))).code).toBe('expired');
+
+    const inactive = storedToken();
+    RefreshToken.findOne.mockResolvedValueOnce(inactive);
+    expect((await rotationError(rotateRefreshToken('old-token', async () => ({ ...user, is_active: false })))).code)
+      .toBe('inactive');
+    expect(inactive.session.update).toHaveBeenCalledWith(expect.objectContaining({ revoked_reason: 'user_revoked' }));
+
+    expect(RefreshToken.update).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,60 @@
+jest.mock('../models', () => ({
+  User: { update: jest.fn() },
+  RecoveryCode: { update: jest.fn(), destroy: jest.fn(), bulkCreate: jest.fn() }
+}));
+
+process.env.TWO_FACTOR_ENCRYPTION_KEY = 'test-key';
+
+const { Op } = require('sequelize');
+const { authenticator } = require('otplib');
+const { User } = require('../models');
+const { generateEnrollment, verifyCode } = require('../services/twoFactor');
+
+describe('verifyCode', () => {
+  let secret;
+  let user;
+
+  beforeEach(async () => {
+    User.update.mockReset();
+    const enrollment = await generateEnrollment({ email: 'user@example.com' });
+    secret = enrollment.secret;
+    user = { id: 7, two_factor_secret: enrollment.encryptedSecret, two_factor_last_step: null };
+  });
+
+  it('accepts a current code and claims its time step', async () => {
+    User.update.mockResolvedValue([1]);
+
+    await expect(verifyCode(user, authenticator.generate(secret))).resolves.toBe(true);
+
+    const step = Math.floor(Date.now() / 1000 / authenticator.allOptions().step);
+    const [values, { where }] = User.update.mock.calls[0];
+    expect(values.two_factor_last_step).toBeGreaterThanOrEqual(step - 1);
+    expect(where.id).toBe(7);
+    expect(where[Op.or]).toEqual([
+      { two_factor_last_step: null },
+      { two_factor_last_step: { [Op.lt]: values.two_factor_last_step } }
+    ]);
+    expect(user.two_factor_last_step).toBe(values.two_factor_last_step);
+  });
+
+  it('rejects a replayed code whose step was already used', async () => {
+    User.update.mockResolvedValueOnce([1]).mockResolvedValueOnce([0]);
+    const code = authenticator.generate(secret);
+
+    await expect(verifyCode(user, code)).resolves.toBe(true);
+    await expect(verifyCode(user, code)).resolves.toBe(false);
+  });
+
+  it('rejects a wrong code without touching the user', async () => {
+    const code = String((Number(authenticator.generate(secret)) + 1) % 1000000).padStart(6, '0');
+
+    await expect(verifyCode(user, code)).resolves.toBe(false);
+    expect(User.update).not.toHaveBeenCalled();
+  });
+
+  it('rejects when two-factor is not set up or no code is given', async () => {
+    await expect(verifyCode({ id: 7, two_factor_secret: null }, '123456')).resolves.toBe(false);
+    await expect(verifyCode(user, '')).resolves.toBe(false);
+    expect(User.update).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
@@ -5,16 +5,41 @@ const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
+const requestId = require('./middleware/requestId');
+
 const authRoutes = require('./routes/auth');
 const resumeRoutes = require('./routes/resumes');
 const jobRoutes = require('./routes/jobs');
 const applicationRoutes = require('./routes/applications');
 const aiRoutes = require('./routes/ai');
+const companyRoutes = require('./routes/companies');
+const adminRoutes = require('./routes/admin');
+const auditRoutes = require('./routes/audit');
+const accountRoutes = require('./routes/account');
+const apiKeyRoutes = require('./routes/apiKeys');
+const webhookSubscriptionRoutes = require('./routes/webhookSubscriptions');
+const webhookRoutes = require('./routes/webhooks');
+const savedSearchRoutes = require('./routes/savedSearches');
+const notificationRoutes = require('./routes/notifications');
+const bookmarkRoutes = require('./routes/bookmarks');
+const jobTemplateRoutes = require('./routes/jobTemplates');
+const feedRoutes = require('./routes/feeds');
+const jobImportRoutes = require('./routes/jobImports');
+const promotionRoutes = require('./routes/promotions');
+const { startDeletionSweeper } = require('./services/accountDeletion');
+const { startWebhookWorker } = require('./services/webhooks');
+const { startWebhookJobWorker } = require('./services/webhookJobs');
+const { initSearchIndex } = require('./services/search');
+const { startJobAlertScheduler } = require('./services/jobAlerts');
+const { startDeadlineReminderWorker } = require('./services/jobTracker');
+const { startJobLifecycleSweeper } = require('./services/jobLifecycle');
+const { startJobImportScheduler } = require('./services/jobImports');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Security middleware
+app.use(requestId);
 app.use(helmet());
 app.use(compression());
 
@@ -32,7 +57,15 @@ app.use(cors({
 }));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Inbound webhooks verify their HMAC signature against the exact bytes sent
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/')) {
+      req.rawBody = buf.toString('utf8');
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Routes
@@ -41,6 +74,20 @@ app.use('/api/resumes', resumeRoutes);
 app.use('/api/jobs', jobRoutes);
 app.use('/api/applications', applicationRoutes);
 app.use('/api/ai', aiRoutes);
+app.use('/api/companies', companyRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/audit-logs', auditRoutes);
+app.use('/api/account', accountRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/webhook-subscriptions', webhookSubscriptionRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/bookmarks', bookmarkRoutes);
+app.use('/api/job-templates', jobTemplateRoutes);
+app.use('/api/feeds', feedRoutes);
+app.use('/api/job-imports', jobImportRoutes);
+app.use('/api/promotions', promotionRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -69,4 +116,28 @@ app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔗 API Base URL: http://localhost:${PORT}/api`);
+
+  // Purge accounts whose deletion grace period has ended
+  startDeletionSweeper();
+
+  // Retry failed webhook deliveries with backoff
+  startWebhookWorker();
+
+  // Process inbound webhook jobs left behind by a restart and retry callbacks
+  startWebhookJobWorker();
+
+  // Build the embedded search index (no-op for MySQL FULLTEXT)
+  initSearchIndex();
+
+  // Send saved search alert digests as they fall due
+  startJobAlertScheduler();
+
+  // Remind applicants before saved jobs close
+  startDeadlineReminderWorker();
+
+  // Publish scheduled jobs and expire stale ones
+  startJobLifecycleSweeper();
+
+  // Re-run scheduled job imports from their file or URL
+  startJobImportScheduler();
 });
\ No newline at end of file
@@ -1,7 +1,36 @@
 const jwt = require('jsonwebtoken');
-const { User } = require('../models');
+const { User, UserSession } = require('../models');
+const { isSessionActive } = require('../services/sessions');
+const { isTwoFactorRequired } = require('../services/twoFactor');
+const { ApiKeyError, extractApiKey, authenticateApiKey } = require('../services/apiKeys');
+
+// Authenticate an integration via API key instead of a session JWT
+const apiKeyAuth = async (req, res, next, rawKey) => {
+  try {
+    const { user, apiKey, headers } = await authenticateApiKey(req, rawKey);
+    res.set(headers);
+
+    req.user = user;
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    if (!(error instanceof ApiKeyError)) {
+      console.error('API key auth error:', error);
+    }
+    res.set(error.headers || {});
+    res.status(error.status || 401).json({
+      success: false,
+      error: error instanceof ApiKeyError ? error.message : 'Invalid API key.'
+    });
+  }
+};
 
 const auth = async (req, res, next) => {
+  const rawKey = extractApiKey(req);
+  if (rawKey) {
+    return apiKeyAuth(req, res, next, rawKey);
+  }
+
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
@@ -13,9 +42,18 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens are tied to a server-side session that can be revoked
+    const session = decoded.sid ? await UserSession.findByPk(decoded.sid) : null;
+    if (!isSessionActive(session) || session.user_id !== decoded.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session expired or revoked.'
+      });
+    }
     
     const user = await User.findByPk(decoded.id, {
-      attributes: { exclude: ['password_hash'] }
+      attributes: { exclude: ['password_hash', 'two_factor_secret'] }
     });
 
     if (!user) {
@@ -33,6 +71,7 @@ const auth = async (req, res, next) => {
     }
 
     req.user = user;
+    req.userSession = session;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -60,23 +99,55 @@ const authorize = (...roles) => {
       });
     }
 
+    // Roles with enforced 2FA must enroll before using role-restricted endpoints
+    if (isTwoFactorRequired(req.user) && !req.user.two_factor_enabled) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication must be enabled for your account.',
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
+    }
+
     next();
   };
 };
 
+// Email verification middleware (use after auth)
+const requireVerified = (req, res, next) => {
+  if (!req.user?.email_verified_at) {
+    return res.status(403).json({
+      success: false,
+      error: 'Please verify your email address to continue.',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
+  next();
+};
+
 // Optional auth middleware (doesn't fail if no token)
 const optionalAuth = async (req, res, next) => {
+  // A key that was sent must be valid; anonymous access stays anonymous
+  const rawKey = extractApiKey(req);
+  if (rawKey) {
+    return apiKeyAuth(req, res, next, rawKey);
+  }
+
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findByPk(decoded.id, {
-        attributes: { exclude: ['password_hash'] }
-      });
+      const session = decoded.sid ? await UserSession.findByPk(decoded.sid) : null;
+      const user = isSessionActive(session) && session.user_id === decoded.id
+        ? await User.findByPk(decoded.id, {
+          attributes: { exclude: ['password_hash', 'two_factor_secret'] }
+        })
+        : null;
       
       if (user && user.is_active) {
         req.user = user;
+        req.userSession = session;
       }
     }
     
@@ -90,5 +161,6 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
   auth,
   authorize,
+  requireVerified,
   optionalAuth
 };
\ No newline at end of file
@@ -0,0 +1,11 @@
+const crypto = require('crypto');
+
+// Tag every request with an id (honouring an upstream X-Request-Id) for tracing and audit entries
+const requestId = (req, res, next) => {
+  const incoming = req.header('X-Request-Id');
+  req.id = incoming && /^[\w-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = requestId;
\ No newline at end of file
@@ -1,4 +1,12 @@
 const Joi = require('joi');
+const { SALARY_CURRENCIES, SALARY_PERIODS } = require('../services/salary');
+
+const salaryCurrency = Joi.string().valid(...SALARY_CURRENCIES).messages({
+  'any.only': 'Unsupported salary currency'
+});
+const salaryPeriod = Joi.string().valid(...SALARY_PERIODS).messages({
+  'any.only': 'Salary period must be hourly, daily, monthly or yearly'
+});
 
 // User registration validation
 const validateRegistration = (req, res, next) => {
@@ -61,6 +69,133 @@ const validateLogin = (req, res, next) => {
   next();
 };
 
+// Refresh token validation
+const validateRefreshToken = (req, res, next) => {
+  const schema = Joi.object({
+    refresh_token: Joi.string().required().messages({
+      'any.required': 'Refresh token is required'
+    })
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// Email-only validation (forgot password, resend verification)
+const validateEmailRequest = (req, res, next) => {
+  const schema = Joi.object({
+    email: Joi.string().email().required().messages({
+      'string.email': 'Please provide a valid email address',
+      'any.required': 'Email is required'
+    })
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// Password reset validation
+const validatePasswordReset = (req, res, next) => {
+  const schema = Joi.object({
+    token: Joi.string().required().messages({
+      'any.required': 'Reset token is required'
+    }),
+    new_password: Joi.string().min(6).required().messages({
+      'string.min': 'Password must be at least 6 characters long',
+      'any.required': 'New password is required'
+    })
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// Two-factor code validation (setup confirmation, recovery code regeneration)
+const validateTwoFactorCode = (req, res, next) => {
+  const schema = Joi.object({
+    code: Joi.string().pattern(/^\d{6}$/).required().messages({
+      'string.pattern.base': 'Authentication code must be 6 digits',
+      'any.required': 'Authentication code is required'
+    })
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// Second login step validation: a TOTP code or a recovery code
+const validateTwoFactorLogin = (req, res, next) => {
+  const schema = Joi.object({
+    two_factor_token: Joi.string().required().messages({
+      'any.required': 'Two-factor token is required'
+    }),
+    code: Joi.string().pattern(/^\d{6}$/).messages({
+      'string.pattern.base': 'Authentication code must be 6 digits'
+    }),
+    recovery_code: Joi.string().max(20)
+  }).xor('code', 'recovery_code').messages({
+    'object.missing': 'Authentication code or recovery code is required',
+    'object.xor': 'Provide either an authentication code or a recovery code'
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// Account deletion validation (password re-entry)
+const validateAccountDeletion = (req, res, next) => {
+  const schema = Joi.object({
+    password: Joi.string().required().messages({
+      'any.required': 'Password is required to delete your account'
+    })
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
 // Resume validation
 const validateResume = (req, res, next) => {
   const schema = Joi.object({
@@ -88,6 +223,14 @@ const validateResume = (req, res, next) => {
     salary_expectation: Joi.number().positive().optional().messages({
       'number.positive': 'Salary expectation must be a positive number'
     }),
+    salary_expectation_currency: salaryCurrency.optional(),
+    salary_expectation_period: salaryPeriod.optional(),
+    latitude: Joi.number().min(-90).max(90).allow(null).optional(),
+    longitude: Joi.number().min(-180).max(180).allow(null).optional(),
+    preferred_work_modes: Joi.array().items(Joi.string().valid('onsite', 'hybrid', 'remote')).unique().optional(),
+    max_commute_km: Joi.number().integer().min(1).max(500).allow(null).optional().messages({
+      'number.max': 'Maximum commute cannot exceed 500 km'
+    }),
     skills: Joi.array().items(
       Joi.object({
         name: Joi.string().required(),
@@ -118,7 +261,7 @@ const validateResume = (req, res, next) => {
         description: Joi.string().optional()
       })
     ).optional()
-  });
+  }).and('latitude', 'longitude');
 
   const { error } = schema.validate(req.body);
   if (error) {
@@ -131,8 +274,72 @@ const validateResume = (req, res, next) => {
   next();
 };
 
-// Job validation
-const validateJob = (req, res, next) => {
+// Answers that reject an applicant automatically, by question type
+const knockoutSchema = Joi.when('type', {
+  switch: [
+    { is: 'yes_no', then: Joi.object({ reject_when: Joi.boolean().required() }) },
+    {
+      is: Joi.valid('single_choice', 'multi_choice'),
+      then: Joi.object({ reject_options: Joi.array().items(Joi.string().max(200)).min(1).required() })
+    },
+    { is: 'number', then: Joi.object({ min: Joi.number(), max: Joi.number() }).or('min', 'max') }
+  ],
+  otherwise: Joi.forbidden().messages({
+    'any.unknown': 'Text and file questions cannot have knockout rules'
+  })
+});
+
+// One screening question asked of applicants
+const screeningQuestionSchema = Joi.object({
+  id: Joi.string().max(50).optional(),
+  question: Joi.string().min(3).max(500).required().messages({
+    'any.required': 'Screening question text is required'
+  }),
+  type: Joi.string()
+    .valid('yes_no', 'single_choice', 'multi_choice', 'number', 'text', 'file')
+    .required(),
+  options: Joi.when('type', {
+    is: Joi.valid('single_choice', 'multi_choice'),
+    then: Joi.array().items(Joi.string().max(200)).min(2).max(20).unique().required().messages({
+      'array.min': 'Choice questions need at least two options',
+      'any.required': 'Choice questions need options'
+    }),
+    otherwise: Joi.forbidden()
+  }),
+  required: Joi.boolean().optional(),
+  knockout: knockoutSchema.optional()
+}).custom((question, helpers) => {
+  const rejected = question.knockout?.reject_options || [];
+  if (rejected.some(option => !question.options.includes(option))) {
+    return helpers.error('any.invalid');
+  }
+  return question;
+}).messages({
+  'any.invalid': 'Knockout options must be among the question\'s options'
+});
+
+// One skill a job asks for, linked to the skills taxonomy by name
+const jobSkillSchema = Joi.object({
+  name: Joi.string().min(1).max(100).required().messages({
+    'any.required': 'Skill name is required'
+  }),
+  importance: Joi.string().valid('required', 'preferred').optional(),
+  min_proficiency: Joi.string().valid('beginner', 'intermediate', 'advanced', 'expert').allow(null).optional(),
+  min_years: Joi.number().integer().min(0).max(50).allow(null).optional(),
+  category: Joi.string().max(50).optional()
+});
+
+const jobSkillsSchema = Joi.array()
+  .items(jobSkillSchema)
+  .max(50)
+  .unique((a, b) => a.name.trim().toLowerCase() === b.name.trim().toLowerCase())
+  .messages({
+    'array.unique': 'Each skill can only be listed once'
+  });
+
+// Job validation. `jobErrors` lists every problem with a job body so bulk
+// imports can report them per row; the middleware stops at the first.
+const jobErrors = (body, method = 'POST') => {
   const schema = Joi.object({
     title: Joi.string().min(5).max(200).required().messages({
       'string.min': 'Job title must be at least 5 characters long',
@@ -147,17 +354,118 @@ const validateJob = (req, res, next) => {
     location: Joi.string().max(200).optional().messages({
       'string.max': 'Location cannot exceed 200 characters'
     }),
-    salary_min: Joi.number().positive().optional().messages({
+    // Leave both out (or null) to post without disclosing the salary
+    salary_min: Joi.number().positive().allow(null).optional().messages({
       'number.positive': 'Minimum salary must be a positive number'
     }),
-    salary_max: Joi.number().positive().optional().messages({
+    salary_max: Joi.number().positive().allow(null).optional().messages({
       'number.positive': 'Maximum salary must be a positive number'
     }),
+    salary_currency: salaryCurrency.optional(),
+    salary_period: salaryPeriod.optional(),
     employment_type: Joi.string().valid('full-time', 'part-time', 'contract', 'internship').optional(),
     experience_level: Joi.string().valid('entry', 'mid', 'senior', 'executive').optional(),
     application_deadline: Joi.date().greater('now').optional().messages({
       'date.greater': 'Application deadline must be in the future'
-    })
+    }),
+    company_id: Joi.number().integer().positive().allow(null).optional(),
+    latitude: Joi.number().min(-90).max(90).allow(null).optional(),
+    longitude: Joi.number().min(-180).max(180).allow(null).optional(),
+    work_mode: Joi.string().valid('onsite', 'hybrid', 'remote').optional(),
+    // ISO country codes or region groups (EU, EMEA, APAC, ...); empty means worldwide
+    remote_regions: Joi.array().items(Joi.string().max(60)).max(50).allow(null).optional(),
+    // New jobs start as drafts or go live; later moves use POST /api/jobs/:id/status
+    status: method === 'POST'
+      ? Joi.string().valid('draft', 'published').optional()
+      : Joi.forbidden().messages({
+        'any.unknown': 'Use POST /api/jobs/:id/status to change a job\'s status'
+      }),
+    publish_at: Joi.date().greater('now').allow(null).optional().messages({
+      'date.greater': 'Publish date must be in the future'
+    }),
+    screening_questions: Joi.array().items(screeningQuestionSchema).max(30).unique('id', { ignoreUndefined: true }).optional(),
+    skills: jobSkillsSchema.optional()
+  }).and('latitude', 'longitude');
+
+  const { error } = schema.validate(body, { abortEarly: false });
+  const errors = error ? error.details.map(detail => detail.message) : [];
+
+  // Validate salary range
+  if (body.salary_min && body.salary_max && body.salary_min > body.salary_max) {
+    errors.push('Minimum salary cannot be greater than maximum salary');
+  }
+
+  return errors;
+};
+
+const validateJob = (req, res, next) => {
+  const [error] = jobErrors(req.body, req.method);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  next();
+};
+
+// Job status change validation
+const validateJobStatus = (req, res, next) => {
+  const schema = Joi.object({
+    status: Joi.string()
+      .valid('draft', 'scheduled', 'published', 'paused', 'closed', 'expired', 'filled')
+      .required()
+      .messages({
+        'any.only': 'Unknown job status',
+        'any.required': 'Status is required'
+      }),
+    publish_at: Joi.date().greater('now').optional().messages({
+      'date.greater': 'Publish date must be in the future'
+    }),
+    reason: Joi.string().max(200).optional()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// Job template validation; every field is optional when updating
+const validateJobTemplate = (req, res, next) => {
+  const presence = req.method === 'POST' ? 'required' : 'optional';
+  const schema = Joi.object({
+    name: Joi.string().min(1).max(100).presence(presence).messages({
+      'string.max': 'Template name cannot exceed 100 characters',
+      'any.required': 'Template name is required'
+    }),
+    company_id: Joi.number().integer().positive().allow(null).optional(),
+    title: Joi.string().min(5).max(200).presence(presence).messages({
+      'string.min': 'Job title must be at least 5 characters long',
+      'any.required': 'Job title is required'
+    }),
+    description: Joi.string().min(50).presence(presence).messages({
+      'string.min': 'Job description must be at least 50 characters long',
+      'any.required': 'Job description is required'
+    }),
+    requirements: Joi.string().allow('', null).optional(),
+    location: Joi.string().max(200).allow('', null).optional(),
+    salary_min: Joi.number().positive().allow(null).optional(),
+    salary_max: Joi.number().positive().allow(null).optional(),
+    salary_currency: salaryCurrency.allow(null).optional(),
+    salary_period: salaryPeriod.allow(null).optional(),
+    employment_type: Joi.string().valid('full-time', 'part-time', 'contract', 'internship').allow(null).optional(),
+    experience_level: Joi.string().valid('entry', 'mid', 'senior', 'executive').allow(null).optional(),
+    work_mode: Joi.string().valid('onsite', 'hybrid', 'remote').allow(null).optional(),
+    remote_regions: Joi.array().items(Joi.string().max(60)).max(50).allow(null).optional(),
+    screening_questions: Joi.array().items(screeningQuestionSchema).max(30).unique('id', { ignoreUndefined: true }).optional(),
+    skills: jobSkillsSchema.optional()
   });
 
   const { error } = schema.validate(req.body);
@@ -168,7 +476,6 @@ const validateJob = (req, res, next) => {
     });
   }
 
-  // Validate salary range
   if (req.body.salary_min && req.body.salary_max && req.body.salary_min > req.body.salary_max) {
     return res.status(400).json({
       success: false,
@@ -179,6 +486,327 @@ const validateJob = (req, res, next) => {
   next();
 };
 
+// Job fields an import profile can map a column to or give a default
+const importFieldPath = Joi.string().min(1).max(200);
+const IMPORT_JOB_FIELDS = [
+  'title',
+  'description',
+  'requirements',
+  'location',
+  'salary_min',
+  'salary_max',
+  'salary_currency',
+  'salary_period',
+  'employment_type',
+  'experience_level',
+  'application_deadline',
+  'work_mode',
+  'remote_regions',
+  'latitude',
+  'longitude',
+  'skills'
+];
+
+// Job import profile validation; every field is optional when updating. Row
+// values are checked with the job rules when an import runs.
+const validateJobImportProfile = (req, res, next) => {
+  const presence = req.method === 'POST' ? 'required' : 'optional';
+  const schema = Joi.object({
+    name: Joi.string().min(1).max(100).presence(presence).messages({
+      'string.max': 'Profile name cannot exceed 100 characters',
+      'any.required': 'Profile name is required'
+    }),
+    company_id: Joi.number().integer().positive().allow(null).optional(),
+    format: Joi.string().valid('csv', 'json', 'xml').presence(presence).messages({
+      'any.only': 'Format must be csv, json or xml',
+      'any.required': 'Feed format is required'
+    }),
+    record_path: Joi.string().max(200).allow('', null).optional(),
+    mapping: Joi.object({
+      external_ref: importFieldPath.required().messages({
+        'any.required': 'Map a column to external_ref, the id jobs are matched on'
+      }),
+      ...Object.fromEntries(IMPORT_JOB_FIELDS.map(field => [field, importFieldPath.optional()]))
+    }).presence(presence).messages({
+      'object.unknown': '{#label} is not a job field that can be imported',
+      'any.required': 'Column mapping is required'
+    }),
+    defaults: Joi.object(Object.fromEntries(IMPORT_JOB_FIELDS.map(field => [
+      field,
+      Joi.alternatives().try(Joi.string().max(5000), Joi.number(), Joi.array().items(Joi.string().max(100)).max(50))
+    ]))).optional().messages({
+      'object.unknown': '{#label} is not a job field that can be imported'
+    }),
+    publish_status: Joi.string().valid('draft', 'published').optional(),
+    close_missing: Joi.boolean().optional(),
+    source_type: Joi.string().valid('upload', 'file', 'url').optional(),
+    source_location: Joi.when('source_type', {
+      switch: [
+        {
+          is: 'url',
+          then: Joi.string().uri({ scheme: ['http', 'https'] }).max(500).required()
+        },
+        {
+          is: 'file',
+          then: Joi.string().max(500).required()
+        }
+      ],
+      otherwise: Joi.string().max(500).allow('', null).optional()
+    }).messages({
+      'string.uriCustomScheme': 'Feed URL must be an http or https URL',
+      'any.required': 'Scheduled sources need a file path or URL'
+    }),
+    schedule: Joi.string().valid('manual', 'hourly', 'daily', 'weekly').optional()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// Job promotion validation; only the budget, end date and status change later
+const validatePromotion = (req, res, next) => {
+  const budget = Joi.number().positive().precision(2).messages({
+    'number.base': 'Budget must be a number',
+    'number.positive': 'Budget must be positive',
+    'any.required': 'Budget is required'
+  });
+  const endsAt = Joi.date().messages({
+    'date.base': 'End date must be a valid date',
+    'any.required': 'End date is required'
+  });
+
+  const schema = req.method === 'POST'
+    ? Joi.object({
+      job_id: Joi.number().integer().positive().required().messages({
+        'any.required': 'Job is required'
+      }),
+      type: Joi.string().valid('featured', 'sponsored').required().messages({
+        'any.only': 'Type must be featured or sponsored',
+        'any.required': 'Promotion type is required'
+      }),
+      starts_at: Joi.date().allow(null).optional(),
+      ends_at: endsAt.required(),
+      budget: budget.required()
+    })
+    : Joi.object({
+      budget: budget.optional(),
+      ends_at: endsAt.optional(),
+      status: Joi.string().valid('active', 'paused').optional().messages({
+        'any.only': 'Status must be active or paused'
+      })
+    }).min(1).messages({
+      'object.min': 'Nothing to update'
+    });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// Company validation
+const validateCompany = (req, res, next) => {
+  const schema = Joi.object({
+    name: Joi.string().min(2).max(200).required().messages({
+      'string.min': 'Company name must be at least 2 characters long',
+      'string.max': 'Company name cannot exceed 200 characters',
+      'any.required': 'Company name is required'
+    }),
+    logo_url: Joi.string().uri().max(500).allow('', null).optional().messages({
+      'string.uri': 'Logo must be a valid URL'
+    }),
+    website: Joi.string().uri().max(500).allow('', null).optional().messages({
+      'string.uri': 'Website must be a valid URL'
+    }),
+    description: Joi.string().max(5000).allow('', null).optional().messages({
+      'string.max': 'Description cannot exceed 5000 characters'
+    }),
+    size: Joi.string().valid('1-10', '11-50', '51-200', '201-500', '501-1000', '1000+').allow(null).optional(),
+    industry: Joi.string().max(100).allow('', null).optional()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// Company invitation validation
+const validateCompanyInvitation = (req, res, next) => {
+  const schema = Joi.object({
+    email: Joi.string().email().required().messages({
+      'string.email': 'Please provide a valid email address',
+      'any.required': 'Email is required'
+    }),
+    role: Joi.string().valid('owner', 'recruiter', 'hiring_manager', 'viewer').required().messages({
+      'any.only': 'Role must be one of owner, recruiter, hiring_manager or viewer',
+      'any.required': 'Role is required'
+    })
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// API key validation
+const validateApiKey = (req, res, next) => {
+  const schema = Joi.object({
+    name: Joi.string().min(1).max(100).required().messages({
+      'string.max': 'Key name cannot exceed 100 characters',
+      'any.required': 'Key name is required'
+    }),
+    scopes: Joi.array().items(
+      Joi.string().valid(
+        'jobs:read',
+        'jobs:write',
+        'applications:read',
+        'applications:write',
+        'resumes:read',
+        'resumes:write',
+        'ai:read',
+        'ai:write'
+      )
+    ).min(1).unique().required().messages({
+      'array.min': 'Select at least one scope',
+      'any.only': 'Unknown scope',
+      'any.required': 'Scopes are required'
+    }),
+    rate_limit_per_minute: Joi.number().integer().min(1).max(1000).default(60),
+    expires_in_days: Joi.number().integer().min(1).max(365).allow(null)
+  });
+
+  const { error, value } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+// Webhook subscription validation
+const validateWebhookSubscription = (req, res, next) => {
+  const schema = Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).max(500).required().messages({
+      'string.uri': 'Please provide a valid http(s) URL',
+      'any.required': 'Endpoint URL is required'
+    }),
+    events: Joi.array().items(
+      Joi.string().valid(
+        'job.created',
+        'job.published',
+        'job.closed',
+        'application.created',
+        'application.status_changed',
+        'resume.analyzed'
+      )
+    ).min(1).unique().required().messages({
+      'array.min': 'Select at least one event',
+      'any.only': 'Unknown event type',
+      'any.required': 'Events are required'
+    }),
+    description: Joi.string().max(200).allow('', null),
+    company_id: Joi.number().integer().allow(null),
+    is_active: Joi.boolean()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// Inbound resume-analysis webhook validation
+const validateResumeAnalysisWebhook = (req, res, next) => {
+  const schema = Joi.object({
+    resume_id: Joi.number().integer().positive().required().messages({
+      'any.required': 'Resume ID is required'
+    }),
+    user_id: Joi.number().integer().positive(),
+    analysis_type: Joi.string().valid('resume_score', 'skills_gap').default('resume_score').messages({
+      'any.only': 'Analysis type must be resume_score or skills_gap'
+    }),
+    target_role: Joi.string().max(200),
+    target_industry: Joi.string().max(200),
+    callback_url: Joi.string().uri({ scheme: ['http', 'https'] }).max(500).messages({
+      'string.uri': 'Callback URL must be a valid http(s) URL'
+    })
+  });
+
+  const { error, value } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+// Inbound job-matching webhook validation
+const validateJobMatchingWebhook = (req, res, next) => {
+  const schema = Joi.object({
+    user_id: Joi.number().integer().positive(),
+    resume_id: Joi.number().integer().positive(),
+    limit: Joi.number().integer().min(1).max(20).default(10),
+    preferences: Joi.object({
+      location: Joi.string().max(200),
+      salary_min: Joi.number().min(0),
+      salary_currency: salaryCurrency,
+      salary_period: salaryPeriod,
+      skills: Joi.array().items(Joi.string().max(100)).max(50)
+    }).default({}),
+    callback_url: Joi.string().uri({ scheme: ['http', 'https'] }).max(500).messages({
+      'string.uri': 'Callback URL must be a valid http(s) URL'
+    })
+  });
+
+  const { error, value } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
 // Application validation
 const validateApplication = (req, res, next) => {
   const schema = Joi.object({
@@ -192,7 +820,27 @@ const validateApplication = (req, res, next) => {
     }),
     cover_letter: Joi.string().max(2000).optional().messages({
       'string.max': 'Cover letter cannot exceed 2000 characters'
-    })
+    }),
+    // Screening answers keyed by question id; each is checked against the
+    // job's questions when the application is created
+    answers: Joi.object().pattern(
+      Joi.string().max(50),
+      Joi.alternatives().try(
+        Joi.boolean(),
+        Joi.number(),
+        Joi.string().max(2000),
+        Joi.array().items(Joi.string().max(200)).max(20).unique()
+      ).allow(null)
+    ).optional().messages({
+      'alternatives.types': 'Screening answers must be yes/no, a number, text or a list of options'
+    }),
+    // Where the applicant found the job, as sent with `GET /api/jobs/:id`
+    attribution: Joi.object({
+      utm_source: Joi.string().max(200).allow(''),
+      utm_medium: Joi.string().max(200).allow(''),
+      utm_campaign: Joi.string().max(200).allow(''),
+      referrer: Joi.string().max(2000).allow('')
+    }).optional()
   });
 
   const { error } = schema.validate(req.body);
@@ -220,11 +868,102 @@ const validate = (schema) => {
   };
 };
 
+// Saved search validation; every field is optional when updating
+const validateSavedSearch = (req, res, next) => {
+  const presence = req.method === 'POST' ? 'required' : 'optional';
+  const schema = Joi.object({
+    name: Joi.string().min(1).max(100).presence(presence).messages({
+      'string.max': 'Name cannot exceed 100 characters',
+      'any.required': 'Name is required'
+    }),
+    // The `GET /api/jobs` query string or an object of its parameters
+    query: Joi.alternatives().try(
+      Joi.string().allow('').max(2000),
+      Joi.object().pattern(Joi.string(), [Joi.string(), Joi.number(), Joi.array().items(Joi.string())])
+    ).presence(presence).messages({
+      'any.required': 'Search query is required'
+    }),
+    frequency: Joi.string().valid('instant', 'daily', 'weekly').optional(),
+    channels: Joi.array().items(Joi.string().valid('email', 'in_app')).min(1).unique().optional().messages({
+      'array.min': 'Choose at least one notification channel'
+    })
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// Bookmark validation; new bookmarks need a platform job_id or an outside job's title
+const validateBookmark = (req, res, next) => {
+  let schema = Joi.object({
+    job_id: Joi.number().integer().positive().optional(),
+    title: Joi.string().max(200).optional().messages({
+      'string.max': 'Job title cannot exceed 200 characters'
+    }),
+    company_name: Joi.string().max(200).allow('', null).optional(),
+    url: Joi.string().uri().max(500).allow('', null).optional().messages({
+      'string.uri': 'Job link must be a valid URL'
+    }),
+    location: Joi.string().max(200).allow('', null).optional(),
+    notes: Joi.string().max(5000).allow('', null).optional().messages({
+      'string.max': 'Notes cannot exceed 5000 characters'
+    }),
+    tags: Joi.array().items(Joi.string().max(50)).max(20).unique().optional().messages({
+      'array.max': 'A bookmark can have at most 20 tags'
+    }),
+    stage: Joi.string().valid('saved', 'applied', 'interviewing', 'offer', 'rejected', 'withdrawn').optional(),
+    applied_at: Joi.date().allow(null).optional(),
+    deadline: Joi.date().allow(null).optional(),
+    remind_days_before: Joi.number().integer().min(0).max(30).allow(null).optional()
+  });
+  if (req.method === 'POST') {
+    schema = schema.or('job_id', 'title').messages({
+      'object.missing': 'Either job_id or title is required'
+    });
+  }
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   validateRegistration,
   validateLogin,
+  validateRefreshToken,
+  validateEmailRequest,
+  validatePasswordReset,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateAccountDeletion,
   validateResume,
+  jobErrors,
   validateJob,
+  validateJobStatus,
+  validateJobTemplate,
+  validateJobImportProfile,
+  validatePromotion,
+  validateCompany,
+  validateCompanyInvitation,
+  validateApiKey,
+  validateWebhookSubscription,
+  validateResumeAnalysisWebhook,
+  validateJobMatchingWebhook,
+  validateSavedSearch,
+  validateBookmark,
   validateApplication,
   validate
 };
\ No newline at end of file
@@ -0,0 +1,78 @@
+module.exports = (sequelize, DataTypes) => {
+  const ApiKey = sequelize.define('ApiKey', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    key_prefix: {
+      type: DataTypes.STRING(16),
+      allowNull: false
+    },
+    key_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    // HMAC secret for signed webhook requests; unlike the key it has to be
+    // kept readable to verify them. Null for keys created before signing.
+    signing_secret: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    scopes: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    rate_limit_per_minute: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 60
+    },
+    last_used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    last_used_ip: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'api_keys',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['user_id']
+      },
+      {
+        unique: true,
+        fields: ['key_hash']
+      }
+    ]
+  });
+
+  return ApiKey;
+};
\ No newline at end of file
@@ -0,0 +1,86 @@
+module.exports = (sequelize, DataTypes) => {
+  const AuditLog = sequelize.define('AuditLog', {
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    actor_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    actor_role: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    action: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    target_type: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    target_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    company_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    changes: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    metadata: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    ip_address: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    user_agent: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    request_id: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    }
+  }, {
+    tableName: 'audit_logs',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['actor_id']
+      },
+      {
+        fields: ['action']
+      },
+      {
+        fields: ['target_type', 'target_id']
+      },
+      {
+        fields: ['company_id']
+      },
+      {
+        fields: ['created_at']
+      }
+    ]
+  });
+
+  // The audit trail is append-only
+  const rejectMutation = () => {
+    throw new Error('Audit log entries are immutable');
+  };
+  AuditLog.beforeUpdate(rejectMutation);
+  AuditLog.beforeBulkUpdate(rejectMutation);
+  AuditLog.beforeDestroy(rejectMutation);
+  AuditLog.beforeBulkDestroy(rejectMutation);
+
+  return AuditLog;
+};
\ No newline at end of file
@@ -0,0 +1,49 @@
+module.exports = (sequelize, DataTypes) => {
+  const AuthToken = sequelize.define('AuthToken', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    purpose: {
+      type: DataTypes.ENUM('email_verification', 'password_reset'),
+      allowNull: false
+    },
+    token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'auth_tokens',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['user_id', 'purpose']
+      },
+      {
+        fields: ['token_hash']
+      }
+    ]
+  });
+
+  return AuthToken;
+};
\ No newline at end of file
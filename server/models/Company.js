@@ -0,0 +1,59 @@
+module.exports = (sequelize, DataTypes) => {
+  const Company = sequelize.define('Company', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(200),
+      allowNull: false
+    },
+    logo_url: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    website: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      validate: {
+        isUrl: true
+      }
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    size: {
+      type: DataTypes.ENUM('1-10', '11-50', '51-200', '201-500', '501-1000', '1000+'),
+      allowNull: true
+    },
+    industry: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'companies',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['name']
+      },
+      {
+        fields: ['industry']
+      }
+    ]
+  });
+
+  return Company;
+};
\ No newline at end of file
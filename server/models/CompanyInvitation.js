@@ -0,0 +1,69 @@
+module.exports = (sequelize, DataTypes) => {
+  const CompanyInvitation = sequelize.define('CompanyInvitation', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    company_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'companies',
+        key: 'id'
+      }
+    },
+    email: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      validate: {
+        isEmail: true
+      }
+    },
+    role: {
+      type: DataTypes.ENUM('owner', 'recruiter', 'hiring_manager', 'viewer'),
+      allowNull: false,
+      defaultValue: 'recruiter'
+    },
+    token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    invited_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    accepted_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'company_invitations',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['company_id']
+      },
+      {
+        fields: ['email']
+      }
+    ]
+  });
+
+  return CompanyInvitation;
+};
\ No newline at end of file
@@ -0,0 +1,46 @@
+module.exports = (sequelize, DataTypes) => {
+  const CompanyMember = sequelize.define('CompanyMember', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    company_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'companies',
+        key: 'id'
+      }
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    role: {
+      type: DataTypes.ENUM('owner', 'recruiter', 'hiring_manager', 'viewer'),
+      allowNull: false,
+      defaultValue: 'recruiter'
+    }
+  }, {
+    tableName: 'company_members',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['company_id', 'user_id']
+      },
+      {
+        fields: ['user_id']
+      }
+    ]
+  });
+
+  return CompanyMember;
+};
\ No newline at end of file
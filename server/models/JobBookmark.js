@@ -0,0 +1,90 @@
+module.exports = (sequelize, DataTypes) => {
+  const JobBookmark = sequelize.define('JobBookmark', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // Null for jobs found, and possibly applied to, outside the platform
+    job_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'jobs',
+        key: 'id'
+      }
+    },
+    title: {
+      type: DataTypes.STRING(200),
+      allowNull: true
+    },
+    company_name: {
+      type: DataTypes.STRING(200),
+      allowNull: true
+    },
+    url: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    location: {
+      type: DataTypes.STRING(200),
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    tags: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    stage: {
+      type: DataTypes.ENUM('saved', 'applied', 'interviewing', 'offer', 'rejected', 'withdrawn'),
+      allowNull: false,
+      defaultValue: 'saved'
+    },
+    applied_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Platform jobs use the posting's application_deadline instead
+    deadline: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    remind_days_before: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      defaultValue: 3
+    },
+    reminder_sent_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'job_bookmarks',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['user_id', 'job_id']
+      },
+      {
+        fields: ['stage', 'reminder_sent_at']
+      }
+    ]
+  });
+
+  return JobBookmark;
+};
\ No newline at end of file
@@ -0,0 +1,71 @@
+module.exports = (sequelize, DataTypes) => {
+  // Per-job daily counters, one row per day and traffic source. Rows are
+  // bumped in place by services/jobAnalytics and never hold user ids.
+  const JobDailyStat = sequelize.define('JobDailyStat', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    job_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'jobs',
+        key: 'id'
+      }
+    },
+    date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    // utm_source, else the referring site, else "direct"
+    source: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    // utm_medium, else "organic", "referral" or "none" from the referrer
+    medium: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      defaultValue: 'none'
+    },
+    // Empty rather than null so the unique key holds
+    campaign: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      defaultValue: ''
+    },
+    referrer_host: {
+      type: DataTypes.STRING(191),
+      allowNull: false,
+      defaultValue: ''
+    },
+    views: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    apply_starts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    applications: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    }
+  }, {
+    tableName: 'job_daily_stats',
+    timestamps: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['job_id', 'date', 'source', 'medium', 'campaign', 'referrer_host']
+      }
+    ]
+  });
+
+  return JobDailyStat;
+};
\ No newline at end of file
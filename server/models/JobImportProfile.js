@@ -0,0 +1,112 @@
+module.exports = (sequelize, DataTypes) => {
+  const JobImportProfile = sequelize.define('JobImportProfile', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // Creator; imported jobs are posted under their name
+    employer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // Company profiles import company jobs and are shared like templates
+    company_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'companies',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    format: {
+      type: DataTypes.ENUM('csv', 'json', 'xml'),
+      allowNull: false
+    },
+    // Where the job records sit in JSON and XML feeds, e.g. "data.jobs" or
+    // "source.job"
+    record_path: {
+      type: DataTypes.STRING(200),
+      allowNull: true
+    },
+    // Job field -> column name (CSV) or dotted path in the record (JSON, XML);
+    // `external_ref` is the upsert key
+    mapping: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    // Job field -> value used when the mapped column is empty
+    defaults: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {}
+    },
+    // Status of newly imported jobs
+    publish_status: {
+      type: DataTypes.ENUM('draft', 'published'),
+      allowNull: false,
+      defaultValue: 'published'
+    },
+    // Close jobs this profile imported once they drop out of the feed
+    close_missing: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    // Scheduled runs read the feed from a file under JOB_IMPORT_DIR or a URL;
+    // uploads only run on demand
+    source_type: {
+      type: DataTypes.ENUM('upload', 'file', 'url'),
+      allowNull: false,
+      defaultValue: 'upload'
+    },
+    source_location: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    schedule: {
+      type: DataTypes.ENUM('manual', 'hourly', 'daily', 'weekly'),
+      allowNull: false,
+      defaultValue: 'manual'
+    },
+    next_run_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    last_run_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Counts and row errors of the last real (not dry) run
+    last_run: {
+      type: DataTypes.JSON,
+      allowNull: true
+    }
+  }, {
+    tableName: 'job_import_profiles',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['employer_id']
+      },
+      {
+        fields: ['company_id']
+      },
+      {
+        fields: ['schedule', 'next_run_at']
+      }
+    ]
+  });
+
+  return JobImportProfile;
+};
\ No newline at end of file
@@ -0,0 +1,128 @@
+module.exports = (sequelize, DataTypes) => {
+  // A paid placement of a job in search results. Featured jobs take the top
+  // slots of a results page, sponsored jobs slots further down. Prices are
+  // copied from the rules when it is bought so later changes do not apply.
+  const JobPromotion = sequelize.define('JobPromotion', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // Null once the job is deleted; its charges stay on the ledger
+    job_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'jobs',
+        key: 'id'
+      }
+    },
+    // Billed account: the job's company, else its employer personally
+    employer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    company_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'companies',
+        key: 'id'
+      }
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // The job's title when the promotion was bought, for invoices
+    job_title: {
+      type: DataTypes.STRING(200),
+      allowNull: false
+    },
+    type: {
+      type: DataTypes.ENUM('featured', 'sponsored'),
+      allowNull: false
+    },
+    // Set by the employer; whether it runs also depends on its dates and budget
+    status: {
+      type: DataTypes.ENUM('active', 'paused', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'active'
+    },
+    starts_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    ends_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    budget: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false
+    },
+    price_per_1000_impressions: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    price_per_click: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    // Running totals; promotion_charges holds them per day
+    spent: {
+      type: DataTypes.DECIMAL(12, 4),
+      allowNull: false,
+      defaultValue: 0
+    },
+    impressions: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    clicks: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    cancelled_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'job_promotions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['job_id']
+      },
+      {
+        fields: ['status', 'starts_at', 'ends_at']
+      },
+      {
+        fields: ['employer_id']
+      },
+      {
+        fields: ['company_id']
+      }
+    ]
+  });
+
+  return JobPromotion;
+};
\ No newline at end of file
@@ -0,0 +1,59 @@
+module.exports = (sequelize, DataTypes) => {
+  // Denormalized search text per job. Columns hold analyzed, encoded terms
+  // (see services/search/mysqlEngine.js), not display text.
+  const JobSearchDocument = sequelize.define('JobSearchDocument', {
+    job_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      references: {
+        model: 'jobs',
+        key: 'id'
+      }
+    },
+    title_terms: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    company_terms: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    skills_terms: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    body_terms: {
+      type: DataTypes.TEXT('medium'),
+      allowNull: false
+    }
+  }, {
+    tableName: 'job_search_documents',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        type: 'FULLTEXT',
+        fields: ['title_terms', 'company_terms', 'skills_terms', 'body_terms']
+      },
+      {
+        type: 'FULLTEXT',
+        fields: ['title_terms']
+      },
+      {
+        type: 'FULLTEXT',
+        fields: ['company_terms']
+      },
+      {
+        type: 'FULLTEXT',
+        fields: ['skills_terms']
+      },
+      {
+        type: 'FULLTEXT',
+        fields: ['body_terms']
+      }
+    ]
+  });
+
+  return JobSearchDocument;
+};
\ No newline at end of file
@@ -0,0 +1,16 @@
+module.exports = (sequelize, DataTypes) => {
+  // Vocabulary of indexed terms, used to correct typos in queries
+  const JobSearchTerm = sequelize.define('JobSearchTerm', {
+    term: {
+      type: DataTypes.STRING(40),
+      primaryKey: true
+    }
+  }, {
+    tableName: 'job_search_terms',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+  });
+
+  return JobSearchTerm;
+};
\ No newline at end of file
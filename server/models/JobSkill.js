@@ -0,0 +1,55 @@
+module.exports = (sequelize, DataTypes) => {
+  const JobSkill = sequelize.define('JobSkill', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    job_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'jobs',
+        key: 'id'
+      }
+    },
+    skill_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'skills',
+        key: 'id'
+      }
+    },
+    importance: {
+      type: DataTypes.ENUM('required', 'preferred'),
+      allowNull: false,
+      defaultValue: 'required'
+    },
+    // Same scale as resume_skills.proficiency_level; null means any level
+    min_proficiency: {
+      type: DataTypes.ENUM('beginner', 'intermediate', 'advanced', 'expert'),
+      allowNull: true
+    },
+    min_years: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  }, {
+    tableName: 'job_skills',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['job_id', 'skill_id']
+      },
+      {
+        fields: ['skill_id']
+      }
+    ]
+  });
+
+  return JobSkill;
+};
\ No newline at end of file
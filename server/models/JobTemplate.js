@@ -0,0 +1,114 @@
+module.exports = (sequelize, DataTypes) => {
+  const JobTemplate = sequelize.define('JobTemplate', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // Creator; personal templates (no company) are only visible to them
+    employer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // Company templates are shared with every member who can manage its jobs
+    company_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'companies',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    title: {
+      type: DataTypes.STRING(200),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    requirements: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    location: {
+      type: DataTypes.STRING(200),
+      allowNull: true
+    },
+    salary_min: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    salary_max: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    salary_currency: {
+      type: DataTypes.CHAR(3),
+      allowNull: true
+    },
+    salary_period: {
+      type: DataTypes.ENUM('hourly', 'daily', 'monthly', 'yearly'),
+      allowNull: true
+    },
+    employment_type: {
+      type: DataTypes.ENUM('full-time', 'part-time', 'contract', 'internship'),
+      allowNull: true
+    },
+    experience_level: {
+      type: DataTypes.ENUM('entry', 'mid', 'senior', 'executive'),
+      allowNull: true
+    },
+    work_mode: {
+      type: DataTypes.ENUM('onsite', 'hybrid', 'remote'),
+      allowNull: true
+    },
+    remote_regions: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    screening_questions: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    // Job skills in the `skills` shape `POST /api/jobs` accepts
+    skills: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    usage_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    last_used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'job_templates',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['employer_id']
+      },
+      {
+        fields: ['company_id']
+      }
+    ]
+  });
+
+  return JobTemplate;
+};
\ No newline at end of file
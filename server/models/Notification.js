@@ -0,0 +1,52 @@
+module.exports = (sequelize, DataTypes) => {
+  const Notification = sequelize.define('Notification', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    type: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    title: {
+      type: DataTypes.STRING(200),
+      allowNull: false
+    },
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    data: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    read_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'notifications',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['user_id', 'read_at']
+      },
+      {
+        fields: ['created_at']
+      }
+    ]
+  });
+
+  return Notification;
+};
\ No newline at end of file
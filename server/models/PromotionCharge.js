@@ -0,0 +1,49 @@
+module.exports = (sequelize, DataTypes) => {
+  // The billing ledger: what a promotion was charged per day for its
+  // impressions or clicks. Rows are bumped in place by services/jobPromotions
+  // and invoices are summed from them.
+  const PromotionCharge = sequelize.define('PromotionCharge', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    promotion_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'job_promotions',
+        key: 'id'
+      }
+    },
+    date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    kind: {
+      type: DataTypes.ENUM('impression', 'click'),
+      allowNull: false
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    amount: {
+      type: DataTypes.DECIMAL(12, 4),
+      allowNull: false,
+      defaultValue: 0
+    }
+  }, {
+    tableName: 'promotion_charges',
+    timestamps: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['promotion_id', 'date', 'kind']
+      }
+    ]
+  });
+
+  return PromotionCharge;
+};
\ No newline at end of file
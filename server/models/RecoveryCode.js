@@ -0,0 +1,37 @@
+module.exports = (sequelize, DataTypes) => {
+  const RecoveryCode = sequelize.define('RecoveryCode', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    code_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'two_factor_recovery_codes',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['user_id']
+      }
+    ]
+  });
+
+  return RecoveryCode;
+};
\ No newline at end of file
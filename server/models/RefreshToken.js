@@ -0,0 +1,45 @@
+module.exports = (sequelize, DataTypes) => {
+  const RefreshToken = sequelize.define('RefreshToken', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    session_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'user_sessions',
+        key: 'id'
+      }
+    },
+    token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'refresh_tokens',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['session_id']
+      },
+      {
+        fields: ['token_hash']
+      }
+    ]
+  });
+
+  return RefreshToken;
+};
\ No newline at end of file
@@ -37,10 +37,58 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING(200),
       allowNull: true
     },
+    // Geocoded from `location`; used to match jobs within commuting range
+    city: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    region: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    country: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    country_code: {
+      type: DataTypes.CHAR(2),
+      allowNull: true
+    },
+    latitude: {
+      type: DataTypes.DECIMAL(9, 6),
+      allowNull: true
+    },
+    longitude: {
+      type: DataTypes.DECIMAL(9, 6),
+      allowNull: true
+    },
+    preferred_work_modes: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    max_commute_km: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
     salary_expectation: {
       type: DataTypes.DECIMAL(10, 2),
       allowNull: true
     },
+    salary_expectation_currency: {
+      type: DataTypes.CHAR(3),
+      allowNull: false,
+      defaultValue: 'USD'
+    },
+    salary_expectation_period: {
+      type: DataTypes.ENUM('hourly', 'daily', 'monthly', 'yearly'),
+      allowNull: false,
+      defaultValue: 'yearly'
+    },
+    // Yearly, in the normalized currency (see services/salary)
+    salary_expectation_annual: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
     resume_file_url: {
       type: DataTypes.STRING(500),
       allowNull: true
@@ -0,0 +1,79 @@
+module.exports = (sequelize, DataTypes) => {
+  const SavedSearch = sequelize.define('SavedSearch', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    // `GET /api/jobs` filter parameters, e.g. { search: 'react', work_mode: 'remote' }
+    filters: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {}
+    },
+    frequency: {
+      type: DataTypes.ENUM('instant', 'daily', 'weekly'),
+      allowNull: false,
+      defaultValue: 'daily'
+    },
+    channels: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: ['email', 'in_app']
+    },
+    is_paused: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    unsubscribe_token: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    // Jobs created after this have not been alerted yet
+    last_run_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    next_run_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    last_notified_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'saved_searches',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['user_id']
+      },
+      {
+        fields: ['is_paused', 'next_run_at']
+      },
+      {
+        unique: true,
+        fields: ['unsubscribe_token']
+      }
+    ]
+  });
+
+  return SavedSearch;
+};
\ No newline at end of file
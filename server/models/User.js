@@ -40,6 +40,35 @@ module.exports = (sequelize, DataTypes) => {
     is_active: {
       type: DataTypes.BOOLEAN,
       defaultValue: true
+    },
+    email_verified_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    two_factor_enabled: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    two_factor_secret: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    // Last TOTP time step a code was accepted for; older codes are replays
+    two_factor_last_step: {
+      type: DataTypes.BIGINT,
+      allowNull: true
+    },
+    deletion_requested_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    deletion_scheduled_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    deleted_at: {
+      type: DataTypes.DATE,
+      allowNull: true
     }
   }, {
     tableName: 'users',
@@ -52,6 +81,9 @@ module.exports = (sequelize, DataTypes) => {
       },
       {
         fields: ['role']
+      },
+      {
+        fields: ['deletion_scheduled_at']
       }
     ]
   });
@@ -0,0 +1,56 @@
+module.exports = (sequelize, DataTypes) => {
+  const UserSession = sequelize.define('UserSession', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    user_agent: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    ip_address: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    last_used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revoked_reason: {
+      type: DataTypes.ENUM('logout', 'user_revoked', 'token_reuse', 'password_change', 'admin_revoked'),
+      allowNull: true
+    }
+  }, {
+    tableName: 'user_sessions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['user_id']
+      },
+      {
+        fields: ['revoked_at']
+      }
+    ]
+  });
+
+  return UserSession;
+};
\ No newline at end of file
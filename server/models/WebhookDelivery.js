@@ -0,0 +1,72 @@
+module.exports = (sequelize, DataTypes) => {
+  const WebhookDelivery = sequelize.define('WebhookDelivery', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    subscription_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'webhook_subscriptions',
+        key: 'id'
+      }
+    },
+    event: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    event_id: {
+      type: DataTypes.STRING(36),
+      allowNull: false
+    },
+    payload: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'succeeded', 'failed'),
+      defaultValue: 'pending'
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    next_attempt_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    response_status: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    error: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    delivered_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    replay_of: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  }, {
+    tableName: 'webhook_deliveries',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['subscription_id']
+      },
+      {
+        fields: ['status', 'next_attempt_at']
+      }
+    ]
+  });
+
+  return WebhookDelivery;
+};
\ No newline at end of file
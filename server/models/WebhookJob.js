@@ -0,0 +1,104 @@
+module.exports = (sequelize, DataTypes) => {
+  const WebhookJob = sequelize.define('WebhookJob', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    api_key_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    type: {
+      type: DataTypes.ENUM('resume_analysis', 'job_matching'),
+      allowNull: false
+    },
+    idempotency_key: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    request_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    payload: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('queued', 'processing', 'succeeded', 'failed'),
+      defaultValue: 'queued'
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    result: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    error: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    started_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    callback_url: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    callback_secret: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    callback_status: {
+      type: DataTypes.ENUM('pending', 'succeeded', 'failed'),
+      allowNull: true
+    },
+    callback_attempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    callback_next_attempt_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    callback_response_status: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  }, {
+    tableName: 'webhook_jobs',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['user_id', 'idempotency_key']
+      },
+      {
+        fields: ['status', 'started_at']
+      },
+      {
+        fields: ['callback_status', 'callback_next_attempt_at']
+      }
+    ]
+  });
+
+  return WebhookJob;
+};
\ No newline at end of file
@@ -0,0 +1,61 @@
+module.exports = (sequelize, DataTypes) => {
+  const WebhookSubscription = sequelize.define('WebhookSubscription', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    company_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'companies',
+        key: 'id'
+      }
+    },
+    url: {
+      type: DataTypes.STRING(500),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.STRING(200),
+      allowNull: true
+    },
+    events: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    secret: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'webhook_subscriptions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['user_id']
+      },
+      {
+        fields: ['company_id']
+      }
+    ]
+  });
+
+  return WebhookSubscription;
+};
\ No newline at end of file
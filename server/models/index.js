@@ -30,6 +30,29 @@ const Education = require('./Education')(sequelize, DataTypes);
 const Job = require('./Job')(sequelize, DataTypes);
 const Application = require('./Application')(sequelize, DataTypes);
 const AIAnalysis = require('./AIAnalysis')(sequelize, DataTypes);
+const UserSession = require('./UserSession')(sequelize, DataTypes);
+const RefreshToken = require('./RefreshToken')(sequelize, DataTypes);
+const AuthToken = require('./AuthToken')(sequelize, DataTypes);
+const RecoveryCode = require('./RecoveryCode')(sequelize, DataTypes);
+const Company = require('./Company')(sequelize, DataTypes);
+const CompanyMember = require('./CompanyMember')(sequelize, DataTypes);
+const CompanyInvitation = require('./CompanyInvitation')(sequelize, DataTypes);
+const AuditLog = require('./AuditLog')(sequelize, DataTypes);
+const ApiKey = require('./ApiKey')(sequelize, DataTypes);
+const WebhookSubscription = require('./WebhookSubscription')(sequelize, DataTypes);
+const WebhookDelivery = require('./WebhookDelivery')(sequelize, DataTypes);
+const WebhookJob = require('./WebhookJob')(sequelize, DataTypes);
+const JobSearchDocument = require('./JobSearchDocument')(sequelize, DataTypes);
+const JobSearchTerm = require('./JobSearchTerm')(sequelize, DataTypes);
+const SavedSearch = require('./SavedSearch')(sequelize, DataTypes);
+const Notification = require('./Notification')(sequelize, DataTypes);
+const JobBookmark = require('./JobBookmark')(sequelize, DataTypes);
+const JobTemplate = require('./JobTemplate')(sequelize, DataTypes);
+const JobSkill = require('./JobSkill')(sequelize, DataTypes);
+const JobImportProfile = require('./JobImportProfile')(sequelize, DataTypes);
+const JobDailyStat = require('./JobDailyStat')(sequelize, DataTypes);
+const JobPromotion = require('./JobPromotion')(sequelize, DataTypes);
+const PromotionCharge = require('./PromotionCharge')(sequelize, DataTypes);
 
 // Define associations
 User.hasMany(Resume, { foreignKey: 'user_id', as: 'resumes' });
@@ -65,6 +88,98 @@ AIAnalysis.belongsTo(Resume, { foreignKey: 'resume_id' });
 Job.hasMany(AIAnalysis, { foreignKey: 'job_id' });
 AIAnalysis.belongsTo(Job, { foreignKey: 'job_id' });
 
+User.hasMany(UserSession, { foreignKey: 'user_id', as: 'sessions' });
+UserSession.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+UserSession.hasMany(RefreshToken, { foreignKey: 'session_id', as: 'refresh_tokens', onDelete: 'CASCADE' });
+RefreshToken.belongsTo(UserSession, { foreignKey: 'session_id', as: 'session' });
+
+User.hasMany(AuthToken, { foreignKey: 'user_id', as: 'auth_tokens' });
+AuthToken.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+User.hasMany(RecoveryCode, { foreignKey: 'user_id', as: 'recovery_codes' });
+RecoveryCode.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+Company.hasMany(CompanyMember, { foreignKey: 'company_id', as: 'members' });
+CompanyMember.belongsTo(Company, { foreignKey: 'company_id', as: 'company' });
+
+User.hasMany(CompanyMember, { foreignKey: 'user_id', as: 'company_memberships' });
+CompanyMember.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+Company.hasMany(CompanyInvitation, { foreignKey: 'company_id', as: 'invitations' });
+CompanyInvitation.belongsTo(Company, { foreignKey: 'company_id', as: 'company' });
+CompanyInvitation.belongsTo(User, { foreignKey: 'invited_by', as: 'inviter' });
+
+Company.hasMany(Job, { foreignKey: 'company_id', as: 'jobs' });
+Job.belongsTo(Company, { foreignKey: 'company_id', as: 'company' });
+
+// No FK constraints: audit entries must outlive the users they reference
+AuditLog.belongsTo(User, { foreignKey: 'actor_id', as: 'actor', constraints: false });
+
+User.hasMany(ApiKey, { foreignKey: 'user_id', as: 'api_keys' });
+ApiKey.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+User.hasMany(WebhookSubscription, { foreignKey: 'user_id', as: 'webhook_subscriptions' });
+WebhookSubscription.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+Company.hasMany(WebhookSubscription, { foreignKey: 'company_id', as: 'webhook_subscriptions' });
+WebhookSubscription.belongsTo(Company, { foreignKey: 'company_id', as: 'company' });
+
+WebhookSubscription.hasMany(WebhookDelivery, { foreignKey: 'subscription_id', as: 'deliveries' });
+WebhookDelivery.belongsTo(WebhookSubscription, { foreignKey: 'subscription_id', as: 'subscription' });
+
+User.hasMany(WebhookJob, { foreignKey: 'user_id', as: 'webhook_jobs' });
+WebhookJob.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+Job.hasOne(JobSearchDocument, { foreignKey: 'job_id', as: 'search_document' });
+
+User.hasMany(SavedSearch, { foreignKey: 'user_id', as: 'saved_searches' });
+SavedSearch.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+User.hasMany(Notification, { foreignKey: 'user_id', as: 'notifications' });
+Notification.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+User.hasMany(JobBookmark, { foreignKey: 'user_id', as: 'bookmarks' });
+JobBookmark.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+Job.hasMany(JobBookmark, { foreignKey: 'job_id', as: 'bookmarks' });
+JobBookmark.belongsTo(Job, { foreignKey: 'job_id', as: 'job' });
+
+User.hasMany(JobTemplate, { foreignKey: 'employer_id', as: 'job_templates' });
+JobTemplate.belongsTo(User, { foreignKey: 'employer_id', as: 'employer' });
+
+Company.hasMany(JobTemplate, { foreignKey: 'company_id', as: 'job_templates' });
+JobTemplate.belongsTo(Company, { foreignKey: 'company_id', as: 'company' });
+
+Job.hasMany(JobSkill, { foreignKey: 'job_id', as: 'job_skills' });
+JobSkill.belongsTo(Job, { foreignKey: 'job_id', as: 'job' });
+
+Skill.hasMany(JobSkill, { foreignKey: 'skill_id' });
+JobSkill.belongsTo(Skill, { foreignKey: 'skill_id', as: 'skill' });
+
+User.hasMany(JobImportProfile, { foreignKey: 'employer_id', as: 'job_import_profiles' });
+JobImportProfile.belongsTo(User, { foreignKey: 'employer_id', as: 'employer' });
+
+Company.hasMany(JobImportProfile, { foreignKey: 'company_id', as: 'job_import_profiles' });
+JobImportProfile.belongsTo(Company, { foreignKey: 'company_id', as: 'company' });
+
+JobImportProfile.hasMany(Job, { foreignKey: 'import_profile_id', as: 'jobs' });
+
+Job.hasMany(JobDailyStat, { foreignKey: 'job_id', as: 'daily_stats' });
+JobDailyStat.belongsTo(Job, { foreignKey: 'job_id', as: 'job' });
+
+Job.hasMany(JobPromotion, { foreignKey: 'job_id', as: 'promotions' });
+JobPromotion.belongsTo(Job, { foreignKey: 'job_id', as: 'job' });
+
+User.hasMany(JobPromotion, { foreignKey: 'employer_id', as: 'job_promotions' });
+JobPromotion.belongsTo(User, { foreignKey: 'employer_id', as: 'employer' });
+
+Company.hasMany(JobPromotion, { foreignKey: 'company_id', as: 'job_promotions' });
+JobPromotion.belongsTo(Company, { foreignKey: 'company_id', as: 'company' });
+
+JobPromotion.hasMany(PromotionCharge, { foreignKey: 'promotion_id', as: 'charges' });
+PromotionCharge.belongsTo(JobPromotion, { foreignKey: 'promotion_id', as: 'promotion' });
+
 // Test connection
 const testConnection = async () => {
   try {
@@ -96,6 +211,29 @@ module.exports = {
   Job,
   Application,
   AIAnalysis,
+  UserSession,
+  RefreshToken,
+  AuthToken,
+  RecoveryCode,
+  Company,
+  CompanyMember,
+  CompanyInvitation,
+  AuditLog,
+  ApiKey,
+  WebhookSubscription,
+  WebhookDelivery,
+  WebhookJob,
+  JobSearchDocument,
+  JobSearchTerm,
+  SavedSearch,
+  Notification,
+  JobBookmark,
+  JobTemplate,
+  JobSkill,
+  JobImportProfile,
+  JobDailyStat,
+  JobPromotion,
+  PromotionCharge,
   testConnection,
   syncModels
 };
\ No newline at end of file
@@ -0,0 +1,162 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const rateLimit = require('express-rate-limit');
+const { User } = require('../models');
+const { auth } = require('../middleware/auth');
+const { validateAccountDeletion } = require('../middleware/validation');
+const { streamDataExport } = require('../services/personalData');
+const {
+  GRACE_DAYS,
+  findSoleOwnedCompanies,
+  scheduleDeletion,
+  cancelDeletion
+} = require('../services/accountDeletion');
+const { revokeUserSessions } = require('../services/sessions');
+const { sendAccountDeletionScheduledEmail } = require('../services/emails');
+const { recordAudit } = require('../services/audit');
+const router = express.Router();
+
+// Exports are expensive to build; a few per hour is plenty
+const exportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  message: {
+    success: false,
+    error: 'Too many export requests, please try again later.'
+  }
+});
+
+const deletionStatus = (user) => ({
+  deletion_requested_at: user.deletion_requested_at,
+  deletion_scheduled_at: user.deletion_scheduled_at,
+  grace_period_days: GRACE_DAYS
+});
+
+// GET /api/account/export - Download all personal data as a ZIP archive
+router.get('/export', auth, exportLimiter, async (req, res) => {
+  try {
+    await recordAudit(req, {
+      action: 'account.data_exported',
+      targetType: 'user',
+      targetId: req.user.id
+    });
+
+    await streamDataExport(req.user.id, res);
+
+  } catch (error) {
+    console.error('Data export error:', error);
+    // The archive may already be streaming; we can only abort the response
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export account data'
+    });
+  }
+});
+
+// GET /api/account/deletion - Pending deletion status
+router.get('/deletion', auth, async (req, res) => {
+  res.json({
+    success: true,
+    data: deletionStatus(req.user)
+  });
+});
+
+// POST /api/account/deletion - Schedule account deletion after the grace period
+router.post('/deletion', auth, validateAccountDeletion, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+
+    const isValidPassword = await bcrypt.compare(req.body.password, user.password_hash);
+    if (!isValidPassword) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password is incorrect'
+      });
+    }
+
+    if (user.deletion_scheduled_at) {
+      return res.status(400).json({
+        success: false,
+        error: 'Account deletion is already scheduled'
+      });
+    }
+
+    const soleOwned = await findSoleOwnedCompanies(user.id);
+    if (soleOwned.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Transfer ownership of your companies to another member before deleting your account',
+        company_ids: soleOwned
+      });
+    }
+
+    await scheduleDeletion(user);
+
+    // Keep only the device that made the request signed in
+    await revokeUserSessions(user.id, 'user_revoked', req.userSession.id);
+
+    await recordAudit(req, {
+      action: 'account.deletion_requested',
+      targetType: 'user',
+      targetId: user.id,
+      metadata: { scheduled_for: user.deletion_scheduled_at }
+    });
+
+    sendAccountDeletionScheduledEmail(user).catch(mailError => {
+      console.error('Account deletion email error:', mailError);
+    });
+
+    res.json({
+      success: true,
+      data: deletionStatus(user),
+      message: `Your account will be deleted in ${GRACE_DAYS} days`
+    });
+
+  } catch (error) {
+    console.error('Account deletion request error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to schedule account deletion'
+    });
+  }
+});
+
+// DELETE /api/account/deletion - Cancel a scheduled deletion
+router.delete('/deletion', auth, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+
+    if (!user.deletion_scheduled_at) {
+      return res.status(400).json({
+        success: false,
+        error: 'No account deletion is scheduled'
+      });
+    }
+
+    await cancelDeletion(user);
+
+    await recordAudit(req, {
+      action: 'account.deletion_cancelled',
+      targetType: 'user',
+      targetId: user.id
+    });
+
+    res.json({
+      success: true,
+      data: deletionStatus(user),
+      message: 'Account deletion cancelled'
+    });
+
+  } catch (error) {
+    console.error('Account deletion cancel error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel account deletion'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
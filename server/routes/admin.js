@@ -0,0 +1,621 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { sequelize, User, Job, Application, Resume, Company } = require('../models');
+const { auth, authorize } = require('../middleware/auth');
+const { revokeUserSessions } = require('../services/sessions');
+const { recordAudit } = require('../services/audit');
+const { JobStateError, statusWhere, transitionJob } = require('../services/jobLifecycle');
+const { approveJob, rejectJob } = require('../services/jobModeration');
+
+const USER_ROLES = ['applicant', 'employer', 'admin'];
+const APPLICATION_STATUSES = ['pending', 'reviewed', 'shortlisted', 'rejected', 'hired'];
+
+const safeUserAttributes = { exclude: ['password_hash', 'two_factor_secret'] };
+
+const paginate = (page, limit, count) => ({
+  current_page: parseInt(page),
+  total_pages: Math.ceil(count / limit),
+  total_items: count,
+  items_per_page: parseInt(limit)
+});
+
+// Every admin endpoint requires an authenticated admin
+router.use(auth, authorize('admin'));
+
+// GET /api/admin/stats - Platform-wide counts
+router.get('/stats', async (req, res) => {
+  try {
+    const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+
+    const [
+      usersByRole,
+      inactiveUsers,
+      newUsers,
+      activeJobs,
+      totalJobs,
+      newJobs,
+      jobsInReview,
+      applicationsByStatus,
+      newApplications,
+      resumes,
+      companies
+    ] = await Promise.all([
+      User.count({ group: ['role'] }),
+      User.count({ where: { is_active: false } }),
+      User.count({ where: { created_at: { [Op.gte]: weekAgo } } }),
+      Job.count({ where: { is_active: true } }),
+      Job.count(),
+      Job.count({ where: { created_at: { [Op.gte]: weekAgo } } }),
+      Job.count({ where: { status: 'in_review' } }),
+      Application.count({ group: ['status'] }),
+      Application.count({ where: { applied_at: { [Op.gte]: weekAgo } } }),
+      Resume.count(),
+      Company.count()
+    ]);
+
+    const toMap = (rows, key) => rows.reduce((acc, row) => ({ ...acc, [row[key]]: row.count }), {});
+    const byRole = toMap(usersByRole, 'role');
+    const byStatus = toMap(applicationsByStatus, 'status');
+
+    res.json({
+      success: true,
+      data: {
+        users: {
+          total: Object.values(byRole).reduce((sum, count) => sum + count, 0),
+          by_role: byRole,
+          inactive: inactiveUsers,
+          new_last_7_days: newUsers
+        },
+        jobs: {
+          total: totalJobs,
+          active: activeJobs,
+          inactive: totalJobs - activeJobs,
+          new_last_7_days: newJobs,
+          in_review: jobsInReview
+        },
+        applications: {
+          total: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+          by_status: byStatus,
+          new_last_7_days: newApplications
+        },
+        resumes,
+        companies
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching admin stats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch statistics'
+    });
+  }
+});
+
+// GET /api/admin/users - List and search users
+router.get('/users', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search, role, is_active } = req.query;
+    const offset = (page - 1) * limit;
+
+    const whereClause = {};
+    if (search) {
+      whereClause[Op.or] = [
+        { email: { [Op.like]: `%${search}%` } },
+        { first_name: { [Op.like]: `%${search}%` } },
+        { last_name: { [Op.like]: `%${search}%` } }
+      ];
+    }
+    if (role) {
+      whereClause.role = role;
+    }
+    if (is_active !== undefined && is_active !== '') {
+      whereClause.is_active = is_active === 'true';
+    }
+
+    const users = await User.findAndCountAll({
+      where: whereClause,
+      attributes: safeUserAttributes,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: users.rows,
+      pagination: paginate(page, limit, users.count)
+    });
+
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch users'
+    });
+  }
+});
+
+// GET /api/admin/users/:id - User details with activity counts
+router.get('/users/:id', async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id, { attributes: safeUserAttributes });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const [resumes, applications, jobs] = await Promise.all([
+      Resume.count({ where: { user_id: user.id } }),
+      Application.count({ where: { applicant_id: user.id } }),
+      Job.count({ where: { employer_id: user.id } })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...user.toJSON(),
+        resumes_count: resumes,
+        applications_count: applications,
+        jobs_count: jobs
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch user'
+    });
+  }
+});
+
+// PUT /api/admin/users/:id/status - Activate or deactivate a user
+router.put('/users/:id/status', async (req, res) => {
+  try {
+    const { is_active } = req.body;
+
+    if (typeof is_active !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'is_active must be a boolean'
+      });
+    }
+
+    if (parseInt(req.params.id, 10) === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot change the status of your own account'
+      });
+    }
+
+    const user = await User.findByPk(req.params.id, { attributes: safeUserAttributes });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const before = user.toJSON();
+    await user.update({ is_active });
+
+    await recordAudit(req, {
+      action: is_active ? 'admin.user_activated' : 'admin.user_deactivated',
+      targetType: 'user',
+      targetId: user.id,
+      before,
+      after: user
+    });
+
+    // Deactivated users are signed out everywhere immediately
+    if (!is_active) {
+      await revokeUserSessions(user.id, 'admin_revoked');
+    }
+
+    res.json({
+      success: true,
+      data: user,
+      message: `User ${is_active ? 'activated' : 'deactivated'} successfully`
+    });
+
+  } catch (error) {
+    console.error('Error updating user status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update user status'
+    });
+  }
+});
+
+// PUT /api/admin/users/:id/role - Change a user's role
+router.put('/users/:id/role', async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!USER_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid role'
+      });
+    }
+
+    if (parseInt(req.params.id, 10) === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot change your own role'
+      });
+    }
+
+    const user = await User.findByPk(req.params.id, { attributes: safeUserAttributes });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const before = user.toJSON();
+    await user.update({ role });
+
+    await recordAudit(req, {
+      action: 'admin.user_role_changed',
+      targetType: 'user',
+      targetId: user.id,
+      before,
+      after: user
+    });
+
+    // Existing access tokens carry the old role claim
+    await revokeUserSessions(user.id, 'admin_revoked');
+
+    res.json({
+      success: true,
+      data: user,
+      message: 'User role updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update user role'
+    });
+  }
+});
+
+// GET /api/admin/jobs - List all jobs regardless of owner or status
+router.get('/jobs', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search, status = 'all', employer_id, company_id } = req.query;
+    const offset = (page - 1) * limit;
+
+    const whereClause = {};
+    if (search) {
+      whereClause.title = { [Op.like]: `%${search}%` };
+    }
+    Object.assign(whereClause, statusWhere(status));
+    if (employer_id) {
+      whereClause.employer_id = employer_id;
+    }
+    if (company_id) {
+      whereClause.company_id = company_id;
+    }
+
+    const jobs = await Job.findAndCountAll({
+      where: whereClause,
+      include: [
+        {
+          model: User,
+          as: 'employer',
+          attributes: ['id', 'first_name', 'last_name', 'email']
+        },
+        {
+          model: Company,
+          as: 'company',
+          attributes: ['id', 'name']
+        }
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['created_at', 'DESC']],
+      distinct: true
+    });
+
+    res.json({
+      success: true,
+      data: jobs.rows,
+      pagination: paginate(page, limit, jobs.count)
+    });
+
+  } catch (error) {
+    console.error('Error fetching admin jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch jobs'
+    });
+  }
+});
+
+// POST /api/admin/jobs/:id/unpublish - Take any job offline
+router.post('/jobs/:id/unpublish', async (req, res) => {
+  try {
+    const job = await Job.findByPk(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    await transitionJob(req, job, 'closed', { reason: 'unpublished', action: 'admin.job_unpublished' });
+
+    res.json({
+      success: true,
+      data: job,
+      message: 'Job unpublished successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof JobStateError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error unpublishing job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unpublish job'
+    });
+  }
+});
+
+// POST /api/admin/jobs/:id/expire - Close applications now and unpublish
+router.post('/jobs/:id/expire', async (req, res) => {
+  try {
+    const job = await Job.findByPk(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    await transitionJob(req, job, 'expired', { reason: 'expired', action: 'admin.job_expired' });
+
+    res.json({
+      success: true,
+      data: job,
+      message: 'Job expired successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof JobStateError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error expiring job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to expire job'
+    });
+  }
+});
+
+// GET /api/admin/moderation?flag= - Jobs held for review by the automated
+// checks, oldest first, with their flags; `flag` narrows to one flag code
+router.get('/moderation', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, flag } = req.query;
+    const offset = (page - 1) * limit;
+
+    const whereClause = { [Op.and]: [{ status: 'in_review' }] };
+    if (flag) {
+      whereClause[Op.and].push(sequelize.where(
+        sequelize.fn('JSON_CONTAINS', sequelize.col('moderation_flags'), JSON.stringify({ code: flag })),
+        1
+      ));
+    }
+
+    const jobs = await Job.findAndCountAll({
+      where: whereClause,
+      include: [
+        {
+          model: User,
+          as: 'employer',
+          attributes: ['id', 'first_name', 'last_name', 'email', 'email_verified_at', 'created_at']
+        },
+        {
+          model: Company,
+          as: 'company',
+          attributes: ['id', 'name', 'website']
+        }
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['updated_at', 'ASC']],
+      distinct: true
+    });
+
+    res.json({
+      success: true,
+      data: jobs.rows,
+      pagination: paginate(page, limit, jobs.count)
+    });
+
+  } catch (error) {
+    console.error('Error fetching moderation queue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch moderation queue'
+    });
+  }
+});
+
+// POST /api/admin/moderation/:id/approve - Let a held job go live (or back to
+// its schedule); `note` is shown to the employer
+// POST /api/admin/moderation/:id/reject - Send a held job back to the
+// employer's drafts; `note` (required) tells them why
+const moderationDecision = (decision, decide) => async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    if (note !== undefined && (typeof note !== 'string' || note.length > 1000)) {
+      return res.status(400).json({
+        success: false,
+        error: 'note must be text of at most 1000 characters'
+      });
+    }
+    if (decision === 'rejected' && !note?.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Give the employer a reason for the rejection'
+      });
+    }
+
+    const job = await Job.findByPk(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    await decide(req, job, note?.trim());
+
+    res.json({
+      success: true,
+      data: job,
+      message: `Job ${decision}`
+    });
+
+  } catch (error) {
+    if (error instanceof JobStateError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error moderating job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to moderate job'
+    });
+  }
+};
+
+router.post('/moderation/:id/approve', moderationDecision('approved', approveJob));
+router.post('/moderation/:id/reject', moderationDecision('rejected', rejectJob));
+
+// GET /api/admin/applications - List applications across the platform
+router.get('/applications', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, job_id, applicant_id } = req.query;
+    const offset = (page - 1) * limit;
+
+    const whereClause = {};
+    if (status && APPLICATION_STATUSES.includes(status)) {
+      whereClause.status = status;
+    }
+    if (job_id) {
+      whereClause.job_id = job_id;
+    }
+    if (applicant_id) {
+      whereClause.applicant_id = applicant_id;
+    }
+
+    const applications = await Application.findAndCountAll({
+      where: whereClause,
+      include: [
+        {
+          model: Job,
+          as: 'job',
+          attributes: ['id', 'title', 'employer_id']
+        },
+        {
+          model: User,
+          as: 'applicant',
+          attributes: ['id', 'first_name', 'last_name', 'email']
+        }
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['applied_at', 'DESC']],
+      distinct: true
+    });
+
+    res.json({
+      success: true,
+      data: applications.rows,
+      pagination: paginate(page, limit, applications.count)
+    });
+
+  } catch (error) {
+    console.error('Error fetching admin applications:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch applications'
+    });
+  }
+});
+
+// GET /api/admin/applications/:id - View any application
+router.get('/applications/:id', async (req, res) => {
+  try {
+    const application = await Application.findByPk(req.params.id, {
+      include: [
+        {
+          model: Job,
+          as: 'job',
+          include: [
+            {
+              model: User,
+              as: 'employer',
+              attributes: ['id', 'first_name', 'last_name', 'email']
+            }
+          ]
+        },
+        {
+          model: User,
+          as: 'applicant',
+          attributes: ['id', 'first_name', 'last_name', 'email', 'phone']
+        },
+        {
+          model: Resume,
+          as: 'resume'
+        }
+      ]
+    });
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        error: 'Application not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: application
+    });
+
+  } catch (error) {
+    console.error('Error fetching admin application:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch application'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
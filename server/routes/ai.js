@@ -1,13 +1,14 @@
 const express = require('express');
 const router = express.Router();
-const OpenAI = require('openai');
-const { Resume, Job, AIAnalysis } = require('../models');
-const auth = require('../middleware/auth');
-
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const { AIAnalysis, Resume } = require('../models');
+const { auth } = require('../middleware/auth');
+const {
+  openai,
+  findUserResume,
+  analyzeResume,
+  matchJobs,
+  analyzeSkillGap
+} = require('../services/aiAnalysis');
 
 // POST /api/ai/analyze-resume - Analyze resume with AI
 router.post('/analyze-resume', auth, async (req, res) => {
@@ -15,13 +16,7 @@ router.post('/analyze-resume', auth, async (req, res) => {
     const { resume_id } = req.body;
 
     // Get resume data
-    const resume = await Resume.findOne({
-      where: { 
-        id: resume_id,
-        user_id: req.user.id 
-      },
-      include: ['skills', 'work_experience', 'education']
-    });
+    const resume = await findUserResume(resume_id, req.user.id, ['skills', 'work_experience', 'education']);
 
     if (!resume) {
       return res.status(404).json({ 
@@ -30,86 +25,11 @@ router.post('/analyze-resume', auth, async (req, res) => {
       });
     }
 
-    // Prepare resume data for AI analysis
-    const resumeText = `
-      Title: ${resume.title}
-      Summary: ${resume.summary}
-      Experience: ${resume.experience_years} years
-      Current Position: ${resume.current_position}
-      Current Company: ${resume.current_company}
-      Location: ${resume.location}
-      
-      Skills: ${resume.skills?.map(s => s.name).join(', ')}
-      
-      Work Experience:
-      ${resume.work_experience?.map(exp => `
-        - ${exp.position} at ${exp.company_name} (${exp.start_date} - ${exp.end_date || 'Present'})
-        ${exp.description}
-      `).join('\n')}
-      
-      Education:
-      ${resume.education?.map(edu => `
-        - ${edu.degree} in ${edu.field_of_study} from ${edu.institution}
-      `).join('\n')}
-    `;
-
-    // AI Analysis Prompt
-    const prompt = `
-      Analyze the following resume and provide insights:
-      
-      ${resumeText}
-      
-      Please provide:
-      1. Overall resume score (0-100)
-      2. Strengths (top 3)
-      3. Areas for improvement (top 3)
-      4. Suggested skills to add
-      5. Industry recommendations
-      6. ATS optimization tips
-      
-      Format the response as JSON with the following structure:
-      {
-        "score": number,
-        "strengths": [string],
-        "improvements": [string],
-        "suggested_skills": [string],
-        "industry_recommendations": [string],
-        "ats_tips": [string]
-      }
-    `;
-
-    const completion = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [
-        {
-          role: "system",
-          content: "You are an expert HR professional and resume analyst. Provide detailed, actionable feedback on resumes."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      temperature: 0.7,
-      max_tokens: 1000
-    });
-
-    const analysis = JSON.parse(completion.choices[0].message.content);
-
-    // Save analysis to database
-    const aiAnalysis = await AIAnalysis.create({
-      resume_id: resume.id,
-      analysis_type: 'resume_score',
-      score: analysis.score,
-      insights: analysis
-    });
+    const analysis = await analyzeResume(resume);
 
     res.json({
       success: true,
-      data: {
-        analysis_id: aiAnalysis.id,
-        ...analysis
-      }
+      data: analysis
     });
 
   } catch (error) {
@@ -127,13 +47,7 @@ router.post('/match-jobs', auth, async (req, res) => {
     const { resume_id, limit = 10 } = req.body;
 
     // Get resume data
-    const resume = await Resume.findOne({
-      where: { 
-        id: resume_id,
-        user_id: req.user.id 
-      },
-      include: ['skills', 'work_experience']
-    });
+    const resume = await findUserResume(resume_id, req.user.id);
 
     if (!resume) {
       return res.status(404).json({ 
@@ -142,113 +56,11 @@ router.post('/match-jobs', auth, async (req, res) => {
       });
     }
 
-    // Get active jobs
-    const jobs = await Job.findAll({
-      where: { is_active: true },
-      limit: 50, // Get more jobs for better matching
-      order: [['created_at', 'DESC']]
-    });
-
-    // Prepare data for AI matching
-    const resumeSkills = resume.skills?.map(s => s.name).join(', ') || '';
-    const resumeExperience = resume.work_experience?.map(exp => 
-      `${exp.position} at ${exp.company_name}`
-    ).join(', ') || '';
-
-    const matchingPrompt = `
-      Resume Profile:
-      - Title: ${resume.title}
-      - Experience: ${resume.experience_years} years
-      - Skills: ${resumeSkills}
-      - Experience: ${resumeExperience}
-      - Location: ${resume.location}
-      
-      Available Jobs:
-      ${jobs.map((job, index) => `
-        ${index + 1}. ${job.title} at ${job.location}
-        Requirements: ${job.requirements}
-        Description: ${job.description.substring(0, 200)}...
-      `).join('\n')}
-      
-      Analyze the resume against these jobs and return the top ${limit} matches.
-      For each match, provide:
-      1. Job index (1-based)
-      2. Match score (0-100)
-      3. Matching skills
-      4. Missing skills
-      5. Match reasoning
-      
-      Format as JSON array:
-      [
-        {
-          "job_index": number,
-          "match_score": number,
-          "matching_skills": [string],
-          "missing_skills": [string],
-          "reasoning": string
-        }
-      ]
-    `;
-
-    const completion = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [
-        {
-          role: "system",
-          content: "You are an expert job matching AI. Analyze resumes against job requirements and provide accurate match scores."
-        },
-        {
-          role: "user",
-          content: matchingPrompt
-        }
-      ],
-      temperature: 0.3,
-      max_tokens: 2000
-    });
-
-    const matches = JSON.parse(completion.choices[0].message.content);
-
-    // Map job indices back to actual jobs and save analysis
-    const jobMatches = matches.map(match => {
-      const job = jobs[match.job_index - 1];
-      return {
-        job: {
-          id: job.id,
-          title: job.title,
-          company: job.company,
-          location: job.location,
-          employment_type: job.employment_type,
-          salary_min: job.salary_min,
-          salary_max: job.salary_max
-        },
-        match_score: match.match_score,
-        matching_skills: match.matching_skills,
-        missing_skills: match.missing_skills,
-        reasoning: match.reasoning
-      };
-    });
-
-    // Save job matching analysis
-    for (const match of jobMatches.slice(0, 5)) { // Save top 5 matches
-      await AIAnalysis.create({
-        resume_id: resume.id,
-        job_id: match.job.id,
-        analysis_type: 'job_match',
-        score: match.match_score,
-        insights: {
-          matching_skills: match.matching_skills,
-          missing_skills: match.missing_skills,
-          reasoning: match.reasoning
-        }
-      });
-    }
+    const data = await matchJobs(resume, { limit });
 
     res.json({
       success: true,
-      data: {
-        matches: jobMatches,
-        total_jobs_analyzed: jobs.length
-      }
+      data
     });
 
   } catch (error) {
@@ -266,13 +78,7 @@ router.post('/skill-gap-analysis', auth, async (req, res) => {
     const { resume_id, target_role, target_industry } = req.body;
 
     // Get resume data
-    const resume = await Resume.findOne({
-      where: { 
-        id: resume_id,
-        user_id: req.user.id 
-      },
-      include: ['skills', 'work_experience']
-    });
+    const resume = await findUserResume(resume_id, req.user.id);
 
     if (!resume) {
       return res.status(404).json({ 
@@ -281,88 +87,11 @@ router.post('/skill-gap-analysis', auth, async (req, res) => {
       });
     }
 
-    const currentSkills = resume.skills?.map(s => s.name).join(', ') || '';
-    const experience = resume.work_experience?.map(exp => 
-      `${exp.position} (${exp.years_experience || 0} years)`
-    ).join(', ') || '';
-
-    const skillGapPrompt = `
-      Current Profile:
-      - Role: ${resume.current_position}
-      - Experience: ${resume.experience_years} years
-      - Skills: ${currentSkills}
-      - Work History: ${experience}
-      
-      Target Role: ${target_role}
-      Target Industry: ${target_industry}
-      
-      Analyze the skill gap between current profile and target role.
-      Provide:
-      1. Required skills for target role
-      2. Skills the candidate already has
-      3. Missing critical skills
-      4. Nice-to-have skills
-      5. Learning path recommendations
-      6. Estimated time to bridge gaps
-      7. Certification recommendations
-      
-      Format as JSON:
-      {
-        "required_skills": [string],
-        "existing_skills": [string],
-        "critical_gaps": [string],
-        "nice_to_have": [string],
-        "learning_path": [
-          {
-            "skill": string,
-            "priority": "high|medium|low",
-            "estimated_time": string,
-            "resources": [string]
-          }
-        ],
-        "certifications": [string],
-        "overall_readiness": number
-      }
-    `;
-
-    const completion = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [
-        {
-          role: "system",
-          content: "You are a career development expert specializing in skill gap analysis and career transitions."
-        },
-        {
-          role: "user",
-          content: skillGapPrompt
-        }
-      ],
-      temperature: 0.5,
-      max_tokens: 1500
-    });
-
-    const analysis = JSON.parse(completion.choices[0].message.content);
-
-    // Save skill gap analysis
-    const aiAnalysis = await AIAnalysis.create({
-      resume_id: resume.id,
-      analysis_type: 'skill_gap',
-      score: analysis.overall_readiness,
-      insights: {
-        target_role,
-        target_industry,
-        ...analysis
-      }
-    });
+    const analysis = await analyzeSkillGap(resume, { target_role, target_industry });
 
     res.json({
       success: true,
-      data: {
-        analysis_id: aiAnalysis.id,
-        target_role,
-        target_industry,
-        ...analysis
-      }
+      data: analysis
     });
 
   } catch (error) {
@@ -0,0 +1,145 @@
+const express = require('express');
+const router = express.Router();
+const { ApiKey } = require('../models');
+const { auth } = require('../middleware/auth');
+const { validateApiKey } = require('../middleware/validation');
+const { API_KEY_SCOPES, createApiKey, rotateApiKey, revokeApiKey } = require('../services/apiKeys');
+const { recordAudit } = require('../services/audit');
+
+const publicAttributes = { exclude: ['key_hash', 'signing_secret'] };
+
+// Response payload including the plaintext key, which is never stored, and
+// the signing secret, which is only returned here
+const withSecret = (apiKey, key) => {
+  const data = apiKey.toJSON();
+  delete data.key_hash;
+  return { ...data, key };
+};
+
+const findOwnKey = (req) => {
+  return ApiKey.findOne({
+    where: { id: req.params.id, user_id: req.user.id }
+  });
+};
+
+// GET /api/api-keys - List the current user's API keys
+router.get('/', auth, async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.findAll({
+      where: { user_id: req.user.id },
+      attributes: publicAttributes,
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: apiKeys,
+      scopes: API_KEY_SCOPES
+    });
+
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch API keys'
+    });
+  }
+});
+
+// POST /api/api-keys - Create a key; the secret is only returned once
+router.post('/', auth, validateApiKey, async (req, res) => {
+  try {
+    const { apiKey, key } = await createApiKey(req.user, req.body);
+
+    await recordAudit(req, {
+      action: 'api_key.created',
+      targetType: 'api_key',
+      targetId: apiKey.id,
+      metadata: { name: apiKey.name, scopes: apiKey.scopes }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: withSecret(apiKey, key),
+      message: 'API key created. Copy it now; it will not be shown again.'
+    });
+
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create API key'
+    });
+  }
+});
+
+// POST /api/api-keys/:id/rotate - Issue a new secret for an existing key
+router.post('/:id/rotate', auth, async (req, res) => {
+  try {
+    const apiKey = await findOwnKey(req);
+
+    if (!apiKey || apiKey.revoked_at) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    const key = await rotateApiKey(apiKey);
+
+    await recordAudit(req, {
+      action: 'api_key.rotated',
+      targetType: 'api_key',
+      targetId: apiKey.id
+    });
+
+    res.json({
+      success: true,
+      data: withSecret(apiKey, key),
+      message: 'API key rotated. The previous secret no longer works.'
+    });
+
+  } catch (error) {
+    console.error('Error rotating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate API key'
+    });
+  }
+});
+
+// DELETE /api/api-keys/:id - Revoke a key
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const apiKey = await findOwnKey(req);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    await revokeApiKey(apiKey);
+
+    await recordAudit(req, {
+      action: 'api_key.revoked',
+      targetType: 'api_key',
+      targetId: apiKey.id
+    });
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API key'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
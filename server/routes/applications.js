@@ -1,8 +1,59 @@
 const express = require('express');
 const router = express.Router();
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { Op } = require('sequelize');
 const { Application, Job, User, Resume } = require('../models');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, authorize, requireVerified } = require('../middleware/auth');
 const { validateApplication } = require('../middleware/validation');
+const { jobAccessWhere, findAccessibleJob } = require('../services/companyAccess');
+const { recordAudit } = require('../services/audit');
+const { emitEvent } = require('../services/webhooks');
+const {
+  SCREENING_UPLOAD_DIR,
+  ScreeningError,
+  screeningFileName,
+  screeningFilePath,
+  evaluateAnswers,
+  answerConditions
+} = require('../services/screening');
+const { scoreResumes } = require('../services/jobSkills');
+const { attributionFrom, recordJobEvent } = require('../services/jobAnalytics');
+const { MODERATION_FIELDS } = require('../services/jobModeration');
+
+// Company of the application's job, for scoping audit entries
+const jobCompanyInclude = {
+  model: Job,
+  as: 'job',
+  attributes: ['id', 'company_id']
+};
+
+// Applicants do not see which answers disqualified them
+const applicantAttributes = { exclude: ['knocked_out', 'knockout_reasons'] };
+
+// Screening question uploads; the answer is the returned file URL
+const screeningUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(SCREENING_UPLOAD_DIR, { recursive: true }, (error) => cb(error, SCREENING_UPLOAD_DIR));
+    },
+    filename: (req, file, cb) => {
+      cb(null, screeningFileName(req.user.id, path.extname(file.originalname).toLowerCase()));
+    }
+  }),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /pdf|doc|docx|png|jpg|jpeg/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+
+    if (extname) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only PDF, DOC, DOCX, PNG and JPG files are allowed'));
+    }
+  }
+});
 
 // GET /api/applications - Get user's applications
 router.get('/', auth, async (req, res) => {
@@ -17,11 +68,12 @@ router.get('/', auth, async (req, res) => {
 
     const applications = await Application.findAndCountAll({
       where: whereClause,
+      attributes: applicantAttributes,
       include: [
         {
           model: Job,
           as: 'job',
-          attributes: ['id', 'title', 'location', 'employment_type', 'salary_min', 'salary_max'],
+          attributes: ['id', 'title', 'location', 'employment_type', 'salary_min', 'salary_max', 'salary_currency', 'salary_period'],
           include: [
             {
               model: User,
@@ -70,10 +122,12 @@ router.get('/:id', auth, async (req, res) => {
         id: req.params.id,
         applicant_id: req.user.id 
       },
+      attributes: applicantAttributes,
       include: [
         {
           model: Job,
           as: 'job',
+          attributes: { exclude: ['screening_questions', ...MODERATION_FIELDS] },
           include: [
             {
               model: User,
@@ -110,10 +164,39 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
-// POST /api/applications - Create new application
-router.post('/', auth, authorize('applicant'), validateApplication, async (req, res) => {
+// POST /api/applications/screening-files - Upload a file answer to a screening question
+router.post('/screening-files', auth, authorize('applicant'), screeningUpload.single('file'), async (req, res) => {
   try {
-    const { job_id, resume_id, cover_letter } = req.body;
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'File is required'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        file_url: `/uploads/screening/${req.file.filename}`,
+        original_name: req.file.originalname
+      },
+      message: 'File uploaded successfully'
+    });
+
+  } catch (error) {
+    console.error('Error uploading screening file:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to upload file'
+    });
+  }
+});
+
+// POST /api/applications - Create new application; `answers` maps screening
+// question ids to answers. Knockout answers reject the application at once.
+router.post('/', auth, authorize('applicant'), requireVerified, validateApplication, async (req, res) => {
+  try {
+    const { job_id, resume_id, cover_letter, answers, attribution } = req.body;
 
     // Check if job exists and is active
     const job = await Job.findOne({
@@ -168,21 +251,52 @@ router.post('/', auth, authorize('applicant'), validateApplication, async (req,
       });
     }
 
+    const screening = evaluateAnswers(job.screening_questions, answers, req.user.id);
+    const knockedOut = screening.knockouts.length > 0;
+    const origin = attributionFrom(attribution);
+
     // Create application
     const application = await Application.create({
       job_id,
       applicant_id: req.user.id,
       resume_id,
       cover_letter,
-      status: 'pending'
+      screening_answers: screening.answers,
+      knocked_out: knockedOut,
+      knockout_reasons: knockedOut ? screening.knockouts : null,
+      status: knockedOut ? 'rejected' : 'pending',
+      ...origin
+    });
+
+    await recordJobEvent(job, 'application', { attribution: origin, req });
+
+    await recordAudit(req, {
+      action: 'application.created',
+      targetType: 'application',
+      targetId: application.id,
+      companyId: job.company_id,
+      metadata: { job_id: job.id, knocked_out: knockedOut }
     });
 
+    await emitEvent('application.created', {
+      id: application.id,
+      job_id: job.id,
+      job_title: job.title,
+      applicant_id: req.user.id,
+      resume_id,
+      status: application.status,
+      knocked_out: knockedOut,
+      applied_at: application.applied_at
+    }, { userIds: [job.employer_id], companyId: job.company_id });
+
     // Fetch complete application data
     const completeApplication = await Application.findByPk(application.id, {
+      attributes: applicantAttributes,
       include: [
         {
           model: Job,
           as: 'job',
+          attributes: { exclude: ['screening_questions', ...MODERATION_FIELDS] },
           include: [
             {
               model: User,
@@ -206,6 +320,12 @@ router.post('/', auth, authorize('applicant'), validateApplication, async (req,
     });
 
   } catch (error) {
+    if (error instanceof ScreeningError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
     console.error('Error creating application:', error);
     res.status(500).json({
       success: false,
@@ -221,7 +341,8 @@ router.put('/:id', auth, async (req, res) => {
       where: { 
         id: req.params.id,
         applicant_id: req.user.id 
-      }
+      },
+      include: [jobCompanyInclude]
     });
 
     if (!application) {
@@ -240,8 +361,18 @@ router.put('/:id', auth, async (req, res) => {
     }
 
     const { cover_letter } = req.body;
+    const before = application.toJSON();
     await application.update({ cover_letter });
 
+    await recordAudit(req, {
+      action: 'application.updated',
+      targetType: 'application',
+      targetId: application.id,
+      companyId: application.job.company_id,
+      before,
+      after: application
+    });
+
     const updatedApplication = await Application.findByPk(application.id, {
       include: [
         {
@@ -279,7 +410,8 @@ router.delete('/:id', auth, async (req, res) => {
       where: { 
         id: req.params.id,
         applicant_id: req.user.id 
-      }
+      },
+      include: [jobCompanyInclude]
     });
 
     if (!application) {
@@ -299,6 +431,14 @@ router.delete('/:id', auth, async (req, res) => {
 
     await application.destroy();
 
+    await recordAudit(req, {
+      action: 'application.withdrawn',
+      targetType: 'application',
+      targetId: application.id,
+      companyId: application.job.company_id,
+      before: application
+    });
+
     res.json({
       success: true,
       message: 'Application withdrawn successfully'
@@ -313,20 +453,17 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
-// GET /api/applications/job/:jobId - Get applications for a job (employers only)
+// GET /api/applications/job/:jobId - Get applications for a job (employers only);
+// filter by `knocked_out=true|false` and screening answers (`answers[<question_id>]=yes`).
+// Each application carries its resume's skill overlap with the job.
 router.get('/job/:jobId', auth, authorize('employer', 'admin'), async (req, res) => {
   try {
     const { jobId } = req.params;
-    const { page = 1, limit = 10, status } = req.query;
+    const { page = 1, limit = 10, status, knocked_out, answers } = req.query;
     const offset = (page - 1) * limit;
 
-    // Verify job belongs to employer
-    const job = await Job.findOne({
-      where: { 
-        id: jobId,
-        employer_id: req.user.id 
-      }
-    });
+    // Verify the job is the employer's own or belongs to one of their companies
+    const job = await findAccessibleJob(req.user, jobId, 'applications:view');
 
     if (!job) {
       return res.status(404).json({
@@ -339,6 +476,13 @@ router.get('/job/:jobId', auth, authorize('employer', 'admin'), async (req, res)
     if (status && status !== 'all') {
       whereClause.status = status;
     }
+    if (knocked_out === 'true' || knocked_out === 'false') {
+      whereClause.knocked_out = knocked_out === 'true';
+    }
+    const answerFilters = answerConditions(job.screening_questions, answers);
+    if (answerFilters.length > 0) {
+      whereClause[Op.and] = answerFilters;
+    }
 
     const applications = await Application.findAndCountAll({
       where: whereClause,
@@ -360,9 +504,15 @@ router.get('/job/:jobId', auth, authorize('employer', 'admin'), async (req, res)
       distinct: true
     });
 
+    const resumeIds = [...new Set(applications.rows.map(application => application.resume_id))];
+    const scores = await scoreResumes(job.id, resumeIds);
+
     res.json({
       success: true,
-      data: applications.rows,
+      data: applications.rows.map(application => {
+        const { score, required, preferred } = scores.get(application.resume_id);
+        return { ...application.toJSON(), skill_match: { score, required, preferred } };
+      }),
       pagination: {
         current_page: parseInt(page),
         total_pages: Math.ceil(applications.count / limit),
@@ -371,7 +521,8 @@ router.get('/job/:jobId', auth, authorize('employer', 'admin'), async (req, res)
       },
       job: {
         id: job.id,
-        title: job.title
+        title: job.title,
+        screening_questions: job.screening_questions || []
       }
     });
 
@@ -402,7 +553,7 @@ router.put('/:id/status', auth, authorize('employer', 'admin'), async (req, res)
         {
           model: Job,
           as: 'job',
-          where: { employer_id: req.user.id }
+          where: await jobAccessWhere(req.user, 'applications:manage')
         }
       ]
     });
@@ -414,11 +565,35 @@ router.put('/:id/status', auth, authorize('employer', 'admin'), async (req, res)
       });
     }
 
+    const before = application.toJSON();
     await application.update({ 
       status,
       notes: notes || application.notes
     });
 
+    await recordAudit(req, {
+      action: 'application.status_changed',
+      targetType: 'application',
+      targetId: application.id,
+      companyId: application.job.company_id,
+      before,
+      after: application
+    });
+
+    if (before.status !== status) {
+      await emitEvent('application.status_changed', {
+        id: application.id,
+        job_id: application.job.id,
+        job_title: application.job.title,
+        applicant_id: application.applicant_id,
+        previous_status: before.status,
+        status
+      }, {
+        userIds: [application.job.employer_id, application.applicant_id],
+        companyId: application.job.company_id
+      });
+    }
+
     const updatedApplication = await Application.findByPk(application.id, {
       include: [
         {
@@ -449,6 +624,49 @@ router.put('/:id/status', auth, authorize('employer', 'admin'), async (req, res)
   }
 });
 
+// GET /api/applications/:id/screening-files/:questionId - Download a file answer
+// (the applicant, or employers who can view the job's applications)
+router.get('/:id/screening-files/:questionId', auth, async (req, res) => {
+  try {
+    const application = await Application.findByPk(req.params.id, {
+      include: [{ model: Job, as: 'job', attributes: ['id', 'employer_id', 'company_id'] }]
+    });
+
+    const canView = application && (
+      application.applicant_id === req.user.id ||
+      (['employer', 'admin'].includes(req.user.role) &&
+        await findAccessibleJob(req.user, application.job_id, 'applications:view'))
+    );
+
+    if (!canView) {
+      return res.status(404).json({
+        success: false,
+        error: 'Application not found or access denied'
+      });
+    }
+
+    const answer = (application.screening_answers || [])
+      .find(item => item.question_id === req.params.questionId && item.type === 'file');
+    const filePath = screeningFilePath(answer?.value);
+
+    if (!filePath || !fs.existsSync(filePath)) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found'
+      });
+    }
+
+    res.download(filePath);
+
+  } catch (error) {
+    console.error('Error downloading screening file:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download file'
+    });
+  }
+});
+
 // GET /api/applications/stats - Get application statistics
 router.get('/stats/overview', auth, async (req, res) => {
   try {
@@ -476,7 +694,7 @@ router.get('/stats/overview', auth, async (req, res) => {
           {
             model: Job,
             as: 'job',
-            where: { employer_id: req.user.id },
+            where: await jobAccessWhere(req.user, 'applications:view'),
             attributes: []
           }
         ],
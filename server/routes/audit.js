@@ -0,0 +1,168 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { AuditLog, User } = require('../models');
+const { auth } = require('../middleware/auth');
+const { getCompanyIds } = require('../services/companyAccess');
+const { toCsv } = require('../services/csv');
+
+const EXPORT_LIMIT = 10000;
+
+const EXPORT_COLUMNS = [
+  'id',
+  'created_at',
+  'actor_id',
+  'actor_role',
+  'action',
+  'target_type',
+  'target_id',
+  'company_id',
+  'changes',
+  'metadata',
+  'ip_address',
+  'user_agent',
+  'request_id'
+];
+
+// Admins see the whole trail; company owners see entries for their companies only
+const scopeWhere = async (user) => {
+  if (user.role === 'admin') {
+    return {};
+  }
+
+  const companyIds = await getCompanyIds(user.id, 'company:manage');
+  if (companyIds.length === 0) {
+    return null;
+  }
+
+  return { company_id: { [Op.in]: companyIds } };
+};
+
+const buildWhere = (query) => {
+  const { actor_id, action, target_type, target_id, company_id, from, to } = query;
+  const whereClause = {};
+
+  if (actor_id) {
+    whereClause.actor_id = actor_id;
+  }
+  if (action) {
+    // "job.*" matches every job action
+    whereClause.action = action.endsWith('*')
+      ? { [Op.like]: `${action.slice(0, -1)}%` }
+      : action;
+  }
+  if (target_type) {
+    whereClause.target_type = target_type;
+  }
+  if (target_id) {
+    whereClause.target_id = target_id;
+  }
+  if (company_id) {
+    whereClause.company_id = company_id;
+  }
+  if (from || to) {
+    whereClause.created_at = {};
+    if (from) whereClause.created_at[Op.gte] = new Date(from);
+    if (to) whereClause.created_at[Op.lte] = new Date(to);
+  }
+
+  return whereClause;
+};
+
+// Resolve the caller's scope and reject users who cannot read any audit entries
+const requireAuditAccess = async (req, res, next) => {
+  try {
+    const scope = await scopeWhere(req.user);
+
+    if (!scope) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Audit logs are available to admins and company owners.'
+      });
+    }
+
+    req.auditScope = scope;
+    next();
+  } catch (error) {
+    console.error('Audit access error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify audit log access'
+    });
+  }
+};
+
+router.use(auth, requireAuditAccess);
+
+// GET /api/audit-logs - Filtered, paginated audit trail
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const pageSize = Math.min(parseInt(limit) || 50, 200);
+    const offset = (page - 1) * pageSize;
+
+    const logs = await AuditLog.findAndCountAll({
+      where: { [Op.and]: [buildWhere(req.query), req.auditScope] },
+      include: [
+        {
+          model: User,
+          as: 'actor',
+          attributes: ['id', 'first_name', 'last_name', 'email']
+        }
+      ],
+      limit: pageSize,
+      offset: parseInt(offset),
+      order: [['created_at', 'DESC'], ['id', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: logs.rows,
+      pagination: {
+        current_page: parseInt(page),
+        total_pages: Math.ceil(logs.count / pageSize),
+        total_items: logs.count,
+        items_per_page: pageSize
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching audit logs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch audit logs'
+    });
+  }
+});
+
+// GET /api/audit-logs/export - Download matching entries as CSV or JSON
+router.get('/export', async (req, res) => {
+  try {
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+
+    const logs = await AuditLog.findAll({
+      where: { [Op.and]: [buildWhere(req.query), req.auditScope] },
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit: EXPORT_LIMIT,
+      raw: true
+    });
+
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'json') {
+      return res.json(logs);
+    }
+
+    res.type('text/csv').send(toCsv(logs, EXPORT_COLUMNS));
+
+  } catch (error) {
+    console.error('Error exporting audit logs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export audit logs'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -1,10 +1,71 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { User } = require('../models');
-const { validateRegistration, validateLogin } = require('../middleware/validation');
+const rateLimit = require('express-rate-limit');
+const { User, UserSession, RecoveryCode } = require('../models');
+const { auth, authorize } = require('../middleware/auth');
+const {
+  validateRegistration,
+  validateLogin,
+  validateRefreshToken,
+  validateEmailRequest,
+  validatePasswordReset,
+  validateTwoFactorCode,
+  validateTwoFactorLogin
+} = require('../middleware/validation');
+const {
+  RefreshError,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  findSessionByRefreshToken
+} = require('../services/sessions');
+const { issueToken, consumeToken } = require('../services/authTokens');
+const { sendVerificationEmail, sendPasswordResetEmail, sendPasswordChangedEmail } = require('../services/emails');
+const { recordAudit } = require('../services/audit');
+const {
+  isTwoFactorRequired,
+  generateEnrollment,
+  verifyCode,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  clearTwoFactor,
+  signChallengeToken,
+  verifyChallengeToken
+} = require('../services/twoFactor');
 const router = express.Router();
 
+// Throttle second-factor guesses separately from the global limiter
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: {
+    success: false,
+    error: 'Too many verification attempts. Please try again later.'
+  }
+});
+
+// Start a session and build the login response payload
+const completeLogin = async (user, req) => {
+  const { token, refresh_token } = await createSession(user, req);
+
+  return {
+    user: {
+      id: user.id,
+      email: user.email,
+      first_name: user.first_name,
+      last_name: user.last_name,
+      role: user.role,
+      profile_image: user.profile_image,
+      email_verified_at: user.email_verified_at,
+      two_factor_enabled: user.two_factor_enabled,
+      two_factor_setup_required: isTwoFactorRequired(user) && !user.two_factor_enabled
+    },
+    token,
+    refresh_token
+  };
+};
+
 // POST /api/auth/register - Register new user
 router.post('/register', validateRegistration, async (req, res) => {
   try {
@@ -33,16 +94,23 @@ router.post('/register', validateRegistration, async (req, res) => {
       role: role || 'applicant'
     });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        email: user.email, 
-        role: user.role 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    await recordAudit(req, {
+      actor: user,
+      action: 'auth.register',
+      targetType: 'user',
+      targetId: user.id
+    });
+
+    // Send verification email; registration still succeeds if mail delivery fails
+    try {
+      const verificationToken = await issueToken(user, 'email_verification');
+      await sendVerificationEmail(user, verificationToken);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Start a session and issue access + refresh tokens
+    const { token, refresh_token } = await createSession(user, req);
 
     res.status(201).json({
       success: true,
@@ -52,9 +120,11 @@ router.post('/register', validateRegistration, async (req, res) => {
           email: user.email,
           first_name: user.first_name,
           last_name: user.last_name,
-          role: user.role
+          role: user.role,
+          email_verified_at: user.email_verified_at
         },
-        token
+        token,
+        refresh_token
       },
       message: 'User registered successfully'
     });
@@ -76,6 +146,10 @@ router.post('/login', validateLogin, async (req, res) => {
     // Find user by email
     const user = await User.findOne({ where: { email } });
     if (!user) {
+      await recordAudit(req, {
+        action: 'auth.login_failed',
+        metadata: { email, reason: 'unknown_email' }
+      });
       return res.status(401).json({
         success: false,
         error: 'Invalid email or password'
@@ -93,36 +167,41 @@ router.post('/login', validateLogin, async (req, res) => {
     // Verify password
     const isValidPassword = await bcrypt.compare(password, user.password_hash);
     if (!isValidPassword) {
+      await recordAudit(req, {
+        actor: user,
+        action: 'auth.login_failed',
+        targetType: 'user',
+        targetId: user.id,
+        metadata: { reason: 'invalid_password' }
+      });
       return res.status(401).json({
         success: false,
         error: 'Invalid email or password'
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        email: user.email, 
-        role: user.role 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Password is only the first factor; the session is issued after /2fa/verify
+    if (user.two_factor_enabled) {
+      return res.json({
+        success: true,
+        data: {
+          two_factor_required: true,
+          two_factor_token: signChallengeToken(user)
+        },
+        message: 'Two-factor authentication required'
+      });
+    }
+
+    await recordAudit(req, {
+      actor: user,
+      action: 'auth.login',
+      targetType: 'user',
+      targetId: user.id
+    });
 
     res.json({
       success: true,
-      data: {
-        user: {
-          id: user.id,
-          email: user.email,
-          first_name: user.first_name,
-          last_name: user.last_name,
-          role: user.role,
-          profile_image: user.profile_image
-        },
-        token
-      },
+      data: await completeLogin(user, req),
       message: 'Login successful'
     });
 
@@ -136,146 +215,713 @@ router.post('/login', validateLogin, async (req, res) => {
 });
 
 // GET /api/auth/me - Get current user profile
-router.get('/me', async (req, res) => {
+router.get('/me', auth, async (req, res) => {
+  res.json({
+    success: true,
+    data: req.user
+  });
+});
+
+// PUT /api/auth/profile - Update user profile
+router.put('/profile', auth, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    const before = user.toJSON();
+
+    const { first_name, last_name, phone, profile_image } = req.body;
+
+    await user.update({
+      first_name: first_name || user.first_name,
+      last_name: last_name || user.last_name,
+      phone: phone || user.phone,
+      profile_image: profile_image || user.profile_image
+    });
+
+    await recordAudit(req, {
+      action: 'user.profile_updated',
+      targetType: 'user',
+      targetId: user.id,
+      before,
+      after: user
+    });
+
+    res.json({
+      success: true,
+      data: {
+        id: user.id,
+        email: user.email,
+        first_name: user.first_name,
+        last_name: user.last_name,
+        phone: user.phone,
+        role: user.role,
+        profile_image: user.profile_image
+      },
+      message: 'Profile updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update profile'
+    });
+  }
+});
+
+// POST /api/auth/change-password - Change password
+router.post('/change-password', auth, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+
+    const { current_password, new_password } = req.body;
+
+    // Verify current password
+    const isValidPassword = await bcrypt.compare(current_password, user.password_hash);
+    if (!isValidPassword) {
+      return res.status(400).json({
+        success: false,
+        error: 'Current password is incorrect'
+      });
+    }
+
+    // Hash new password
+    const saltRounds = 12;
+    const new_password_hash = await bcrypt.hash(new_password, saltRounds);
+
+    await user.update({ password_hash: new_password_hash });
+
+    // Sign out every other device
+    await revokeUserSessions(user.id, 'password_change', req.userSession.id);
+
+    await recordAudit(req, {
+      action: 'auth.password_changed',
+      targetType: 'user',
+      targetId: user.id
+    });
+
+    sendPasswordChangedEmail(user).catch(mailError => {
+      console.error('Password changed email error:', mailError);
+    });
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully'
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change password'
+    });
+  }
+});
+
+// POST /api/auth/verify-email - Confirm email address with a verification token
+router.post('/verify-email', async (req, res) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
+    const { token } = req.body;
+
     if (!token) {
-      return res.status(401).json({
+      return res.status(400).json({
         success: false,
-        error: 'No token provided'
+        error: 'Verification token is required'
+      });
+    }
+
+    const authToken = await consumeToken(token, 'email_verification');
+    if (!authToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification link is invalid or has expired'
+      });
+    }
+
+    const user = await User.findByPk(authToken.user_id);
+    if (!user.email_verified_at) {
+      await user.update({ email_verified_at: new Date() });
+
+      await recordAudit(req, {
+        actor: user,
+        action: 'auth.email_verified',
+        targetType: 'user',
+        targetId: user.id
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findByPk(decoded.id, {
-      attributes: { exclude: ['password_hash'] }
+    res.json({
+      success: true,
+      data: { email_verified_at: user.email_verified_at },
+      message: 'Email verified successfully'
     });
 
-    if (!user) {
-      return res.status(401).json({
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify email'
+    });
+  }
+});
+
+// POST /api/auth/resend-verification - Send a new verification email to the current user
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    if (req.user.email_verified_at) {
+      return res.status(400).json({
         success: false,
-        error: 'Invalid token'
+        error: 'Email is already verified'
       });
     }
 
+    const token = await issueToken(req.user, 'email_verification');
+    await sendVerificationEmail(req.user, token);
+
     res.json({
       success: true,
-      data: user
+      message: 'Verification email sent'
     });
 
   } catch (error) {
-    console.error('Get profile error:', error);
-    res.status(401).json({
+    console.error('Resend verification error:', error);
+    res.status(500).json({
       success: false,
-      error: 'Invalid token'
+      error: 'Failed to send verification email'
     });
   }
 });
 
-// PUT /api/auth/profile - Update user profile
-router.put('/profile', async (req, res) => {
+// POST /api/auth/forgot-password - Email a password reset link
+router.post('/forgot-password', validateEmailRequest, async (req, res) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
+    const user = await User.findOne({ where: { email: req.body.email } });
+
+    if (user && user.is_active) {
+      const token = await issueToken(user, 'password_reset');
+      await sendPasswordResetEmail(user, token);
+    }
+
+    // Same response whether or not the account exists, to avoid email enumeration
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process password reset request'
+    });
+  }
+});
+
+// POST /api/auth/reset-password - Set a new password with a reset token
+router.post('/reset-password', validatePasswordReset, async (req, res) => {
+  try {
+    const { token, new_password } = req.body;
+
+    const authToken = await consumeToken(token, 'password_reset');
+    if (!authToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reset link is invalid or has expired'
+      });
+    }
+
+    const user = await User.findByPk(authToken.user_id);
+
+    const saltRounds = 12;
+    const password_hash = await bcrypt.hash(new_password, saltRounds);
+
+    // Following an emailed link proves ownership of the address as well
+    await user.update({
+      password_hash,
+      email_verified_at: user.email_verified_at || new Date()
+    });
+
+    await revokeUserSessions(user.id, 'password_change');
+
+    await recordAudit(req, {
+      actor: user,
+      action: 'auth.password_reset',
+      targetType: 'user',
+      targetId: user.id
+    });
+
+    sendPasswordChangedEmail(user).catch(mailError => {
+      console.error('Password changed email error:', mailError);
+    });
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset password'
+    });
+  }
+});
+
+// POST /api/auth/2fa/verify - Second login step: exchange challenge token + code for a session
+router.post('/2fa/verify', twoFactorLimiter, validateTwoFactorLogin, async (req, res) => {
+  try {
+    const { two_factor_token, code, recovery_code } = req.body;
+
+    let challenge;
+    try {
+      challenge = verifyChallengeToken(two_factor_token);
+    } catch (tokenError) {
+      return res.status(401).json({
+        success: false,
+        error: 'Two-factor session expired. Please log in again.'
+      });
+    }
+
+    const user = await User.findByPk(challenge.id);
+    if (!user || !user.is_active || !user.two_factor_enabled) {
       return res.status(401).json({
         success: false,
-        error: 'No token provided'
+        error: 'Two-factor session expired. Please log in again.'
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findByPk(decoded.id);
+    const isValid = code
+      ? await verifyCode(user, code)
+      : await consumeRecoveryCode(user, recovery_code);
 
-    if (!user) {
+    if (!isValid) {
+      await recordAudit(req, {
+        actor: user,
+        action: 'auth.two_factor_failed',
+        targetType: 'user',
+        targetId: user.id
+      });
       return res.status(401).json({
         success: false,
-        error: 'Invalid token'
+        error: 'Invalid authentication code'
       });
     }
 
-    const { first_name, last_name, phone, profile_image } = req.body;
+    await recordAudit(req, {
+      actor: user,
+      action: 'auth.login',
+      targetType: 'user',
+      targetId: user.id,
+      metadata: { two_factor: code ? 'totp' : 'recovery_code' }
+    });
 
-    await user.update({
-      first_name: first_name || user.first_name,
-      last_name: last_name || user.last_name,
-      phone: phone || user.phone,
-      profile_image: profile_image || user.profile_image
+    res.json({
+      success: true,
+      data: await completeLogin(user, req),
+      message: 'Login successful'
+    });
+
+  } catch (error) {
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify authentication code'
+    });
+  }
+});
+
+// GET /api/auth/2fa/status - Current user's two-factor status
+router.get('/2fa/status', auth, async (req, res) => {
+  try {
+    const recoveryCodesRemaining = await RecoveryCode.count({
+      where: { user_id: req.user.id, used_at: null }
     });
 
     res.json({
       success: true,
       data: {
-        id: user.id,
-        email: user.email,
-        first_name: user.first_name,
-        last_name: user.last_name,
-        phone: user.phone,
-        role: user.role,
-        profile_image: user.profile_image
+        enabled: req.user.two_factor_enabled,
+        required: isTwoFactorRequired(req.user),
+        recovery_codes_remaining: recoveryCodesRemaining
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch two-factor status'
+    });
+  }
+});
+
+// POST /api/auth/2fa/setup - Start enrollment: generate a secret and QR code
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+
+    if (user.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const enrollment = await generateEnrollment(user);
+
+    // Secret stays inactive until confirmed with a valid code
+    await user.update({ two_factor_secret: enrollment.encryptedSecret, two_factor_last_step: null });
+
+    res.json({
+      success: true,
+      data: {
+        secret: enrollment.secret,
+        otpauth_url: enrollment.otpauthUrl,
+        qr_code: enrollment.qrCode
       },
-      message: 'Profile updated successfully'
+      message: 'Scan the QR code with your authenticator app, then confirm with a code'
     });
 
   } catch (error) {
-    console.error('Update profile error:', error);
+    console.error('Two-factor setup error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to update profile'
+      error: 'Failed to start two-factor setup'
     });
   }
 });
 
-// POST /api/auth/change-password - Change password
-router.post('/change-password', async (req, res) => {
+// POST /api/auth/2fa/enable - Confirm enrollment with a code and receive recovery codes
+router.post('/2fa/enable', auth, twoFactorLimiter, validateTwoFactorCode, async (req, res) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({
+    const user = await User.findByPk(req.user.id);
+
+    if (user.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.two_factor_secret) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start two-factor setup first'
+      });
+    }
+
+    if (!await verifyCode(user, req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+
+    await user.update({ two_factor_enabled: true });
+    const recoveryCodes = await generateRecoveryCodes(user);
+
+    await recordAudit(req, {
+      action: 'auth.two_factor_enabled',
+      targetType: 'user',
+      targetId: user.id
+    });
+
+    res.json({
+      success: true,
+      data: { recovery_codes: recoveryCodes },
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.'
+    });
+
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to enable two-factor authentication'
+    });
+  }
+});
+
+// POST /api/auth/2fa/disable - Turn off two-factor (requires password and a code)
+router.post('/2fa/disable', auth, twoFactorLimiter, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findByPk(req.user.id);
+
+    if (!user.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication is required for your account and cannot be disabled'
+      });
+    }
+
+    const isValidPassword = password && await bcrypt.compare(password, user.password_hash);
+    if (!isValidPassword || !(await verifyCode(user, code) || await consumeRecoveryCode(user, code || ''))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid password or authentication code'
+      });
+    }
+
+    await clearTwoFactor(user);
+
+    await recordAudit(req, {
+      action: 'auth.two_factor_disabled',
+      targetType: 'user',
+      targetId: user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to disable two-factor authentication'
+    });
+  }
+});
+
+// POST /api/auth/2fa/recovery-codes - Regenerate recovery codes (invalidates the old ones)
+router.post('/2fa/recovery-codes', auth, twoFactorLimiter, validateTwoFactorCode, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+
+    if (!user.two_factor_enabled || !await verifyCode(user, req.body.code)) {
+      return res.status(400).json({
         success: false,
-        error: 'No token provided'
+        error: 'Invalid authentication code'
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findByPk(decoded.id);
+    const recoveryCodes = await generateRecoveryCodes(user);
+
+    await recordAudit(req, {
+      action: 'auth.recovery_codes_regenerated',
+      targetType: 'user',
+      targetId: user.id
+    });
+
+    res.json({
+      success: true,
+      data: { recovery_codes: recoveryCodes },
+      message: 'Recovery codes regenerated'
+    });
+
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to regenerate recovery codes'
+    });
+  }
+});
+
+// DELETE /api/auth/2fa/users/:userId - Admin reset of a user's two-factor (lost device)
+router.delete('/2fa/users/:userId', auth, authorize('admin'), async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.userId);
 
     if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    await clearTwoFactor(user);
+    await revokeUserSessions(user.id, 'admin_revoked');
+
+    await recordAudit(req, {
+      action: 'admin.two_factor_reset',
+      targetType: 'user',
+      targetId: user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset. The user must enroll again on next login.'
+    });
+
+  } catch (error) {
+    console.error('Two-factor reset error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset two-factor authentication'
+    });
+  }
+});
+
+// POST /api/auth/refresh - Rotate refresh token and issue a new access token
+router.post('/refresh', validateRefreshToken, async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    const result = await rotateRefreshToken(refresh_token, (userId) => User.findByPk(userId));
+
+    res.json({
+      success: true,
+      data: {
+        token: result.token,
+        refresh_token: result.refresh_token
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof RefreshError) {
+      if (error.code === 'reuse') {
+        await recordAudit(req, {
+          action: 'auth.refresh_token_reuse',
+          targetType: 'session',
+          targetId: error.sessionId
+        });
+      }
       return res.status(401).json({
         success: false,
-        error: 'Invalid token'
+        error: error.message
       });
     }
 
-    const { current_password, new_password } = req.body;
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refresh token'
+    });
+  }
+});
 
-    // Verify current password
-    const isValidPassword = await bcrypt.compare(current_password, user.password_hash);
-    if (!isValidPassword) {
-      return res.status(400).json({
+// POST /api/auth/logout - Revoke the session behind a refresh token
+router.post('/logout', validateRefreshToken, async (req, res) => {
+  try {
+    const session = await findSessionByRefreshToken(req.body.refresh_token);
+
+    if (session) {
+      await revokeSession(session, 'logout');
+
+      await recordAudit(req, {
+        actor: { id: session.user_id },
+        action: 'auth.logout',
+        targetType: 'session',
+        targetId: session.id
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to logout'
+    });
+  }
+});
+
+// GET /api/auth/sessions - List the current user's active sessions
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await UserSession.findAll({
+      where: {
+        user_id: req.user.id,
+        revoked_at: null
+      },
+      attributes: ['id', 'user_agent', 'ip_address', 'last_used_at', 'expires_at', 'created_at'],
+      order: [['last_used_at', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: sessions
+        .filter(session => new Date(session.expires_at) > new Date())
+        .map(session => ({
+          ...session.toJSON(),
+          is_current: session.id === req.userSession.id
+        }))
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sessions'
+    });
+  }
+});
+
+// DELETE /api/auth/sessions/:id - Revoke one of the current user's sessions
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await UserSession.findOne({
+      where: {
+        id: req.params.id,
+        user_id: req.user.id
+      }
+    });
+
+    if (!session) {
+      return res.status(404).json({
         success: false,
-        error: 'Current password is incorrect'
+        error: 'Session not found'
       });
     }
 
-    // Hash new password
-    const saltRounds = 12;
-    const new_password_hash = await bcrypt.hash(new_password, saltRounds);
+    await revokeSession(session, 'user_revoked');
 
-    await user.update({ password_hash: new_password_hash });
+    await recordAudit(req, {
+      action: 'auth.session_revoked',
+      targetType: 'session',
+      targetId: session.id
+    });
 
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Session revoked successfully'
     });
 
   } catch (error) {
-    console.error('Change password error:', error);
+    console.error('Revoke session error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to change password'
+      error: 'Failed to revoke session'
+    });
+  }
+});
+
+// DELETE /api/auth/sessions - Revoke all sessions except the current one
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const count = await revokeUserSessions(req.user.id, 'user_revoked', req.userSession.id);
+
+    await recordAudit(req, {
+      action: 'auth.sessions_revoked',
+      targetType: 'user',
+      targetId: req.user.id,
+      metadata: { revoked: count }
+    });
+
+    res.json({
+      success: true,
+      data: { revoked: count },
+      message: 'Other sessions revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke sessions'
     });
   }
 });
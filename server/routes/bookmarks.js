@@ -0,0 +1,226 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { sequelize, JobBookmark, Job, Company } = require('../models');
+const { auth } = require('../middleware/auth');
+const { validateBookmark } = require('../middleware/validation');
+const { trackedJobInclude, buildTracker } = require('../services/jobTracker');
+
+const findOwnBookmark = (req) => {
+  return JobBookmark.findOne({
+    where: { id: req.params.id, user_id: req.user.id },
+    include: [trackedJobInclude]
+  });
+};
+
+// GET /api/bookmarks - Saved jobs; filter by `tag` or `stage`
+router.get('/', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, tag, stage } = req.query;
+    const offset = (page - 1) * limit;
+
+    const whereClause = { user_id: req.user.id };
+    if (stage) {
+      whereClause.stage = stage;
+    }
+    if (tag) {
+      whereClause[Op.and] = [
+        sequelize.where(sequelize.fn('JSON_CONTAINS', sequelize.col('tags'), JSON.stringify(tag)), 1)
+      ];
+    }
+
+    const bookmarks = await JobBookmark.findAndCountAll({
+      where: whereClause,
+      include: [trackedJobInclude],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['created_at', 'DESC']],
+      distinct: true
+    });
+
+    res.json({
+      success: true,
+      data: bookmarks.rows,
+      pagination: {
+        current_page: parseInt(page),
+        total_pages: Math.ceil(bookmarks.count / limit),
+        total_items: bookmarks.count,
+        items_per_page: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching bookmarks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch bookmarks'
+    });
+  }
+});
+
+// GET /api/bookmarks/tracker - Bookmarks, external and platform applications in one pipeline
+router.get('/tracker', auth, async (req, res) => {
+  try {
+    const { stage, tag } = req.query;
+    const tracker = await buildTracker(req.user.id, { stage, tag });
+
+    res.json({
+      success: true,
+      data: tracker.items,
+      stages: tracker.stages,
+      tags: tracker.tags
+    });
+
+  } catch (error) {
+    console.error('Error fetching job tracker:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch job tracker'
+    });
+  }
+});
+
+// POST /api/bookmarks - Bookmark a platform job (`job_id`) or track an outside one (`title`, ...)
+router.post('/', auth, validateBookmark, async (req, res) => {
+  try {
+    const {
+      job_id,
+      title,
+      company_name,
+      url,
+      location,
+      notes,
+      tags,
+      stage,
+      applied_at,
+      deadline,
+      remind_days_before
+    } = req.body;
+
+    let job = null;
+    if (job_id) {
+      job = await Job.findOne({
+        where: { id: job_id, is_active: true },
+        include: [{ model: Company, as: 'company', attributes: ['id', 'name'] }]
+      });
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+
+      const existing = await JobBookmark.findOne({ where: { user_id: req.user.id, job_id } });
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          error: 'Job is already bookmarked',
+          data: { id: existing.id }
+        });
+      }
+    }
+
+    // Platform jobs keep a snapshot so the tracker survives the posting's deletion
+    const bookmark = await JobBookmark.create({
+      user_id: req.user.id,
+      job_id: job ? job.id : null,
+      title: job ? job.title : title,
+      company_name: job ? job.company?.name || null : company_name,
+      url: job ? null : url,
+      location: job ? job.location : location,
+      notes,
+      tags: tags || [],
+      stage: stage || (applied_at ? 'applied' : 'saved'),
+      applied_at: applied_at || (stage === 'applied' ? new Date() : null),
+      deadline: job ? null : deadline,
+      remind_days_before
+    });
+
+    res.status(201).json({
+      success: true,
+      data: await JobBookmark.findByPk(bookmark.id, { include: [trackedJobInclude] }),
+      message: job ? 'Job saved' : 'Job added to your tracker'
+    });
+
+  } catch (error) {
+    console.error('Error creating bookmark:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save job'
+    });
+  }
+});
+
+// PUT /api/bookmarks/:id - Update notes, tags, stage or reminder settings
+router.put('/:id', auth, validateBookmark, async (req, res) => {
+  try {
+    const bookmark = await findOwnBookmark(req);
+
+    if (!bookmark) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bookmark not found'
+      });
+    }
+
+    const updates = { ...req.body };
+    delete updates.job_id;
+
+    // Only outside jobs have editable details
+    if (bookmark.job_id) {
+      ['title', 'company_name', 'url', 'location', 'deadline'].forEach(field => delete updates[field]);
+    }
+    if (updates.stage === 'applied' && !bookmark.applied_at && !updates.applied_at) {
+      updates.applied_at = new Date();
+    }
+    // A new deadline or lead time re-arms the reminder
+    if ('deadline' in updates || 'remind_days_before' in updates) {
+      updates.reminder_sent_at = null;
+    }
+
+    await bookmark.update(updates);
+
+    res.json({
+      success: true,
+      data: bookmark,
+      message: 'Bookmark updated'
+    });
+
+  } catch (error) {
+    console.error('Error updating bookmark:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update bookmark'
+    });
+  }
+});
+
+// DELETE /api/bookmarks/:id - Remove a bookmark
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const bookmark = await findOwnBookmark(req);
+
+    if (!bookmark) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bookmark not found'
+      });
+    }
+
+    await bookmark.destroy();
+
+    res.json({
+      success: true,
+      message: 'Bookmark removed'
+    });
+
+  } catch (error) {
+    console.error('Error deleting bookmark:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove bookmark'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,554 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { Company, CompanyMember, CompanyInvitation, Job, User } = require('../models');
+const { auth, authorize } = require('../middleware/auth');
+const { validateCompany, validateCompanyInvitation } = require('../middleware/validation');
+const { getMembership, roleHasPermission, COMPANY_ROLES } = require('../services/companyAccess');
+const { signToken } = require('../services/authTokens');
+const { sendCompanyInvitationEmail } = require('../services/emails');
+const { recordAudit } = require('../services/audit');
+const { indexCompanyJobs } = require('../services/search');
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Load the caller's membership and reject if it lacks the permission
+const requireCompanyPermission = (permission) => {
+  return async (req, res, next) => {
+    try {
+      const membership = await getMembership(req.user.id, req.params.id);
+
+      if (!membership || !roleHasPermission(membership.role, permission)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied. Insufficient company permissions.'
+        });
+      }
+
+      req.companyMembership = membership;
+      next();
+    } catch (error) {
+      console.error('Company permission error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to verify company permissions'
+      });
+    }
+  };
+};
+
+const countOwners = (companyId) => {
+  return CompanyMember.count({ where: { company_id: companyId, role: 'owner' } });
+};
+
+// POST /api/companies - Create a company; the creator becomes its owner
+router.post('/', auth, authorize('employer', 'admin'), validateCompany, async (req, res) => {
+  try {
+    const { name, logo_url, website, description, size, industry } = req.body;
+
+    const company = await Company.sequelize.transaction(async (transaction) => {
+      const created = await Company.create({
+        name,
+        logo_url,
+        website,
+        description,
+        size,
+        industry,
+        created_by: req.user.id
+      }, { transaction });
+
+      await CompanyMember.create({
+        company_id: created.id,
+        user_id: req.user.id,
+        role: 'owner'
+      }, { transaction });
+
+      return created;
+    });
+
+    await recordAudit(req, {
+      action: 'company.created',
+      targetType: 'company',
+      targetId: company.id,
+      companyId: company.id,
+      after: company
+    });
+
+    res.status(201).json({
+      success: true,
+      data: company,
+      message: 'Company created successfully'
+    });
+
+  } catch (error) {
+    console.error('Error creating company:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create company'
+    });
+  }
+});
+
+// GET /api/companies/mine - Companies the current user belongs to
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const memberships = await CompanyMember.findAll({
+      where: { user_id: req.user.id },
+      include: [
+        {
+          model: Company,
+          as: 'company'
+        }
+      ],
+      order: [['created_at', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: memberships.map(membership => ({
+        ...membership.company.toJSON(),
+        membership_role: membership.role
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching companies:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch companies'
+    });
+  }
+});
+
+// POST /api/companies/invitations/accept - Accept an invitation sent to the current user's email
+router.post('/invitations/accept', auth, authorize('employer', 'admin'), async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invitation token is required'
+      });
+    }
+
+    const invitation = await CompanyInvitation.findOne({
+      where: {
+        token_hash: signToken(token),
+        accepted_at: null,
+        revoked_at: null,
+        expires_at: { [Op.gt]: new Date() }
+      },
+      include: [{ model: Company, as: 'company' }]
+    });
+
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invitation is invalid or has expired'
+      });
+    }
+
+    if (invitation.email.toLowerCase() !== req.user.email.toLowerCase()) {
+      return res.status(403).json({
+        success: false,
+        error: 'This invitation was sent to a different email address'
+      });
+    }
+
+    const existing = await getMembership(req.user.id, invitation.company_id);
+    if (existing) {
+      await invitation.update({ accepted_at: new Date() });
+      return res.status(400).json({
+        success: false,
+        error: 'You are already a member of this company'
+      });
+    }
+
+    await CompanyMember.sequelize.transaction(async (transaction) => {
+      await CompanyMember.create({
+        company_id: invitation.company_id,
+        user_id: req.user.id,
+        role: invitation.role
+      }, { transaction });
+
+      await invitation.update({ accepted_at: new Date() }, { transaction });
+    });
+
+    await recordAudit(req, {
+      action: 'company.invitation_accepted',
+      targetType: 'company_invitation',
+      targetId: invitation.id,
+      companyId: invitation.company_id,
+      metadata: { role: invitation.role }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...invitation.company.toJSON(),
+        membership_role: invitation.role
+      },
+      message: `You joined ${invitation.company.name}`
+    });
+
+  } catch (error) {
+    console.error('Error accepting invitation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to accept invitation'
+    });
+  }
+});
+
+// GET /api/companies/:id - Public company profile
+router.get('/:id', async (req, res) => {
+  try {
+    const company = await Company.findByPk(req.params.id, {
+      attributes: { exclude: ['created_by'] }
+    });
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        error: 'Company not found'
+      });
+    }
+
+    const activeJobs = await Job.count({
+      where: {
+        company_id: company.id,
+        is_active: true
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...company.toJSON(),
+        active_jobs_count: activeJobs
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching company:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch company'
+    });
+  }
+});
+
+// PUT /api/companies/:id - Update company profile (owners only)
+router.put('/:id', auth, requireCompanyPermission('company:manage'), validateCompany, async (req, res) => {
+  try {
+    const company = await Company.findByPk(req.params.id);
+    const { name, logo_url, website, description, size, industry } = req.body;
+
+    const before = company.toJSON();
+    await company.update({ name, logo_url, website, description, size, industry });
+
+    await recordAudit(req, {
+      action: 'company.updated',
+      targetType: 'company',
+      targetId: company.id,
+      companyId: company.id,
+      before,
+      after: company
+    });
+
+    if (before.name !== company.name) {
+      await indexCompanyJobs(company.id);
+    }
+
+    res.json({
+      success: true,
+      data: company,
+      message: 'Company updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error updating company:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update company'
+    });
+  }
+});
+
+// GET /api/companies/:id/members - List members (any member)
+router.get('/:id/members', auth, requireCompanyPermission('jobs:view'), async (req, res) => {
+  try {
+    const members = await CompanyMember.findAll({
+      where: { company_id: req.params.id },
+      include: [
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'first_name', 'last_name', 'email', 'profile_image']
+        }
+      ],
+      order: [['created_at', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: members
+    });
+
+  } catch (error) {
+    console.error('Error fetching company members:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch company members'
+    });
+  }
+});
+
+// PUT /api/companies/:id/members/:userId - Change a member's role (owners only)
+router.put('/:id/members/:userId', auth, requireCompanyPermission('company:manage'), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!COMPANY_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid company role'
+      });
+    }
+
+    const member = await getMembership(req.params.userId, req.params.id);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found'
+      });
+    }
+
+    if (member.role === 'owner' && role !== 'owner' && await countOwners(req.params.id) <= 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'A company must have at least one owner'
+      });
+    }
+
+    const before = member.toJSON();
+    await member.update({ role });
+
+    await recordAudit(req, {
+      action: 'company.member_role_changed',
+      targetType: 'user',
+      targetId: member.user_id,
+      companyId: member.company_id,
+      before,
+      after: member
+    });
+
+    res.json({
+      success: true,
+      data: member,
+      message: 'Member role updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error updating company member:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update member'
+    });
+  }
+});
+
+// DELETE /api/companies/:id/members/:userId - Remove a member (owners) or leave (self)
+router.delete('/:id/members/:userId', auth, async (req, res) => {
+  try {
+    const isSelf = parseInt(req.params.userId, 10) === req.user.id;
+
+    if (!isSelf) {
+      const membership = await getMembership(req.user.id, req.params.id);
+      if (!membership || !roleHasPermission(membership.role, 'company:manage')) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied. Insufficient company permissions.'
+        });
+      }
+    }
+
+    const member = await getMembership(req.params.userId, req.params.id);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found'
+      });
+    }
+
+    if (member.role === 'owner' && await countOwners(req.params.id) <= 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'A company must have at least one owner'
+      });
+    }
+
+    await member.destroy();
+
+    await recordAudit(req, {
+      action: isSelf ? 'company.member_left' : 'company.member_removed',
+      targetType: 'user',
+      targetId: member.user_id,
+      companyId: member.company_id,
+      before: member
+    });
+
+    res.json({
+      success: true,
+      message: isSelf ? 'You left the company' : 'Member removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Error removing company member:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove member'
+    });
+  }
+});
+
+// GET /api/companies/:id/invitations - Pending invitations (owners only)
+router.get('/:id/invitations', auth, requireCompanyPermission('company:manage'), async (req, res) => {
+  try {
+    const invitations = await CompanyInvitation.findAll({
+      where: {
+        company_id: req.params.id,
+        accepted_at: null,
+        revoked_at: null,
+        expires_at: { [Op.gt]: new Date() }
+      },
+      attributes: { exclude: ['token_hash'] },
+      include: [
+        {
+          model: User,
+          as: 'inviter',
+          attributes: ['id', 'first_name', 'last_name']
+        }
+      ],
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: invitations
+    });
+
+  } catch (error) {
+    console.error('Error fetching invitations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch invitations'
+    });
+  }
+});
+
+// POST /api/companies/:id/invitations - Invite someone by email (owners only)
+router.post('/:id/invitations', auth, requireCompanyPermission('company:manage'), validateCompanyInvitation, async (req, res) => {
+  try {
+    const { email, role } = req.body;
+    const company = await Company.findByPk(req.params.id);
+
+    const existingUser = await User.findOne({ where: { email } });
+    if (existingUser && await getMembership(existingUser.id, company.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'This user is already a member of the company'
+      });
+    }
+
+    // Only one open invitation per email
+    await CompanyInvitation.update(
+      { revoked_at: new Date() },
+      { where: { company_id: company.id, email, accepted_at: null, revoked_at: null } }
+    );
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const invitation = await CompanyInvitation.create({
+      company_id: company.id,
+      email,
+      role,
+      token_hash: signToken(token),
+      invited_by: req.user.id,
+      expires_at: new Date(Date.now() + INVITATION_TTL_MS)
+    });
+
+    await recordAudit(req, {
+      action: 'company.invitation_sent',
+      targetType: 'company_invitation',
+      targetId: invitation.id,
+      companyId: company.id,
+      metadata: { email, role }
+    });
+
+    await sendCompanyInvitationEmail(invitation, company, req.user, token);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        id: invitation.id,
+        email: invitation.email,
+        role: invitation.role,
+        expires_at: invitation.expires_at
+      },
+      message: 'Invitation sent successfully'
+    });
+
+  } catch (error) {
+    console.error('Error creating invitation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send invitation'
+    });
+  }
+});
+
+// DELETE /api/companies/:id/invitations/:invitationId - Revoke a pending invitation (owners only)
+router.delete('/:id/invitations/:invitationId', auth, requireCompanyPermission('company:manage'), async (req, res) => {
+  try {
+    const invitation = await CompanyInvitation.findOne({
+      where: {
+        id: req.params.invitationId,
+        company_id: req.params.id,
+        accepted_at: null
+      }
+    });
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invitation not found'
+      });
+    }
+
+    await invitation.update({ revoked_at: new Date() });
+
+    await recordAudit(req, {
+      action: 'company.invitation_revoked',
+      targetType: 'company_invitation',
+      targetId: invitation.id,
+      companyId: invitation.company_id,
+      metadata: { email: invitation.email }
+    });
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke invitation'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,163 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { Job, User, Company } = require('../models');
+const { buildJobQuery, pickFilters } = require('../services/jobQuery');
+const { LocationQueryError } = require('../services/jobLocation');
+const { SalaryError } = require('../services/salary');
+const { liveJobWhere } = require('../services/jobLifecycle');
+const { MODERATION_FIELDS } = require('../services/jobModeration');
+const {
+  XML_FEED_PAGE_SIZE,
+  SITEMAP_PAGE_SIZE,
+  SYNDICATION_FEED_SIZE,
+  xmlJobFeed,
+  rssFeed,
+  atomFeed,
+  jobSitemap,
+  sitemapIndex
+} = require('../services/jobFeeds');
+
+// Feeds are rebuilt on every request; caches may hold them about as long as
+// the lifecycle sweeper takes to notice an expired job
+const CACHE_CONTROL = 'public, max-age=300';
+
+const feedInclude = [
+  {
+    model: User,
+    as: 'employer',
+    attributes: ['id', 'first_name', 'last_name']
+  },
+  {
+    model: Company,
+    as: 'company',
+    attributes: ['id', 'name', 'logo_url', 'website', 'industry']
+  }
+];
+
+const feedAttributes = { exclude: ['screening_questions', ...MODERATION_FIELDS] };
+
+const newestFirst = [['published_at', 'DESC'], ['id', 'DESC']];
+
+// Public base URL of these routes, for self links. API_URL wins when the
+// server sits behind a proxy that rewrites the host.
+const feedsUrl = (req) => `${process.env.API_URL || `${req.protocol}://${req.get('host')}/api`}/feeds`;
+
+const pageParam = (value) => Math.max(parseInt(value, 10) || 1, 1);
+
+const sendXml = (res, type, body) => {
+  res.set('Cache-Control', CACHE_CONTROL);
+  res.type(type).send(body);
+};
+
+// GET /api/feeds/jobs.xml?page= - Aggregator feed of live jobs, paged with
+// Link headers
+router.get('/jobs.xml', async (req, res) => {
+  try {
+    const page = pageParam(req.query.page);
+    const jobs = await Job.findAndCountAll({
+      where: liveJobWhere(),
+      include: feedInclude,
+      attributes: feedAttributes,
+      limit: XML_FEED_PAGE_SIZE,
+      offset: (page - 1) * XML_FEED_PAGE_SIZE,
+      order: newestFirst,
+      distinct: true
+    });
+
+    const totalPages = Math.max(Math.ceil(jobs.count / XML_FEED_PAGE_SIZE), 1);
+    const pageUrl = (number) => `${feedsUrl(req)}/jobs.xml?page=${number}`;
+    const links = [`<${pageUrl(1)}>; rel="first"`, `<${pageUrl(totalPages)}>; rel="last"`];
+    if (page > 1) links.push(`<${pageUrl(page - 1)}>; rel="prev"`);
+    if (page < totalPages) links.push(`<${pageUrl(page + 1)}>; rel="next"`);
+
+    res.set('Link', links.join(', '));
+    res.set('X-Total-Count', String(jobs.count));
+    sendXml(res, 'application/xml', xmlJobFeed(jobs.rows));
+
+  } catch (error) {
+    console.error('Error building job feed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build job feed'
+    });
+  }
+});
+
+// RSS and Atom feeds take the same filters as `GET /api/jobs`, so any search
+// (or saved search) can be subscribed to
+const syndicationFeed = (format, type, build) => async (req, res) => {
+  try {
+    const filters = pickFilters(req.query);
+    const { listWhere } = await buildJobQuery(filters);
+    const jobs = await Job.findAll({
+      where: { [Op.and]: [listWhere, liveJobWhere()] },
+      include: feedInclude,
+      attributes: feedAttributes,
+      limit: SYNDICATION_FEED_SIZE,
+      order: newestFirst
+    });
+
+    const query = new URLSearchParams(filters).toString();
+    const selfUrl = `${feedsUrl(req)}/jobs.${format}${query ? `?${query}` : ''}`;
+    sendXml(res, type, build(jobs, { filters, selfUrl }));
+
+  } catch (error) {
+    if (error instanceof LocationQueryError || error instanceof SalaryError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error(`Error building ${format} feed:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to build ${format} feed`
+    });
+  }
+};
+
+// GET /api/feeds/jobs.rss - RSS 2.0 feed of the newest jobs matching the filters
+router.get('/jobs.rss', syndicationFeed('rss', 'application/rss+xml', rssFeed));
+
+// GET /api/feeds/jobs.atom - Atom feed of the newest jobs matching the filters
+router.get('/jobs.atom', syndicationFeed('atom', 'application/atom+xml', atomFeed));
+
+// GET /api/feeds/sitemap.xml?page= - Sitemap of live job pages. Past one
+// file's worth of jobs it is a sitemap index and `page` selects a file.
+router.get('/sitemap.xml', async (req, res) => {
+  try {
+    const where = liveJobWhere();
+    const count = await Job.count({ where });
+    const totalPages = Math.ceil(count / SITEMAP_PAGE_SIZE);
+
+    if (totalPages > 1 && !req.query.page) {
+      const pageUrls = Array.from(
+        { length: totalPages },
+        (_, index) => `${feedsUrl(req)}/sitemap.xml?page=${index + 1}`
+      );
+      return sendXml(res, 'application/xml', sitemapIndex(pageUrls));
+    }
+
+    const page = pageParam(req.query.page);
+    const jobs = await Job.findAll({
+      where,
+      attributes: ['id', 'created_at', 'updated_at'],
+      limit: SITEMAP_PAGE_SIZE,
+      offset: (page - 1) * SITEMAP_PAGE_SIZE,
+      order: [['id', 'ASC']]
+    });
+
+    sendXml(res, 'application/xml', jobSitemap(jobs));
+
+  } catch (error) {
+    console.error('Error building sitemap:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build sitemap'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,318 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const { Op } = require('sequelize');
+const { JobImportProfile, Company } = require('../models');
+const { auth, authorize, requireVerified } = require('../middleware/auth');
+const { validateJobImportProfile } = require('../middleware/validation');
+const { hasCompanyPermission, jobAccessWhere } = require('../services/companyAccess');
+const { recordAudit } = require('../services/audit');
+const {
+  MAX_FEED_BYTES,
+  JobImportError,
+  findAccessibleProfile,
+  loadSource,
+  runImport
+} = require('../services/jobImports');
+
+const PROFILE_FIELDS = [
+  'name',
+  'format',
+  'record_path',
+  'mapping',
+  'defaults',
+  'publish_status',
+  'close_missing',
+  'source_type',
+  'source_location',
+  'schedule'
+];
+
+const companyInclude = {
+  model: Company,
+  as: 'company',
+  attributes: ['id', 'name', 'logo_url']
+};
+
+// Feeds are parsed in memory; nothing is kept on disk
+const feedUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FEED_BYTES },
+  fileFilter: (req, file, cb) => {
+    if (/^\.(csv|json|xml)$/.test(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+    cb(new Error('Only CSV, JSON and XML feeds are allowed'));
+  }
+});
+
+const pickProfileFields = (body) => Object.fromEntries(
+  PROFILE_FIELDS.filter(field => field in body).map(field => [field, body[field]])
+);
+
+// Only file and URL sources can be fetched on a schedule
+const scheduleError = ({ schedule, source_type }) => (
+  schedule && schedule !== 'manual' && !['file', 'url'].includes(source_type)
+    ? 'Scheduled imports need a file or URL source'
+    : null
+);
+
+// Every import endpoint is for employers
+router.use(auth, authorize('employer', 'admin'));
+
+// GET /api/job-imports - Personal import profiles and those of the user's companies
+router.get('/', async (req, res) => {
+  try {
+    const whereClause = { [Op.and]: [await jobAccessWhere(req.user, 'jobs:view')] };
+    if (req.query.company_id) {
+      whereClause.company_id = req.query.company_id;
+    }
+
+    const profiles = await JobImportProfile.findAll({
+      where: whereClause,
+      include: [companyInclude],
+      order: [['name', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: profiles
+    });
+
+  } catch (error) {
+    console.error('Error fetching import profiles:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch import profiles'
+    });
+  }
+});
+
+// GET /api/job-imports/:id - Get an import profile with its last run
+router.get('/:id', async (req, res) => {
+  try {
+    const profile = await findAccessibleProfile(req.user, req.params.id, 'jobs:view');
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'Import profile not found or access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: profile
+    });
+
+  } catch (error) {
+    console.error('Error fetching import profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch import profile'
+    });
+  }
+});
+
+// POST /api/job-imports - Save a column mapping and source, personal or for a company
+router.post('/', requireVerified, validateJobImportProfile, async (req, res) => {
+  try {
+    const { company_id } = req.body;
+
+    if (company_id && !await hasCompanyPermission(req.user.id, company_id, 'jobs:manage')) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot import jobs for this company'
+      });
+    }
+
+    const fields = pickProfileFields(req.body);
+    const error = scheduleError(fields);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    // Scheduled profiles run on the scheduler's next poll
+    const profile = await JobImportProfile.create({
+      ...fields,
+      employer_id: req.user.id,
+      company_id: company_id || null,
+      next_run_at: fields.schedule && fields.schedule !== 'manual' ? new Date() : null
+    });
+
+    await recordAudit(req, {
+      action: 'job_import_profile.created',
+      targetType: 'job_import_profile',
+      targetId: profile.id,
+      companyId: profile.company_id,
+      after: profile
+    });
+
+    res.status(201).json({
+      success: true,
+      data: profile,
+      message: 'Import profile created successfully'
+    });
+
+  } catch (error) {
+    console.error('Error creating import profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create import profile'
+    });
+  }
+});
+
+// PUT /api/job-imports/:id - Update any subset of a profile's fields
+router.put('/:id', validateJobImportProfile, async (req, res) => {
+  try {
+    const profile = await findAccessibleProfile(req.user, req.params.id, 'jobs:manage');
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'Import profile not found or access denied'
+      });
+    }
+
+    // Moving a profile changes whose jobs and import directory it uses, so
+    // it needs jobs:manage on the company it leaves as well as the one it joins
+    const { company_id } = req.body;
+    if ('company_id' in req.body && company_id !== profile.company_id && req.user.role !== 'admin') {
+      const companyIds = [profile.company_id, company_id].filter(Boolean);
+      const permitted = await Promise.all(
+        companyIds.map(companyId => hasCompanyPermission(req.user.id, companyId, 'jobs:manage'))
+      );
+
+      if (permitted.includes(false)) {
+        return res.status(403).json({
+          success: false,
+          error: 'You cannot move this profile to that company'
+        });
+      }
+    }
+
+    const updates = pickProfileFields(req.body);
+    if ('company_id' in req.body) {
+      updates.company_id = company_id || null;
+    }
+
+    const error = scheduleError({ ...profile.toJSON(), ...updates });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+    if ('schedule' in updates && updates.schedule !== profile.schedule) {
+      updates.next_run_at = updates.schedule === 'manual' ? null : new Date();
+    }
+
+    const before = profile.toJSON();
+    await profile.update(updates);
+
+    await recordAudit(req, {
+      action: 'job_import_profile.updated',
+      targetType: 'job_import_profile',
+      targetId: profile.id,
+      companyId: profile.company_id,
+      before,
+      after: profile
+    });
+
+    res.json({
+      success: true,
+      data: profile,
+      message: 'Import profile updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error updating import profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update import profile'
+    });
+  }
+});
+
+// DELETE /api/job-imports/:id - Delete a profile; jobs it imported stay as they are
+router.delete('/:id', async (req, res) => {
+  try {
+    const profile = await findAccessibleProfile(req.user, req.params.id, 'jobs:manage');
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'Import profile not found or access denied'
+      });
+    }
+
+    await profile.destroy();
+
+    await recordAudit(req, {
+      action: 'job_import_profile.deleted',
+      targetType: 'job_import_profile',
+      targetId: profile.id,
+      companyId: profile.company_id,
+      before: profile
+    });
+
+    res.json({
+      success: true,
+      message: 'Import profile deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting import profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete import profile'
+    });
+  }
+});
+
+// POST /api/job-imports/:id/run?dry_run=true - Import an uploaded feed (`file`)
+// or the profile's file or URL. Dry runs report what each row would do
+// without writing anything.
+router.post('/:id/run', requireVerified, feedUpload.single('file'), async (req, res) => {
+  try {
+    const profile = await findAccessibleProfile(req.user, req.params.id, 'jobs:manage');
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'Import profile not found or access denied'
+      });
+    }
+
+    const dryRun = String(req.query.dry_run ?? req.body.dry_run) === 'true';
+    const content = req.file ? req.file.buffer : await loadSource(profile);
+    const report = await runImport(profile, content, { dryRun, req });
+
+    res.json({
+      success: true,
+      data: report,
+      message: dryRun ? 'Dry run completed; nothing was saved' : 'Import completed'
+    });
+
+  } catch (error) {
+    if (error instanceof JobImportError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Error running job import:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run job import'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
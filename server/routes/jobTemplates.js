@@ -0,0 +1,281 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { JobTemplate, Company } = require('../models');
+const { auth, authorize } = require('../middleware/auth');
+const { validateJobTemplate } = require('../middleware/validation');
+const { hasCompanyPermission, jobAccessWhere, findAccessibleJob } = require('../services/companyAccess');
+const { recordAudit } = require('../services/audit');
+const {
+  TEMPLATE_FIELDS,
+  findAccessibleTemplate,
+  templateFromJob
+} = require('../services/jobTemplates');
+const { withQuestionIds } = require('../services/screening');
+const { listJobSkills } = require('../services/jobSkills');
+
+const companyInclude = {
+  model: Company,
+  as: 'company',
+  attributes: ['id', 'name', 'logo_url']
+};
+
+const pickTemplateFields = (body) => Object.fromEntries(
+  TEMPLATE_FIELDS.filter(field => field in body).map(field => [field, body[field]])
+);
+
+// Every template endpoint is for employers
+router.use(auth, authorize('employer', 'admin'));
+
+// GET /api/job-templates - Personal templates and those of the user's companies
+router.get('/', async (req, res) => {
+  try {
+    const { company_id, search } = req.query;
+
+    const whereClause = { [Op.and]: [await jobAccessWhere(req.user, 'jobs:view')] };
+    if (company_id) {
+      whereClause.company_id = company_id;
+    }
+    if (search) {
+      whereClause[Op.or] = [
+        { name: { [Op.like]: `%${search}%` } },
+        { title: { [Op.like]: `%${search}%` } }
+      ];
+    }
+
+    const templates = await JobTemplate.findAll({
+      where: whereClause,
+      include: [companyInclude],
+      order: [['last_used_at', 'DESC'], ['name', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: templates
+    });
+
+  } catch (error) {
+    console.error('Error fetching job templates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch job templates'
+    });
+  }
+});
+
+// GET /api/job-templates/:id - Get a template
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await findAccessibleTemplate(req.user, req.params.id, 'jobs:view');
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found or access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: template
+    });
+
+  } catch (error) {
+    console.error('Error fetching job template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch job template'
+    });
+  }
+});
+
+// POST /api/job-templates - Create a template, personal or for a company
+router.post('/', validateJobTemplate, async (req, res) => {
+  try {
+    const { name, company_id } = req.body;
+
+    if (company_id && !await hasCompanyPermission(req.user.id, company_id, 'jobs:manage')) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot create templates for this company'
+      });
+    }
+
+    const template = await JobTemplate.create({
+      ...pickTemplateFields(req.body),
+      screening_questions: withQuestionIds(req.body.screening_questions),
+      employer_id: req.user.id,
+      company_id: company_id || null,
+      name
+    });
+
+    await recordAudit(req, {
+      action: 'job_template.created',
+      targetType: 'job_template',
+      targetId: template.id,
+      companyId: template.company_id,
+      after: template
+    });
+
+    res.status(201).json({
+      success: true,
+      data: template,
+      message: 'Template created successfully'
+    });
+
+  } catch (error) {
+    console.error('Error creating job template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create job template'
+    });
+  }
+});
+
+// POST /api/job-templates/from-job/:jobId - Save an existing posting as a template
+router.post('/from-job/:jobId', async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name || name.length > 100) {
+      return res.status(400).json({
+        success: false,
+        error: 'Template name is required and cannot exceed 100 characters'
+      });
+    }
+
+    const job = await findAccessibleJob(req.user, req.params.jobId, 'jobs:manage');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found or access denied'
+      });
+    }
+
+    const template = await JobTemplate.create({
+      ...templateFromJob(job),
+      skills: await listJobSkills(job.id),
+      employer_id: req.user.id,
+      name
+    });
+
+    await recordAudit(req, {
+      action: 'job_template.created',
+      targetType: 'job_template',
+      targetId: template.id,
+      companyId: template.company_id,
+      after: template,
+      metadata: { job_id: job.id }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: template,
+      message: 'Job saved as template'
+    });
+
+  } catch (error) {
+    console.error('Error saving job as template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save job as template'
+    });
+  }
+});
+
+// PUT /api/job-templates/:id - Update any subset of a template's fields
+router.put('/:id', validateJobTemplate, async (req, res) => {
+  try {
+    const template = await findAccessibleTemplate(req.user, req.params.id, 'jobs:manage');
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found or access denied'
+      });
+    }
+
+    const { company_id } = req.body;
+    if (company_id && company_id !== template.company_id &&
+      !await hasCompanyPermission(req.user.id, company_id, 'jobs:manage')) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot move this template to that company'
+      });
+    }
+
+    const updates = pickTemplateFields(req.body);
+    if ('name' in req.body) {
+      updates.name = req.body.name;
+    }
+    if ('company_id' in req.body) {
+      updates.company_id = company_id || null;
+    }
+    if ('screening_questions' in req.body) {
+      updates.screening_questions = withQuestionIds(req.body.screening_questions);
+    }
+
+    const before = template.toJSON();
+    await template.update(updates);
+
+    await recordAudit(req, {
+      action: 'job_template.updated',
+      targetType: 'job_template',
+      targetId: template.id,
+      companyId: template.company_id,
+      before,
+      after: template
+    });
+
+    res.json({
+      success: true,
+      data: template,
+      message: 'Template updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error updating job template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update job template'
+    });
+  }
+});
+
+// DELETE /api/job-templates/:id - Delete a template; jobs created from it are unaffected
+router.delete('/:id', async (req, res) => {
+  try {
+    const template = await findAccessibleTemplate(req.user, req.params.id, 'jobs:manage');
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found or access denied'
+      });
+    }
+
+    await template.destroy();
+
+    await recordAudit(req, {
+      action: 'job_template.deleted',
+      targetType: 'job_template',
+      targetId: template.id,
+      companyId: template.company_id,
+      before: template
+    });
+
+    res.json({
+      success: true,
+      message: 'Template deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting job template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete job template'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
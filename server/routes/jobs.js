@@ -1,70 +1,166 @@
 const express = require('express');
 const router = express.Router();
-const { Job, User, Application, Resume } = require('../models');
-const { auth, authorize, optionalAuth } = require('../middleware/auth');
-const { validateJob } = require('../middleware/validation');
+const { Op } = require('sequelize');
+const { Job, User, Application, Resume, Company, JobBookmark } = require('../models');
+const { auth, authorize, requireVerified, optionalAuth } = require('../middleware/auth');
+const { validateJob, validateJobStatus } = require('../middleware/validation');
+const { hasCompanyPermission, jobAccessWhere, findAccessibleJob } = require('../services/companyAccess');
+const { recordAudit } = require('../services/audit');
+const { emitEvent } = require('../services/webhooks');
+const { indexJob, removeJob, rankJobs } = require('../services/search');
+const { FACETS, toList, computeFacets } = require('../services/jobFacets');
+const { geoAttributes, detectWorkMode, normalizeRemoteRegions } = require('../services/geocoding');
+const { LocationQueryError, distanceLiteral, distanceOrder } = require('../services/jobLocation');
+const { buildJobQuery } = require('../services/jobQuery');
+const { withQuestionIds, publicQuestions } = require('../services/screening');
+const { jobPostingJsonLd } = require('../services/jobFeeds');
+const {
+  SalaryError,
+  touchesSalary,
+  salaryAttributes,
+  salaryOrder,
+  salaryOptions,
+  payTransparencyViolations
+} = require('../services/salary');
+const {
+  JOB_STATUSES,
+  JOB_MAX_AGE_DAYS,
+  JobStateError,
+  statusWhere,
+  initialLifecycle,
+  transitionJob,
+  renewJob
+} = require('../services/jobLifecycle');
+const {
+  jobSkillsInclude,
+  setJobSkills,
+  listJobSkills,
+  scoreResumes
+} = require('../services/jobSkills');
+const {
+  findAccessibleTemplate,
+  jobBodyFromTemplate,
+  jobBodyFromJob,
+  recordTemplateUse
+} = require('../services/jobTemplates');
+const {
+  MODERATION_FIELDS,
+  screenJob,
+  touchesScreenedFields,
+  reviewAttributes,
+  applyScreening
+} = require('../services/jobModeration');
+const {
+  AnalyticsError,
+  attributionFrom,
+  recordJobEvent,
+  analyticsRange,
+  jobAnalytics
+} = require('../services/jobAnalytics');
+const { placePromotions, recordImpressions } = require('../services/jobPromotions');
 
-// GET /api/jobs - Get all jobs (public)
+const jobOwners = (job) => ({ userIds: [job.employer_id], companyId: job.company_id });
+
+const companyInclude = {
+  model: Company,
+  as: 'company',
+  attributes: ['id', 'name', 'logo_url', 'website', 'industry', 'size']
+};
+
+const employerInclude = {
+  model: User,
+  as: 'employer',
+  attributes: ['id', 'first_name', 'last_name', 'profile_image']
+};
+
+// Relevance order comes from the search engine: filter in SQL, then rank,
+// order and page the matching ids
+const findJobsByRelevance = async (whereClause, searchQuery, { limit, offset, attributes }) => {
+  const matching = await Job.findAll({ where: whereClause, attributes: ['id'] });
+  const ranking = await rankJobs(searchQuery, matching.map(job => job.id));
+  const rank = new Map(ranking.map((result, index) => [result.job_id, index]));
+  const pageIds = ranking.slice(offset, offset + limit).map(result => result.job_id);
+
+  const rows = await Job.findAll({
+    where: { id: { [Op.in]: pageIds } },
+    include: [employerInclude, companyInclude],
+    ...(attributes && { attributes })
+  });
+  rows.sort((a, b) => rank.get(a.id) - rank.get(b.id));
+
+  return { rows, count: ranking.length };
+};
+
+// GET /api/jobs - Get all jobs (public); `search` supports "phrases" and -exclusions.
+// Facet filters accept several values; `facets=true` (or a list) adds counts.
+// `near` (or `lat`/`lng`) with `radius_km` keeps nearby jobs plus remote jobs
+// open to that country; `sort=distance` orders nearest first.
+// Salary filters compare annualized pay (see services/salary); `sort=salary`
+// orders by it. Promoted jobs matching the same filters are placed in marked
+// slots (`promotion`) unless `promoted=false`; pagination counts organic
+// results only.
 router.get('/', optionalAuth, async (req, res) => {
   try {
     const {
       page = 1,
       limit = 10,
-      location,
-      employment_type,
-      experience_level,
-      salary_min,
-      salary_max,
-      search,
-      sort = 'created_at',
+      facets,
       order = 'DESC'
     } = req.query;
 
     const offset = (page - 1) * limit;
-    const whereClause = { is_active: true };
+    const { whereClause, listWhere, searchQuery, filters, location } = await buildJobQuery(req.query);
 
-    // Apply filters
-    if (location) {
-      whereClause.location = { [Op.iLike]: `%${location}%` };
-    }
-    if (employment_type) {
-      whereClause.employment_type = employment_type;
-    }
-    if (experience_level) {
-      whereClause.experience_level = experience_level;
-    }
-    if (salary_min) {
-      whereClause.salary_min = { [Op.gte]: salary_min };
-    }
-    if (salary_max) {
-      whereClause.salary_max = { [Op.lte]: salary_max };
+    // Searches rank by relevance unless another sort is asked for
+    const sort = req.query.sort || (searchQuery ? 'relevance' : 'created_at');
+    const origin = location?.origin;
+    // Knockout rules stay with the employer; the job page shows the questions
+    const attributes = {
+      exclude: ['screening_questions', ...MODERATION_FIELDS],
+      ...(origin && { include: [[distanceLiteral(origin), 'distance_km']] })
+    };
+
+    let ordering = [[['relevance', 'distance'].includes(sort) ? 'created_at' : sort, order.toUpperCase()]];
+    if (sort === 'distance' && origin) {
+      ordering = distanceOrder(origin, req.query.order ? order.toUpperCase() : 'ASC');
     }
-    if (search) {
-      whereClause[Op.or] = [
-        { title: { [Op.iLike]: `%${search}%` } },
-        { description: { [Op.iLike]: `%${search}%` } },
-        { requirements: { [Op.iLike]: `%${search}%` } }
-      ];
+    if (sort === 'salary') {
+      ordering = salaryOrder(order.toUpperCase());
     }
 
-    const jobs = await Job.findAndCountAll({
-      where: whereClause,
-      include: [
-        {
-          model: User,
-          as: 'employer',
-          attributes: ['id', 'first_name', 'last_name', 'profile_image']
-        }
-      ],
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      order: [[sort, order.toUpperCase()]],
-      distinct: true
-    });
+    const jobs = sort === 'relevance' && searchQuery
+      ? await findJobsByRelevance(listWhere, searchQuery, {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        attributes
+      })
+      : await Job.findAndCountAll({
+        where: listWhere,
+        include: [employerInclude, companyInclude],
+        attributes,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        order: ordering,
+        distinct: true
+      });
+
+    const { data, placed } = req.query.promoted === 'false'
+      ? { data: jobs.rows, placed: [] }
+      : await placePromotions(jobs.rows, {
+        listWhere,
+        findOptions: { include: [employerInclude, companyInclude], attributes }
+      });
+    // Not awaited; charging impressions never holds up the results
+    recordImpressions(req, placed);
+
+    const requestedFacets = facets === 'true' ? FACETS : toList(facets);
 
     res.json({
       success: true,
-      data: jobs.rows,
+      data,
+      ...(requestedFacets.length > 0 && {
+        facets: await computeFacets(filters, whereClause, requestedFacets)
+      }),
       pagination: {
         current_page: parseInt(page),
         total_pages: Math.ceil(jobs.count / limit),
@@ -74,6 +170,13 @@ router.get('/', optionalAuth, async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof LocationQueryError || error instanceof SalaryError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     console.error('Error fetching jobs:', error);
     res.status(500).json({
       success: false,
@@ -82,7 +185,26 @@ router.get('/', optionalAuth, async (req, res) => {
   }
 });
 
-// GET /api/jobs/:id - Get specific job
+// GET /api/jobs/salary-options - Currencies, pay periods and pay-transparency rules
+router.get('/salary-options', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: salaryOptions()
+    });
+
+  } catch (error) {
+    console.error('Error fetching salary options:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch salary options'
+    });
+  }
+});
+
+// GET /api/jobs/:id - Get specific job, with its schema.org JobPosting as `json_ld`.
+// Counts a view attributed to `utm_source`, `utm_medium`, `utm_campaign` and
+// `referrer` (the page that linked to the job board).
 router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const job = await Job.findOne({
@@ -90,12 +212,15 @@ router.get('/:id', optionalAuth, async (req, res) => {
         id: req.params.id,
         is_active: true 
       },
+      attributes: { exclude: MODERATION_FIELDS },
       include: [
         {
           model: User,
           as: 'employer',
           attributes: ['id', 'first_name', 'last_name', 'profile_image', 'email']
         },
+        companyInclude,
+        jobSkillsInclude,
         {
           model: Application,
           as: 'applications',
@@ -118,8 +243,12 @@ router.get('/:id', optionalAuth, async (req, res) => {
       });
     }
 
-    // If user is authenticated, check if they've applied
+    // Not awaited; counting a view never holds up the page
+    recordJobEvent(job, 'view', { attribution: attributionFrom(req.query), req });
+
+    // If user is authenticated, check if they've applied or saved the job
     let hasApplied = false;
+    let bookmark = null;
     if (req.user) {
       const application = await Application.findOne({
         where: {
@@ -128,14 +257,22 @@ router.get('/:id', optionalAuth, async (req, res) => {
         }
       });
       hasApplied = !!application;
+      bookmark = await JobBookmark.findOne({
+        where: { job_id: job.id, user_id: req.user.id },
+        attributes: ['id', 'notes', 'tags', 'stage']
+      });
     }
 
     res.json({
       success: true,
       data: {
         ...job.toJSON(),
+        screening_questions: publicQuestions(job.screening_questions),
         has_applied: hasApplied,
-        applications_count: job.applications?.length || 0
+        is_bookmarked: !!bookmark,
+        bookmark,
+        applications_count: job.applications?.length || 0,
+        json_ld: jobPostingJsonLd(job)
       }
     });
 
@@ -148,8 +285,143 @@ router.get('/:id', optionalAuth, async (req, res) => {
   }
 });
 
-// POST /api/jobs - Create new job (employers only)
-router.post('/', auth, authorize('employer', 'admin'), validateJob, async (req, res) => {
+// GET /api/jobs/:id/skill-match?resume_id= - Deterministic skill overlap
+// between a resume and a job. Works for the user's own resumes, public
+// resumes, and applicants' resumes for employers who can view applications.
+router.get('/:id/skill-match', auth, async (req, res) => {
+  try {
+    const resumeId = parseInt(req.query.resume_id, 10);
+    if (!resumeId) {
+      return res.status(400).json({
+        success: false,
+        error: 'resume_id is required'
+      });
+    }
+
+    const job = await Job.findOne({ where: { id: req.params.id, is_active: true }, attributes: ['id'] }) ||
+      await findAccessibleJob(req.user, req.params.id, 'jobs:view', { attributes: ['id'] });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    const resume = await Resume.findByPk(resumeId, { attributes: ['id', 'user_id', 'is_public'] });
+    const canView = resume && (
+      resume.user_id === req.user.id ||
+      resume.is_public ||
+      (await Application.count({ where: { job_id: job.id, resume_id: resume.id } }) > 0 &&
+        !!await findAccessibleJob(req.user, job.id, 'applications:view', { attributes: ['id'] }))
+    );
+
+    if (!canView) {
+      return res.status(404).json({
+        success: false,
+        error: 'Resume not found or access denied'
+      });
+    }
+
+    const scores = await scoreResumes(job.id, [resume.id]);
+
+    res.json({
+      success: true,
+      data: {
+        job_id: job.id,
+        resume_id: resume.id,
+        ...scores.get(resume.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error computing skill match:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compute skill match'
+    });
+  }
+});
+
+// POST /api/jobs/:id/apply-start - Count a click on "Apply", attributed like
+// a view (`utm_source`, `utm_medium`, `utm_campaign`, `referrer` in the body)
+router.post('/:id/apply-start', optionalAuth, async (req, res) => {
+  try {
+    const job = await Job.findOne({
+      where: { id: req.params.id, is_active: true },
+      attributes: ['id', 'employer_id']
+    });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    await recordJobEvent(job, 'apply_start', { attribution: attributionFrom(req.body), req });
+
+    res.json({
+      success: true,
+      message: 'Apply start recorded'
+    });
+
+  } catch (error) {
+    console.error('Error recording apply start:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record apply start'
+    });
+  }
+});
+
+// Start the request body from a template or an existing posting; fields in
+// the body override the copied ones
+const prefillFrom = (sourceName, load) => {
+  return async (req, res, next) => {
+    try {
+      const source = await load(req);
+
+      if (!source) {
+        return res.status(404).json({
+          success: false,
+          error: `${sourceName} not found or access denied`
+        });
+      }
+
+      req.body = { ...source.body, ...req.body };
+      req.jobSource = source.metadata;
+      req.jobTemplate = source.template;
+      next();
+    } catch (error) {
+      console.error('Error loading job source:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to load job source'
+      });
+    }
+  };
+};
+
+const fromTemplate = prefillFrom('Template', async (req) => {
+  const template = await findAccessibleTemplate(req.user, req.params.templateId, 'jobs:manage');
+  return template && {
+    body: jobBodyFromTemplate(template),
+    metadata: { template_id: template.id },
+    template
+  };
+});
+
+// Copies start as drafts so they can be reviewed before going live
+const fromJob = prefillFrom('Job', async (req) => {
+  const job = await findAccessibleJob(req.user, req.params.id, 'jobs:manage');
+  return job && {
+    body: { ...jobBodyFromJob(job), skills: await listJobSkills(job.id), status: 'draft' },
+    metadata: { duplicated_from: job.id }
+  };
+});
+
+const createJob = async (req, res) => {
   try {
     const {
       title,
@@ -158,23 +430,83 @@ router.post('/', auth, authorize('employer', 'admin'), validateJob, async (req,
       location,
       salary_min,
       salary_max,
+      salary_currency,
+      salary_period,
       employment_type,
       experience_level,
-      application_deadline
+      application_deadline,
+      company_id,
+      work_mode,
+      remote_regions,
+      status,
+      publish_at,
+      screening_questions,
+      skills
     } = req.body;
 
-    const job = await Job.create({
+    // Posting on behalf of a company requires a role that can manage its jobs
+    if (company_id && !await hasCompanyPermission(req.user.id, company_id, 'jobs:manage')) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot post jobs for this company'
+      });
+    }
+
+    const attributes = {
       employer_id: req.user.id,
+      company_id: company_id || null,
       title,
       description,
       requirements,
       location,
       salary_min,
       salary_max,
+      ...salaryAttributes({ salary_min, salary_max, salary_currency, salary_period }),
       employment_type,
       experience_level,
-      application_deadline
+      application_deadline,
+      ...geoAttributes(req.body),
+      work_mode: work_mode || detectWorkMode(location) || 'onsite',
+      remote_regions: normalizeRemoteRegions(remote_regions),
+      screening_questions: withQuestionIds(screening_questions)
+    };
+
+    // Drafts may leave the salary open; anything advertised must follow the
+    // pay-transparency rules of its location
+    const lifecycle = initialLifecycle({ status, publish_at });
+    const [violation] = lifecycle.status === 'draft' ? [] : payTransparencyViolations(attributes);
+    if (violation) {
+      return res.status(400).json({
+        success: false,
+        error: violation
+      });
+    }
+
+    // Flagged postings wait for an admin instead of going live
+    const flags = await screenJob(attributes, {
+      employerId: req.user.id,
+      companyId: attributes.company_id,
+      author: req.user
     });
+    const job = await Job.create({ ...attributes, ...reviewAttributes(lifecycle, flags) });
+    if (skills) {
+      await setJobSkills(job.id, skills);
+    }
+
+    await recordAudit(req, {
+      action: 'job.created',
+      targetType: 'job',
+      targetId: job.id,
+      companyId: job.company_id,
+      after: job,
+      metadata: req.jobSource
+    });
+
+    if (req.jobTemplate) {
+      await recordTemplateUse(req.jobTemplate);
+    }
+
+    await indexJob(job.id);
 
     const jobWithEmployer = await Job.findByPk(job.id, {
       include: [
@@ -182,14 +514,25 @@ router.post('/', auth, authorize('employer', 'admin'), validateJob, async (req,
           model: User,
           as: 'employer',
           attributes: ['id', 'first_name', 'last_name', 'profile_image']
-        }
+        },
+        companyInclude,
+        jobSkillsInclude
       ]
     });
 
+    await emitEvent('job.created', jobWithEmployer.toJSON(), jobOwners(job));
+    if (job.status === 'published') {
+      await emitEvent('job.published', jobWithEmployer.toJSON(), jobOwners(job));
+    }
+
     res.status(201).json({
       success: true,
       data: jobWithEmployer,
-      message: 'Job created successfully'
+      message: {
+        draft: 'Job saved as draft',
+        scheduled: 'Job scheduled for publishing',
+        in_review: 'Job submitted for review; it goes live once an admin approves it'
+      }[job.status] || 'Job created successfully'
     });
 
   } catch (error) {
@@ -199,17 +542,21 @@ router.post('/', auth, authorize('employer', 'admin'), validateJob, async (req,
       error: 'Failed to create job'
     });
   }
-});
+};
+
+// POST /api/jobs - Create new job (employers only)
+router.post('/', auth, authorize('employer', 'admin'), requireVerified, validateJob, createJob);
+
+// POST /api/jobs/from-template/:templateId - Create a job from a template; body fields override it
+router.post('/from-template/:templateId', auth, authorize('employer', 'admin'), requireVerified, fromTemplate, validateJob, createJob);
+
+// POST /api/jobs/:id/duplicate - Copy a posting into a new draft; body fields override it
+router.post('/:id/duplicate', auth, authorize('employer', 'admin'), requireVerified, fromJob, validateJob, createJob);
 
-// PUT /api/jobs/:id - Update job (job owner only)
+// PUT /api/jobs/:id - Update job (job owner or company recruiters)
 router.put('/:id', auth, authorize('employer', 'admin'), validateJob, async (req, res) => {
   try {
-    const job = await Job.findOne({
-      where: { 
-        id: req.params.id,
-        employer_id: req.user.id 
-      }
-    });
+    const job = await findAccessibleJob(req.user, req.params.id, 'jobs:manage');
 
     if (!job) {
       return res.status(404).json({
@@ -218,7 +565,91 @@ router.put('/:id', auth, authorize('employer', 'admin'), validateJob, async (req
       });
     }
 
-    await job.update(req.body);
+    // Moving a job into, out of or between companies needs jobs:manage on
+    // the company it leaves as well as the one it joins
+    if ('company_id' in req.body && req.body.company_id !== job.company_id && req.user.role !== 'admin') {
+      const companyIds = [job.company_id, req.body.company_id].filter(Boolean);
+      const permitted = await Promise.all(
+        companyIds.map(companyId => hasCompanyPermission(req.user.id, companyId, 'jobs:manage'))
+      );
+
+      if (permitted.includes(false)) {
+        return res.status(403).json({
+          success: false,
+          error: 'You cannot move this job to that company'
+        });
+      }
+    }
+
+    // The go-live time of a published or ended job is history
+    if ('publish_at' in req.body && !['draft', 'scheduled'].includes(job.status)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Only draft and scheduled jobs can change their publish date'
+      });
+    }
+    if (job.status === 'scheduled' && req.body.publish_at === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Scheduled jobs need a publish date; move the job back to draft instead'
+      });
+    }
+
+    const { skills, ...updates } = req.body;
+    if ('location' in req.body || 'latitude' in req.body) {
+      Object.assign(updates, geoAttributes({ location: job.location, ...req.body }));
+    }
+    if ('remote_regions' in req.body) {
+      updates.remote_regions = normalizeRemoteRegions(req.body.remote_regions);
+    }
+    if (touchesSalary(req.body)) {
+      Object.assign(updates, salaryAttributes(req.body, job));
+    }
+
+    const [violation] = job.status === 'draft' ? [] : payTransparencyViolations({ ...job.toJSON(), ...updates });
+    if (violation) {
+      return res.status(400).json({
+        success: false,
+        error: violation
+      });
+    }
+
+    // Existing applications keep the questions they answered
+    if ('screening_questions' in req.body) {
+      updates.screening_questions = withQuestionIds(req.body.screening_questions);
+    }
+
+    // Content edits are screened again and may send the job (back) to review
+    const flags = touchesScreenedFields(req.body)
+      ? await screenJob({ ...job.toJSON(), ...updates }, {
+        jobId: job.id,
+        employerId: job.employer_id,
+        companyId: 'company_id' in updates ? updates.company_id : job.company_id,
+        author: req.user
+      })
+      : null;
+
+    const before = job.toJSON();
+    await job.update(updates);
+    if (skills) {
+      await setJobSkills(job.id, skills);
+    }
+
+    await recordAudit(req, {
+      action: 'job.updated',
+      targetType: 'job',
+      targetId: job.id,
+      companyId: job.company_id,
+      before,
+      after: job,
+      metadata: skills ? { skills } : undefined
+    });
+
+    if (flags) {
+      await applyScreening(req, job, flags);
+    }
+
+    await indexJob(job.id);
 
     const updatedJob = await Job.findByPk(job.id, {
       include: [
@@ -226,17 +657,27 @@ router.put('/:id', auth, authorize('employer', 'admin'), validateJob, async (req
           model: User,
           as: 'employer',
           attributes: ['id', 'first_name', 'last_name', 'profile_image']
-        }
+        },
+        companyInclude,
+        jobSkillsInclude
       ]
     });
 
     res.json({
       success: true,
       data: updatedJob,
-      message: 'Job updated successfully'
+      message: updatedJob.status === 'in_review'
+        ? 'Job updated and held for review'
+        : 'Job updated successfully'
     });
 
   } catch (error) {
+    if (error instanceof JobStateError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
     console.error('Error updating job:', error);
     res.status(500).json({
       success: false,
@@ -245,15 +686,10 @@ router.put('/:id', auth, authorize('employer', 'admin'), validateJob, async (req
   }
 });
 
-// DELETE /api/jobs/:id - Delete job (job owner only)
+// DELETE /api/jobs/:id - Delete job (job owner or company recruiters)
 router.delete('/:id', auth, authorize('employer', 'admin'), async (req, res) => {
   try {
-    const job = await Job.findOne({
-      where: { 
-        id: req.params.id,
-        employer_id: req.user.id 
-      }
-    });
+    const job = await findAccessibleJob(req.user, req.params.id, 'jobs:manage');
 
     if (!job) {
       return res.status(404).json({
@@ -263,6 +699,17 @@ router.delete('/:id', auth, authorize('employer', 'admin'), async (req, res) =>
     }
 
     await job.destroy();
+    await removeJob(job.id);
+
+    await recordAudit(req, {
+      action: 'job.deleted',
+      targetType: 'job',
+      targetId: job.id,
+      companyId: job.company_id,
+      before: job
+    });
+
+    await emitEvent('job.closed', { ...job.toJSON(), reason: 'deleted' }, jobOwners(job));
 
     res.json({
       success: true,
@@ -278,20 +725,29 @@ router.delete('/:id', auth, authorize('employer', 'admin'), async (req, res) =>
   }
 });
 
-// GET /api/jobs/employer/my-jobs - Get employer's jobs
+// GET /api/jobs/employer/my-jobs - Get employer's jobs; `status` takes one or
+// more lifecycle states ("draft,scheduled") or `active`/`inactive`
 router.get('/employer/my-jobs', auth, authorize('employer', 'admin'), async (req, res) => {
   try {
-    const { page = 1, limit = 10, status = 'all' } = req.query;
+    const { page = 1, limit = 10, status = 'all', company_id } = req.query;
     const offset = (page - 1) * limit;
 
-    const whereClause = { employer_id: req.user.id };
-    if (status !== 'all') {
-      whereClause.is_active = status === 'active';
+    // Personal postings plus every job of the user's companies
+    const whereClause = { [Op.and]: [await jobAccessWhere(req.user, 'jobs:view')] };
+    if (company_id) {
+      whereClause.company_id = company_id;
     }
 
+    const statusRows = await Job.count({ where: whereClause, group: ['status'] });
+    const statusCounts = Object.fromEntries(JOB_STATUSES.map(name => [
+      name,
+      Number(statusRows.find(row => row.status === name)?.count || 0)
+    ]));
+
     const jobs = await Job.findAndCountAll({
-      where: whereClause,
+      where: { ...whereClause, ...statusWhere(status) },
       include: [
+        companyInclude,
         {
           model: Application,
           as: 'applications',
@@ -321,6 +777,7 @@ router.get('/employer/my-jobs', auth, authorize('employer', 'admin'), async (req
     res.json({
       success: true,
       data: jobsWithStats,
+      status_counts: statusCounts,
       pagination: {
         current_page: parseInt(page),
         total_pages: Math.ceil(jobs.count / limit),
@@ -338,16 +795,60 @@ router.get('/employer/my-jobs', auth, authorize('employer', 'admin'), async (req
   }
 });
 
-// POST /api/jobs/:id/toggle-status - Toggle job active status
-router.post('/:id/toggle-status', auth, authorize('employer', 'admin'), async (req, res) => {
+// GET /api/jobs/employer/analytics?from=&to=&company_id= - Views, apply-starts
+// and applications across the employer's jobs, per day, source and job
+router.get('/employer/analytics', auth, authorize('employer', 'admin'), async (req, res) => {
   try {
-    const job = await Job.findOne({
-      where: { 
-        id: req.params.id,
-        employer_id: req.user.id 
+    const range = analyticsRange(req.query);
+
+    const whereClause = { [Op.and]: [await jobAccessWhere(req.user, 'jobs:view')] };
+    if (req.query.company_id) {
+      whereClause.company_id = req.query.company_id;
+    }
+
+    const jobs = await Job.findAll({
+      where: whereClause,
+      attributes: ['id', 'title', 'status', 'company_id'],
+      order: [['created_at', 'DESC']]
+    });
+
+    const { by_job: byJob, ...report } = await jobAnalytics(jobs.map(job => job.id), range, { perJob: true });
+
+    res.json({
+      success: true,
+      data: {
+        ...report,
+        jobs: jobs
+          .map(job => ({ ...job.toJSON(), ...byJob[job.id] }))
+          .sort((a, b) => b.views - a.views || b.applications - a.applications)
       }
     });
 
+  } catch (error) {
+    if (error instanceof AnalyticsError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Error fetching employer analytics:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch employer analytics'
+    });
+  }
+});
+
+// GET /api/jobs/:id/analytics?from=&to= - One job's views -> applications
+// funnel per day and by source; the last 30 days by default
+router.get('/:id/analytics', auth, authorize('employer', 'admin'), async (req, res) => {
+  try {
+    const range = analyticsRange(req.query);
+    const job = await findAccessibleJob(req.user, req.params.id, 'jobs:view', {
+      attributes: ['id', 'title', 'status', 'published_at']
+    });
+
     if (!job) {
       return res.status(404).json({
         success: false,
@@ -355,15 +856,134 @@ router.post('/:id/toggle-status', auth, authorize('employer', 'admin'), async (r
       });
     }
 
-    await job.update({ is_active: !job.is_active });
+    const report = await jobAnalytics([job.id], range);
+
+    res.json({
+      success: true,
+      data: {
+        job,
+        ...report
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AnalyticsError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Error fetching job analytics:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch job analytics'
+    });
+  }
+});
+
+// POST /api/jobs/:id/status - Move a job through its lifecycle
+// (draft, scheduled, published, paused, closed, expired, filled)
+router.post('/:id/status', auth, authorize('employer', 'admin'), validateJobStatus, async (req, res) => {
+  try {
+    const job = await findAccessibleJob(req.user, req.params.id, 'jobs:manage');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found or access denied'
+      });
+    }
+
+    const { status, publish_at, reason } = req.body;
+    await transitionJob(req, job, status, { publishAt: publish_at, reason });
+
+    res.json({
+      success: true,
+      data: job,
+      message: job.status === status ? `Job ${status}` : 'Job submitted for review'
+    });
+
+  } catch (error) {
+    if (error instanceof JobStateError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error changing job status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change job status'
+    });
+  }
+});
+
+// POST /api/jobs/:id/renew - Extend the listing by `days` and republish an expired job
+router.post('/:id/renew', auth, authorize('employer', 'admin'), async (req, res) => {
+  try {
+    const job = await findAccessibleJob(req.user, req.params.id, 'jobs:manage');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found or access denied'
+      });
+    }
+
+    const days = parseInt(req.body.days, 10);
+    await renewJob(req, job, days > 0 ? days : JOB_MAX_AGE_DAYS);
+
+    res.json({
+      success: true,
+      data: job,
+      message: `Job renewed until ${job.expires_at.toISOString().slice(0, 10)}`
+    });
+
+  } catch (error) {
+    if (error instanceof JobStateError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error renewing job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to renew job'
+    });
+  }
+});
+
+// POST /api/jobs/:id/toggle-status - Pause a published job or publish any other
+router.post('/:id/toggle-status', auth, authorize('employer', 'admin'), async (req, res) => {
+  try {
+    const job = await findAccessibleJob(req.user, req.params.id, 'jobs:manage');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found or access denied'
+      });
+    }
+
+    await transitionJob(req, job, job.status === 'published' ? 'paused' : 'published');
 
     res.json({
       success: true,
       data: job,
-      message: `Job ${job.is_active ? 'activated' : 'deactivated'} successfully`
+      message: job.status === 'in_review'
+        ? 'Job submitted for review'
+        : `Job ${job.is_active ? 'activated' : 'deactivated'} successfully`
     });
 
   } catch (error) {
+    if (error instanceof JobStateError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
     console.error('Error toggling job status:', error);
     res.status(500).json({
       success: false,
@@ -413,24 +1033,23 @@ router.get('/search/suggestions', async (req, res) => {
         raw: true
       }),
       
-      // Companies (from employer names)
-      Job.findAll({
-        attributes: [],
+      // Companies with at least one active job
+      Company.findAll({
+        attributes: ['name'],
+        where: {
+          name: { [Op.like]: `%${q}%` }
+        },
         include: [
           {
-            model: User,
-            as: 'employer',
-            attributes: ['first_name', 'last_name'],
-            where: {
-              [Op.or]: [
-                { first_name: { [Op.iLike]: `%${q}%` } },
-                { last_name: { [Op.iLike]: `%${q}%` } }
-              ]
-            }
+            model: Job,
+            as: 'jobs',
+            attributes: [],
+            where: { is_active: true }
           }
         ],
-        where: { is_active: true },
+        group: ['Company.id'],
         limit: 5,
+        subQuery: false,
         raw: true
       })
     ]);
@@ -440,7 +1059,7 @@ router.get('/search/suggestions', async (req, res) => {
       data: {
         titles: titles.map(t => t.title),
         locations: locations.map(l => l.location).filter(Boolean),
-        companies: companies.map(c => `${c['employer.first_name']} ${c['employer.last_name']}`).filter(Boolean)
+        companies: companies.map(c => c.name)
       }
     });
 
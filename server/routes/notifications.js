@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const { Notification } = require('../models');
+const { auth } = require('../middleware/auth');
+
+// GET /api/notifications - In-app notifications, newest first; `unread=true` filters
+router.get('/', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unread } = req.query;
+    const offset = (page - 1) * limit;
+
+    const whereClause = { user_id: req.user.id };
+    if (unread === 'true') {
+      whereClause.read_at = null;
+    }
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.findAndCountAll({
+        where: whereClause,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        order: [['created_at', 'DESC']]
+      }),
+      Notification.count({ where: { user_id: req.user.id, read_at: null } })
+    ]);
+
+    res.json({
+      success: true,
+      data: notifications.rows,
+      unread_count: unreadCount,
+      pagination: {
+        current_page: parseInt(page),
+        total_pages: Math.ceil(notifications.count / limit),
+        total_items: notifications.count,
+        items_per_page: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch notifications'
+    });
+  }
+});
+
+// POST /api/notifications/read-all - Mark every notification as read
+router.post('/read-all', auth, async (req, res) => {
+  try {
+    const [updated] = await Notification.update(
+      { read_at: new Date() },
+      { where: { user_id: req.user.id, read_at: null } }
+    );
+
+    res.json({
+      success: true,
+      data: { updated },
+      message: 'All notifications marked as read'
+    });
+
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark notifications as read'
+    });
+  }
+});
+
+// POST /api/notifications/:id/read - Mark one notification as read
+router.post('/:id/read', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      where: { id: req.params.id, user_id: req.user.id }
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification not found'
+      });
+    }
+
+    if (!notification.read_at) {
+      await notification.update({ read_at: new Date() });
+    }
+
+    res.json({
+      success: true,
+      data: notification
+    });
+
+  } catch (error) {
+    console.error('Error marking notification as read:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark notification as read'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
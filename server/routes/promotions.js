@@ -0,0 +1,365 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { JobPromotion, Job, Company, User } = require('../models');
+const { auth, authorize, optionalAuth } = require('../middleware/auth');
+const { validatePromotion } = require('../middleware/validation');
+const { hasCompanyPermission, jobAccessWhere, findAccessibleJob } = require('../services/companyAccess');
+const { toCsv } = require('../services/csv');
+const {
+  PromotionError,
+  promotionOptions,
+  promotionState,
+  serializePromotion,
+  createPromotion,
+  updatePromotion,
+  cancelPromotion,
+  recordClick,
+  listInvoices,
+  buildInvoice
+} = require('../services/jobPromotions');
+
+const INVOICE_COLUMNS = [
+  { key: 'promotion_id', header: 'Promotion' },
+  { key: 'job_id', header: 'Job ID' },
+  { key: 'job_title', header: 'Job' },
+  { key: 'type', header: 'Type' },
+  { key: 'kind', header: 'Charge' },
+  { key: 'quantity', header: 'Quantity' },
+  { key: 'unit', header: 'Unit' },
+  { key: 'unit_price', header: 'Unit price' },
+  { key: 'currency', header: 'Currency' },
+  { key: 'amount', header: 'Amount' }
+];
+
+const jobInclude = {
+  model: Job,
+  as: 'job',
+  attributes: ['id', 'title', 'status', 'is_active']
+};
+
+// Promotions carry their job's employer and company, so the job access
+// rules apply to them directly and survive the job being deleted
+const findAccessiblePromotion = async (user, id, permission) => {
+  const accessWhere = await jobAccessWhere(user, permission);
+  return JobPromotion.findOne({
+    where: { [Op.and]: [{ id }, accessWhere] },
+    include: [jobInclude]
+  });
+};
+
+// The account an invoice request is for: a company (`company_id`, owners
+// only) or the user's personal jobs. Admins may name any company or
+// employer (`employer_id`).
+const billingAccount = async (req) => {
+  const { company_id: companyId, employer_id: employerId } = req.query;
+
+  if (companyId) {
+    if (req.user.role !== 'admin' && !await hasCompanyPermission(req.user.id, companyId, 'company:manage')) {
+      return null;
+    }
+    const company = await Company.findByPk(companyId, { attributes: ['id', 'name'] });
+    return company && {
+      companyId: company.id,
+      billed_to: { type: 'company', id: company.id, name: company.name }
+    };
+  }
+
+  const employer = req.user.role === 'admin' && employerId
+    ? await User.findByPk(employerId, { attributes: ['id', 'first_name', 'last_name', 'email'] })
+    : req.user;
+  return employer && {
+    employerId: employer.id,
+    billed_to: {
+      type: 'employer',
+      id: employer.id,
+      name: `${employer.first_name} ${employer.last_name}`,
+      email: employer.email
+    }
+  };
+};
+
+const accountNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Billing account not found or access denied'
+});
+
+// POST /api/promotions/:id/click - Count a click on a promoted job (public)
+router.post('/:id/click', optionalAuth, async (req, res) => {
+  try {
+    const promotion = await recordClick(req, req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        error: 'Promotion not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { job_id: promotion.job_id }
+    });
+
+  } catch (error) {
+    console.error('Error recording promotion click:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record click'
+    });
+  }
+});
+
+// Everything else is for employers
+router.use(auth, authorize('employer', 'admin'));
+
+// GET /api/promotions/options - Prices, budget limits and result slots
+router.get('/options', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: promotionOptions()
+    });
+
+  } catch (error) {
+    console.error('Error fetching promotion options:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch promotion options'
+    });
+  }
+});
+
+// GET /api/promotions/invoices - Months with charges and their totals for the
+// user's personal jobs or a company (`company_id`)
+router.get('/invoices', async (req, res) => {
+  try {
+    const account = await billingAccount(req);
+    if (!account) {
+      return accountNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        billed_to: account.billed_to,
+        invoices: await listInvoices(account)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching promotion invoices:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch invoices'
+    });
+  }
+});
+
+// GET /api/promotions/invoices/:month - Usage statement of a month (YYYY-MM);
+// `format=csv` downloads its lines
+router.get('/invoices/:month', async (req, res) => {
+  try {
+    const account = await billingAccount(req);
+    if (!account) {
+      return accountNotFound(res);
+    }
+
+    const invoice = { ...await buildInvoice(account, req.params.month), billed_to: account.billed_to };
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Disposition', `attachment; filename="${invoice.number}.csv"`);
+      return res.type('text/csv').send(toCsv(invoice.lines, INVOICE_COLUMNS));
+    }
+
+    res.json({
+      success: true,
+      data: invoice
+    });
+
+  } catch (error) {
+    if (error instanceof PromotionError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Error building promotion invoice:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build invoice'
+    });
+  }
+});
+
+// GET /api/promotions - Promotions on the user's jobs and their companies'
+// jobs; filter by `job_id`, `company_id` or `state` (running, scheduled,
+// paused, exhausted, ended, cancelled)
+router.get('/', async (req, res) => {
+  try {
+    const { job_id, company_id, state } = req.query;
+    const conditions = [await jobAccessWhere(req.user, 'jobs:view')];
+    if (job_id) conditions.push({ job_id });
+    if (company_id) conditions.push({ company_id });
+
+    const now = new Date();
+    const promotions = await JobPromotion.findAll({
+      where: { [Op.and]: conditions },
+      include: [jobInclude],
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: promotions
+        .filter(promotion => !state || promotionState(promotion, now) === state)
+        .map(promotion => serializePromotion(promotion, now))
+    });
+
+  } catch (error) {
+    console.error('Error fetching promotions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch promotions'
+    });
+  }
+});
+
+// GET /api/promotions/:id - Get a promotion with its spend and counts
+router.get('/:id', async (req, res) => {
+  try {
+    const promotion = await findAccessiblePromotion(req.user, req.params.id, 'jobs:view');
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        error: 'Promotion not found or access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: serializePromotion(promotion)
+    });
+
+  } catch (error) {
+    console.error('Error fetching promotion:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch promotion'
+    });
+  }
+});
+
+// POST /api/promotions - Feature or sponsor a job with a budget and end date
+router.post('/', validatePromotion, async (req, res) => {
+  try {
+    const job = await findAccessibleJob(req.user, req.body.job_id, 'jobs:manage');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found or access denied'
+      });
+    }
+
+    const promotion = await createPromotion(req, job, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: serializePromotion(promotion),
+      message: job.status === 'published'
+        ? 'Promotion created successfully'
+        : 'Promotion created; it runs once the job is published'
+    });
+
+  } catch (error) {
+    if (error instanceof PromotionError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Error creating promotion:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create promotion'
+    });
+  }
+});
+
+// PUT /api/promotions/:id - Change the budget or end date, or pause/resume (`status`)
+router.put('/:id', validatePromotion, async (req, res) => {
+  try {
+    const promotion = await findAccessiblePromotion(req.user, req.params.id, 'jobs:manage');
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        error: 'Promotion not found or access denied'
+      });
+    }
+
+    await updatePromotion(req, promotion, req.body);
+
+    res.json({
+      success: true,
+      data: serializePromotion(promotion),
+      message: 'Promotion updated successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof PromotionError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Error updating promotion:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update promotion'
+    });
+  }
+});
+
+// POST /api/promotions/:id/cancel - Stop a promotion; its spend stays billed
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const promotion = await findAccessiblePromotion(req.user, req.params.id, 'jobs:manage');
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        error: 'Promotion not found or access denied'
+      });
+    }
+
+    await cancelPromotion(req, promotion);
+
+    res.json({
+      success: true,
+      data: serializePromotion(promotion),
+      message: 'Promotion cancelled'
+    });
+
+  } catch (error) {
+    if (error instanceof PromotionError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Error cancelling promotion:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel promotion'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const { Resume, User, Skill, ResumeSkill, WorkExperience, Education } = require('../models');
-const auth = require('../middleware/auth');
+const { auth } = require('../middleware/auth');
 const { validateResume } = require('../middleware/validation');
+const { recordAudit } = require('../services/audit');
+const { locationFields } = require('../services/geocoding');
+const { expectationAttributes } = require('../services/salary');
 const multer = require('multer');
 const path = require('path');
 
@@ -112,6 +115,12 @@ router.post('/', auth, validateResume, upload.single('resume_file'), async (req,
       current_company,
       location,
       salary_expectation,
+      salary_expectation_currency,
+      salary_expectation_period,
+      latitude,
+      longitude,
+      preferred_work_modes,
+      max_commute_km,
       skills,
       work_experience,
       education
@@ -126,7 +135,16 @@ router.post('/', auth, validateResume, upload.single('resume_file'), async (req,
       current_position,
       current_company,
       location,
+      ...locationFields(location),
+      ...(latitude !== undefined && { latitude, longitude }),
+      preferred_work_modes: preferred_work_modes || null,
+      max_commute_km: max_commute_km || null,
       salary_expectation: parseFloat(salary_expectation) || null,
+      ...expectationAttributes({
+        salary_expectation: parseFloat(salary_expectation) || null,
+        salary_expectation_currency,
+        salary_expectation_period
+      }),
       resume_file_url: req.file ? `/uploads/resumes/${req.file.filename}` : null
     });
 
@@ -167,6 +185,13 @@ router.post('/', auth, validateResume, upload.single('resume_file'), async (req,
       }
     }
 
+    await recordAudit(req, {
+      action: 'resume.created',
+      targetType: 'resume',
+      targetId: resume.id,
+      after: resume
+    });
+
     // Fetch complete resume with associations
     const completeResume = await Resume.findByPk(resume.id, {
       include: [
@@ -210,13 +235,29 @@ router.put('/:id', auth, validateResume, upload.single('resume_file'), async (re
       });
     }
 
-    const updateData = { ...req.body };
+    // Explicit coordinates in the body win over the geocoded city centre
+    const updateData = {
+      ...('location' in req.body && locationFields(req.body.location)),
+      ...req.body
+    };
+    if (['salary_expectation', 'salary_expectation_currency', 'salary_expectation_period'].some(field => field in req.body)) {
+      Object.assign(updateData, expectationAttributes(req.body, resume));
+    }
     if (req.file) {
       updateData.resume_file_url = `/uploads/resumes/${req.file.filename}`;
     }
 
+    const before = resume.toJSON();
     await resume.update(updateData);
 
+    await recordAudit(req, {
+      action: 'resume.updated',
+      targetType: 'resume',
+      targetId: resume.id,
+      before,
+      after: resume
+    });
+
     // Update skills if provided
     if (req.body.skills) {
       await ResumeSkill.destroy({ where: { resume_id: resume.id } });
@@ -280,6 +321,13 @@ router.delete('/:id', auth, async (req, res) => {
 
     await resume.destroy();
 
+    await recordAudit(req, {
+      action: 'resume.deleted',
+      targetType: 'resume',
+      targetId: resume.id,
+      before: resume
+    });
+
     res.json({
       success: true,
       message: 'Resume deleted successfully'
@@ -0,0 +1,339 @@
+const express = require('express');
+const router = express.Router();
+const { SavedSearch, Job, User, Company } = require('../models');
+const { auth } = require('../middleware/auth');
+const { validateSavedSearch } = require('../middleware/validation');
+const { buildJobQuery } = require('../services/jobQuery');
+const { LocationQueryError } = require('../services/jobLocation');
+const { SalaryError } = require('../services/salary');
+const {
+  MAX_SAVED_SEARCHES,
+  generateUnsubscribeToken,
+  nextRunAt,
+  normalizeFilters
+} = require('../services/jobAlerts');
+const { feedPaths } = require('../services/jobFeeds');
+const { MODERATION_FIELDS } = require('../services/jobModeration');
+
+const publicAttributes = { exclude: ['unsubscribe_token'] };
+
+const findOwnSearch = (req) => {
+  return SavedSearch.findOne({
+    where: { id: req.params.id, user_id: req.user.id },
+    attributes: publicAttributes
+  });
+};
+
+// Filters are checked by building the query once, so unknown places and
+// currencies are rejected when saving rather than on every scheduled run
+const checkFilters = async (filters, res) => {
+  try {
+    await buildJobQuery(filters);
+    return true;
+  } catch (error) {
+    if (error instanceof LocationQueryError || error instanceof SalaryError) {
+      res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+      return false;
+    }
+    throw error;
+  }
+};
+
+// GET /api/saved-searches - List the current user's saved searches, each
+// with its public RSS/Atom feed paths
+router.get('/', auth, async (req, res) => {
+  try {
+    const searches = await SavedSearch.findAll({
+      where: { user_id: req.user.id },
+      attributes: publicAttributes,
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: searches.map(search => ({
+        ...search.toJSON(),
+        feeds: feedPaths(search.filters)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching saved searches:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch saved searches'
+    });
+  }
+});
+
+// POST /api/saved-searches - Save a job search with an alert frequency
+router.post('/', auth, validateSavedSearch, async (req, res) => {
+  try {
+    const { name, query, frequency = 'daily', channels = ['email', 'in_app'] } = req.body;
+
+    const count = await SavedSearch.count({ where: { user_id: req.user.id } });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        success: false,
+        error: `You can save up to ${MAX_SAVED_SEARCHES} searches`
+      });
+    }
+
+    const filters = normalizeFilters(query);
+    if (!await checkFilters(filters, res)) return;
+
+    // Only jobs posted after the search was saved are alerted
+    const now = new Date();
+    const search = await SavedSearch.create({
+      user_id: req.user.id,
+      name,
+      filters,
+      frequency,
+      channels,
+      unsubscribe_token: generateUnsubscribeToken(),
+      last_run_at: now,
+      next_run_at: nextRunAt(frequency, now)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: await SavedSearch.findByPk(search.id, { attributes: publicAttributes }),
+      message: 'Search saved successfully'
+    });
+
+  } catch (error) {
+    console.error('Error saving search:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save search'
+    });
+  }
+});
+
+// POST /api/saved-searches/unsubscribe/:token - Stop alerts from a digest link (no login)
+router.post('/unsubscribe/:token', async (req, res) => {
+  try {
+    const search = await SavedSearch.findOne({
+      where: { unsubscribe_token: req.params.token }
+    });
+
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invalid unsubscribe link'
+      });
+    }
+
+    await search.update({ is_paused: true });
+
+    res.json({
+      success: true,
+      data: { name: search.name },
+      message: 'You will no longer receive alerts for this search'
+    });
+
+  } catch (error) {
+    console.error('Error unsubscribing from saved search:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unsubscribe'
+    });
+  }
+});
+
+// GET /api/saved-searches/:id/jobs - Run a saved search now
+router.get('/:id/jobs', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const search = await findOwnSearch(req);
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved search not found'
+      });
+    }
+
+    const { listWhere } = await buildJobQuery(search.filters);
+    const jobs = await Job.findAndCountAll({
+      where: listWhere,
+      attributes: { exclude: ['screening_questions', ...MODERATION_FIELDS] },
+      include: [
+        {
+          model: User,
+          as: 'employer',
+          attributes: ['id', 'first_name', 'last_name', 'profile_image']
+        },
+        {
+          model: Company,
+          as: 'company',
+          attributes: ['id', 'name', 'logo_url']
+        }
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['created_at', 'DESC']],
+      distinct: true
+    });
+
+    res.json({
+      success: true,
+      data: jobs.rows,
+      pagination: {
+        current_page: parseInt(page),
+        total_pages: Math.ceil(jobs.count / limit),
+        total_items: jobs.count,
+        items_per_page: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof LocationQueryError || error instanceof SalaryError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Error running saved search:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run saved search'
+    });
+  }
+});
+
+// PUT /api/saved-searches/:id - Rename, change filters, frequency or channels
+router.put('/:id', auth, validateSavedSearch, async (req, res) => {
+  try {
+    const search = await findOwnSearch(req);
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved search not found'
+      });
+    }
+
+    const { query, frequency, ...updates } = req.body;
+
+    if (query !== undefined) {
+      updates.filters = normalizeFilters(query);
+      if (!await checkFilters(updates.filters, res)) return;
+    }
+    if (frequency && frequency !== search.frequency) {
+      updates.frequency = frequency;
+      updates.next_run_at = nextRunAt(frequency, search.last_run_at);
+    }
+
+    await search.update(updates);
+
+    res.json({
+      success: true,
+      data: search,
+      message: 'Saved search updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error updating saved search:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update saved search'
+    });
+  }
+});
+
+// POST /api/saved-searches/:id/pause - Stop alerts without deleting the search
+router.post('/:id/pause', auth, async (req, res) => {
+  try {
+    const search = await findOwnSearch(req);
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved search not found'
+      });
+    }
+
+    await search.update({ is_paused: true });
+
+    res.json({
+      success: true,
+      data: search,
+      message: 'Alerts paused'
+    });
+
+  } catch (error) {
+    console.error('Error pausing saved search:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to pause alerts'
+    });
+  }
+});
+
+// POST /api/saved-searches/:id/resume - Resume alerts; jobs posted while paused are skipped
+router.post('/:id/resume', auth, async (req, res) => {
+  try {
+    const search = await findOwnSearch(req);
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved search not found'
+      });
+    }
+
+    if (search.is_paused) {
+      const now = new Date();
+      await search.update({
+        is_paused: false,
+        last_run_at: now,
+        next_run_at: nextRunAt(search.frequency, now)
+      });
+    }
+
+    res.json({
+      success: true,
+      data: search,
+      message: 'Alerts resumed'
+    });
+
+  } catch (error) {
+    console.error('Error resuming saved search:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resume alerts'
+    });
+  }
+});
+
+// DELETE /api/saved-searches/:id - Delete a saved search
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const search = await findOwnSearch(req);
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved search not found'
+      });
+    }
+
+    await search.destroy();
+
+    res.json({
+      success: true,
+      message: 'Saved search deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting saved search:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete saved search'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,372 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { WebhookSubscription, WebhookDelivery, Company } = require('../models');
+const { auth } = require('../middleware/auth');
+const { validateWebhookSubscription } = require('../middleware/validation');
+const { getCompanyIds, hasCompanyPermission } = require('../services/companyAccess');
+const {
+  webhookEventsFor,
+  generateSecret,
+  sendTestEvent,
+  replayDelivery
+} = require('../services/webhooks');
+const { recordAudit } = require('../services/audit');
+const { PrivateHostError, assertPublicUrl } = require('../services/publicHosts');
+
+const publicAttributes = { exclude: ['secret'] };
+
+// Personal subscriptions plus those of companies the user manages
+const accessibleWhere = async (user) => {
+  const companyIds = await getCompanyIds(user.id, 'company:manage');
+  return {
+    [Op.or]: [
+      { user_id: user.id, company_id: null },
+      ...(companyIds.length > 0 ? [{ company_id: { [Op.in]: companyIds } }] : [])
+    ]
+  };
+};
+
+// Load a subscription the current user may manage, or send 404
+const loadSubscription = async (req, res, next) => {
+  try {
+    const subscription = await WebhookSubscription.findOne({
+      where: {
+        id: req.params.id,
+        ...await accessibleWhere(req.user)
+      }
+    });
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook subscription not found'
+      });
+    }
+
+    req.subscription = subscription;
+    next();
+  } catch (error) {
+    console.error('Webhook subscription lookup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load webhook subscription'
+    });
+  }
+};
+
+// Employers may subscribe to every event; applicants only to events about
+// themselves, and never for a company
+const subscriptionError = (user, { events = [], company_id }) => {
+  if (company_id && !['employer', 'admin'].includes(user.role)) {
+    return 'Only employers can add company webhooks';
+  }
+  const allowed = webhookEventsFor(user);
+  const denied = events.filter(event => !allowed.includes(event));
+  return denied.length > 0 ? `Your account cannot subscribe to: ${denied.join(', ')}` : null;
+};
+
+const withoutSecret = (subscription) => {
+  const data = subscription.toJSON();
+  delete data.secret;
+  return data;
+};
+
+router.use(auth);
+
+// GET /api/webhook-subscriptions - List subscriptions the user manages
+router.get('/', async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.findAll({
+      where: await accessibleWhere(req.user),
+      attributes: publicAttributes,
+      include: [
+        {
+          model: Company,
+          as: 'company',
+          attributes: ['id', 'name']
+        }
+      ],
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: subscriptions,
+      events: webhookEventsFor(req.user)
+    });
+
+  } catch (error) {
+    console.error('Error fetching webhook subscriptions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook subscriptions'
+    });
+  }
+});
+
+// POST /api/webhook-subscriptions - Register an endpoint; the signing secret is returned once
+router.post('/', validateWebhookSubscription, async (req, res) => {
+  try {
+    const { url, events, description, company_id } = req.body;
+
+    const notAllowed = subscriptionError(req.user, req.body);
+    if (notAllowed) {
+      return res.status(403).json({
+        success: false,
+        error: notAllowed
+      });
+    }
+
+    if (company_id && !await hasCompanyPermission(req.user.id, company_id, 'company:manage')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only company owners can add company webhooks'
+      });
+    }
+
+    await assertPublicUrl(url);
+
+    const subscription = await WebhookSubscription.create({
+      user_id: req.user.id,
+      company_id: company_id || null,
+      url,
+      events,
+      description,
+      secret: generateSecret()
+    });
+
+    await recordAudit(req, {
+      action: 'webhook.created',
+      targetType: 'webhook_subscription',
+      targetId: subscription.id,
+      companyId: subscription.company_id,
+      metadata: { url, events }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: subscription,
+      message: 'Webhook created. Store the signing secret now; it will not be shown again.'
+    });
+
+  } catch (error) {
+    if (error instanceof PrivateHostError) {
+      return res.status(error.status).json({
+        success: false,
+        error: `Webhook URLs must point to a public host: ${error.message}`
+      });
+    }
+
+    console.error('Error creating webhook subscription:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create webhook subscription'
+    });
+  }
+});
+
+// PUT /api/webhook-subscriptions/:id - Update URL, events or active flag
+router.put('/:id', loadSubscription, validateWebhookSubscription, async (req, res) => {
+  try {
+    const { url, events, description, is_active } = req.body;
+    const before = withoutSecret(req.subscription);
+
+    const notAllowed = subscriptionError(req.user, req.body);
+    if (notAllowed) {
+      return res.status(403).json({
+        success: false,
+        error: notAllowed
+      });
+    }
+
+    await assertPublicUrl(url);
+
+    await req.subscription.update({
+      url,
+      events,
+      description,
+      is_active: is_active ?? req.subscription.is_active
+    });
+
+    await recordAudit(req, {
+      action: 'webhook.updated',
+      targetType: 'webhook_subscription',
+      targetId: req.subscription.id,
+      companyId: req.subscription.company_id,
+      before,
+      after: withoutSecret(req.subscription)
+    });
+
+    res.json({
+      success: true,
+      data: withoutSecret(req.subscription),
+      message: 'Webhook updated successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof PrivateHostError) {
+      return res.status(error.status).json({
+        success: false,
+        error: `Webhook URLs must point to a public host: ${error.message}`
+      });
+    }
+
+    console.error('Error updating webhook subscription:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update webhook subscription'
+    });
+  }
+});
+
+// DELETE /api/webhook-subscriptions/:id - Remove a subscription and its delivery log
+router.delete('/:id', loadSubscription, async (req, res) => {
+  try {
+    await WebhookSubscription.sequelize.transaction(async (transaction) => {
+      await WebhookDelivery.destroy({ where: { subscription_id: req.subscription.id }, transaction });
+      await req.subscription.destroy({ transaction });
+    });
+
+    await recordAudit(req, {
+      action: 'webhook.deleted',
+      targetType: 'webhook_subscription',
+      targetId: req.subscription.id,
+      companyId: req.subscription.company_id,
+      metadata: { url: req.subscription.url }
+    });
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting webhook subscription:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete webhook subscription'
+    });
+  }
+});
+
+// POST /api/webhook-subscriptions/:id/rotate-secret - Issue a new signing secret
+router.post('/:id/rotate-secret', loadSubscription, async (req, res) => {
+  try {
+    await req.subscription.update({ secret: generateSecret() });
+
+    await recordAudit(req, {
+      action: 'webhook.secret_rotated',
+      targetType: 'webhook_subscription',
+      targetId: req.subscription.id,
+      companyId: req.subscription.company_id
+    });
+
+    res.json({
+      success: true,
+      data: { id: req.subscription.id, secret: req.subscription.secret },
+      message: 'Signing secret rotated'
+    });
+
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate signing secret'
+    });
+  }
+});
+
+// POST /api/webhook-subscriptions/:id/test - Send a signed ping event now
+router.post('/:id/test', loadSubscription, async (req, res) => {
+  try {
+    const delivery = await sendTestEvent(req.subscription);
+
+    res.json({
+      success: true,
+      data: delivery,
+      message: delivery.status === 'succeeded' ? 'Test event delivered' : 'Test event failed'
+    });
+
+  } catch (error) {
+    console.error('Error sending test webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send test event'
+    });
+  }
+});
+
+// GET /api/webhook-subscriptions/:id/deliveries - Delivery log
+router.get('/:id/deliveries', loadSubscription, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    const offset = (page - 1) * limit;
+
+    const whereClause = { subscription_id: req.subscription.id };
+    if (status) {
+      whereClause.status = status;
+    }
+
+    const deliveries = await WebhookDelivery.findAndCountAll({
+      where: whereClause,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: deliveries.rows,
+      pagination: {
+        current_page: parseInt(page),
+        total_pages: Math.ceil(deliveries.count / limit),
+        total_items: deliveries.count,
+        items_per_page: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch deliveries'
+    });
+  }
+});
+
+// POST /api/webhook-subscriptions/:id/deliveries/:deliveryId/replay - Re-send a delivery
+router.post('/:id/deliveries/:deliveryId/replay', loadSubscription, async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findOne({
+      where: {
+        id: req.params.deliveryId,
+        subscription_id: req.subscription.id
+      }
+    });
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found'
+      });
+    }
+
+    const replay = await replayDelivery(delivery, req.subscription);
+
+    res.json({
+      success: true,
+      data: replay,
+      message: replay.status === 'succeeded' ? 'Delivery replayed' : 'Replay failed; it will be retried'
+    });
+
+  } catch (error) {
+    console.error('Error replaying webhook delivery:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to replay delivery'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,198 @@
+const express = require('express');
+const router = express.Router();
+const { Resume, WebhookJob } = require('../models');
+const { auth } = require('../middleware/auth');
+const { ApiKeyError, authenticateSignedRequest } = require('../services/apiKeys');
+const {
+  validateResumeAnalysisWebhook,
+  validateJobMatchingWebhook
+} = require('../middleware/validation');
+const {
+  WebhookJobError,
+  verifySignature,
+  serializeJob,
+  enqueueJob
+} = require('../services/webhookJobs');
+
+// HMAC-signed requests name their API key in X-JobBoard-Key-Id and are signed
+// with that key's signing secret; everything else goes through the regular
+// API key / session auth. Either way the request acts for the key's owner.
+const webhookAuth = async (req, res, next) => {
+  const signature = req.header('X-JobBoard-Signature');
+  if (!signature) {
+    return auth(req, res, next);
+  }
+
+  try {
+    const { user, apiKey, headers } = await authenticateSignedRequest(
+      req,
+      req.header('X-JobBoard-Key-Id'),
+      (secret) => verifySignature(secret, signature, req.rawBody)
+    );
+    res.set(headers);
+
+    req.user = user;
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    if (!(error instanceof ApiKeyError || error instanceof WebhookJobError)) {
+      console.error('Signed webhook auth error:', error);
+    }
+    res.set(error.headers || {});
+    res.status(error.status || 401).json({
+      success: false,
+      error: error.status ? error.message : 'Invalid signature.'
+    });
+  }
+};
+
+// user_id is optional and must name the authenticated account
+const checkUser = (req, res, next) => {
+  const { user_id } = req.body;
+  if (user_id && user_id !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      error: 'user_id does not match the authenticated account'
+    });
+  }
+  next();
+};
+
+const idempotencyKey = (req) => {
+  const key = req.header('Idempotency-Key')?.trim();
+  if (key && key.length > 255) {
+    throw new WebhookJobError('Idempotency-Key cannot exceed 255 characters.');
+  }
+  return key || null;
+};
+
+const sendJob = (res, { job, created }) => {
+  res.status(created ? 202 : 200).json({
+    success: true,
+    data: {
+      ...serializeJob(job),
+      status_url: `/api/webhooks/jobs/${job.id}`,
+      ...(job.callback_secret ? { callback_secret: job.callback_secret } : {})
+    },
+    message: created
+      ? 'Job queued for processing'
+      : 'A job already exists for this Idempotency-Key'
+  });
+};
+
+const sendError = (res, error, fallback) => {
+  if (error instanceof WebhookJobError) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message
+    });
+  }
+  res.status(500).json({
+    success: false,
+    error: fallback
+  });
+};
+
+router.use(webhookAuth);
+
+// POST /api/webhooks/resume-analysis - Queue a resume score or skills-gap analysis
+router.post('/resume-analysis', validateResumeAnalysisWebhook, checkUser, async (req, res) => {
+  try {
+    const { resume_id, analysis_type, target_role, target_industry, callback_url } = req.body;
+
+    const resume = await Resume.findOne({
+      where: { id: resume_id, user_id: req.user.id },
+      attributes: ['id']
+    });
+
+    if (!resume) {
+      return res.status(404).json({
+        success: false,
+        error: 'Resume not found'
+      });
+    }
+
+    sendJob(res, await enqueueJob({
+      user: req.user,
+      apiKey: req.apiKey,
+      type: 'resume_analysis',
+      payload: { resume_id, analysis_type, target_role, target_industry },
+      callbackUrl: callback_url,
+      idempotencyKey: idempotencyKey(req)
+    }));
+
+  } catch (error) {
+    console.error('Resume analysis webhook error:', error);
+    sendError(res, error, 'Failed to queue resume analysis');
+  }
+});
+
+// POST /api/webhooks/job-matching - Queue job matching for the user's resume
+router.post('/job-matching', validateJobMatchingWebhook, checkUser, async (req, res) => {
+  try {
+    const { resume_id, preferences, limit, callback_url } = req.body;
+
+    // Default to the resume the user touched most recently
+    const resume = await Resume.findOne({
+      where: {
+        user_id: req.user.id,
+        ...(resume_id ? { id: resume_id } : {})
+      },
+      attributes: ['id'],
+      order: [['updated_at', 'DESC']]
+    });
+
+    if (!resume) {
+      return res.status(404).json({
+        success: false,
+        error: 'Resume not found'
+      });
+    }
+
+    sendJob(res, await enqueueJob({
+      user: req.user,
+      apiKey: req.apiKey,
+      type: 'job_matching',
+      payload: { resume_id: resume.id, preferences, limit },
+      callbackUrl: callback_url,
+      idempotencyKey: idempotencyKey(req)
+    }));
+
+  } catch (error) {
+    console.error('Job matching webhook error:', error);
+    sendError(res, error, 'Failed to queue job matching');
+  }
+});
+
+// GET /api/webhooks/jobs/:id - Poll a job's status and result
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await WebhookJob.findOne({
+      where: {
+        id: req.params.id,
+        user_id: req.user.id
+      }
+    });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: serializeJob(job)
+    });
+
+  } catch (error) {
+    console.error('Webhook job lookup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch job'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,43 @@
+// Recompute annualized salaries after the exchange-rate table or the
+// normalized currency changes: `npm run salary:normalize`
+const { Op } = require('sequelize');
+const { sequelize, Job, Resume } = require('../models');
+const { salaryAttributes, expectationAttributes } = require('../services/salary');
+
+const BATCH_SIZE = 500;
+
+const normalizeAll = async (Model, attributesFor) => {
+  let count = 0;
+  let lastId = 0;
+
+  for (;;) {
+    const rows = await Model.findAll({
+      where: { id: { [Op.gt]: lastId } },
+      order: [['id', 'ASC']],
+      limit: BATCH_SIZE
+    });
+    if (rows.length === 0) return count;
+
+    for (const row of rows) {
+      await Model.update(attributesFor({}, row), { where: { id: row.id }, silent: true });
+    }
+    count += rows.length;
+    lastId = rows[rows.length - 1].id;
+  }
+};
+
+const run = async () => {
+  try {
+    const jobs = await normalizeAll(Job, salaryAttributes);
+    const resumes = await normalizeAll(Resume, expectationAttributes);
+    console.log(`✅ Normalized salaries of ${jobs} jobs and ${resumes} resumes`);
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('❌ Salary normalization failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+};
+
+run();
\ No newline at end of file
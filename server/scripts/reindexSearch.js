@@ -0,0 +1,18 @@
+// Rebuild every job's search document: `npm run search:reindex`
+const { sequelize } = require('../models');
+const { engine, reindexAll } = require('../services/search');
+
+const run = async () => {
+  try {
+    const count = await reindexAll();
+    console.log(`✅ Indexed ${count} jobs with the ${engine.name} search engine`);
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('❌ Reindex failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+};
+
+run();
\ No newline at end of file
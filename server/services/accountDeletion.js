@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { Op } = require('sequelize');
+const {
+  User,
+  Resume,
+  ResumeSkill,
+  WorkExperience,
+  Education,
+  Application,
+  AIAnalysis,
+  Job,
+  CompanyMember,
+  AuthToken,
+  RecoveryCode,
+  ApiKey,
+  WebhookSubscription,
+  WebhookJob,
+  SavedSearch,
+  Notification,
+  JobBookmark,
+  JobTemplate,
+  JobImportProfile
+} = require('../models');
+const { revokeUserSessions } = require('./sessions');
+const { resumeFilePath, listScreeningFiles } = require('./personalData');
+const { recordAudit } = require('./audit');
+
+const GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Companies where the user is the only owner but other members remain
+const findSoleOwnedCompanies = async (userId) => {
+  const ownerships = await CompanyMember.findAll({
+    where: { user_id: userId, role: 'owner' }
+  });
+
+  const blocked = [];
+  for (const ownership of ownerships) {
+    const [owners, members] = await Promise.all([
+      CompanyMember.count({ where: { company_id: ownership.company_id, role: 'owner' } }),
+      CompanyMember.count({ where: { company_id: ownership.company_id } })
+    ]);
+    if (owners <= 1 && members > 1) {
+      blocked.push(ownership.company_id);
+    }
+  }
+  return blocked;
+};
+
+const scheduleDeletion = async (user) => {
+  const now = new Date();
+  return user.update({
+    deletion_requested_at: now,
+    deletion_scheduled_at: new Date(now.getTime() + GRACE_DAYS * 24 * 60 * 60 * 1000)
+  });
+};
+
+const cancelDeletion = async (user) => {
+  return user.update({
+    deletion_requested_at: null,
+    deletion_scheduled_at: null
+  });
+};
+
+const removeFile = async (filePath) => {
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Failed to remove file:', filePath, error);
+    }
+  }
+};
+
+// Erase the user's personal data. Applications stay with employers but are
+// stripped of the cover letter and screening answers and point at an emptied
+// resume; the user row is kept as an anonymous tombstone so those references
+// stay valid.
+const purgeAccount = async (user) => {
+  const resumes = await Resume.findAll({ where: { user_id: user.id } });
+  const resumeIds = resumes.map(resume => resume.id);
+
+  const appliedWith = await Application.findAll({
+    where: { applicant_id: user.id },
+    attributes: ['resume_id']
+  });
+  const retainedIds = new Set(appliedWith.map(application => application.resume_id));
+  const removableIds = resumeIds.filter(id => !retainedIds.has(id));
+
+  await User.sequelize.transaction(async (transaction) => {
+    if (resumeIds.length > 0) {
+      const byResume = { where: { resume_id: { [Op.in]: resumeIds } }, transaction };
+      await AIAnalysis.destroy(byResume);
+      await ResumeSkill.destroy(byResume);
+      await WorkExperience.destroy(byResume);
+      await Education.destroy(byResume);
+    }
+
+    if (removableIds.length > 0) {
+      await Resume.destroy({ where: { id: { [Op.in]: removableIds } }, transaction });
+    }
+
+    if (retainedIds.size > 0) {
+      await Resume.update({
+        title: 'Deleted resume',
+        summary: null,
+        experience_years: 0,
+        current_position: null,
+        current_company: null,
+        location: null,
+        city: null,
+        region: null,
+        country: null,
+        country_code: null,
+        latitude: null,
+        longitude: null,
+        preferred_work_modes: null,
+        max_commute_km: null,
+        salary_expectation: null,
+        salary_expectation_annual: null,
+        resume_file_url: null,
+        is_public: false
+      }, { where: { id: { [Op.in]: [...retainedIds] } }, transaction });
+    }
+
+    await Application.update(
+      { cover_letter: null, screening_answers: null, knockout_reasons: null },
+      { where: { applicant_id: user.id }, transaction }
+    );
+
+    // Personal postings close; company postings belong to the company
+    await Job.update(
+      { is_active: false, status: 'closed', closed_at: new Date() },
+      {
+        where: {
+          employer_id: user.id,
+          company_id: null,
+          status: { [Op.notIn]: ['closed', 'filled'] }
+        },
+        transaction
+      }
+    );
+
+    await CompanyMember.destroy({ where: { user_id: user.id }, transaction });
+    await AuthToken.destroy({ where: { user_id: user.id }, transaction });
+    await RecoveryCode.destroy({ where: { user_id: user.id }, transaction });
+    await ApiKey.update(
+      { revoked_at: new Date() },
+      { where: { user_id: user.id, revoked_at: null }, transaction }
+    );
+    await WebhookSubscription.update(
+      { is_active: false },
+      { where: { user_id: user.id, company_id: null }, transaction }
+    );
+    await WebhookJob.destroy({ where: { user_id: user.id }, transaction });
+    await SavedSearch.destroy({ where: { user_id: user.id }, transaction });
+    await Notification.destroy({ where: { user_id: user.id }, transaction });
+    await JobBookmark.destroy({ where: { user_id: user.id }, transaction });
+    await JobTemplate.destroy({ where: { employer_id: user.id, company_id: null }, transaction });
+    await JobImportProfile.destroy({ where: { employer_id: user.id, company_id: null }, transaction });
+
+    await user.update({
+      email: `deleted-user-${user.id}@deleted.invalid`,
+      password_hash: crypto.randomBytes(32).toString('hex'),
+      first_name: 'Deleted',
+      last_name: 'User',
+      phone: null,
+      profile_image: null,
+      is_active: false,
+      email_verified_at: null,
+      two_factor_enabled: false,
+      two_factor_secret: null,
+      two_factor_last_step: null,
+      deletion_scheduled_at: null,
+      deleted_at: new Date()
+    }, { transaction });
+  });
+
+  await revokeUserSessions(user.id, 'user_revoked');
+
+  for (const resume of resumes) {
+    const filePath = resumeFilePath(resume.resume_file_url);
+    if (filePath) {
+      await removeFile(filePath);
+    }
+  }
+
+  for (const filePath of await listScreeningFiles(user.id)) {
+    await removeFile(filePath);
+  }
+
+  await recordAudit(null, {
+    action: 'account.purged',
+    targetType: 'user',
+    targetId: user.id,
+    metadata: {
+      resumes_deleted: removableIds.length,
+      resumes_anonymized: retainedIds.size
+    }
+  });
+};
+
+// Purge every account whose grace period has ended
+const purgeDueAccounts = async () => {
+  const users = await User.findAll({
+    where: {
+      deleted_at: null,
+      deletion_scheduled_at: { [Op.lte]: new Date() }
+    }
+  });
+
+  for (const user of users) {
+    try {
+      await purgeAccount(user);
+    } catch (error) {
+      console.error(`Failed to purge account ${user.id}:`, error);
+    }
+  }
+
+  return users.length;
+};
+
+const startDeletionSweeper = () => {
+  const sweep = () => purgeDueAccounts().catch(error => {
+    console.error('Account deletion sweep error:', error);
+  });
+
+  sweep();
+  return setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  GRACE_DAYS,
+  findSoleOwnedCompanies,
+  scheduleDeletion,
+  cancelDeletion,
+  purgeAccount,
+  purgeDueAccounts,
+  startDeletionSweeper
+};
\ No newline at end of file
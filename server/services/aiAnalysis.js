@@ -0,0 +1,359 @@
+const OpenAI = require('openai');
+const { Op } = require('sequelize');
+const { Resume, Job, AIAnalysis } = require('../models');
+const { emitEvent } = require('./webhooks');
+const { candidateCondition } = require('./jobLocation');
+const { annualize } = require('./salary');
+
+// Initialize OpenAI
+const openai = new OpenAI({
+  apiKey: process.env.OPENAI_API_KEY,
+});
+
+// Resume owned by the user, with the sections the prompts need
+const findUserResume = (resumeId, userId, include = ['skills', 'work_experience']) => {
+  return Resume.findOne({
+    where: {
+      id: resumeId,
+      user_id: userId
+    },
+    include
+  });
+};
+
+// POST /api/ai/analyze-resume and the resume-analysis webhook
+const analyzeResume = async (resume) => {
+  // Prepare resume data for AI analysis
+  const resumeText = `
+    Title: ${resume.title}
+    Summary: ${resume.summary}
+    Experience: ${resume.experience_years} years
+    Current Position: ${resume.current_position}
+    Current Company: ${resume.current_company}
+    Location: ${resume.location}
+
+    Skills: ${resume.skills?.map(s => s.name).join(', ')}
+
+    Work Experience:
+    ${resume.work_experience?.map(exp => `
+      - ${exp.position} at ${exp.company_name} (${exp.start_date} - ${exp.end_date || 'Present'})
+      ${exp.description}
+    `).join('\n')}
+
+    Education:
+    ${resume.education?.map(edu => `
+      - ${edu.degree} in ${edu.field_of_study} from ${edu.institution}
+    `).join('\n')}
+  `;
+
+  // AI Analysis Prompt
+  const prompt = `
+    Analyze the following resume and provide insights:
+
+    ${resumeText}
+
+    Please provide:
+    1. Overall resume score (0-100)
+    2. Strengths (top 3)
+    3. Areas for improvement (top 3)
+    4. Suggested skills to add
+    5. Industry recommendations
+    6. ATS optimization tips
+
+    Format the response as JSON with the following structure:
+    {
+      "score": number,
+      "strengths": [string],
+      "improvements": [string],
+      "suggested_skills": [string],
+      "industry_recommendations": [string],
+      "ats_tips": [string]
+    }
+  `;
+
+  const completion = await openai.chat.completions.create({
+    model: "gpt-3.5-turbo",
+    messages: [
+      {
+        role: "system",
+        content: "You are an expert HR professional and resume analyst. Provide detailed, actionable feedback on resumes."
+      },
+      {
+        role: "user",
+        content: prompt
+      }
+    ],
+    temperature: 0.7,
+    max_tokens: 1000
+  });
+
+  const analysis = JSON.parse(completion.choices[0].message.content);
+
+  // Save analysis to database
+  const aiAnalysis = await AIAnalysis.create({
+    resume_id: resume.id,
+    analysis_type: 'resume_score',
+    score: analysis.score,
+    insights: analysis
+  });
+
+  await emitEvent('resume.analyzed', {
+    analysis_id: aiAnalysis.id,
+    resume_id: resume.id,
+    analysis_type: aiAnalysis.analysis_type,
+    score: aiAnalysis.score,
+    insights: analysis
+  }, { userIds: [resume.user_id] });
+
+  return {
+    analysis_id: aiAnalysis.id,
+    ...analysis
+  };
+};
+
+// Narrow the candidate pool before it reaches the prompt
+const jobPreferenceWhere = ({ location, salary_min, salary_currency, salary_period } = {}, resume = {}) => {
+  const whereClause = { is_active: true };
+
+  if (location) {
+    whereClause.location = { [Op.iLike]: `%${location}%` };
+  } else {
+    // Without an explicit location, the resume's own location preferences apply
+    const candidate = candidateCondition(resume);
+    if (candidate) {
+      whereClause[Op.and] = [candidate];
+    }
+  }
+
+  // Compared on annualized pay; the minimum is in the resume's currency
+  // unless another is given
+  if (salary_min) {
+    const currency = salary_currency || resume.salary_expectation_currency || undefined;
+    whereClause[Op.or] = [
+      { salary_max_annual: { [Op.gte]: annualize(salary_min, currency, salary_period) } },
+      { salary_max_annual: null }
+    ];
+  }
+
+  return whereClause;
+};
+
+// POST /api/ai/match-jobs and the job-matching webhook
+const matchJobs = async (resume, { limit = 10, preferences = {} } = {}) => {
+  // Get active jobs
+  const jobs = await Job.findAll({
+    where: jobPreferenceWhere(preferences, resume),
+    limit: 50, // Get more jobs for better matching
+    order: [['created_at', 'DESC']]
+  });
+
+  if (jobs.length === 0) {
+    return { matches: [], total_jobs_analyzed: 0 };
+  }
+
+  // Prepare data for AI matching
+  const resumeSkills = resume.skills?.map(s => s.name).join(', ') || '';
+  const resumeExperience = resume.work_experience?.map(exp =>
+    `${exp.position} at ${exp.company_name}`
+  ).join(', ') || '';
+  const preferredSkills = preferences.skills?.length
+    ? `\n    - Preferred Skills: ${preferences.skills.join(', ')}`
+    : '';
+
+  const matchingPrompt = `
+    Resume Profile:
+    - Title: ${resume.title}
+    - Experience: ${resume.experience_years} years
+    - Skills: ${resumeSkills}
+    - Experience: ${resumeExperience}
+    - Location: ${resume.location}${preferredSkills}
+
+    Available Jobs:
+    ${jobs.map((job, index) => `
+      ${index + 1}. ${job.title} at ${job.location}
+      Requirements: ${job.requirements}
+      Description: ${job.description.substring(0, 200)}...
+    `).join('\n')}
+
+    Analyze the resume against these jobs and return the top ${limit} matches.
+    For each match, provide:
+    1. Job index (1-based)
+    2. Match score (0-100)
+    3. Matching skills
+    4. Missing skills
+    5. Match reasoning
+
+    Format as JSON array:
+    [
+      {
+        "job_index": number,
+        "match_score": number,
+        "matching_skills": [string],
+        "missing_skills": [string],
+        "reasoning": string
+      }
+    ]
+  `;
+
+  const completion = await openai.chat.completions.create({
+    model: "gpt-3.5-turbo",
+    messages: [
+      {
+        role: "system",
+        content: "You are an expert job matching AI. Analyze resumes against job requirements and provide accurate match scores."
+      },
+      {
+        role: "user",
+        content: matchingPrompt
+      }
+    ],
+    temperature: 0.3,
+    max_tokens: 2000
+  });
+
+  const matches = JSON.parse(completion.choices[0].message.content);
+
+  // Map job indices back to actual jobs and save analysis
+  const jobMatches = matches
+    .filter(match => jobs[match.job_index - 1])
+    .map(match => {
+      const job = jobs[match.job_index - 1];
+      return {
+        job: {
+          id: job.id,
+          title: job.title,
+          company: job.company,
+          location: job.location,
+          employment_type: job.employment_type,
+          salary_min: job.salary_min,
+          salary_max: job.salary_max,
+          salary_currency: job.salary_currency,
+          salary_period: job.salary_period
+        },
+        match_score: match.match_score,
+        matching_skills: match.matching_skills,
+        missing_skills: match.missing_skills,
+        reasoning: match.reasoning
+      };
+    });
+
+  // Save job matching analysis
+  for (const match of jobMatches.slice(0, 5)) { // Save top 5 matches
+    await AIAnalysis.create({
+      resume_id: resume.id,
+      job_id: match.job.id,
+      analysis_type: 'job_match',
+      score: match.match_score,
+      insights: {
+        matching_skills: match.matching_skills,
+        missing_skills: match.missing_skills,
+        reasoning: match.reasoning
+      }
+    });
+  }
+
+  return {
+    matches: jobMatches,
+    total_jobs_analyzed: jobs.length
+  };
+};
+
+// POST /api/ai/skill-gap-analysis and the resume-analysis webhook
+const analyzeSkillGap = async (resume, { target_role, target_industry }) => {
+  const currentSkills = resume.skills?.map(s => s.name).join(', ') || '';
+  const experience = resume.work_experience?.map(exp =>
+    `${exp.position} (${exp.years_experience || 0} years)`
+  ).join(', ') || '';
+
+  const skillGapPrompt = `
+    Current Profile:
+    - Role: ${resume.current_position}
+    - Experience: ${resume.experience_years} years
+    - Skills: ${currentSkills}
+    - Work History: ${experience}
+
+    Target Role: ${target_role}
+    Target Industry: ${target_industry}
+
+    Analyze the skill gap between current profile and target role.
+    Provide:
+    1. Required skills for target role
+    2. Skills the candidate already has
+    3. Missing critical skills
+    4. Nice-to-have skills
+    5. Learning path recommendations
+    6. Estimated time to bridge gaps
+    7. Certification recommendations
+
+    Format as JSON:
+    {
+      "required_skills": [string],
+      "existing_skills": [string],
+      "critical_gaps": [string],
+      "nice_to_have": [string],
+      "learning_path": [
+        {
+          "skill": string,
+          "priority": "high|medium|low",
+          "estimated_time": string,
+          "resources": [string]
+        }
+      ],
+      "certifications": [string],
+      "overall_readiness": number
+    }
+  `;
+
+  const completion = await openai.chat.completions.create({
+    model: "gpt-3.5-turbo",
+    messages: [
+      {
+        role: "system",
+        content: "You are a career development expert specializing in skill gap analysis and career transitions."
+      },
+      {
+        role: "user",
+        content: skillGapPrompt
+      }
+    ],
+    temperature: 0.5,
+    max_tokens: 1500
+  });
+
+  const analysis = JSON.parse(completion.choices[0].message.content);
+
+  // Save skill gap analysis
+  const aiAnalysis = await AIAnalysis.create({
+    resume_id: resume.id,
+    analysis_type: 'skill_gap',
+    score: analysis.overall_readiness,
+    insights: {
+      target_role,
+      target_industry,
+      ...analysis
+    }
+  });
+
+  await emitEvent('resume.analyzed', {
+    analysis_id: aiAnalysis.id,
+    resume_id: resume.id,
+    analysis_type: aiAnalysis.analysis_type,
+    score: aiAnalysis.score,
+    insights: aiAnalysis.insights
+  }, { userIds: [resume.user_id] });
+
+  return {
+    analysis_id: aiAnalysis.id,
+    target_role,
+    target_industry,
+    ...analysis
+  };
+};
+
+module.exports = {
+  openai,
+  findUserResume,
+  analyzeResume,
+  matchJobs,
+  analyzeSkillGap
+};
\ No newline at end of file
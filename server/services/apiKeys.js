@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const { ApiKey, User } = require('../models');
+const { signToken } = require('./authTokens');
+
+const KEY_PREFIX = 'jb_';
+const SIGNING_SECRET_PREFIX = 'jbsig_';
+
+const API_KEY_SCOPES = [
+  'jobs:read',
+  'jobs:write',
+  'applications:read',
+  'applications:write',
+  'resumes:read',
+  'resumes:write',
+  'ai:read',
+  'ai:write'
+];
+
+// API keys only reach these routers; everything else (auth, account, admin,
+// key management) stays JWT-only
+const SCOPED_RESOURCES = {
+  '/api/jobs': 'jobs',
+  '/api/applications': 'applications',
+  '/api/resumes': 'resumes',
+  '/api/webhooks': 'ai'
+};
+
+// Avoid a write on every request; last-used is informational
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+const RATE_WINDOW_MS = 60 * 1000;
+
+class ApiKeyError extends Error {
+  constructor(message, status = 401, headers = {}) {
+    super(message);
+    this.name = 'ApiKeyError';
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+const isApiKey = (token) => typeof token === 'string' && token.startsWith(KEY_PREFIX);
+
+// Raw key from X-API-Key or an Authorization bearer that looks like a key
+const extractApiKey = (req) => {
+  const header = req.header('X-API-Key');
+  if (header) return header.trim();
+
+  const bearer = req.header('Authorization')?.replace('Bearer ', '');
+  return isApiKey(bearer) ? bearer : null;
+};
+
+const generateKey = () => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  return {
+    key,
+    key_prefix: key.substring(0, 11),
+    key_hash: signToken(key),
+    signing_secret: `${SIGNING_SECRET_PREFIX}${crypto.randomBytes(24).toString('hex')}`
+  };
+};
+
+const createApiKey = async (user, { name, scopes, rate_limit_per_minute, expires_in_days }) => {
+  const { key, key_prefix, key_hash, signing_secret } = generateKey();
+
+  const apiKey = await ApiKey.create({
+    user_id: user.id,
+    name,
+    key_prefix,
+    key_hash,
+    signing_secret,
+    scopes,
+    rate_limit_per_minute,
+    expires_at: expires_in_days
+      ? new Date(Date.now() + expires_in_days * 24 * 60 * 60 * 1000)
+      : null
+  });
+
+  return { apiKey, key };
+};
+
+// Replace the key and its signing secret but keep name, scopes and limits
+const rotateApiKey = async (apiKey) => {
+  const { key, key_prefix, key_hash, signing_secret } = generateKey();
+  await apiKey.update({ key_prefix, key_hash, signing_secret, last_used_at: null, last_used_ip: null });
+  return key;
+};
+
+const revokeApiKey = async (apiKey) => {
+  if (apiKey.revoked_at) return apiKey;
+  return apiKey.update({ revoked_at: new Date() });
+};
+
+const isApiKeyActive = (apiKey) => {
+  return !!apiKey && !apiKey.revoked_at &&
+    (!apiKey.expires_at || new Date(apiKey.expires_at) > new Date());
+};
+
+// Scope needed for this request, or null when API keys may not call it at all
+const requiredScope = (req) => {
+  const resource = SCOPED_RESOURCES[req.baseUrl];
+  if (!resource) return null;
+  return ['GET', 'HEAD'].includes(req.method) ? `${resource}:read` : `${resource}:write`;
+};
+
+// Fixed one-minute window per key, kept in process memory like the global limiter
+const rateWindows = new Map();
+
+const checkRateLimit = (apiKey) => {
+  const now = Date.now();
+  let window = rateWindows.get(apiKey.id);
+  if (!window || now - window.start >= RATE_WINDOW_MS) {
+    window = { start: now, count: 0 };
+    rateWindows.set(apiKey.id, window);
+  }
+  window.count += 1;
+
+  const limit = apiKey.rate_limit_per_minute;
+  const headers = {
+    'X-RateLimit-Limit': limit,
+    'X-RateLimit-Remaining': Math.max(limit - window.count, 0),
+    'X-RateLimit-Reset': Math.ceil((window.start + RATE_WINDOW_MS) / 1000)
+  };
+
+  if (window.count > limit) {
+    headers['Retry-After'] = Math.ceil((window.start + RATE_WINDOW_MS - now) / 1000);
+    throw new ApiKeyError('API key rate limit exceeded', 429, headers);
+  }
+
+  return headers;
+};
+
+// Resolve a key to its user, enforcing status, scope and rate limit
+const authorizeApiKey = async (req, apiKey) => {
+  if (!isApiKeyActive(apiKey)) {
+    throw new ApiKeyError('Invalid, expired or revoked API key.');
+  }
+
+  const scope = requiredScope(req);
+  if (!scope || !apiKey.scopes.includes(scope)) {
+    throw new ApiKeyError(`API key is missing the required scope${scope ? `: ${scope}` : ''}.`, 403);
+  }
+
+  const headers = checkRateLimit(apiKey);
+
+  const user = await User.findByPk(apiKey.user_id, {
+    attributes: { exclude: ['password_hash', 'two_factor_secret'] }
+  });
+  if (!user || !user.is_active) {
+    throw new ApiKeyError('Account is deactivated.');
+  }
+
+  if (!apiKey.last_used_at || Date.now() - new Date(apiKey.last_used_at) > LAST_USED_RESOLUTION_MS) {
+    await apiKey.update({ last_used_at: new Date(), last_used_ip: req.ip });
+  }
+
+  return { user, apiKey, headers };
+};
+
+const authenticateApiKey = async (req, rawKey) => {
+  const apiKey = await ApiKey.findOne({ where: { key_hash: signToken(rawKey) } });
+  return authorizeApiKey(req, apiKey);
+};
+
+// Signed webhook requests name their key by id instead of sending it;
+// `verify` checks the signature against that key's signing secret
+const authenticateSignedRequest = async (req, keyId, verify) => {
+  const apiKey = /^\d+$/.test(keyId || '') ? await ApiKey.findByPk(keyId) : null;
+  if (!isApiKeyActive(apiKey) || !apiKey.signing_secret) {
+    throw new ApiKeyError('Invalid, expired or revoked API key.');
+  }
+
+  verify(apiKey.signing_secret);
+  return authorizeApiKey(req, apiKey);
+};
+
+module.exports = {
+  API_KEY_SCOPES,
+  ApiKeyError,
+  isApiKey,
+  extractApiKey,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  isApiKeyActive,
+  authenticateApiKey,
+  authenticateSignedRequest
+};
\ No newline at end of file
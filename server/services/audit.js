@@ -0,0 +1,71 @@
+const { AuditLog } = require('../models');
+
+// Never record secrets in before/after snapshots
+const REDACTED_FIELDS = ['password_hash', 'two_factor_secret', 'token_hash', 'key_hash'];
+
+const toPlain = (record) => {
+  if (!record) return null;
+  const plain = typeof record.toJSON === 'function' ? record.toJSON() : { ...record };
+  for (const field of REDACTED_FIELDS) {
+    if (field in plain) plain[field] = '[REDACTED]';
+  }
+  return plain;
+};
+
+const isScalar = (value) => value === null || typeof value !== 'object' || value instanceof Date;
+
+// Field-level diff of two snapshots: { field: { from, to } } for changed scalar fields
+const diff = (before, after) => {
+  const from = toPlain(before) || {};
+  const to = toPlain(after) || {};
+  const changes = {};
+
+  for (const key of new Set([...Object.keys(from), ...Object.keys(to)])) {
+    if (key === 'updated_at' || !isScalar(from[key]) || !isScalar(to[key])) continue;
+
+    const fromValue = from[key] instanceof Date ? from[key].toISOString() : from[key];
+    const toValue = to[key] instanceof Date ? to[key].toISOString() : to[key];
+    if (String(fromValue) !== String(toValue)) {
+      changes[key] = { from: fromValue ?? null, to: toValue ?? null };
+    }
+  }
+
+  return changes;
+};
+
+// Append an audit entry. Failures are logged but never break the request.
+// Background jobs pass a null request and record the system as actor.
+const recordAudit = async (req, { action, targetType, targetId, companyId, before, after, metadata, actor }) => {
+  try {
+    const actingUser = actor || req?.user;
+    let changes = null;
+    if (before && after) {
+      changes = diff(before, after);
+    } else if (after) {
+      changes = { after: toPlain(after) };
+    } else if (before) {
+      changes = { before: toPlain(before) };
+    }
+
+    await AuditLog.create({
+      actor_id: actingUser?.id || null,
+      actor_role: actingUser?.role || null,
+      action,
+      target_type: targetType || null,
+      target_id: targetId || null,
+      company_id: companyId || null,
+      changes,
+      metadata: metadata || null,
+      ip_address: req?.ip || null,
+      user_agent: req?.get('User-Agent')?.substring(0, 500) || null,
+      request_id: req?.id || null
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+module.exports = {
+  diff,
+  recordAudit
+};
\ No newline at end of file
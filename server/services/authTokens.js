@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { AuthToken } = require('../models');
+
+const TOKEN_TTL_MS = {
+  email_verification: (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48) * 60 * 60 * 1000,
+  password_reset: (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60) * 60 * 1000
+};
+
+// Tokens are stored as an HMAC keyed with the server secret, so a leaked
+// table can neither be replayed nor used to forge new tokens
+const signToken = (token) => {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update(token).digest('hex');
+};
+
+// Issue a new single-use token, invalidating any earlier unused ones for the same purpose
+const issueToken = async (user, purpose) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await AuthToken.update(
+    { used_at: new Date() },
+    { where: { user_id: user.id, purpose, used_at: null } }
+  );
+
+  await AuthToken.create({
+    user_id: user.id,
+    purpose,
+    token_hash: signToken(token),
+    expires_at: new Date(Date.now() + TOKEN_TTL_MS[purpose])
+  });
+
+  return token;
+};
+
+// Atomically mark a token as used; returns the token row or null if invalid/expired/used
+const consumeToken = async (token, purpose) => {
+  const stored = await AuthToken.findOne({
+    where: {
+      token_hash: signToken(token),
+      purpose,
+      used_at: null,
+      expires_at: { [Op.gt]: new Date() }
+    }
+  });
+
+  if (!stored) {
+    return null;
+  }
+
+  const [claimed] = await AuthToken.update(
+    { used_at: new Date() },
+    { where: { id: stored.id, used_at: null } }
+  );
+
+  return claimed ? stored : null;
+};
+
+module.exports = {
+  signToken,
+  issueToken,
+  consumeToken
+};
\ No newline at end of file
@@ -0,0 +1,88 @@
+const { Op } = require('sequelize');
+const { Job, CompanyMember } = require('../models');
+
+// What each company role may do
+const ROLE_PERMISSIONS = {
+  owner: ['company:manage', 'jobs:manage', 'jobs:view', 'applications:manage', 'applications:view'],
+  recruiter: ['jobs:manage', 'jobs:view', 'applications:manage', 'applications:view'],
+  hiring_manager: ['jobs:view', 'applications:manage', 'applications:view'],
+  viewer: ['jobs:view', 'applications:view']
+};
+
+const COMPANY_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const roleHasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+const getMembership = (userId, companyId) => {
+  return CompanyMember.findOne({
+    where: {
+      user_id: userId,
+      company_id: companyId
+    }
+  });
+};
+
+const hasCompanyPermission = async (userId, companyId, permission) => {
+  const membership = await getMembership(userId, companyId);
+  return !!membership && roleHasPermission(membership.role, permission);
+};
+
+// IDs of companies where the user holds a role granting the permission
+const getCompanyIds = async (userId, permission) => {
+  const memberships = await CompanyMember.findAll({
+    where: { user_id: userId },
+    attributes: ['company_id', 'role']
+  });
+
+  return memberships
+    .filter(membership => roleHasPermission(membership.role, permission))
+    .map(membership => membership.company_id);
+};
+
+// Where clause for jobs the user can act on: jobs they posted personally
+// plus jobs of any company where their role grants the permission. A
+// company job is reached through the membership only, so leaving or being
+// demoted in the company also ends access to the jobs the user wrote there.
+// Admins can act on every job.
+const jobAccessWhere = async (user, permission) => {
+  if (user.role === 'admin') {
+    return {};
+  }
+
+  const personal = { employer_id: user.id, company_id: null };
+  const companyIds = await getCompanyIds(user.id, permission);
+
+  if (companyIds.length === 0) {
+    return personal;
+  }
+
+  return {
+    [Op.or]: [
+      personal,
+      { company_id: { [Op.in]: companyIds } }
+    ]
+  };
+};
+
+const findAccessibleJob = async (user, jobId, permission, options = {}) => {
+  const accessWhere = await jobAccessWhere(user, permission);
+
+  return Job.findOne({
+    ...options,
+    where: {
+      [Op.and]: [{ id: jobId }, accessWhere]
+    }
+  });
+};
+
+module.exports = {
+  COMPANY_ROLES,
+  roleHasPermission,
+  getMembership,
+  hasCompanyPermission,
+  getCompanyIds,
+  jobAccessWhere,
+  findAccessibleJob
+};
\ No newline at end of file
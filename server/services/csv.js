@@ -0,0 +1,94 @@
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quote a value for CSV output per RFC 4180. Text that a spreadsheet would
+// read as a formula gets a leading apostrophe; numbers are left alone.
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else {
+    text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialize rows to CSV; columns are [{ key, header }] or plain keys
+const toCsv = (rows, columns) => {
+  const normalized = columns.map(column => (
+    typeof column === 'string' ? { key: column, header: column } : column
+  ));
+
+  const lines = [normalized.map(column => escapeCsv(column.header)).join(',')];
+  for (const row of rows) {
+    lines.push(normalized.map(column => escapeCsv(row[column.key])).join(','));
+  }
+  return lines.join('\r\n');
+};
+
+// Parse RFC 4180 CSV into rows of fields. Quoted fields may hold commas,
+// doubled quotes and line breaks; a leading byte order mark is ignored.
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const input = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no record
+  return rows.filter(fields => fields.length > 1 || fields[0] !== '');
+};
+
+// Parse CSV with a header row into objects keyed by the trimmed headers
+const parseCsv = (text) => {
+  const [headers = [], ...rows] = parseCsvRows(text);
+  const keys = headers.map(header => header.trim());
+
+  return rows.map(fields => Object.fromEntries(
+    keys.map((key, index) => [key, fields[index] ?? ''])
+  ));
+};
+
+module.exports = {
+  escapeCsv,
+  toCsv,
+  parseCsvRows,
+  parseCsv
+};
\ No newline at end of file
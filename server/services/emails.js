@@ -0,0 +1,145 @@
+const { sendMail } = require('./mailer');
+
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+const sendVerificationEmail = async (user, token) => {
+  const link = `${clientUrl()}/verify-email?token=${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.first_name},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nIf you did not create an account, you can ignore this email.`,
+    html: `<p>Hi ${user.first_name},</p><p>Please confirm your email address by clicking the link below:</p><p><a href="${link}">Verify email</a></p><p>If you did not create an account, you can ignore this email.</p>`
+  });
+};
+
+const sendPasswordResetEmail = async (user, token) => {
+  const link = `${clientUrl()}/reset-password?token=${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.first_name},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${link}\n\nIf you did not request this, you can ignore this email.`,
+    html: `<p>Hi ${user.first_name},</p><p>We received a request to reset your password. Click the link below to choose a new one:</p><p><a href="${link}">Reset password</a></p><p>If you did not request this, you can ignore this email.</p>`
+  });
+};
+
+const sendPasswordChangedEmail = async (user) => {
+  return sendMail({
+    to: user.email,
+    subject: 'Your password was changed',
+    text: `Hi ${user.first_name},\n\nThe password for your account was just changed and all other sessions were signed out. If this wasn't you, reset your password immediately.`,
+    html: `<p>Hi ${user.first_name},</p><p>The password for your account was just changed and all other sessions were signed out. If this wasn't you, reset your password immediately.</p>`
+  });
+};
+
+const sendCompanyInvitationEmail = async (invitation, company, inviter, token) => {
+  const link = `${clientUrl()}/invitations/accept?token=${token}`;
+  const role = invitation.role.replace('_', ' ');
+
+  return sendMail({
+    to: invitation.email,
+    subject: `You're invited to join ${company.name}`,
+    text: `Hi,\n\n${inviter.first_name} ${inviter.last_name} invited you to join ${company.name} as a ${role}.\n\nAccept the invitation here:\n\n${link}\n\nThe invitation expires in 7 days.`,
+    html: `<p>Hi,</p><p>${inviter.first_name} ${inviter.last_name} invited you to join <strong>${company.name}</strong> as a ${role}.</p><p><a href="${link}">Accept invitation</a></p><p>The invitation expires in 7 days.</p>`
+  });
+};
+
+const sendAccountDeletionScheduledEmail = async (user) => {
+  const link = `${clientUrl()}/profile/privacy`;
+  const date = new Date(user.deletion_scheduled_at).toDateString();
+
+  return sendMail({
+    to: user.email,
+    subject: 'Your account is scheduled for deletion',
+    text: `Hi ${user.first_name},\n\nYour account and personal data will be permanently deleted on ${date}. Until then you can sign in and cancel the deletion here:\n\n${link}\n\nIf you did not request this, cancel the deletion and change your password.`,
+    html: `<p>Hi ${user.first_name},</p><p>Your account and personal data will be permanently deleted on <strong>${date}</strong>. Until then you can sign in and cancel the deletion:</p><p><a href="${link}">Manage account deletion</a></p><p>If you did not request this, cancel the deletion and change your password.</p>`
+  });
+};
+
+// Job titles and company names come from employers, so they are escaped
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Digest of new jobs for a saved search, delivered by the notification
+// channels rather than sent directly
+const buildJobAlertDigest = (search, jobs, total) => {
+  const unsubscribeLink = `${clientUrl()}/alerts/unsubscribe?token=${search.unsubscribe_token}`;
+  const searchLink = `${clientUrl()}/jobs?saved_search=${search.id}`;
+  const heading = `${total} new job${total === 1 ? '' : 's'} for "${search.name}"`;
+  const more = total > jobs.length ? total - jobs.length : 0;
+
+  const jobLine = (job) => `${job.title}${job.company ? ` at ${job.company.name}` : ''}${job.location ? ` (${job.location})` : ''}`;
+
+  return {
+    type: 'job_alert',
+    subject: heading,
+    text: `${heading}:\n\n${jobs.map(job => `- ${jobLine(job)}\n  ${clientUrl()}/jobs/${job.id}`).join('\n')}${more ? `\n\n...and ${more} more: ${searchLink}` : ''}\n\nStop these alerts: ${unsubscribeLink}`,
+    html: `<p>${escapeHtml(heading)}:</p><ul>${jobs.map(job => `<li><a href="${clientUrl()}/jobs/${job.id}">${escapeHtml(jobLine(job))}</a></li>`).join('')}</ul>${more ? `<p><a href="${searchLink}">See ${more} more</a></p>` : ''}<p><a href="${unsubscribeLink}">Stop these alerts</a></p>`,
+    data: {
+      saved_search_id: search.id,
+      total,
+      job_ids: jobs.map(job => job.id)
+    }
+  };
+};
+
+// Reminder that a bookmarked job closes soon
+const buildDeadlineReminder = ({ bookmarkId, jobId, title, company, url, deadline }) => {
+  const link = jobId ? `${clientUrl()}/jobs/${jobId}` : url || `${clientUrl()}/saved-jobs`;
+  const closes = new Date(deadline).toDateString();
+  const name = `${title}${company ? ` at ${company}` : ''}`;
+
+  return {
+    type: 'deadline_reminder',
+    subject: `Applications for ${name} close on ${closes}`,
+    text: `Applications for ${name}, a job you saved, close on ${closes}.\n\n${link}\n\nManage your saved jobs: ${clientUrl()}/saved-jobs`,
+    html: `<p>Applications for <strong>${escapeHtml(name)}</strong>, a job you saved, close on ${closes}.</p><p><a href="${escapeHtml(link)}">View the job</a></p><p><a href="${clientUrl()}/saved-jobs">Manage your saved jobs</a></p>`,
+    data: {
+      bookmark_id: bookmarkId,
+      job_id: jobId || null,
+      deadline
+    }
+  };
+};
+
+// Outcome of an admin's review of a flagged job, for its employer
+const buildModerationDecision = (job, decision) => {
+  const approved = decision === 'approved';
+  // Rejected jobs are drafts again, which only the employer's dashboard shows
+  const link = approved ? `${clientUrl()}/jobs/${job.id}` : `${clientUrl()}/dashboard`;
+  const subject = approved
+    ? `Your job "${job.title}" was approved`
+    : `Your job "${job.title}" was not approved`;
+  const outcome = approved
+    ? 'passed review and is now live (or scheduled, if you set a publish date)'
+    : 'did not pass review and was moved back to your drafts. Edit it to address the reasons below, then publish it again';
+  const reasons = (job.moderation_flags || []).map(raised => raised.message);
+  const note = job.moderation_note ? `Reviewer note: ${job.moderation_note}` : '';
+
+  return {
+    type: 'job_moderation',
+    subject,
+    text: `Your job "${job.title}" ${outcome}.${note ? `\n\n${note}` : ''}${!approved && reasons.length ? `\n\nFlagged:\n${reasons.map(reason => `- ${reason}`).join('\n')}` : ''}\n\n${link}`,
+    html: `<p>Your job <strong>${escapeHtml(job.title)}</strong> ${outcome}.</p>${note ? `<p>${escapeHtml(note)}</p>` : ''}${!approved && reasons.length ? `<ul>${reasons.map(reason => `<li>${escapeHtml(reason)}</li>`).join('')}</ul>` : ''}<p><a href="${link}">${approved ? 'View the job' : 'Edit your jobs'}</a></p>`,
+    data: {
+      job_id: job.id,
+      decision,
+      note: job.moderation_note || null
+    }
+  };
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+  sendCompanyInvitationEmail,
+  sendAccountDeletionScheduledEmail,
+  buildJobAlertDigest,
+  buildDeadlineReminder,
+  buildModerationDecision
+};
\ No newline at end of file
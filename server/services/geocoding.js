@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+
+// Offline city gazetteer; GEOCODING_DATASET points at a larger export with the
+// same shape (name, alternate_names, region, country, country_code,
+// latitude, longitude, population)
+const DATASET_PATH = process.env.GEOCODING_DATASET ||
+  path.join(__dirname, '../data/cities.json');
+
+const WORK_MODES = ['onsite', 'hybrid', 'remote'];
+
+// Remote postings may be open to whole regions instead of single countries
+const REGION_GROUPS = {
+  EU: ['AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE', 'IT',
+    'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE'],
+  EUROPE: ['AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE', 'IT',
+    'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE', 'GB', 'CH', 'NO', 'IS',
+    'RS', 'UA', 'TR'],
+  EMEA: ['AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE', 'IT',
+    'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE', 'GB', 'CH', 'NO', 'IS',
+    'RS', 'UA', 'TR', 'IL', 'AE', 'SA', 'EG', 'NG', 'KE', 'ZA', 'MA'],
+  NORTH_AMERICA: ['US', 'CA', 'MX'],
+  AMERICAS: ['US', 'CA', 'MX', 'BR', 'AR', 'CL', 'CO', 'PE', 'UY', 'CR'],
+  APAC: ['AU', 'NZ', 'JP', 'KR', 'CN', 'HK', 'TW', 'SG', 'MY', 'TH', 'ID', 'PH', 'VN', 'IN']
+};
+
+// An empty or missing remote_regions list means the job is open worldwide
+const WORLDWIDE = 'WORLDWIDE';
+
+const REMOTE_PATTERN = /\b(remote|anywhere|work from home|wfh|distributed)\b/i;
+const HYBRID_PATTERN = /\bhybrid\b/i;
+
+const EARTH_RADIUS_KM = 6371;
+
+const normalize = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+let gazetteer = null;
+
+// Indexed once per process: normalized name -> cities, plus country lookups
+const loadGazetteer = () => {
+  if (gazetteer) return gazetteer;
+
+  const cities = JSON.parse(fs.readFileSync(DATASET_PATH, 'utf8'));
+  const byName = new Map();
+  const countries = new Map();
+
+  for (const city of cities) {
+    for (const name of [city.name, ...(city.alternate_names || [])]) {
+      const key = normalize(name);
+      if (!byName.has(key)) byName.set(key, []);
+      byName.get(key).push(city);
+    }
+    countries.set(normalize(city.country), { code: city.country_code, name: city.country });
+    countries.set(normalize(city.country_code), { code: city.country_code, name: city.country });
+  }
+
+  for (const matches of byName.values()) {
+    matches.sort((a, b) => b.population - a.population);
+  }
+
+  gazetteer = { byName, countries };
+  return gazetteer;
+};
+
+const findCountry = (text) => loadGazetteer().countries.get(normalize(text)) || null;
+
+// Qualifiers after the city ("TX", "Germany", "Bavaria, DE") narrow ties
+const qualifies = (city, qualifier) => {
+  const key = normalize(qualifier);
+  return [city.region, city.country, city.country_code].some(value => normalize(value) === key);
+};
+
+// "Berlin, Germany", "Austin, TX", "Remote (Lisbon)" -> structured location, or
+// null when nothing in the text is known. Country-only text resolves to the
+// country without coordinates.
+const geocode = (text) => {
+  const cleaned = String(text || '')
+    .replace(REMOTE_PATTERN, ' ')
+    .replace(HYBRID_PATTERN, ' ')
+    .replace(/\s+-\s+|[()[\]/|;]+/g, ',');
+  const parts = cleaned.split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length === 0) return null;
+
+  const { byName } = loadGazetteer();
+  for (let i = 0; i < parts.length; i++) {
+    const candidates = byName.get(normalize(parts[i]));
+    if (!candidates) continue;
+
+    const qualifiers = parts.slice(i + 1);
+    const city = candidates.find(candidate => qualifiers.every(q => qualifies(candidate, q))) ||
+      candidates.find(candidate => qualifiers.some(q => qualifies(candidate, q))) ||
+      candidates[0];
+
+    return {
+      city: city.name,
+      region: city.region,
+      country: city.country,
+      country_code: city.country_code,
+      latitude: city.latitude,
+      longitude: city.longitude
+    };
+  }
+
+  for (const part of parts) {
+    const country = findCountry(part);
+    if (country) {
+      return {
+        city: null,
+        region: null,
+        country: country.name,
+        country_code: country.code,
+        latitude: null,
+        longitude: null
+      };
+    }
+  }
+
+  return null;
+};
+
+// Structured columns for a free-text location; unknown places clear them so
+// stale coordinates never outlive an edited location
+const locationFields = (text) => {
+  const place = geocode(text);
+  return {
+    city: place?.city || null,
+    region: place?.region || null,
+    country: place?.country || null,
+    country_code: place?.country_code || null,
+    latitude: place?.latitude ?? null,
+    longitude: place?.longitude ?? null
+  };
+};
+
+// Structured location columns geocoded from the free-text location; explicit
+// coordinates win over the gazetteer's city centre
+const geoAttributes = (body) => ({
+  ...locationFields(body.location),
+  ...(body.latitude !== undefined && {
+    latitude: body.latitude,
+    longitude: body.longitude
+  })
+});
+
+// "Remote - EU" or "Hybrid, Amsterdam" imply a work mode when none is given
+const detectWorkMode = (text) => {
+  if (REMOTE_PATTERN.test(text || '')) return 'remote';
+  if (HYBRID_PATTERN.test(text || '')) return 'hybrid';
+  return null;
+};
+
+// Uppercased region groups and ISO country codes; country names are accepted
+const normalizeRemoteRegions = (regions) => {
+  if (!Array.isArray(regions)) return null;
+  const codes = regions
+    .map(region => {
+      const key = String(region).trim().toUpperCase().replace(/[\s-]+/g, '_');
+      if (key === WORLDWIDE || REGION_GROUPS[key]) return key;
+      return findCountry(region)?.code || (/^[A-Z]{2}$/.test(key) ? key : null);
+    })
+    .filter(Boolean);
+  return codes.includes(WORLDWIDE) ? [] : [...new Set(codes)];
+};
+
+// Every remote_regions entry that admits candidates from a country
+const regionsAllowing = (countryCode) => {
+  const code = String(countryCode || '').toUpperCase();
+  return [
+    code,
+    ...Object.entries(REGION_GROUPS)
+      .filter(([, members]) => members.includes(code))
+      .map(([group]) => group)
+  ];
+};
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+const distanceKm = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Coarse box around a point, so radius queries can use the lat/lng index
+// before computing exact distances
+const boundingBox = ({ latitude, longitude }, radiusKm) => {
+  const latDelta = radiusKm / 111.32;
+  const lngDelta = radiusKm / (111.32 * Math.max(Math.cos(toRadians(latitude)), 0.01));
+  return {
+    minLatitude: Math.max(latitude - latDelta, -90),
+    maxLatitude: Math.min(latitude + latDelta, 90),
+    minLongitude: Math.max(longitude - lngDelta, -180),
+    maxLongitude: Math.min(longitude + lngDelta, 180)
+  };
+};
+
+module.exports = {
+  WORK_MODES,
+  REGION_GROUPS,
+  WORLDWIDE,
+  geocode,
+  locationFields,
+  geoAttributes,
+  detectWorkMode,
+  normalizeRemoteRegions,
+  regionsAllowing,
+  distanceKm,
+  boundingBox
+};
\ No newline at end of file
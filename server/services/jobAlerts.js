@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const querystring = require('querystring');
+const { Op } = require('sequelize');
+const { SavedSearch, Job, Company, User } = require('../models');
+const { pickFilters, buildJobQuery } = require('./jobQuery');
+const { notify } = require('./notifications');
+const { buildJobAlertDigest } = require('./emails');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Instant searches are due on every poll
+const FREQUENCY_MS = {
+  instant: 0,
+  daily: DAY_MS,
+  weekly: 7 * DAY_MS
+};
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_ALERT_POLL_INTERVAL_MS, 10) || 60 * 1000;
+const MAX_SAVED_SEARCHES = 25;
+const DIGEST_MAX_JOBS = 10;
+const BATCH_SIZE = 100;
+
+const generateUnsubscribeToken = () => crypto.randomBytes(32).toString('hex');
+
+const nextRunAt = (frequency, from = new Date()) => new Date(from.getTime() + FREQUENCY_MS[frequency]);
+
+// Saved searches accept the `GET /api/jobs` query string as-is
+// ("search=react&work_mode=remote") or as an object; paging and sorting
+// parameters are dropped
+const normalizeFilters = (query) => {
+  const parsed = typeof query === 'string'
+    ? querystring.parse(query.replace(/^\?/, ''))
+    : query || {};
+  return pickFilters(parsed);
+};
+
+// Jobs that went live in (since, until] and match the saved search, newest
+// first. Scheduled jobs count from their publish time, not their creation.
+const findNewJobs = async (search, since, until) => {
+  const { listWhere } = await buildJobQuery(search.filters);
+  return Job.findAndCountAll({
+    where: {
+      [Op.and]: [listWhere, { published_at: { [Op.gt]: since, [Op.lte]: until } }]
+    },
+    include: [{ model: Company, as: 'company', attributes: ['id', 'name'] }],
+    order: [['published_at', 'DESC']],
+    limit: DIGEST_MAX_JOBS,
+    distinct: true
+  });
+};
+
+// Claim the run by moving next_run_at forward, so overlapping workers never
+// send the same digest twice
+const runSavedSearch = async (search, now = new Date()) => {
+  const [claimed] = await SavedSearch.update(
+    { last_run_at: now, next_run_at: nextRunAt(search.frequency, now) },
+    { where: { id: search.id, next_run_at: search.next_run_at, is_paused: false } }
+  );
+  if (claimed === 0) return false;
+
+  const { rows, count } = await findNewJobs(search, search.last_run_at, now);
+  if (count === 0) return false;
+
+  const user = await User.findByPk(search.user_id);
+  if (!user || !user.is_active) return false;
+
+  const delivered = await notify(user, buildJobAlertDigest(search, rows, count), search.channels);
+  if (delivered.length > 0) {
+    await SavedSearch.update({ last_notified_at: now }, { where: { id: search.id } });
+  }
+  return delivered.length > 0;
+};
+
+const processDueAlerts = async () => {
+  const now = new Date();
+  const searches = await SavedSearch.findAll({
+    where: { is_paused: false, next_run_at: { [Op.lte]: now } },
+    order: [['next_run_at', 'ASC']],
+    limit: BATCH_SIZE
+  });
+
+  let sent = 0;
+  for (const search of searches) {
+    try {
+      if (await runSavedSearch(search, now)) sent += 1;
+    } catch (error) {
+      console.error(`Job alert error for saved search ${search.id}:`, error);
+    }
+  }
+  return sent;
+};
+
+const startJobAlertScheduler = () => {
+  const poll = () => processDueAlerts().catch(error => {
+    console.error('Job alert scheduler error:', error);
+  });
+
+  return setInterval(poll, POLL_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  FREQUENCY_MS,
+  MAX_SAVED_SEARCHES,
+  generateUnsubscribeToken,
+  nextRunAt,
+  normalizeFilters,
+  findNewJobs,
+  processDueAlerts,
+  startJobAlertScheduler
+};
\ No newline at end of file
@@ -0,0 +1,197 @@
+const { Op, QueryTypes, fn, col } = require('sequelize');
+const { sequelize, JobDailyStat } = require('../models');
+
+// Event -> counter column in job_daily_stats
+const EVENT_COLUMNS = {
+  view: 'views',
+  apply_start: 'apply_starts',
+  application: 'applications'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const TOP_REFERRERS = 10;
+
+// Crawlers and link unfurlers load job pages too; they are not candidates
+const BOT_PATTERN = /bot|crawl|spider|slurp|preview|facebookexternalhit|embedly|headless|lighthouse/i;
+
+const SEARCH_ENGINE_PATTERN = /(^|\.)(google|bing|duckduckgo|yahoo|yandex|baidu|ecosia|qwant|startpage)\./;
+
+class AnalyticsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AnalyticsError';
+    this.status = 400;
+  }
+}
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return '';
+  }
+};
+
+// Navigation inside the job board is not a referral
+const OWN_HOST = hostOf(process.env.CLIENT_URL || 'http://localhost:3000');
+
+// Query strings may repeat a parameter; only single strings count
+const param = (value, max) => (typeof value === 'string' ? value.trim().toLowerCase().slice(0, max) : '');
+
+// Where a visitor came from: UTM parameters win, then the referring site.
+// Search engines count as organic traffic, other sites as referrals.
+const attributionFrom = ({ utm_source, utm_medium, utm_campaign, referrer } = {}) => {
+  let referrerHost = typeof referrer === 'string' ? hostOf(referrer).slice(0, 191) : '';
+  if (referrerHost === OWN_HOST) referrerHost = '';
+
+  let medium = param(utm_medium, 50);
+  if (!medium) {
+    if (!referrerHost) medium = 'none';
+    else medium = SEARCH_ENGINE_PATTERN.test(referrerHost) ? 'organic' : 'referral';
+  }
+
+  return {
+    source: param(utm_source, 100) || referrerHost.slice(0, 100) || 'direct',
+    medium,
+    campaign: param(utm_campaign, 100),
+    referrer_host: referrerHost
+  };
+};
+
+// Whether a request counts as a candidate's visit to the job: bots, the
+// job's own employer and admins do not
+const isCountedVisit = (req, job) => {
+  if (BOT_PATTERN.test(req.get('User-Agent') || '')) return false;
+  return !(req.user && (req.user.id === job.employer_id || req.user.role === 'admin'));
+};
+
+// Bump today's counter for a job event ('view', 'apply_start' or
+// 'application'). Bots and the job's own employer are not counted. Failures
+// are logged but never break the request.
+const recordJobEvent = async (job, event, { attribution, req } = {}) => {
+  try {
+    if (req && !isCountedVisit(req, job)) return;
+
+    const column = EVENT_COLUMNS[event];
+    const { source, medium, campaign, referrer_host } = attribution || attributionFrom();
+
+    // One statement so concurrent events on a new row cannot race
+    await sequelize.query(`
+      INSERT INTO job_daily_stats (job_id, date, source, medium, campaign, referrer_host, ${column})
+      VALUES (:jobId, :date, :source, :medium, :campaign, :referrerHost, 1)
+      ON DUPLICATE KEY UPDATE ${column} = ${column} + 1
+    `, {
+      replacements: {
+        jobId: job.id,
+        date: new Date().toISOString().slice(0, 10),
+        source,
+        medium,
+        campaign,
+        referrerHost: referrer_host
+      },
+      type: QueryTypes.INSERT
+    });
+  } catch (error) {
+    console.error(`Error recording job ${event}:`, error);
+  }
+};
+
+const toDay = (time) => new Date(time).toISOString().slice(0, 10);
+
+const parseDay = (value, name) => {
+  const time = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? Date.parse(value) : NaN;
+  if (Number.isNaN(time)) {
+    throw new AnalyticsError(`${name} must be a date (YYYY-MM-DD)`);
+  }
+  return time;
+};
+
+// Inclusive UTC day range from `from`/`to`; the last 30 days by default
+const analyticsRange = ({ from, to } = {}, now = new Date()) => {
+  const end = to === undefined ? Date.parse(toDay(now)) : parseDay(to, 'to');
+  const start = from === undefined ? end - (DEFAULT_RANGE_DAYS - 1) * DAY_MS : parseDay(from, 'from');
+
+  if (start > end) {
+    throw new AnalyticsError('from must not be after to');
+  }
+  if ((end - start) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+    throw new AnalyticsError(`The range cannot exceed ${MAX_RANGE_DAYS} days`);
+  }
+
+  return { from: toDay(start), to: toDay(end) };
+};
+
+const COUNTERS = Object.values(EVENT_COLUMNS);
+
+const SUMS = COUNTERS.map(column => [fn('SUM', col(column)), column]);
+
+const ZERO = Object.fromEntries(COUNTERS.map(column => [column, 0]));
+
+const toCounts = (row) => Object.fromEntries(COUNTERS.map(column => [column, Number(row?.[column]) || 0]));
+
+const addCounts = (total, counts) => Object.fromEntries(COUNTERS.map(column => [column, total[column] + counts[column]]));
+
+// Percentages with one decimal; null when nothing was viewed
+const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+
+const withRates = (counts) => ({
+  ...counts,
+  apply_start_rate: rate(counts.apply_starts, counts.views),
+  conversion_rate: rate(counts.applications, counts.views)
+});
+
+const byViews = (a, b) => b.views - a.views || b.applications - a.applications;
+
+// Views -> apply-starts -> applications of the given jobs over a range:
+// totals, a gap-free daily series, and breakdowns by source and referrer.
+// `perJob` adds `by_job` with the counts of every requested job id.
+const jobAnalytics = async (jobIds, range, { perJob = false } = {}) => {
+  const where = { job_id: { [Op.in]: jobIds }, date: { [Op.between]: [range.from, range.to] } };
+  const grouped = (group) => JobDailyStat.findAll({ where, attributes: [...group, ...SUMS], group, raw: true });
+
+  const [daily, sources, referrers, jobs] = await Promise.all([
+    grouped(['date']),
+    grouped(['source', 'medium']),
+    grouped(['referrer_host']),
+    perJob ? grouped(['job_id']) : []
+  ]);
+
+  const byDate = new Map(daily.map(row => [String(row.date).slice(0, 10), toCounts(row)]));
+  const series = [];
+  for (let time = Date.parse(range.from); time <= Date.parse(range.to); time += DAY_MS) {
+    const date = toDay(time);
+    series.push({ date, ...withRates(byDate.get(date) || ZERO) });
+  }
+
+  const report = {
+    range,
+    totals: withRates(series.reduce(addCounts, ZERO)),
+    daily: series,
+    by_source: sources
+      .map(row => ({ source: row.source, medium: row.medium, ...withRates(toCounts(row)) }))
+      .sort(byViews),
+    referrers: referrers
+      .filter(row => row.referrer_host)
+      .map(row => ({ referrer_host: row.referrer_host, ...withRates(toCounts(row)) }))
+      .sort(byViews)
+      .slice(0, TOP_REFERRERS)
+  };
+
+  if (perJob) {
+    const jobRows = new Map(jobs.map(row => [row.job_id, row]));
+    report.by_job = Object.fromEntries(jobIds.map(id => [id, withRates(toCounts(jobRows.get(id)))]));
+  }
+
+  return report;
+};
+
+module.exports = {
+  AnalyticsError,
+  attributionFrom,
+  isCountedVisit,
+  recordJobEvent,
+  analyticsRange,
+  jobAnalytics
+};
\ No newline at end of file
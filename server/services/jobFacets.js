@@ -0,0 +1,227 @@
+const { Op, fn, col, literal } = require('sequelize');
+const { sequelize, Job, Company, Skill, JobSkill } = require('../models');
+const { skillMentionCondition } = require('./search');
+const { WORK_MODES } = require('./geocoding');
+const { NORMALIZED_CURRENCY, undisclosedWhere } = require('./salary');
+
+const EMPLOYMENT_TYPES = ['full-time', 'part-time', 'contract', 'internship'];
+const EXPERIENCE_LEVELS = ['entry', 'mid', 'senior', 'executive'];
+
+// Yearly pay in the normalized currency; a job falls in every band its
+// advertised range overlaps. Jobs without a salary have a band of their own.
+const SALARY_BANDS = [
+  { value: 'under-50k', min: 0, max: 50000 },
+  { value: '50k-100k', min: 50000, max: 100000 },
+  { value: '100k-150k', min: 100000, max: 150000 },
+  { value: '150k-200k', min: 150000, max: 200000 },
+  { value: '200k-plus', min: 200000, max: null },
+  { value: 'not-disclosed', min: null, max: null }
+];
+
+const POSTED_WITHIN_DAYS = {
+  '24h': 1,
+  '7d': 7,
+  '30d': 30
+};
+
+const FACETS = [
+  'employment_type',
+  'experience_level',
+  'work_mode',
+  'location',
+  'salary_band',
+  'posted_within',
+  'company',
+  'skill'
+];
+
+const TOP_VALUES = 20;
+
+// `?employment_type=full-time,contract` or repeated params; locations contain
+// commas ("Austin, TX"), so they are only accepted as repeated params
+const toList = (value, { split = true } = {}) => {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(item => (split ? String(item).split(',') : [String(item)]))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+const parseFacetFilters = (query) => ({
+  employment_type: toList(query.employment_type).filter(type => EMPLOYMENT_TYPES.includes(type)),
+  experience_level: toList(query.experience_level).filter(level => EXPERIENCE_LEVELS.includes(level)),
+  work_mode: toList(query.work_mode).filter(mode => WORK_MODES.includes(mode)),
+  location: toList(query.location, { split: false }),
+  salary_band: toList(query.salary_band).filter(band => SALARY_BANDS.some(b => b.value === band)),
+  posted_within: toList(query.posted_within).filter(window => POSTED_WITHIN_DAYS[window]),
+  company: toList(query.company_id).map(id => parseInt(id, 10)).filter(Boolean),
+  skill: toList(query.skill)
+});
+
+const salaryBandWhere = ({ min, max }) => (min === null ? undisclosedWhere : {
+  [Op.and]: [
+    { [Op.or]: [{ salary_min_annual: { [Op.ne]: null } }, { salary_max_annual: { [Op.ne]: null } }] },
+    { [Op.or]: [{ salary_max_annual: { [Op.gte]: min } }, { salary_max_annual: null }] },
+    ...(max === null ? [] : [{ [Op.or]: [{ salary_min_annual: { [Op.lt]: max } }, { salary_min_annual: null }] }])
+  ]
+});
+
+const postedSince = (window) => new Date(Date.now() - POSTED_WITHIN_DAYS[window] * 24 * 60 * 60 * 1000);
+
+// Jobs list skills in the job_skills relation and, for older postings, only
+// in free-text requirements, which the search index covers; a job has a
+// skill if either names it
+const skillCondition = async (names) => {
+  const linked = literal(`EXISTS (SELECT 1 FROM job_skills
+    INNER JOIN skills ON skills.id = job_skills.skill_id
+    WHERE job_skills.job_id = \`Job\`.\`id\` AND skills.name IN (${names.map(name => sequelize.escape(name)).join(', ')}))`);
+  const mentioned = await skillMentionCondition(names);
+  return mentioned ? { [Op.or]: [linked, mentioned] } : linked;
+};
+
+// Match `%` and `_` in user input literally in a LIKE pattern
+const escapeLike = (value) => String(value).replace(/[\\%_]/g, '\\$&');
+
+// Conditions for every active facet filter except `except`, so a facet's
+// counts show what picking another value of it would return
+const facetConditions = async (filters, { except } = {}) => {
+  const conditions = [];
+
+  if (except !== 'employment_type' && filters.employment_type.length > 0) {
+    conditions.push({ employment_type: { [Op.in]: filters.employment_type } });
+  }
+  if (except !== 'experience_level' && filters.experience_level.length > 0) {
+    conditions.push({ experience_level: { [Op.in]: filters.experience_level } });
+  }
+  if (except !== 'work_mode' && filters.work_mode.length > 0) {
+    conditions.push({ work_mode: { [Op.in]: filters.work_mode } });
+  }
+  if (except !== 'location' && filters.location.length > 0) {
+    conditions.push({
+      [Op.or]: filters.location.map(location => ({ location: { [Op.like]: `%${escapeLike(location)}%` } }))
+    });
+  }
+  if (except !== 'salary_band' && filters.salary_band.length > 0) {
+    conditions.push({
+      [Op.or]: SALARY_BANDS
+        .filter(band => filters.salary_band.includes(band.value))
+        .map(salaryBandWhere)
+    });
+  }
+  if (except !== 'posted_within' && filters.posted_within.length > 0) {
+    // Windows nest, so selecting several means the widest
+    const widest = filters.posted_within
+      .reduce((a, b) => (POSTED_WITHIN_DAYS[a] >= POSTED_WITHIN_DAYS[b] ? a : b));
+    conditions.push({ published_at: { [Op.gte]: postedSince(widest) } });
+  }
+  if (except !== 'company' && filters.company.length > 0) {
+    conditions.push({ company_id: { [Op.in]: filters.company } });
+  }
+  if (except !== 'skill' && filters.skill.length > 0) {
+    conditions.push(await skillCondition(filters.skill));
+  }
+
+  return conditions;
+};
+
+const sameValue = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+// Selected values stay visible even when nothing matches them any more
+const withSelection = (values, selected) => [
+  ...values.map(item => ({ ...item, selected: selected.some(value => sameValue(value, item.value)) })),
+  ...selected
+    .filter(value => !values.some(item => sameValue(value, item.value)))
+    .map(value => ({ value, count: 0, selected: true }))
+];
+
+const countBy = async (field, where) => {
+  const rows = await Job.count({ where, group: [field] });
+  return rows
+    .filter(row => row[field] !== null && row[field] !== '')
+    .map(row => ({ value: row[field], count: Number(row.count) }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, TOP_VALUES);
+};
+
+const FACET_COUNTERS = {
+  employment_type: (where) => countBy('employment_type', where),
+  experience_level: (where) => countBy('experience_level', where),
+  work_mode: (where) => countBy('work_mode', where),
+  location: (where) => countBy('location', where),
+
+  salary_band: (where) => Promise.all(SALARY_BANDS.map(async (band) => ({
+    value: band.value,
+    min: band.min,
+    max: band.max,
+    currency: NORMALIZED_CURRENCY,
+    count: await Job.count({ where: { [Op.and]: [where, salaryBandWhere(band)] } })
+  }))),
+
+  posted_within: (where) => Promise.all(Object.keys(POSTED_WITHIN_DAYS).map(async (window) => ({
+    value: window,
+    count: await Job.count({ where: { [Op.and]: [where, { published_at: { [Op.gte]: postedSince(window) } }] } })
+  }))),
+
+  company: async (where) => {
+    const counts = await countBy('company_id', where);
+    const companies = await Company.findAll({
+      where: { id: { [Op.in]: counts.map(item => item.value) } },
+      attributes: ['id', 'name']
+    });
+    const names = new Map(companies.map(company => [company.id, company.name]));
+    return counts.map(item => ({ ...item, label: names.get(item.value) || null }));
+  },
+
+  // The most linked skills, plus the selected ones, recounted with the
+  // requirements text of older postings included
+  skill: async (where, selected) => {
+    const linked = await Job.findAll({
+      where,
+      attributes: [[col('job_skills->skill.name'), 'name'], [fn('COUNT', fn('DISTINCT', col('Job.id'))), 'count']],
+      include: [{
+        model: JobSkill,
+        as: 'job_skills',
+        attributes: [],
+        required: true,
+        include: [{ model: Skill, as: 'skill', attributes: [] }]
+      }],
+      group: [col('job_skills->skill.name')],
+      order: [[literal('count'), 'DESC']],
+      limit: TOP_VALUES,
+      subQuery: false,
+      raw: true
+    });
+
+    const names = [...new Set([...linked.map(row => row.name), ...selected])];
+    const counts = await Promise.all(names.map(async (name) => ({
+      value: name,
+      count: await Job.count({ where: { [Op.and]: [where, await skillCondition([name])] } })
+    })));
+    return counts
+      .filter(item => item.count > 0)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, TOP_VALUES);
+  }
+};
+
+// Counts per value for each requested facet, honouring every other filter
+const computeFacets = async (filters, baseWhere, requested = FACETS) => {
+  const names = requested.filter(name => FACETS.includes(name));
+  const entries = await Promise.all(names.map(async (name) => {
+    const conditions = await facetConditions(filters, { except: name });
+    const values = await FACET_COUNTERS[name]({ [Op.and]: [baseWhere, ...conditions] }, filters[name]);
+    return [name, withSelection(values, filters[name])];
+  }));
+  return Object.fromEntries(entries);
+};
+
+module.exports = {
+  FACETS,
+  SALARY_BANDS,
+  POSTED_WITHIN_DAYS,
+  toList,
+  parseFacetFilters,
+  facetConditions,
+  computeFacets
+};
\ No newline at end of file
@@ -0,0 +1,309 @@
+const { REGION_GROUPS } = require('./geocoding');
+
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+const publisherName = () => process.env.JOB_FEED_PUBLISHER || 'Job Board';
+
+// Jobs per page of the aggregator feed and per sitemap file (the sitemap
+// protocol caps files at 50,000 URLs)
+const XML_FEED_PAGE_SIZE = parseInt(process.env.JOB_FEED_PAGE_SIZE, 10) || 500;
+const SITEMAP_PAGE_SIZE = 10000;
+const SYNDICATION_FEED_SIZE = 50;
+
+const EMPLOYMENT_TYPES = {
+  'full-time': 'FULL_TIME',
+  'part-time': 'PART_TIME',
+  contract: 'CONTRACTOR',
+  internship: 'INTERN'
+};
+
+const SALARY_UNITS = {
+  hourly: 'HOUR',
+  daily: 'DAY',
+  monthly: 'MONTH',
+  yearly: 'YEAR'
+};
+
+// Months of experience schema.org readers expect per experience level
+const EXPERIENCE_MONTHS = {
+  entry: 0,
+  mid: 24,
+  senior: 60,
+  executive: 120
+};
+
+const jobUrl = (job) => `${clientUrl()}/jobs/${job.id}`;
+
+// Links readers follow out of a feed carry UTM tags so job analytics can
+// credit the feed; ids and sitemaps keep the canonical URL
+const trackedJobUrl = (job, source) => `${jobUrl(job)}?utm_source=${source}&utm_medium=feed`;
+
+const jobsPageUrl = (filters = {}) => {
+  const query = new URLSearchParams(filters).toString();
+  return `${clientUrl()}/jobs${query ? `?${query}` : ''}`;
+};
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// CDATA sections cannot contain "]]>", so split it across two sections
+const cdata = (value) => `<![CDATA[${String(value ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+const element = (name, value) => (
+  value === null || value === undefined || value === '' ? '' : `<${name}>${value}</${name}>`
+);
+
+const isoDate = (value) => (value ? new Date(value).toISOString() : null);
+
+const hiringOrganization = (job) => job.company?.name ||
+  [job.employer?.first_name, job.employer?.last_name].filter(Boolean).join(' ') ||
+  publisherName();
+
+const fullDescription = (job) => [job.description, job.requirements].filter(Boolean).join('\n\n');
+
+// The earlier of the expiry and the end of the application deadline
+const validThrough = (job) => {
+  const dates = [job.expires_at && new Date(job.expires_at)];
+  if (job.application_deadline) {
+    const deadline = new Date(job.application_deadline);
+    deadline.setUTCHours(23, 59, 59, 0);
+    dates.push(deadline);
+  }
+  const known = dates.filter(Boolean);
+  return known.length > 0 ? new Date(Math.min(...known)).toISOString() : null;
+};
+
+const skillNames = (job) => (job.job_skills || []).map(jobSkill => jobSkill.skill?.name).filter(Boolean);
+
+// Countries a remote job is open to; an empty list means worldwide
+const remoteCountries = (job) => [...new Set((job.remote_regions || [])
+  .flatMap(region => REGION_GROUPS[region] || [region]))];
+
+const salaryText = (job) => {
+  const amounts = [job.salary_min, job.salary_max].filter(value => value !== null && value !== undefined);
+  if (amounts.length === 0) return null;
+  const range = [...new Set(amounts.map(amount => Math.round(Number(amount))))].join('-');
+  return `${range} ${job.salary_currency} per ${SALARY_UNITS[job.salary_period].toLowerCase()}`;
+};
+
+const baseSalary = (job) => {
+  const hasMin = job.salary_min !== null && job.salary_min !== undefined;
+  const hasMax = job.salary_max !== null && job.salary_max !== undefined;
+  if (!hasMin && !hasMax) return undefined;
+
+  return {
+    '@type': 'MonetaryAmount',
+    currency: job.salary_currency,
+    value: {
+      '@type': 'QuantitativeValue',
+      unitText: SALARY_UNITS[job.salary_period],
+      ...(hasMin && hasMax
+        ? { minValue: Number(job.salary_min), maxValue: Number(job.salary_max) }
+        : { value: Number(hasMin ? job.salary_min : job.salary_max) })
+    }
+  };
+};
+
+const postalAddress = (job) => ({
+  '@type': 'PostalAddress',
+  ...(job.city && { addressLocality: job.city }),
+  ...(job.region && { addressRegion: job.region }),
+  ...(job.country_code && { addressCountry: job.country_code })
+});
+
+// schema.org JobPosting for search engines, from a job loaded with its
+// company, employer and skills
+const jobPostingJsonLd = (job) => {
+  const remote = job.work_mode === 'remote';
+  const hasAddress = Boolean(job.city || job.country_code);
+  const countries = remoteCountries(job);
+
+  return {
+    '@context': 'https://schema.org/',
+    '@type': 'JobPosting',
+    title: job.title,
+    description: fullDescription(job),
+    identifier: {
+      '@type': 'PropertyValue',
+      name: hiringOrganization(job),
+      value: String(job.id)
+    },
+    url: jobUrl(job),
+    datePosted: isoDate(job.published_at || job.created_at),
+    ...(validThrough(job) && { validThrough: validThrough(job) }),
+    employmentType: EMPLOYMENT_TYPES[job.employment_type],
+    hiringOrganization: {
+      '@type': 'Organization',
+      name: hiringOrganization(job),
+      ...(job.company?.website && { sameAs: job.company.website }),
+      ...(job.company?.logo_url && { logo: job.company.logo_url })
+    },
+    ...(hasAddress && (!remote || job.city) && {
+      jobLocation: { '@type': 'Place', address: postalAddress(job) }
+    }),
+    ...(remote && {
+      jobLocationType: 'TELECOMMUTE',
+      applicantLocationRequirements: countries.length > 0
+        ? countries.map(code => ({ '@type': 'Country', name: code }))
+        : { '@type': 'AdministrativeArea', name: 'Worldwide' }
+    }),
+    ...(baseSalary(job) && { baseSalary: baseSalary(job) }),
+    experienceRequirements: {
+      '@type': 'OccupationalExperienceRequirements',
+      monthsOfExperience: EXPERIENCE_MONTHS[job.experience_level] ?? 0
+    },
+    ...(skillNames(job).length > 0 && { skills: skillNames(job).join(', ') }),
+    ...(job.company?.industry && { industry: job.company.industry }),
+    directApply: true
+  };
+};
+
+const REMOTE_TYPES = {
+  remote: 'Fully remote',
+  hybrid: 'Hybrid remote'
+};
+
+const feedJob = (job) => [
+  '<job>',
+  element('title', cdata(job.title)),
+  element('date', cdata(new Date(job.published_at || job.created_at).toUTCString())),
+  element('referencenumber', cdata(job.id)),
+  element('url', cdata(trackedJobUrl(job, 'job_feed'))),
+  element('company', cdata(hiringOrganization(job))),
+  element('sourcename', cdata(publisherName())),
+  element('city', job.city && cdata(job.city)),
+  element('state', job.region && cdata(job.region)),
+  element('country', job.country_code && cdata(job.country_code)),
+  element('description', cdata(fullDescription(job))),
+  element('salary', salaryText(job) && cdata(salaryText(job))),
+  element('jobtype', cdata(job.employment_type.replace('-', ''))),
+  element('category', job.company?.industry && cdata(job.company.industry)),
+  element('experience', cdata(job.experience_level)),
+  element('remotetype', REMOTE_TYPES[job.work_mode] && cdata(REMOTE_TYPES[job.work_mode])),
+  element('expirationdate', validThrough(job) && cdata(validThrough(job).slice(0, 10))),
+  '</job>'
+].join('');
+
+// One page of the aggregator feed, in the Indeed-style <source><job> format
+// most job aggregators ingest
+const xmlJobFeed = (jobs, { now = new Date() } = {}) => [
+  '<?xml version="1.0" encoding="utf-8"?>',
+  '<source>',
+  element('publisher', escapeXml(publisherName())),
+  element('publisherurl', escapeXml(clientUrl())),
+  element('lastBuildDate', now.toUTCString()),
+  ...jobs.map(feedJob),
+  '</source>'
+].join('\n');
+
+const itemTitle = (job) => `${job.title} at ${hiringOrganization(job)}`;
+
+// Human-readable summary of a filter combination, for feed titles
+const describeFilters = (filters = {}) => {
+  const parts = Object.entries(filters).map(([param, value]) => `${param}: ${value}`);
+  return parts.length > 0 ? `Jobs (${parts.join(', ')})` : 'Latest jobs';
+};
+
+// RSS 2.0 feed of the jobs matching `filters`; `selfUrl` is the feed's own URL
+const rssFeed = (jobs, { filters, selfUrl, now = new Date() }) => [
+  '<?xml version="1.0" encoding="utf-8"?>',
+  '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+  '<channel>',
+  element('title', escapeXml(`${describeFilters(filters)} - ${publisherName()}`)),
+  element('link', escapeXml(jobsPageUrl(filters))),
+  element('description', escapeXml(`New postings on ${publisherName()}`)),
+  element('lastBuildDate', now.toUTCString()),
+  `<atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>`,
+  ...jobs.map(job => [
+    '<item>',
+    element('title', escapeXml(itemTitle(job))),
+    element('link', escapeXml(trackedJobUrl(job, 'rss'))),
+    `<guid isPermaLink="true">${escapeXml(jobUrl(job))}</guid>`,
+    element('pubDate', new Date(job.published_at || job.created_at).toUTCString()),
+    element('category', escapeXml(job.employment_type)),
+    element('description', cdata(fullDescription(job))),
+    '</item>'
+  ].join('')),
+  '</channel>',
+  '</rss>'
+].join('\n');
+
+// Atom 1.0 version of the same feed
+const atomFeed = (jobs, { filters, selfUrl, now = new Date() }) => {
+  const updated = jobs.reduce(
+    (latest, job) => Math.max(latest, new Date(job.updated_at || job.created_at).getTime()),
+    0
+  );
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    element('id', escapeXml(selfUrl)),
+    element('title', escapeXml(`${describeFilters(filters)} - ${publisherName()}`)),
+    element('updated', new Date(updated || now).toISOString()),
+    `<link href="${escapeXml(selfUrl)}" rel="self" type="application/atom+xml"/>`,
+    `<link href="${escapeXml(jobsPageUrl(filters))}" rel="alternate" type="text/html"/>`,
+    `<author><name>${escapeXml(publisherName())}</name></author>`,
+    ...jobs.map(job => [
+      '<entry>',
+      element('id', escapeXml(jobUrl(job))),
+      element('title', escapeXml(itemTitle(job))),
+      `<link href="${escapeXml(trackedJobUrl(job, 'atom'))}" rel="alternate" type="text/html"/>`,
+      element('published', isoDate(job.published_at || job.created_at)),
+      element('updated', isoDate(job.updated_at || job.created_at)),
+      `<author><name>${escapeXml(hiringOrganization(job))}</name></author>`,
+      `<category term="${escapeXml(job.employment_type)}"/>`,
+      `<summary type="text">${escapeXml(job.description)}</summary>`,
+      '</entry>'
+    ].join('')),
+    '</feed>'
+  ].join('\n');
+};
+
+// API paths of the RSS and Atom feeds for a filter combination
+const feedPaths = (filters = {}) => {
+  const query = new URLSearchParams(filters).toString();
+  return {
+    rss: `/api/feeds/jobs.rss${query ? `?${query}` : ''}`,
+    atom: `/api/feeds/jobs.atom${query ? `?${query}` : ''}`
+  };
+};
+
+// Sitemap of job pages, one <url> per live job
+const jobSitemap = (jobs) => [
+  '<?xml version="1.0" encoding="utf-8"?>',
+  '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+  ...jobs.map(job => [
+    '<url>',
+    element('loc', escapeXml(jobUrl(job))),
+    element('lastmod', isoDate(job.updated_at || job.created_at)),
+    '</url>'
+  ].join('')),
+  '</urlset>'
+].join('\n');
+
+// Sitemap index pointing at each page of the job sitemap
+const sitemapIndex = (pageUrls) => [
+  '<?xml version="1.0" encoding="utf-8"?>',
+  '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+  ...pageUrls.map(url => `<sitemap>${element('loc', escapeXml(url))}</sitemap>`),
+  '</sitemapindex>'
+].join('\n');
+
+module.exports = {
+  XML_FEED_PAGE_SIZE,
+  SITEMAP_PAGE_SIZE,
+  SYNDICATION_FEED_SIZE,
+  escapeXml,
+  jobUrl,
+  jobPostingJsonLd,
+  xmlJobFeed,
+  rssFeed,
+  atomFeed,
+  feedPaths,
+  jobSitemap,
+  sitemapIndex
+};
\ No newline at end of file
@@ -0,0 +1,663 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+const { Op } = require('sequelize');
+const { Job, JobImportProfile, User } = require('../models');
+const { jobErrors } = require('../middleware/validation');
+const { parseCsv } = require('./csv');
+const { hasCompanyPermission, jobAccessWhere } = require('./companyAccess');
+const { recordAudit } = require('./audit');
+const { emitEvent } = require('./webhooks');
+const { publicRequestOptions } = require('./publicHosts');
+const { indexJob } = require('./search');
+const { geoAttributes, detectWorkMode, normalizeRemoteRegions } = require('./geocoding');
+const { SALARY_FIELDS, salaryAttributes, payTransparencyViolations } = require('./salary');
+const { initialLifecycle, transitionJob, JobStateError } = require('./jobLifecycle');
+const { setJobSkills, listJobSkills } = require('./jobSkills');
+const { screenJob, touchesScreenedFields, reviewAttributes, applyScreening } = require('./jobModeration');
+
+// Scheduled file imports may only read below this directory
+const IMPORT_DIR = path.resolve(process.env.JOB_IMPORT_DIR || path.join(__dirname, '../imports'));
+
+const MAX_IMPORT_ROWS = parseInt(process.env.JOB_IMPORT_MAX_ROWS, 10) || 2000;
+const MAX_FEED_BYTES = 10 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 30 * 1000;
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_IMPORT_POLL_INTERVAL_MS, 10) || 5 * 60 * 1000;
+const BATCH_SIZE = 20;
+// Row errors kept on the profile after a run; dry runs return all of them
+const MAX_STORED_ERRORS = 100;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const SCHEDULE_MS = {
+  hourly: HOUR_MS,
+  daily: 24 * HOUR_MS,
+  weekly: 7 * 24 * HOUR_MS
+};
+
+// Default record location in XML feeds, as in the aggregator format
+const DEFAULT_XML_RECORD_PATH = 'source.job';
+
+// Statuses an import may close when a job drops out of the feed
+const CLOSABLE_STATUSES = ['draft', 'scheduled', 'published', 'paused', 'in_review', 'expired'];
+
+const NUMBER_FIELDS = ['salary_min', 'salary_max', 'latitude', 'longitude'];
+const LIST_FIELDS = ['remote_regions', 'skills'];
+const ENUM_FIELDS = ['employment_type', 'experience_level', 'work_mode', 'salary_period'];
+
+// Spellings other systems use for our enum values, keyed by the value
+// lowercased with anything but letters removed
+const ENUM_SYNONYMS = {
+  fulltime: 'full-time',
+  parttime: 'part-time',
+  contractor: 'contract',
+  temporary: 'contract',
+  intern: 'internship',
+  entrylevel: 'entry',
+  junior: 'entry',
+  midlevel: 'mid',
+  intermediate: 'mid',
+  seniorlevel: 'senior',
+  director: 'executive',
+  office: 'onsite',
+  inoffice: 'onsite',
+  onsite: 'onsite',
+  hour: 'hourly',
+  day: 'daily',
+  month: 'monthly',
+  year: 'yearly',
+  annual: 'yearly',
+  annually: 'yearly'
+};
+
+// Job columns an import may overwrite for each field the profile manages.
+// Location and salary fields drive derived columns that change with them.
+const SALARY_COLUMNS = [...SALARY_FIELDS, 'salary_min_annual', 'salary_max_annual'];
+const COORDINATE_COLUMNS = ['latitude', 'longitude'];
+const FIELD_COLUMNS = {
+  location: ['location', 'city', 'region', 'country', 'country_code', ...COORDINATE_COLUMNS],
+  latitude: COORDINATE_COLUMNS,
+  longitude: COORDINATE_COLUMNS,
+  ...Object.fromEntries(SALARY_FIELDS.map(field => [field, SALARY_COLUMNS]))
+};
+
+class JobImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JobImportError';
+    this.status = 400;
+  }
+}
+
+const nextImportAt = (schedule, from = new Date()) => (
+  SCHEDULE_MS[schedule] ? new Date(from.getTime() + SCHEDULE_MS[schedule]) : null
+);
+
+// Profiles follow job access, like templates
+const findAccessibleProfile = async (user, profileId, permission) => {
+  const accessWhere = await jobAccessWhere(user, permission);
+
+  return JobImportProfile.findOne({
+    where: {
+      [Op.and]: [{ id: profileId }, accessWhere]
+    }
+  });
+};
+
+// XML elements with attributes parse to objects holding their text
+const scalar = (value) => {
+  if (Array.isArray(value)) return scalar(value[0]);
+  if (value && typeof value === 'object' && '#text' in value) return value['#text'];
+  return value;
+};
+
+const scalarOrList = (value) => (Array.isArray(value) ? value[0] || {} : value);
+
+// A column by its exact name (CSV headers may contain dots), else a dotted path
+const readPath = (record, sourcePath) => {
+  if (record === null || typeof record !== 'object') return undefined;
+  if (Object.prototype.hasOwnProperty.call(record, sourcePath)) return record[sourcePath];
+
+  return sourcePath.split('.').reduce(
+    (value, key) => (value && typeof value === 'object' ? scalarOrList(value)[key] : undefined),
+    record
+  );
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const SKILL_KEYS = ['name', 'importance', 'min_proficiency', 'min_years'];
+
+// Lists arrive as repeated elements, arrays or comma/semicolon/pipe-separated text
+const toList = (value) => (Array.isArray(value) ? value : String(scalar(value)).split(/[,;|]/))
+  .map(item => (item && typeof item === 'object' && !('#text' in item) ? item : scalar(item)))
+  .filter(item => !isBlank(item && typeof item === 'object' ? scalar(item.name) : item));
+
+// Feed values arrive as strings in every format; bring them into the shape
+// `POST /api/jobs` takes. Values that cannot be read are passed on as-is so
+// validation reports them.
+const coerce = (field, raw) => {
+  if (LIST_FIELDS.includes(field)) {
+    if (isBlank(raw) && !Array.isArray(raw)) return undefined;
+    const items = toList(raw);
+    if (field === 'skills') {
+      return items.map(item => (typeof item === 'object'
+        ? Object.fromEntries(SKILL_KEYS
+          .filter(key => !isBlank(scalar(item[key])))
+          .map(key => [key, key === 'min_years' ? Number(scalar(item[key])) : String(scalar(item[key])).trim()]))
+        : { name: String(item).trim() }));
+    }
+    return items.map(item => String(item).trim());
+  }
+
+  const value = scalar(raw);
+  if (isBlank(value)) return undefined;
+  const text = String(value).trim();
+
+  if (NUMBER_FIELDS.includes(field)) {
+    // Currency symbols and thousands separators: "$85,000" -> 85000
+    const digits = text.replace(/[^\d.-]/g, '');
+    return digits !== '' && Number.isFinite(Number(digits)) ? Number(digits) : text;
+  }
+  if (ENUM_FIELDS.includes(field)) {
+    const key = text.toLowerCase().replace(/[^a-z]/g, '');
+    return ENUM_SYNONYMS[key] || text.toLowerCase().replace(/[\s_]+/g, '-');
+  }
+  if (field === 'salary_currency') {
+    return text.toUpperCase();
+  }
+  return text;
+};
+
+// Job fields the profile fills in, from its mapping or its defaults
+const managedFields = (profile) => [...new Set([
+  ...Object.keys(profile.mapping || {}),
+  ...Object.keys(profile.defaults || {})
+])].filter(field => field !== 'external_ref');
+
+// The external reference and `POST /api/jobs` body of one feed record
+const mapRecord = (record, profile) => {
+  const mapping = profile.mapping || {};
+  const defaults = profile.defaults || {};
+  const body = {};
+
+  for (const field of managedFields(profile)) {
+    let value = mapping[field] ? coerce(field, readPath(record, mapping[field])) : undefined;
+    if (value === undefined && defaults[field] !== undefined) {
+      value = coerce(field, defaults[field]);
+    }
+    if (value !== undefined) {
+      body[field] = value;
+    }
+  }
+
+  const externalRef = scalar(readPath(record, mapping.external_ref));
+  return {
+    externalRef: isBlank(externalRef) ? null : String(externalRef).trim(),
+    body
+  };
+};
+
+const recordsAt = (data, recordPath) => {
+  const records = recordPath ? readPath(data, recordPath) : data;
+  if (records === undefined || records === null || records === '') return [];
+  return Array.isArray(records) ? records : [records];
+};
+
+// Job records in a feed, as objects keyed by column name or element
+const parseFeed = (content, profile) => {
+  const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content);
+  let records;
+
+  if (profile.format === 'csv') {
+    records = parseCsv(text);
+  } else if (profile.format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new JobImportError(`The feed is not valid JSON: ${error.message}`);
+    }
+    if (!profile.record_path && !Array.isArray(data)) {
+      throw new JobImportError('Set record_path to the list of jobs in the JSON feed');
+    }
+    records = recordsAt(data, profile.record_path);
+  } else {
+    const valid = XMLValidator.validate(text);
+    if (valid !== true) {
+      throw new JobImportError(`The feed is not valid XML: ${valid.err.msg} (line ${valid.err.line})`);
+    }
+    const data = new XMLParser({
+      ignoreAttributes: false,
+      attributeNamePrefix: '@_',
+      parseTagValue: false,
+      trimValues: true
+    }).parse(text);
+    records = recordsAt(data, profile.record_path || DEFAULT_XML_RECORD_PATH);
+  }
+
+  if (records.length === 0) {
+    throw new JobImportError('The feed contains no jobs; check the format and record_path');
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new JobImportError(`Imports are limited to ${MAX_IMPORT_ROWS} jobs per feed`);
+  }
+  return records;
+};
+
+const fetchFeed = async (url) => {
+  const hostOptions = await publicRequestOptions(url).catch((error) => {
+    throw new JobImportError(`Feed URLs must point to a public host: ${error.message}`);
+  });
+
+  try {
+    const response = await axios.get(url, {
+      ...hostOptions,
+      responseType: 'text',
+      transformResponse: [data => data],
+      timeout: FETCH_TIMEOUT_MS,
+      maxContentLength: MAX_FEED_BYTES,
+      // A redirect could lead to a private host
+      maxRedirects: 0
+    });
+    return response.data;
+  } catch (error) {
+    throw new JobImportError(`Could not fetch the feed: ${error.response ? `HTTP ${error.response.status}` : error.message}`);
+  }
+};
+
+// Each account reads only its own subdirectory of the import directory:
+// companies/<id> for company profiles, employers/<id> for personal ones
+const accountImportDir = (profile) => path.join(
+  IMPORT_DIR,
+  profile.company_id ? `companies/${profile.company_id}` : `employers/${profile.employer_id}`
+);
+
+const readFeedFile = async (profile) => {
+  const location = profile.source_location;
+  const accountDir = accountImportDir(profile);
+  const filePath = path.resolve(accountDir, location);
+  if (!filePath.startsWith(accountDir + path.sep)) {
+    throw new JobImportError(`Import files must be inside ${path.relative(IMPORT_DIR, accountDir)} in the import directory`);
+  }
+
+  try {
+    // Symlinks must not lead out of the account's directory either
+    const realPath = await fs.promises.realpath(filePath);
+    if (!realPath.startsWith(await fs.promises.realpath(accountDir) + path.sep)) {
+      throw new JobImportError(`Feed file not found: ${location}`);
+    }
+
+    const { size } = await fs.promises.stat(realPath);
+    if (size > MAX_FEED_BYTES) {
+      throw new JobImportError('The feed file is too large');
+    }
+    return await fs.promises.readFile(realPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new JobImportError(`Feed file not found: ${location}`);
+    }
+    throw error;
+  }
+};
+
+// Feed content from the profile's file or URL
+const loadSource = (profile) => {
+  if (profile.source_type === 'url') return fetchFeed(profile.source_location);
+  if (profile.source_type === 'file') return readFeedFile(profile);
+  throw new JobImportError('This profile imports uploaded files; upload the feed to run it');
+};
+
+// Job columns for a validated body, as `POST /api/jobs` would set them
+const jobAttributes = (body) => ({
+  title: body.title,
+  description: body.description,
+  requirements: body.requirements ?? null,
+  location: body.location ?? null,
+  salary_min: body.salary_min ?? null,
+  salary_max: body.salary_max ?? null,
+  ...salaryAttributes(body),
+  employment_type: body.employment_type || 'full-time',
+  experience_level: body.experience_level || 'mid',
+  application_deadline: body.application_deadline ?? null,
+  ...geoAttributes(body),
+  work_mode: body.work_mode || detectWorkMode(body.location) || 'onsite',
+  remote_regions: normalizeRemoteRegions(body.remote_regions)
+});
+
+// Columns an update may touch; fields the profile leaves alone keep whatever
+// the employer set on the platform
+const managedColumns = (profile) => [...new Set(managedFields(profile)
+  .filter(field => field !== 'skills')
+  .flatMap(field => FIELD_COLUMNS[field] || [field]))];
+
+const sameValue = (column, current, next) => {
+  if (current === null || current === undefined || next === null || next === undefined) {
+    return (current ?? null) === (next ?? null);
+  }
+  if (column === 'application_deadline') {
+    return new Date(current).toISOString().slice(0, 10) === new Date(next).toISOString().slice(0, 10);
+  }
+  if (typeof current === 'object' || typeof next === 'object') {
+    return JSON.stringify(current) === JSON.stringify(next);
+  }
+  if (Number.isFinite(Number(current)) && Number.isFinite(Number(next))) {
+    return Number(current) === Number(next);
+  }
+  return String(current) === String(next);
+};
+
+const skillKey = (skills) => JSON.stringify(skills
+  .map(skill => [skill.name.trim().toLowerCase(), skill.importance || 'required', skill.min_proficiency || null, skill.min_years ?? null])
+  .sort((a, b) => a[0].localeCompare(b[0])));
+
+const ownerWhere = (profile) => (
+  profile.company_id ? { company_id: profile.company_id } : { employer_id: profile.employer_id, company_id: null }
+);
+
+const jobOwners = (job) => ({ userIds: [job.employer_id], companyId: job.company_id });
+
+// Imported jobs are screened like posted ones; rows that raise flags are
+// reported with the reasons and wait for review
+const screenImported = (profile, job, { req, actor }, jobId) => screenJob(job, {
+  jobId,
+  employerId: profile.employer_id,
+  companyId: profile.company_id,
+  author: actor || req?.user
+});
+
+const reviewEntry = (flags) => (flags.length > 0 ? { review: flags.map(raised => raised.message) } : {});
+
+const createImportedJob = async (profile, externalRef, attributes, body, flags, { req, actor }) => {
+  const job = await Job.create({
+    employer_id: profile.employer_id,
+    company_id: profile.company_id || null,
+    import_profile_id: profile.id,
+    external_ref: externalRef,
+    ...attributes,
+    ...reviewAttributes(initialLifecycle({ status: profile.publish_status }), flags)
+  });
+  if (body.skills) {
+    await setJobSkills(job.id, body.skills);
+  }
+
+  await recordAudit(req, {
+    action: 'job.created',
+    targetType: 'job',
+    targetId: job.id,
+    companyId: job.company_id,
+    after: job,
+    metadata: { import_profile_id: profile.id, external_ref: externalRef },
+    actor
+  });
+
+  await indexJob(job.id);
+
+  await emitEvent('job.created', job.toJSON(), jobOwners(job));
+  if (job.status === 'published') {
+    await emitEvent('job.published', job.toJSON(), jobOwners(job));
+  }
+  return job;
+};
+
+// Import one mapped record. Returns the row's entry in the report.
+const importRecord = async (profile, { row, externalRef, body }, existing, { dryRun, req, actor }) => {
+  const entry = { row, external_ref: externalRef };
+  const errors = jobErrors(body, 'POST');
+  if (errors.length > 0) {
+    return { ...entry, action: 'error', errors };
+  }
+
+  const attributes = jobAttributes(body);
+  const job = existing.get(externalRef);
+
+  if (!job) {
+    const [violation] = profile.publish_status === 'draft' ? [] : payTransparencyViolations(attributes);
+    if (violation) {
+      return { ...entry, action: 'error', errors: [violation] };
+    }
+    const flags = await screenImported(profile, attributes, { req, actor });
+    if (dryRun) {
+      return { ...entry, action: 'create', ...reviewEntry(flags) };
+    }
+    const created = await createImportedJob(profile, externalRef, attributes, body, flags, { req, actor });
+    return { ...entry, action: 'create', job_id: created.id, ...reviewEntry(flags) };
+  }
+
+  const updates = {};
+  for (const column of managedColumns(profile)) {
+    if (!sameValue(column, job[column], attributes[column])) {
+      updates[column] = attributes[column];
+    }
+  }
+  const skillsChanged = Boolean(body.skills) &&
+    skillKey(await listJobSkills(job.id)) !== skillKey(body.skills);
+
+  if (Object.keys(updates).length === 0 && !skillsChanged) {
+    return { ...entry, action: 'unchanged', job_id: job.id };
+  }
+
+  const [violation] = job.status === 'draft' ? [] : payTransparencyViolations({ ...job.toJSON(), ...updates });
+  if (violation) {
+    return { ...entry, action: 'error', job_id: job.id, errors: [violation] };
+  }
+  const flags = touchesScreenedFields(updates)
+    ? await screenImported(profile, { ...job.toJSON(), ...updates }, { req, actor }, job.id)
+    : null;
+  if (dryRun) {
+    return { ...entry, action: 'update', job_id: job.id, changes: Object.keys(updates), ...reviewEntry(flags || []) };
+  }
+
+  const before = job.toJSON();
+  await job.update({ ...updates, import_profile_id: profile.id });
+  if (skillsChanged) {
+    await setJobSkills(job.id, body.skills);
+  }
+
+  await recordAudit(req, {
+    action: 'job.updated',
+    targetType: 'job',
+    targetId: job.id,
+    companyId: job.company_id,
+    before,
+    after: job,
+    metadata: { import_profile_id: profile.id, external_ref: externalRef, ...(skillsChanged && { skills: body.skills }) },
+    actor
+  });
+
+  if (flags) {
+    await applyScreening(req, job, flags, { actor });
+  }
+
+  await indexJob(job.id);
+
+  return { ...entry, action: 'update', job_id: job.id, changes: Object.keys(updates), ...reviewEntry(flags || []) };
+};
+
+// Jobs this profile imported that are no longer in the feed
+const closeMissingJobs = async (profile, seenRefs, { dryRun, req, actor }) => {
+  const missing = await Job.findAll({
+    where: {
+      import_profile_id: profile.id,
+      external_ref: { [Op.notIn]: [...seenRefs] },
+      status: { [Op.in]: CLOSABLE_STATUSES }
+    }
+  });
+
+  const closed = [];
+  for (const job of missing) {
+    if (!dryRun) {
+      try {
+        await transitionJob(req, job, 'closed', { reason: 'removed_from_feed', actor });
+      } catch (error) {
+        if (error instanceof JobStateError) continue;
+        throw error;
+      }
+    }
+    closed.push({ job_id: job.id, external_ref: job.external_ref });
+  }
+  return closed;
+};
+
+// Run an import: upsert every valid record by external reference, report
+// each row, and (for real runs) record the outcome on the profile. Dry runs
+// validate and diff without writing anything.
+const runImport = async (profile, content, { dryRun = false, req = null, actor, trigger = 'manual' } = {}) => {
+  const records = parseFeed(content, profile);
+  const mapped = records.map((record, index) => ({ row: index + 1, ...mapRecord(record, profile) }));
+
+  const refs = [...new Set(mapped.map(item => item.externalRef).filter(Boolean))];
+  const jobs = await Job.findAll({
+    where: { ...ownerWhere(profile), external_ref: { [Op.in]: refs } }
+  });
+  const existing = new Map(jobs.map(job => [job.external_ref, job]));
+
+  const seen = new Set();
+  const rows = [];
+  for (const item of mapped) {
+    if (!item.externalRef) {
+      rows.push({ row: item.row, external_ref: null, action: 'error', errors: ['Missing external reference id'] });
+    } else if (seen.has(item.externalRef)) {
+      rows.push({ row: item.row, external_ref: item.externalRef, action: 'error', errors: ['Duplicate external reference id in the feed'] });
+    } else if (item.externalRef.length > 191) {
+      seen.add(item.externalRef);
+      rows.push({ row: item.row, external_ref: item.externalRef, action: 'error', errors: ['External reference ids cannot exceed 191 characters'] });
+    } else {
+      seen.add(item.externalRef);
+      rows.push(await importRecord(profile, item, existing, { dryRun, req, actor }));
+    }
+  }
+
+  const closed = profile.close_missing ? await closeMissingJobs(profile, seen, { dryRun, req, actor }) : [];
+  const count = (action) => rows.filter(row => row.action === action).length;
+  const summary = {
+    dry_run: dryRun,
+    trigger,
+    total: rows.length,
+    created: count('create'),
+    updated: count('update'),
+    unchanged: count('unchanged'),
+    failed: count('error'),
+    held_for_review: rows.filter(row => row.review).length,
+    closed: closed.length
+  };
+
+  if (!dryRun) {
+    const now = new Date();
+    await profile.update({
+      last_run_at: now,
+      last_run: {
+        status: 'completed',
+        ...summary,
+        errors: rows.filter(row => row.action === 'error').slice(0, MAX_STORED_ERRORS)
+      }
+    });
+
+    await recordAudit(req, {
+      action: 'job_import.completed',
+      targetType: 'job_import_profile',
+      targetId: profile.id,
+      companyId: profile.company_id,
+      metadata: summary,
+      actor
+    });
+  }
+
+  return { ...summary, rows, closed_jobs: closed };
+};
+
+const scheduledActorError = async (actor, profile) => {
+  if (!actor || !actor.is_active || !['employer', 'admin'].includes(actor.role)) {
+    return 'The profile owner can no longer import jobs; the schedule was turned off';
+  }
+  if (!actor.email_verified_at) {
+    return 'The profile owner has not verified their email; the schedule was turned off';
+  }
+  if (profile.company_id && actor.role !== 'admin' &&
+    !await hasCompanyPermission(actor.id, profile.company_id, 'jobs:manage')) {
+    return 'The profile owner can no longer manage this company\'s jobs; the schedule was turned off';
+  }
+  return null;
+};
+
+// Claim a scheduled run by moving next_run_at forward, then import from the
+// profile's source as its creator
+const runScheduledImport = async (profile, now = new Date()) => {
+  const [claimed] = await JobImportProfile.update(
+    { next_run_at: nextImportAt(profile.schedule, now) },
+    { where: { id: profile.id, next_run_at: profile.next_run_at } }
+  );
+  if (claimed === 0) return false;
+
+  // The creator must still be allowed to publish these jobs by hand;
+  // otherwise the schedule is switched off until someone who is re-saves it
+  const actor = await User.findByPk(profile.employer_id, {
+    attributes: ['id', 'role', 'is_active', 'email_verified_at']
+  });
+  const error = await scheduledActorError(actor, profile);
+  if (error) {
+    await profile.update({
+      schedule: 'manual',
+      next_run_at: null,
+      last_run_at: now,
+      last_run: { status: 'failed', trigger: 'scheduled', error }
+    });
+    return false;
+  }
+
+  try {
+    await runImport(profile, await loadSource(profile), { actor, trigger: 'scheduled' });
+  } catch (error) {
+    if (!(error instanceof JobImportError)) throw error;
+    await profile.update({
+      last_run_at: now,
+      last_run: { status: 'failed', trigger: 'scheduled', error: error.message }
+    });
+  }
+  return true;
+};
+
+const processDueImports = async () => {
+  const now = new Date();
+  const profiles = await JobImportProfile.findAll({
+    where: {
+      schedule: { [Op.ne]: 'manual' },
+      source_type: { [Op.in]: ['file', 'url'] },
+      next_run_at: { [Op.lte]: now }
+    },
+    order: [['next_run_at', 'ASC']],
+    limit: BATCH_SIZE
+  });
+
+  let ran = 0;
+  for (const profile of profiles) {
+    try {
+      if (await runScheduledImport(profile, now)) ran += 1;
+    } catch (error) {
+      console.error(`Job import error for profile ${profile.id}:`, error);
+    }
+  }
+  return ran;
+};
+
+const startJobImportScheduler = () => {
+  const poll = () => processDueImports().catch(error => {
+    console.error('Job import scheduler error:', error);
+  });
+
+  return setInterval(poll, POLL_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  MAX_FEED_BYTES,
+  JobImportError,
+  findAccessibleProfile,
+  mapRecord,
+  parseFeed,
+  loadSource,
+  runImport,
+  processDueImports,
+  startJobImportScheduler
+};
\ No newline at end of file
@@ -0,0 +1,312 @@
+const { Op } = require('sequelize');
+const { Job } = require('../models');
+const { recordAudit } = require('./audit');
+const { emitEvent } = require('./webhooks');
+const { indexJob } = require('./search');
+const { payTransparencyViolations } = require('./salary');
+
+const JOB_STATUSES = ['draft', 'scheduled', 'published', 'paused', 'in_review', 'closed', 'expired', 'filled'];
+
+// Allowed moves between states. Only published jobs are live (`is_active`);
+// expired and closed jobs come back through renewal or reopening. Jobs that
+// fail the automated moderation checks wait `in_review` for an admin.
+const TRANSITIONS = {
+  draft: ['scheduled', 'published', 'in_review', 'closed'],
+  scheduled: ['draft', 'published', 'in_review', 'closed'],
+  published: ['paused', 'in_review', 'closed', 'expired', 'filled'],
+  paused: ['published', 'in_review', 'closed', 'filled'],
+  in_review: ['draft', 'scheduled', 'published', 'closed'],
+  closed: ['published'],
+  expired: ['published', 'closed'],
+  filled: []
+};
+
+// Statuses that end a posting; they close it for applications and notify
+// webhook subscribers
+const ENDED_STATUSES = ['closed', 'expired', 'filled'];
+
+const RENEWABLE_STATUSES = ['published', 'paused', 'expired'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const JOB_MAX_AGE_DAYS = parseInt(process.env.JOB_MAX_AGE_DAYS, 10) || 60;
+const MAX_RENEWAL_DAYS = 180;
+const SWEEP_INTERVAL_MS = parseInt(process.env.JOB_LIFECYCLE_POLL_INTERVAL_MS, 10) || 5 * 60 * 1000;
+const SWEEP_BATCH_SIZE = 200;
+
+class JobStateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JobStateError';
+    this.status = 409;
+  }
+}
+
+const jobOwners = (job) => ({ userIds: [job.employer_id], companyId: job.company_id });
+
+const expiryFrom = (from, days = JOB_MAX_AGE_DAYS) => new Date(from.getTime() + days * DAY_MS);
+
+const startOfToday = (now = new Date()) => new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+// `status` query values for job listings: one or more states
+// ("draft,scheduled"), or the older `active`/`inactive` for live vs. not live
+const statusWhere = (status) => {
+  if (!status || status === 'all') return {};
+  if (status === 'active') return { status: 'published' };
+  if (status === 'inactive') return { status: { [Op.ne]: 'published' } };
+
+  const statuses = String(status).split(',').filter(value => JOB_STATUSES.includes(value));
+  return { status: { [Op.in]: statuses } };
+};
+
+// Lifecycle columns for a new job. A future `publish_at` schedules it;
+// otherwise it is published now unless saved as a draft.
+const initialLifecycle = ({ status, publish_at }, now = new Date()) => {
+  if (status === 'draft') {
+    return { status: 'draft', is_active: false, publish_at: publish_at || null };
+  }
+  if (publish_at && new Date(publish_at) > now) {
+    return { status: 'scheduled', is_active: false, publish_at };
+  }
+  return {
+    status: 'published',
+    is_active: true,
+    publish_at: null,
+    published_at: now,
+    expires_at: expiryFrom(now)
+  };
+};
+
+// Column changes for moving `job` to `to`. Throws JobStateError for moves
+// the state machine does not allow.
+const transitionUpdates = (job, to, { publishAt, expiresAt, now = new Date() } = {}) => {
+  if (!canTransition(job.status, to)) {
+    throw new JobStateError(`A ${job.status} job cannot be moved to ${to}`);
+  }
+
+  const updates = { status: to, is_active: to === 'published' };
+
+  // A job held for review keeps the publish date it was scheduled for
+  if (to === 'in_review' && publishAt) {
+    updates.publish_at = publishAt;
+  }
+
+  if (to === 'scheduled') {
+    const when = publishAt || job.publish_at;
+    if (!when || new Date(when) <= now) {
+      throw new JobStateError('Scheduling requires a future publish_at');
+    }
+    updates.publish_at = when;
+  }
+
+  if (to === 'published') {
+    // A first publish, or coming back after the posting ended, starts a new
+    // listing period; resuming a paused job keeps its expiry
+    const ended = ENDED_STATUSES.includes(job.status);
+    if (!job.published_at || ended) {
+      updates.published_at = now;
+    }
+    if (expiresAt) {
+      updates.expires_at = expiresAt;
+    } else if (!job.expires_at || ended || new Date(job.expires_at) <= now) {
+      updates.expires_at = expiryFrom(now);
+    }
+    updates.publish_at = null;
+    updates.closed_at = null;
+
+    const deadline = job.application_deadline;
+    if (deadline && new Date(deadline) < startOfToday(now)) {
+      throw new JobStateError('Move the application deadline forward before publishing');
+    }
+  }
+
+  if (ENDED_STATUSES.includes(to)) {
+    updates.closed_at = now;
+  }
+
+  return updates;
+};
+
+// Jobs with unresolved moderation flags go to review instead of going live;
+// rejected ones have to be edited (and screened again) first
+const moderatedTarget = (job, to) => {
+  if (!['scheduled', 'published'].includes(to)) return to;
+
+  if (job.moderation_status === 'rejected') {
+    throw new JobStateError('This job was rejected in review; edit it before publishing it again');
+  }
+  if (job.moderation_status === 'pending') {
+    if (job.status === 'in_review') {
+      throw new JobStateError('This job is waiting for review');
+    }
+    return 'in_review';
+  }
+  return to;
+};
+
+// Apply a transition with the usual side effects: audit entry, search index
+// refresh and webhooks. `req` is null for background jobs, which may name an
+// `actor` for the audit entry; `action` overrides the
+// audit action (e.g. for admin takedowns). The update only
+// applies if the job is still in the state it was read in, so concurrent
+// requests and sweepers never both act on it. Publishing or scheduling a job
+// with unresolved moderation flags moves it to `in_review` instead.
+const transitionJob = async (req, job, requested, { publishAt, expiresAt, reason, action, actor, now = new Date() } = {}) => {
+  const before = job.toJSON();
+  const to = moderatedTarget(job, requested);
+  const updates = transitionUpdates(job, to, { publishAt, expiresAt, now });
+
+  // Jobs are checked when someone schedules or publishes them; the sweeper
+  // goes ahead with jobs that passed when they were scheduled
+  if (req && ['scheduled', 'published', 'in_review'].includes(to)) {
+    const [violation] = payTransparencyViolations(before);
+    if (violation) {
+      throw new JobStateError(violation);
+    }
+  }
+
+  const [claimed] = await Job.update(updates, { where: { id: job.id, status: before.status } });
+  if (claimed === 0) {
+    throw new JobStateError('The job changed in the meantime; reload it and try again');
+  }
+  await job.reload();
+
+  await recordAudit(req, {
+    action: action || `job.${to}`,
+    targetType: 'job',
+    targetId: job.id,
+    companyId: job.company_id,
+    before,
+    after: job,
+    metadata: reason ? { reason } : undefined,
+    actor
+  });
+
+  await indexJob(job.id);
+
+  if (to === 'published') {
+    await emitEvent('job.published', job.toJSON(), jobOwners(job));
+  } else if (before.status === 'published') {
+    await emitEvent('job.closed', { ...job.toJSON(), reason: reason || to }, jobOwners(job));
+  }
+
+  return job;
+};
+
+// Extend a job's listing period by `days` from now (or from its current
+// expiry, if that is later) and republish it if it expired or was paused
+const renewJob = async (req, job, days = JOB_MAX_AGE_DAYS, now = new Date()) => {
+  if (!RENEWABLE_STATUSES.includes(job.status)) {
+    throw new JobStateError(`A ${job.status} job cannot be renewed`);
+  }
+
+  const current = job.expires_at && new Date(job.expires_at) > now ? new Date(job.expires_at) : now;
+  const expiresAt = expiryFrom(current, Math.min(days, MAX_RENEWAL_DAYS));
+
+  if (job.status === 'published') {
+    const before = job.toJSON();
+    await job.update({ expires_at: expiresAt });
+    await recordAudit(req, {
+      action: 'job.renewed',
+      targetType: 'job',
+      targetId: job.id,
+      companyId: job.company_id,
+      before,
+      after: job
+    });
+    return job;
+  }
+
+  return transitionJob(req, job, 'published', { expiresAt, reason: 'renewed', now });
+};
+
+// Live jobs the sweeper has not expired yet. Feeds and sitemaps use this so
+// they drop a job as soon as it lapses rather than on the next sweep.
+const liveJobWhere = (now = new Date()) => ({
+  is_active: true,
+  [Op.and]: [
+    { [Op.or]: [{ expires_at: null }, { expires_at: { [Op.gt]: now } }] },
+    { [Op.or]: [{ application_deadline: null }, { application_deadline: { [Op.gte]: startOfToday(now) } }] }
+  ]
+});
+
+// Publish scheduled jobs that are due and expire published jobs past their
+// application deadline or maximum age. Scheduled jobs whose deadline passed
+// before they went live are closed instead, and ones that cannot be published
+// go back to draft.
+const sweepJobLifecycle = async (now = new Date()) => {
+  const due = await Job.findAll({
+    where: { status: 'scheduled', publish_at: { [Op.lte]: now } },
+    limit: SWEEP_BATCH_SIZE
+  });
+
+  const stale = await Job.findAll({
+    where: {
+      status: 'published',
+      [Op.or]: [
+        { expires_at: { [Op.lte]: now } },
+        { application_deadline: { [Op.lt]: startOfToday(now) } }
+      ]
+    },
+    limit: SWEEP_BATCH_SIZE
+  });
+
+  // Keyed by the status each job actually ended up in: publishing a job with
+  // unresolved moderation flags moves it to review instead
+  const counts = { published: 0, in_review: 0, draft: 0, expired: 0, closed: 0 };
+  const sweep = async (job, to, reason) => {
+    try {
+      const { status } = await transitionJob(null, job, to, { reason, now });
+      counts[status] = (counts[status] || 0) + 1;
+      return true;
+    } catch (error) {
+      if (!(error instanceof JobStateError)) {
+        console.error(`Job lifecycle error for job ${job.id}:`, error);
+      }
+      return false;
+    }
+  };
+
+  const pastDeadline = (job) => job.application_deadline && new Date(job.application_deadline) < startOfToday(now);
+
+  for (const job of due) {
+    if (pastDeadline(job)) {
+      await sweep(job, 'closed', 'deadline_passed');
+    } else if (!await sweep(job, 'published', 'scheduled') && job.status === 'scheduled') {
+      // A job that cannot go live (e.g. it was rejected in review) goes back
+      // to draft; left scheduled, it would fill every later batch
+      await sweep(job, 'draft', 'publish_failed');
+    }
+  }
+  for (const job of stale) {
+    await sweep(job, 'expired', pastDeadline(job) ? 'deadline_passed' : 'max_age');
+  }
+
+  return counts;
+};
+
+const startJobLifecycleSweeper = () => {
+  const poll = () => sweepJobLifecycle().catch(error => {
+    console.error('Job lifecycle sweeper error:', error);
+  });
+
+  return setInterval(poll, SWEEP_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  JOB_STATUSES,
+  TRANSITIONS,
+  JOB_MAX_AGE_DAYS,
+  MAX_RENEWAL_DAYS,
+  JobStateError,
+  canTransition,
+  statusWhere,
+  initialLifecycle,
+  transitionUpdates,
+  transitionJob,
+  renewJob,
+  liveJobWhere,
+  sweepJobLifecycle,
+  startJobLifecycleSweeper
+};
\ No newline at end of file
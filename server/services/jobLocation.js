@@ -0,0 +1,137 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../models');
+const { geocode, regionsAllowing, boundingBox } = require('./geocoding');
+
+const DEFAULT_RADIUS_KM = 50;
+const MAX_RADIUS_KM = 500;
+
+class LocationQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LocationQueryError';
+    this.status = 400;
+  }
+}
+
+const toCoordinate = (value, limit) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && Math.abs(number) <= limit ? number : null;
+};
+
+// `near=Berlin` or `lat=52.52&lng=13.40`, with `radius_km`; `remote_country`
+// overrides the country remote jobs must be open to. Returns null when the
+// request has no location criteria.
+const parseLocationQuery = (query) => {
+  const { near, lat, lng, radius_km, remote_country } = query;
+  let origin = null;
+
+  if (lat !== undefined || lng !== undefined) {
+    const latitude = toCoordinate(lat, 90);
+    const longitude = toCoordinate(lng, 180);
+    if (latitude === null || longitude === null) {
+      throw new LocationQueryError('lat and lng must both be valid coordinates');
+    }
+    origin = { latitude, longitude, country_code: null };
+  } else if (near) {
+    const place = geocode(near);
+    if (!place || place.latitude === null) {
+      throw new LocationQueryError(`Unknown location: ${near}`);
+    }
+    origin = { latitude: place.latitude, longitude: place.longitude, country_code: place.country_code };
+  }
+
+  let remoteCountry = origin?.country_code || null;
+  if (remote_country) {
+    remoteCountry = geocode(remote_country)?.country_code;
+    if (!remoteCountry) {
+      throw new LocationQueryError(`Unknown country: ${remote_country}`);
+    }
+  }
+
+  if (!origin && !remoteCountry) return null;
+
+  const radius = parseFloat(radius_km);
+  return {
+    origin,
+    radiusKm: Number.isFinite(radius) && radius > 0 ? Math.min(radius, MAX_RADIUS_KM) : DEFAULT_RADIUS_KM,
+    remoteCountry
+  };
+};
+
+// Great-circle distance from the origin in km; NULL for jobs without coordinates
+const distanceLiteral = ({ latitude, longitude }) => sequelize.literal(
+  `ST_Distance_Sphere(POINT(\`Job\`.\`longitude\`, \`Job\`.\`latitude\`), POINT(${Number(longitude)}, ${Number(latitude)})) / 1000`
+);
+
+// Remote jobs restricted to regions that include the country, or open worldwide
+const remoteOpenTo = (countryCode) => ({
+  work_mode: 'remote',
+  [Op.or]: [
+    { remote_regions: null },
+    sequelize.where(sequelize.fn('JSON_LENGTH', sequelize.col('Job.remote_regions')), 0),
+    ...regionsAllowing(countryCode).map(region => sequelize.where(
+      sequelize.fn('JSON_CONTAINS', sequelize.col('Job.remote_regions'), JSON.stringify(region)),
+      1
+    ))
+  ]
+});
+
+const withinRadius = (origin, radiusKm) => {
+  const box = boundingBox(origin, radiusKm);
+  return {
+    [Op.and]: [
+      { latitude: { [Op.between]: [box.minLatitude, box.maxLatitude] } },
+      { longitude: { [Op.between]: [box.minLongitude, box.maxLongitude] } },
+      sequelize.where(distanceLiteral(origin), { [Op.lte]: radiusKm })
+    ]
+  };
+};
+
+// Onsite and hybrid jobs must lie inside the radius; remote jobs qualify when
+// they hire from the searcher's country, wherever the employer is based
+const locationCondition = ({ origin, radiusKm, remoteCountry }) => {
+  const remote = remoteCountry ? remoteOpenTo(remoteCountry) : { work_mode: 'remote' };
+  if (!origin) {
+    return { [Op.or]: [{ work_mode: { [Op.ne]: 'remote' } }, remote] };
+  }
+  return {
+    [Op.or]: [
+      { [Op.and]: [{ work_mode: { [Op.ne]: 'remote' } }, withinRadius(origin, radiusKm)] },
+      remote
+    ]
+  };
+};
+
+// Jobs within a candidate's commute or open to them remotely, in the work
+// modes their resume prefers; null when the resume states no preference
+const candidateCondition = (resume) => {
+  const conditions = [];
+  if (resume.preferred_work_modes?.length > 0) {
+    conditions.push({ work_mode: { [Op.in]: resume.preferred_work_modes } });
+  }
+  if (resume.latitude !== null && resume.latitude !== undefined) {
+    conditions.push(locationCondition({
+      origin: { latitude: Number(resume.latitude), longitude: Number(resume.longitude) },
+      radiusKm: resume.max_commute_km || DEFAULT_RADIUS_KM,
+      remoteCountry: resume.country_code
+    }));
+  }
+  return conditions.length > 0 ? { [Op.and]: conditions } : null;
+};
+
+// Nearest first; jobs without coordinates (mostly remote) go last
+const distanceOrder = (origin, direction = 'ASC') => [
+  [sequelize.literal('`Job`.`latitude` IS NULL'), 'ASC'],
+  [distanceLiteral(origin), direction]
+];
+
+module.exports = {
+  DEFAULT_RADIUS_KM,
+  MAX_RADIUS_KM,
+  LocationQueryError,
+  parseLocationQuery,
+  distanceLiteral,
+  locationCondition,
+  candidateCondition,
+  distanceOrder
+};
\ No newline at end of file
@@ -0,0 +1,312 @@
+const fs = require('fs');
+const path = require('path');
+const { Op } = require('sequelize');
+const { Job, Company, User } = require('../models');
+const { analyze } = require('./search/analyzer');
+const { searchJobs } = require('./search');
+const { SALARY_FIELDS } = require('./salary');
+const { JobStateError, transitionJob } = require('./jobLifecycle');
+const { notify } = require('./notifications');
+const { buildModerationDecision } = require('./emails');
+
+// Banned phrases, scam patterns and salary bounds; JOB_MODERATION_RULES
+// points at a replacement file with the same shape
+const RULES_PATH = process.env.JOB_MODERATION_RULES ||
+  path.join(__dirname, '../data/moderation.json');
+
+// Share of three-word sequences two postings must have in common to count as
+// near-duplicates
+const DUPLICATE_SIMILARITY = parseFloat(process.env.JOB_DUPLICATE_SIMILARITY) || 0.8;
+const SHINGLE_SIZE = 3;
+const MAX_OWN_CANDIDATES = 200;
+const MAX_PLATFORM_CANDIDATES = 50;
+
+// Postings a new job could be a duplicate of; ended ones may be reposted
+const OPEN_STATUSES = ['scheduled', 'published', 'paused', 'in_review'];
+
+// Editing any of these screens the job again
+const SCREENED_FIELDS = ['title', 'description', 'requirements', 'location', 'employment_type', ...SALARY_FIELDS];
+
+const MODERATION_FIELDS = ['moderation_status', 'moderation_flags', 'moderation_note', 'moderated_by', 'moderated_at'];
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@([a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,})/gi;
+const PHONE_PATTERN = /\+?\d(?:[\s().-]{0,2}\d){8,}/;
+
+let rules = null;
+const loadRules = () => {
+  if (!rules) {
+    const raw = JSON.parse(fs.readFileSync(RULES_PATH, 'utf8'));
+    rules = {
+      ...raw,
+      paymentPatterns: raw.payment_patterns.map(pattern => new RegExp(pattern, 'i')),
+      contactPatterns: raw.contact_patterns.map(pattern => new RegExp(pattern, 'i'))
+    };
+  }
+  return rules;
+};
+
+const flag = (code, message, details) => ({ code, message, ...(details && { details }) });
+
+const jobText = (job) => [job.title, job.description, job.requirements].filter(Boolean).join('\n');
+
+const shingles = (job) => {
+  const terms = analyze(jobText(job));
+  if (terms.length <= SHINGLE_SIZE) return new Set([terms.join(' ')]);
+
+  const set = new Set();
+  for (let index = 0; index + SHINGLE_SIZE <= terms.length; index++) {
+    set.add(terms.slice(index, index + SHINGLE_SIZE).join(' '));
+  }
+  return set;
+};
+
+// Jaccard similarity of two shingle sets, 0-1
+const similarity = (a, b) => {
+  let shared = 0;
+  for (const shingle of a) {
+    if (b.has(shingle)) shared += 1;
+  }
+  const union = a.size + b.size - shared;
+  return union > 0 ? shared / union : 0;
+};
+
+const sameLocation = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+const candidateAttributes = ['id', 'title', 'description', 'requirements', 'location', 'employer_id', 'company_id'];
+
+const mostSimilar = (fingerprint, candidates) => candidates
+  .map(candidate => ({ job: candidate, score: similarity(fingerprint, shingles(candidate)) }))
+  .filter(({ score }) => score >= DUPLICATE_SIMILARITY)
+  .sort((a, b) => b.score - a.score)[0];
+
+// The same posting twice in one place; the same text in another city is a
+// multi-location hire, not a duplicate
+const ownDuplicate = async (job, fingerprint, { jobId, employerId, companyId }) => {
+  const candidates = await Job.findAll({
+    where: {
+      [Op.and]: [
+        companyId ? { [Op.or]: [{ employer_id: employerId }, { company_id: companyId }] } : { employer_id: employerId },
+        { status: { [Op.in]: OPEN_STATUSES } },
+        jobId ? { id: { [Op.ne]: jobId } } : {}
+      ]
+    },
+    attributes: candidateAttributes,
+    order: [['updated_at', 'DESC']],
+    limit: MAX_OWN_CANDIDATES
+  });
+
+  const match = mostSimilar(fingerprint, candidates.filter(candidate => sameLocation(candidate.location, job.location)));
+  return match && flag(
+    'duplicate',
+    `Looks like a duplicate of your job #${match.job.id} "${match.job.title}"`,
+    { job_id: match.job.id, similarity: Math.round(match.score * 100) / 100 }
+  );
+};
+
+// Copies of another employer's posting, found among jobs with a similar title
+const platformDuplicate = async (job, fingerprint, { jobId, employerId, companyId }) => {
+  const ranked = await searchJobs(String(job.title || '').replace(/[^\p{L}\p{N}\s.+#]/gu, ' '));
+  if (!ranked || ranked.length === 0) return null;
+
+  const candidates = await Job.findAll({
+    where: {
+      id: { [Op.in]: ranked.slice(0, MAX_PLATFORM_CANDIDATES).map(result => result.job_id) },
+      status: { [Op.in]: OPEN_STATUSES }
+    },
+    attributes: candidateAttributes
+  });
+
+  const others = candidates.filter(candidate => candidate.id !== Number(jobId) &&
+    candidate.employer_id !== employerId &&
+    !(companyId && candidate.company_id === companyId));
+
+  const match = mostSimilar(fingerprint, others);
+  return match && flag(
+    'duplicate_platform',
+    'Nearly identical to a job another employer has posted',
+    { job_id: match.job.id, similarity: Math.round(match.score * 100) / 100 }
+  );
+};
+
+const hostOf = (url) => {
+  try {
+    return new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+};
+
+// An address on the company's website domain or one of its subdomains.
+// Employers set the website themselves, so free-mail and other shared
+// domains never count as the company's.
+const isCompanyEmail = (domain, companyDomain, sharedDomains) => {
+  if (!companyDomain || sharedDomains.includes(companyDomain)) return false;
+  const host = domain.toLowerCase();
+  return host === companyDomain || host.endsWith(`.${companyDomain}`);
+};
+
+const textFlags = (job, companyDomain) => {
+  const { banned_phrases: bannedPhrases, shared_email_domains: sharedDomains = [], paymentPatterns, contactPatterns } = loadRules();
+  const text = jobText(job).replace(/\s+/g, ' ');
+  const lower = text.toLowerCase();
+  const flags = [];
+
+  const banned = bannedPhrases.filter(phrase => lower.includes(phrase.toLowerCase()));
+  if (banned.length > 0) {
+    flags.push(flag('banned_phrase', `Contains phrases not allowed in job postings: ${banned.join(', ')}`, { phrases: banned }));
+  }
+
+  const payment = paymentPatterns.map(pattern => text.match(pattern)).filter(Boolean).map(match => match[0]);
+  if (payment.length > 0) {
+    flags.push(flag('payment_request', `Asks candidates for money or payment details: ${payment.join(', ')}`, { matches: payment }));
+  }
+
+  // Candidates apply on the platform; the company's own domain is fine
+  const emails = [...text.matchAll(EMAIL_PATTERN)]
+    .filter(([, domain]) => !isCompanyEmail(domain, companyDomain, sharedDomains))
+    .map(([email]) => email);
+  const contact = [
+    ...emails,
+    ...(PHONE_PATTERN.test(text) ? [text.match(PHONE_PATTERN)[0]] : []),
+    ...contactPatterns.map(pattern => text.match(pattern)).filter(Boolean).map(match => match[0])
+  ];
+  if (contact.length > 0) {
+    flags.push(flag('external_contact', `Sends candidates to contact details off the platform: ${contact.join(', ')}`, { matches: contact }));
+  }
+
+  return flags;
+};
+
+// Pay far outside what jobs offer, or a range too wide to mean anything.
+// Compares the annualized, normalized figures (see services/salary).
+const salaryFlags = (job) => {
+  const { max_annual: maxAnnual, full_time_min_annual: fullTimeMin, max_spread_ratio: maxSpread } = loadRules().salary;
+  const min = job.salary_min_annual;
+  const max = job.salary_max_annual;
+  const reasons = [];
+
+  if (Math.max(min || 0, max || 0) > maxAnnual) {
+    reasons.push('the salary is unusually high');
+  }
+  if (job.employment_type === 'full-time' && min !== null && min !== undefined && min < fullTimeMin) {
+    reasons.push('the salary is unusually low for a full-time job');
+  }
+  if (min > 0 && max / min > maxSpread) {
+    reasons.push(`the top of the range is more than ${maxSpread} times the bottom`);
+  }
+
+  return reasons.length > 0
+    ? [flag('suspicious_salary', `Salary looks suspicious: ${reasons.join('; ')}`, { salary_min_annual: min, salary_max_annual: max })]
+    : [];
+};
+
+// Automated checks on a job's content; returns the flags that hold it for
+// review (empty when it may go live). `job` holds the job's columns after
+// the create or update. Admins' own postings are not screened.
+const screenJob = async (job, { jobId, employerId, companyId, author } = {}) => {
+  if (author?.role === 'admin') return [];
+
+  const company = companyId ? await Company.findByPk(companyId, { attributes: ['website'] }) : null;
+  const fingerprint = shingles(job);
+  const owner = { jobId, employerId, companyId };
+
+  const duplicates = await Promise.all([
+    ownDuplicate(job, fingerprint, owner),
+    platformDuplicate(job, fingerprint, owner)
+  ]);
+
+  return [
+    ...duplicates.filter(Boolean),
+    ...textFlags(job, company?.website ? hostOf(company.website) : null),
+    ...salaryFlags(job)
+  ];
+};
+
+const touchesScreenedFields = (body) => SCREENED_FIELDS.some(field => field in body);
+
+// Moderation columns for a new job. Flagged jobs that would go live wait in
+// review instead; flagged drafts go to review when they are published.
+const reviewAttributes = (lifecycle, flags) => {
+  if (flags.length === 0) {
+    return { ...lifecycle, moderation_status: 'clear', moderation_flags: null };
+  }
+
+  const held = ['scheduled', 'published'].includes(lifecycle.status)
+    ? { status: 'in_review', is_active: false, published_at: null, expires_at: null }
+    : {};
+  return { ...lifecycle, ...held, moderation_status: 'pending', moderation_flags: flags };
+};
+
+// Where an approved or cleared job goes: its schedule if it still lies ahead
+const liveTarget = (job, now = new Date()) => (
+  job.publish_at && new Date(job.publish_at) > now ? 'scheduled' : 'published'
+);
+
+// Store the flags of an edited job and move it into or out of review. An
+// approved job stays approved unless the edit raises something new.
+const applyScreening = async (req, job, flags, { actor } = {}) => {
+  const approved = job.moderation_status === 'approved' &&
+    flags.every(raised => (job.moderation_flags || []).some(known => known.message === raised.message));
+
+  let status = 'pending';
+  if (flags.length === 0) status = 'clear';
+  else if (approved) status = 'approved';
+
+  await job.update({ moderation_status: status, moderation_flags: flags.length > 0 ? flags : null });
+
+  if (status === 'pending' && ['scheduled', 'published'].includes(job.status)) {
+    await transitionJob(req, job, 'in_review', { reason: 'moderation', actor });
+  } else if (status === 'clear' && job.status === 'in_review') {
+    await transitionJob(req, job, liveTarget(job), { reason: 'moderation_cleared', actor });
+  }
+
+  return job;
+};
+
+const notifyEmployer = async (job, decision) => {
+  const employer = await User.findByPk(job.employer_id, { attributes: ['id', 'email', 'first_name'] });
+  if (employer) {
+    await notify(employer, buildModerationDecision(job, decision), ['email', 'in_app']);
+  }
+};
+
+const decide = async (req, job, decision, note) => {
+  if (job.status !== 'in_review') {
+    throw new JobStateError('Only jobs waiting for review can be moderated');
+  }
+
+  await job.update({
+    moderation_status: decision,
+    moderation_note: note || null,
+    moderated_by: req.user.id,
+    moderated_at: new Date()
+  });
+};
+
+// Admin approval: the job goes live (or back to its schedule)
+const approveJob = async (req, job, note) => {
+  await decide(req, job, 'approved', note);
+  await transitionJob(req, job, liveTarget(job), { reason: note, action: 'job.moderation_approved' });
+  await notifyEmployer(job, 'approved');
+  return job;
+};
+
+// Admin rejection: the job returns to its drafts with the admin's reason;
+// editing it screens it again
+const rejectJob = async (req, job, note) => {
+  await decide(req, job, 'rejected', note);
+  await transitionJob(req, job, 'draft', { reason: note, action: 'job.moderation_rejected' });
+  await notifyEmployer(job, 'rejected');
+  return job;
+};
+
+module.exports = {
+  SCREENED_FIELDS,
+  MODERATION_FIELDS,
+  screenJob,
+  touchesScreenedFields,
+  reviewAttributes,
+  applyScreening,
+  approveJob,
+  rejectJob
+};
\ No newline at end of file
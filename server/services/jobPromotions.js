@@ -0,0 +1,475 @@
+const fs = require('fs');
+const path = require('path');
+const { Op, QueryTypes, col } = require('sequelize');
+const { sequelize, Job, JobPromotion } = require('../models');
+const { recordAudit } = require('./audit');
+const { isCountedVisit } = require('./jobAnalytics');
+
+// Prices, budget limits and result slots per promotion type;
+// JOB_PROMOTION_RULES points at a replacement file with the same shape
+const RULES_PATH = process.env.JOB_PROMOTION_RULES ||
+  path.join(__dirname, '../data/promotions.json');
+
+const PROMOTION_TYPES = ['featured', 'sponsored'];
+
+// Jobs that can still go live; ended postings cannot be promoted
+const PROMOTABLE_STATUSES = ['draft', 'scheduled', 'published', 'paused', 'in_review'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A viewer is charged for at most one impression per promotion in this
+// window and one click per day. Kept in memory, so each server process
+// counts on its own.
+const REPEAT_WINDOW_MS = {
+  impression: 30 * 60 * 1000,
+  click: DAY_MS
+};
+const MAX_TRACKED_VIEWERS = 50000;
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+class PromotionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PromotionError';
+    this.status = status;
+  }
+}
+
+let rules = null;
+const loadRules = () => {
+  if (!rules) {
+    rules = JSON.parse(fs.readFileSync(RULES_PATH, 'utf8'));
+  }
+  return rules;
+};
+
+// Prices and limits for the promotion form
+const promotionOptions = () => {
+  const { currency, min_budget, max_days, pricing, placement } = loadRules();
+  return {
+    currency,
+    min_budget,
+    max_days,
+    types: PROMOTION_TYPES.map(type => ({
+      type,
+      ...pricing[type],
+      slots: placement[type].slots
+    }))
+  };
+};
+
+const cents = (amount) => Math.round(Number(amount) * 100) / 100;
+
+// Percentages with one decimal; null before the first impression
+const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+
+// Promotions that may be shown and charged right now
+const runningWhere = (now = new Date()) => ({
+  status: 'active',
+  job_id: { [Op.ne]: null },
+  starts_at: { [Op.lte]: now },
+  ends_at: { [Op.gt]: now },
+  spent: { [Op.lt]: col('budget') }
+});
+
+// Where a promotion stands: scheduled, running, paused, exhausted (budget
+// spent), ended or cancelled
+const promotionState = (promotion, now = new Date()) => {
+  if (promotion.status === 'cancelled') return 'cancelled';
+  if (new Date(promotion.ends_at) <= now) return 'ended';
+  if (Number(promotion.spent) >= Number(promotion.budget)) return 'exhausted';
+  if (promotion.status === 'paused') return 'paused';
+  if (new Date(promotion.starts_at) > now) return 'scheduled';
+  return 'running';
+};
+
+const serializePromotion = (promotion, now = new Date()) => ({
+  ...promotion.toJSON(),
+  state: promotionState(promotion, now),
+  spent: cents(promotion.spent),
+  remaining_budget: cents(Math.max(Number(promotion.budget) - Number(promotion.spent), 0)),
+  click_rate: rate(promotion.clicks, promotion.impressions)
+});
+
+// Start and end dates within the rules; a start in the past means now
+const promotionPeriod = (startsAt, endsAt, now) => {
+  const { max_days: maxDays } = loadRules();
+  const start = startsAt && new Date(startsAt) > now ? new Date(startsAt) : now;
+  const end = new Date(endsAt);
+
+  if (end <= start) {
+    throw new PromotionError('The end date must be after the start date');
+  }
+  if (end - start > maxDays * DAY_MS) {
+    throw new PromotionError(`A promotion can run for at most ${maxDays} days`);
+  }
+  return { starts_at: start, ends_at: end };
+};
+
+const checkBudget = (budget, spent = 0) => {
+  const { min_budget: minBudget, currency } = loadRules();
+  if (budget < minBudget) {
+    throw new PromotionError(`The budget must be at least ${minBudget} ${currency}`);
+  }
+  if (budget < Number(spent)) {
+    throw new PromotionError('The budget cannot be lower than what was already spent');
+  }
+};
+
+// One promotion of each type per job at a time
+const checkOverlap = async (job, type, { starts_at, ends_at }, exceptId) => {
+  const overlapping = await JobPromotion.count({
+    where: {
+      job_id: job.id,
+      type,
+      status: { [Op.ne]: 'cancelled' },
+      starts_at: { [Op.lt]: ends_at },
+      ends_at: { [Op.gt]: starts_at },
+      ...(exceptId && { id: { [Op.ne]: exceptId } })
+    }
+  });
+  if (overlapping > 0) {
+    throw new PromotionError(`This job already has a ${type} promotion in that period`, 409);
+  }
+};
+
+// Buy a promotion for a job at today's prices. It is billed to the job's
+// company, or to its employer for personal jobs, and only shows while the
+// job is live.
+const createPromotion = async (req, job, { type, starts_at, ends_at, budget }, now = new Date()) => {
+  if (!PROMOTABLE_STATUSES.includes(job.status)) {
+    throw new PromotionError(`A ${job.status} job cannot be promoted`, 409);
+  }
+
+  const period = promotionPeriod(starts_at, ends_at, now);
+  checkBudget(budget);
+  await checkOverlap(job, type, period);
+
+  const { currency, pricing } = loadRules();
+  const promotion = await JobPromotion.create({
+    job_id: job.id,
+    job_title: job.title,
+    employer_id: job.employer_id,
+    company_id: job.company_id,
+    created_by: req.user.id,
+    type,
+    ...period,
+    budget,
+    currency,
+    price_per_1000_impressions: pricing[type].per_1000_impressions,
+    price_per_click: pricing[type].per_click
+  });
+
+  await recordAudit(req, {
+    action: 'job_promotion.created',
+    targetType: 'job_promotion',
+    targetId: promotion.id,
+    companyId: promotion.company_id,
+    after: promotion,
+    metadata: { job_id: job.id }
+  });
+
+  return promotion;
+};
+
+// Change the budget or end date, or pause and resume. Cancelled and ended
+// promotions are final.
+const updatePromotion = async (req, promotion, { budget, ends_at, status }, now = new Date()) => {
+  const state = promotionState(promotion, now);
+  if (['cancelled', 'ended'].includes(state)) {
+    throw new PromotionError(`A ${state} promotion cannot be changed`, 409);
+  }
+
+  const updates = {};
+  if (budget !== undefined) {
+    checkBudget(budget, promotion.spent);
+    updates.budget = budget;
+  }
+  if (ends_at !== undefined) {
+    if (new Date(ends_at) <= now) {
+      throw new PromotionError('The end date must be in the future');
+    }
+    const period = promotionPeriod(promotion.starts_at, ends_at, new Date(promotion.starts_at));
+    await checkOverlap({ id: promotion.job_id }, promotion.type, period, promotion.id);
+    updates.ends_at = period.ends_at;
+  }
+  if (status !== undefined) {
+    updates.status = status;
+  }
+
+  const before = promotion.toJSON();
+  await promotion.update(updates);
+
+  await recordAudit(req, {
+    action: 'job_promotion.updated',
+    targetType: 'job_promotion',
+    targetId: promotion.id,
+    companyId: promotion.company_id,
+    before,
+    after: promotion
+  });
+
+  return promotion;
+};
+
+// Stop a promotion for good; what it already spent stays billed
+const cancelPromotion = async (req, promotion, now = new Date()) => {
+  if (promotion.status === 'cancelled') {
+    throw new PromotionError('The promotion is already cancelled', 409);
+  }
+
+  const before = promotion.toJSON();
+  await promotion.update({ status: 'cancelled', cancelled_at: now });
+
+  await recordAudit(req, {
+    action: 'job_promotion.cancelled',
+    targetType: 'job_promotion',
+    targetId: promotion.id,
+    companyId: promotion.company_id,
+    before,
+    after: promotion
+  });
+
+  return promotion;
+};
+
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let index = shuffled.length - 1; index > 0; index--) {
+    const other = Math.floor(Math.random() * (index + 1));
+    [shuffled[index], shuffled[other]] = [shuffled[other], shuffled[index]];
+  }
+  return shuffled;
+};
+
+// Interleave promoted jobs into one page of `GET /api/jobs` results. Only
+// jobs matching every filter of the search (`listWhere`) are eligible, so
+// promotion never shows a job the search excludes. Featured jobs take the
+// featured slots, sponsored jobs theirs, rotating at random among running
+// promotions; a promoted job is not repeated among the organic results.
+// Returns the page as plain objects, promoted ones marked with `promotion`,
+// and the placements to count as impressions.
+const placePromotions = async (rows, { listWhere, findOptions = {}, now = new Date() }) => {
+  const organic = rows.map(row => (typeof row.toJSON === 'function' ? row.toJSON() : row));
+  if (organic.length === 0) return { data: organic, placed: [] };
+
+  const running = await JobPromotion.findAll({
+    where: runningWhere(now),
+    attributes: ['id', 'job_id', 'type']
+  });
+  if (running.length === 0) return { data: organic, placed: [] };
+
+  const eligible = await Job.findAll({
+    ...findOptions,
+    where: { [Op.and]: [listWhere, { id: { [Op.in]: [...new Set(running.map(promotion => promotion.job_id))] } }] }
+  });
+  const jobsById = new Map(eligible.map(job => [job.id, job]));
+
+  const { placement } = loadRules();
+  const usedJobIds = new Set();
+  const placed = [];
+  for (const type of PROMOTION_TYPES) {
+    const candidates = shuffle(running.filter(promotion => promotion.type === type && jobsById.has(promotion.job_id)));
+    for (const slot of placement[type].slots) {
+      const promotion = candidates.find(candidate => !usedJobIds.has(candidate.job_id));
+      if (!promotion) break;
+      usedJobIds.add(promotion.job_id);
+      placed.push({ slot, promotion, job: jobsById.get(promotion.job_id) });
+    }
+  }
+
+  const data = organic.filter(job => !usedJobIds.has(job.id));
+  placed
+    .sort((a, b) => a.slot - b.slot)
+    .forEach(({ slot, promotion, job }) => {
+      data.splice(Math.min(slot, data.length), 0, {
+        ...job.toJSON(),
+        promotion: { id: promotion.id, type: promotion.type }
+      });
+    });
+
+  return { data, placed };
+};
+
+const recentViewers = new Map();
+
+// Whether this viewer was already charged for the promotion recently;
+// remembers them if not
+const seenRecently = (req, promotionId, kind, now) => {
+  const viewer = req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+  const key = `${kind}:${promotionId}:${viewer}`;
+  const until = recentViewers.get(key);
+  if (until && until > now) return true;
+
+  if (recentViewers.size >= MAX_TRACKED_VIEWERS) {
+    for (const [entry, expiry] of recentViewers) {
+      if (expiry <= now) recentViewers.delete(entry);
+    }
+    if (recentViewers.size >= MAX_TRACKED_VIEWERS) recentViewers.clear();
+  }
+  recentViewers.set(key, now + REPEAT_WINDOW_MS[kind]);
+  return false;
+};
+
+// Charge a running promotion for one impression or click, never beyond its
+// budget, and add it to today's ledger row. Returns false when the
+// promotion is no longer running.
+const charge = (promotionId, kind, now = new Date()) => sequelize.transaction(async (transaction) => {
+  const promotion = await JobPromotion.findOne({
+    where: { id: promotionId, ...runningWhere(now) },
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+  if (!promotion) return false;
+
+  const price = kind === 'click'
+    ? Number(promotion.price_per_click)
+    : Number(promotion.price_per_1000_impressions) / 1000;
+  // The ledger keeps four decimals
+  const amount = Math.round(Math.min(price, Number(promotion.budget) - Number(promotion.spent)) * 10000) / 10000;
+
+  await promotion.increment({ spent: amount, [kind === 'click' ? 'clicks' : 'impressions']: 1 }, { transaction });
+
+  await sequelize.query(`
+    INSERT INTO promotion_charges (promotion_id, date, kind, quantity, amount)
+    VALUES (:promotionId, :date, :kind, 1, :amount)
+    ON DUPLICATE KEY UPDATE quantity = quantity + 1, amount = amount + VALUES(amount)
+  `, {
+    replacements: { promotionId, date: now.toISOString().slice(0, 10), kind, amount },
+    type: QueryTypes.INSERT,
+    transaction
+  });
+
+  return true;
+});
+
+// Count the promoted jobs a results page showed. Not awaited by the
+// listing; failures are logged.
+const recordImpressions = async (req, placed, now = new Date()) => {
+  for (const { promotion, job } of placed) {
+    try {
+      if (!isCountedVisit(req, job) || seenRecently(req, promotion.id, 'impression', now.getTime())) continue;
+      await charge(promotion.id, 'impression', now);
+    } catch (error) {
+      console.error('Error recording promotion impression:', error);
+    }
+  }
+};
+
+// A candidate opened a promoted job. Returns the promotion, or null when it
+// does not exist or its job is gone.
+const recordClick = async (req, promotionId, now = new Date()) => {
+  const promotion = await JobPromotion.findByPk(promotionId, {
+    attributes: ['id', 'job_id'],
+    include: [{ model: Job, as: 'job', attributes: ['id', 'employer_id', 'is_active'] }]
+  });
+  if (!promotion || !promotion.job) return null;
+
+  if (promotion.job.is_active && isCountedVisit(req, promotion.job) &&
+    !seenRecently(req, promotion.id, 'click', now.getTime())) {
+    await charge(promotion.id, 'click', now);
+  }
+  return promotion;
+};
+
+// Charges are billed to a company, or to an employer for personal jobs
+const accountCondition = ({ companyId, employerId }) => (companyId
+  ? { sql: 'p.company_id = :companyId', replacements: { companyId } }
+  : { sql: 'p.employer_id = :employerId AND p.company_id IS NULL', replacements: { employerId } });
+
+// Months with charges for an account, newest first, with their totals
+const listInvoices = async (account) => {
+  const condition = accountCondition(account);
+  const rows = await sequelize.query(`
+    SELECT DATE_FORMAT(c.date, '%Y-%m') AS month, p.currency,
+      SUM(CASE WHEN c.kind = 'impression' THEN c.quantity ELSE 0 END) AS impressions,
+      SUM(CASE WHEN c.kind = 'click' THEN c.quantity ELSE 0 END) AS clicks,
+      SUM(c.amount) AS amount
+    FROM promotion_charges c
+    JOIN job_promotions p ON p.id = c.promotion_id
+    WHERE ${condition.sql}
+    GROUP BY month, p.currency
+    ORDER BY month DESC, p.currency
+  `, { replacements: condition.replacements, type: QueryTypes.SELECT });
+
+  return rows.map(row => ({
+    month: row.month,
+    currency: row.currency,
+    impressions: Number(row.impressions),
+    clicks: Number(row.clicks),
+    amount: cents(row.amount)
+  }));
+};
+
+const monthPeriod = (month) => {
+  if (!MONTH_PATTERN.test(month || '')) {
+    throw new PromotionError('month must be a month (YYYY-MM)');
+  }
+  const [year, monthIndex] = month.split('-').map(Number);
+  const last = new Date(Date.UTC(year, monthIndex, 0));
+  return { from: `${month}-01`, to: last.toISOString().slice(0, 10) };
+};
+
+// Invoice-style usage statement of one month: a line per promotion and
+// charge kind, with totals per currency. Amounts are what the ledger holds;
+// no payment is collected. Months that are not over yet are `open`.
+const buildInvoice = async (account, month, now = new Date()) => {
+  const period = monthPeriod(month);
+  const condition = accountCondition(account);
+
+  const rows = await sequelize.query(`
+    SELECT p.id AS promotion_id, p.job_id, p.job_title, p.type, p.currency,
+      p.price_per_1000_impressions, p.price_per_click,
+      c.kind, SUM(c.quantity) AS quantity, SUM(c.amount) AS amount
+    FROM promotion_charges c
+    JOIN job_promotions p ON p.id = c.promotion_id
+    WHERE ${condition.sql} AND c.date BETWEEN :from AND :to
+    GROUP BY p.id, c.kind
+    ORDER BY p.id, c.kind
+  `, { replacements: { ...condition.replacements, ...period }, type: QueryTypes.SELECT });
+
+  const lines = rows.map(row => ({
+    promotion_id: row.promotion_id,
+    job_id: row.job_id,
+    job_title: row.job_title,
+    type: row.type,
+    kind: row.kind,
+    quantity: Number(row.quantity),
+    unit: row.kind === 'click' ? 'click' : '1000 impressions',
+    unit_price: Number(row.kind === 'click' ? row.price_per_click : row.price_per_1000_impressions),
+    currency: row.currency,
+    amount: cents(row.amount)
+  }));
+
+  const totals = new Map();
+  for (const line of lines) {
+    totals.set(line.currency, cents((totals.get(line.currency) || 0) + line.amount));
+  }
+
+  const accountRef = account.companyId ? `C${account.companyId}` : `E${account.employerId}`;
+  return {
+    number: `PROMO-${accountRef}-${month.replace('-', '')}`,
+    month,
+    period,
+    status: Date.parse(period.to) + DAY_MS > now.getTime() ? 'open' : 'closed',
+    lines,
+    totals: [...totals].map(([currency, amount]) => ({ currency, amount }))
+  };
+};
+
+module.exports = {
+  PROMOTION_TYPES,
+  PromotionError,
+  promotionOptions,
+  promotionState,
+  serializePromotion,
+  createPromotion,
+  updatePromotion,
+  cancelPromotion,
+  placePromotions,
+  recordImpressions,
+  recordClick,
+  listInvoices,
+  buildInvoice
+};
\ No newline at end of file
@@ -0,0 +1,72 @@
+const { Op } = require('sequelize');
+const { prepareSearch, searchCondition } = require('./search');
+const { parseFacetFilters, facetConditions } = require('./jobFacets');
+const { parseLocationQuery, locationCondition } = require('./jobLocation');
+const { salaryFilterConditions } = require('./salary');
+
+// Query-string parameters that select jobs, as opposed to paging and sorting.
+// Saved searches keep only these.
+const FILTER_PARAMS = [
+  'search',
+  'salary_min',
+  'salary_max',
+  'salary_currency',
+  'salary_period',
+  'include_undisclosed',
+  'employment_type',
+  'experience_level',
+  'work_mode',
+  'location',
+  'salary_band',
+  'posted_within',
+  'company_id',
+  'skill',
+  'near',
+  'lat',
+  'lng',
+  'radius_km',
+  'remote_country'
+];
+
+const pickFilters = (query) => Object.fromEntries(
+  FILTER_PARAMS
+    .filter(param => query[param] !== undefined && query[param] !== '')
+    .map(param => [param, query[param]])
+);
+
+// The where clauses behind `GET /api/jobs`. `whereClause` holds the base
+// filters (facet counts are computed against it) and `listWhere` adds every
+// facet filter; `searchQuery` is the prepared text search, if any. Throws
+// LocationQueryError for unknown places and SalaryError for unknown
+// currencies or pay periods.
+const buildJobQuery = async (query) => {
+  const { search } = query;
+  const whereClause = { is_active: true };
+  const conditions = salaryFilterConditions(query);
+
+  const location = parseLocationQuery(query);
+  if (location) {
+    conditions.push(locationCondition(location));
+  }
+
+  const searchQuery = search ? await prepareSearch(search) : null;
+  if (searchQuery) {
+    conditions.push(await searchCondition(searchQuery));
+  }
+  if (conditions.length > 0) {
+    whereClause[Op.and] = conditions;
+  }
+
+  const filters = parseFacetFilters(query);
+  const listWhere = {
+    [Op.and]: [whereClause, ...await facetConditions(filters)]
+  };
+
+  return { whereClause, listWhere, searchQuery, filters, location };
+};
+
+module.exports = {
+  FILTER_PARAMS,
+  pickFilters,
+  buildJobQuery
+};
\ No newline at end of file
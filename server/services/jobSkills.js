@@ -0,0 +1,156 @@
+const { Op } = require('sequelize');
+const { Skill, JobSkill, ResumeSkill } = require('../models');
+
+const PROFICIENCY_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+// How much each job skill counts towards the overlap score
+const IMPORTANCE_WEIGHTS = {
+  required: 2,
+  preferred: 1
+};
+
+const skillInclude = {
+  model: Skill,
+  as: 'skill',
+  attributes: ['id', 'name', 'category']
+};
+
+const jobSkillsInclude = {
+  model: JobSkill,
+  as: 'job_skills',
+  attributes: ['skill_id', 'importance', 'min_proficiency', 'min_years'],
+  include: [skillInclude]
+};
+
+// Replace a job's skills. Unknown names join the skills taxonomy, the same
+// way resume skills do.
+const setJobSkills = async (jobId, skills = []) => {
+  await JobSkill.destroy({ where: { job_id: jobId } });
+
+  for (const skillData of skills) {
+    const [skill] = await Skill.findOrCreate({
+      where: { name: skillData.name.trim() },
+      defaults: { category: skillData.category || 'General' }
+    });
+
+    await JobSkill.create({
+      job_id: jobId,
+      skill_id: skill.id,
+      importance: skillData.importance || 'required',
+      min_proficiency: skillData.min_proficiency || null,
+      min_years: skillData.min_years ?? null
+    });
+  }
+};
+
+// A job's skills in the `skills` shape `POST /api/jobs` accepts, for copies
+// and templates
+const listJobSkills = async (jobId) => {
+  const jobSkills = await JobSkill.findAll({
+    where: { job_id: jobId },
+    include: [skillInclude],
+    order: [['id', 'ASC']]
+  });
+
+  return jobSkills.map(jobSkill => ({
+    name: jobSkill.skill.name,
+    importance: jobSkill.importance,
+    ...(jobSkill.min_proficiency && { min_proficiency: jobSkill.min_proficiency }),
+    ...(jobSkill.min_years !== null && { min_years: jobSkill.min_years })
+  }));
+};
+
+// Resume skills with their names, grouped by resume id
+const loadResumeSkills = async (resumeIds) => {
+  const resumeSkills = await ResumeSkill.findAll({
+    where: { resume_id: { [Op.in]: resumeIds } },
+    include: [skillInclude]
+  });
+
+  const byResume = new Map(resumeIds.map(id => [id, []]));
+  for (const resumeSkill of resumeSkills) {
+    byResume.get(resumeSkill.resume_id)?.push(resumeSkill);
+  }
+  return byResume;
+};
+
+const levelOf = (level) => PROFICIENCY_LEVELS.indexOf(level) + 1;
+
+// Having a skill earns half its weight; the rest scales with how close the
+// resume comes to the minimum proficiency and years
+const coverage = (have, want) => {
+  const proficiency = want.min_proficiency
+    ? Math.min(1, levelOf(have.proficiency_level) / levelOf(want.min_proficiency))
+    : 1;
+  const years = want.min_years
+    ? Math.min(1, (have.years_experience || 0) / want.min_years)
+    : 1;
+  return 0.5 + 0.5 * proficiency * years;
+};
+
+// Deterministic overlap between a resume's skills and a job's, matched on the
+// skills taxonomy. `score` is 0-100 (null when the job lists no skills);
+// required skills weigh twice as much as preferred ones.
+const skillOverlap = (resumeSkills, jobSkills) => {
+  const held = new Map(resumeSkills.map(resumeSkill => [resumeSkill.skill_id, resumeSkill]));
+  const counts = {
+    required: { matched: 0, total: 0 },
+    preferred: { matched: 0, total: 0 }
+  };
+  let earned = 0;
+  let possible = 0;
+
+  const skills = jobSkills.map(jobSkill => {
+    const weight = IMPORTANCE_WEIGHTS[jobSkill.importance];
+    const have = held.get(jobSkill.skill_id);
+    const covered = have ? coverage(have, jobSkill) : 0;
+
+    possible += weight;
+    earned += weight * covered;
+    counts[jobSkill.importance].total += 1;
+    if (have) {
+      counts[jobSkill.importance].matched += 1;
+    }
+
+    return {
+      skill_id: jobSkill.skill_id,
+      name: jobSkill.skill?.name,
+      importance: jobSkill.importance,
+      min_proficiency: jobSkill.min_proficiency,
+      min_years: jobSkill.min_years,
+      proficiency_level: have?.proficiency_level || null,
+      years_experience: have?.years_experience ?? null,
+      status: !have ? 'missing' : covered === 1 ? 'met' : 'partial'
+    };
+  });
+
+  return {
+    score: possible > 0 ? Math.round(100 * earned / possible) : null,
+    ...counts,
+    skills
+  };
+};
+
+// Skill overlap of each resume with a job, by resume id
+const scoreResumes = async (jobId, resumeIds) => {
+  const [jobSkills, byResume] = await Promise.all([
+    JobSkill.findAll({
+      where: { job_id: jobId },
+      include: [skillInclude],
+      order: [['id', 'ASC']]
+    }),
+    loadResumeSkills(resumeIds)
+  ]);
+
+  return new Map(resumeIds.map(id => [id, skillOverlap(byResume.get(id), jobSkills)]));
+};
+
+module.exports = {
+  PROFICIENCY_LEVELS,
+  IMPORTANCE_WEIGHTS,
+  jobSkillsInclude,
+  setJobSkills,
+  listJobSkills,
+  skillOverlap,
+  scoreResumes
+};
\ No newline at end of file
@@ -0,0 +1,89 @@
+const { Op } = require('sequelize');
+const { sequelize, JobTemplate } = require('../models');
+const { jobAccessWhere } = require('./companyAccess');
+
+// Posting fields a template stores and a new job starts from
+const TEMPLATE_FIELDS = [
+  'title',
+  'description',
+  'requirements',
+  'location',
+  'salary_min',
+  'salary_max',
+  'salary_currency',
+  'salary_period',
+  'employment_type',
+  'experience_level',
+  'work_mode',
+  'remote_regions',
+  'screening_questions',
+  'skills'
+];
+
+const DECIMAL_FIELDS = ['salary_min', 'salary_max', 'latitude', 'longitude'];
+
+// Sequelize returns DECIMAL columns as strings; the job validator and the
+// salary range check expect numbers
+const copyFields = (record, fields) => {
+  const copy = {};
+  for (const field of fields) {
+    const value = record[field];
+    if (value === null || value === undefined || value === '') continue;
+    copy[field] = DECIMAL_FIELDS.includes(field) ? Number(value) : value;
+  }
+  return copy;
+};
+
+// Templates follow job access: the creator's personal templates plus those
+// of companies where the user's role grants the permission
+const findAccessibleTemplate = async (user, templateId, permission) => {
+  const accessWhere = await jobAccessWhere(user, permission);
+
+  return JobTemplate.findOne({
+    where: {
+      [Op.and]: [{ id: templateId }, accessWhere]
+    }
+  });
+};
+
+// `POST /api/jobs` body for a job started from a template
+const jobBodyFromTemplate = (template) => ({
+  ...copyFields(template, TEMPLATE_FIELDS),
+  company_id: template.company_id
+});
+
+// `POST /api/jobs` body for a copy of an existing job. Deadlines that have
+// already passed are dropped, as is the schedule.
+const jobBodyFromJob = (job, now = new Date()) => {
+  const body = {
+    ...copyFields(job, [...TEMPLATE_FIELDS, 'latitude', 'longitude']),
+    company_id: job.company_id
+  };
+  if (job.application_deadline && new Date(job.application_deadline) > now) {
+    body.application_deadline = job.application_deadline;
+  }
+  if (job.latitude === null || job.longitude === null) {
+    delete body.latitude;
+    delete body.longitude;
+  }
+  return body;
+};
+
+const templateFromJob = (job) => ({
+  ...copyFields(job, TEMPLATE_FIELDS),
+  company_id: job.company_id
+});
+
+const recordTemplateUse = (template) => JobTemplate.update({
+  usage_count: sequelize.literal('usage_count + 1'),
+  last_used_at: new Date()
+}, { where: { id: template.id } });
+
+module.exports = {
+  TEMPLATE_FIELDS,
+  findAccessibleTemplate,
+  jobBodyFromTemplate,
+  jobBodyFromJob,
+  templateFromJob,
+  recordTemplateUse
+};
\ No newline at end of file
@@ -0,0 +1,181 @@
+const { Op, literal } = require('sequelize');
+const { JobBookmark, Application, Job, Company, User } = require('../models');
+const { notify } = require('./notifications');
+const { buildDeadlineReminder } = require('./emails');
+
+const TRACKER_STAGES = ['saved', 'applied', 'interviewing', 'offer', 'rejected', 'withdrawn'];
+
+// Platform application statuses as tracker stages
+const APPLICATION_STAGES = {
+  pending: 'applied',
+  reviewed: 'applied',
+  shortlisted: 'interviewing',
+  hired: 'offer',
+  rejected: 'rejected'
+};
+
+const REMINDER_POLL_INTERVAL_MS = 60 * 60 * 1000;
+const REMINDER_BATCH_SIZE = 500;
+
+const trackedJobInclude = {
+  model: Job,
+  as: 'job',
+  attributes: ['id', 'title', 'location', 'employment_type', 'application_deadline', 'is_active', 'company_id'],
+  include: [{ model: Company, as: 'company', attributes: ['id', 'name', 'logo_url'] }]
+};
+
+const latest = (...dates) => new Date(Math.max(...dates.filter(Boolean).map(date => new Date(date).getTime())));
+
+const bookmarkItem = (bookmark) => ({
+  key: `bookmark-${bookmark.id}`,
+  source: bookmark.job_id ? 'bookmark' : 'external',
+  bookmark_id: bookmark.id,
+  application_id: null,
+  job_id: bookmark.job_id,
+  job: bookmark.job || null,
+  title: bookmark.job?.title || bookmark.title,
+  company: bookmark.job?.company?.name || bookmark.company_name,
+  location: bookmark.job?.location || bookmark.location,
+  url: bookmark.url,
+  stage: bookmark.stage,
+  application_status: null,
+  notes: bookmark.notes,
+  tags: bookmark.tags || [],
+  remind_days_before: bookmark.remind_days_before,
+  deadline: bookmark.job?.application_deadline || bookmark.deadline,
+  applied_at: bookmark.applied_at,
+  updated_at: bookmark.updated_at
+});
+
+// A bookmark on a job the user then applied to adds its notes and tags to
+// the application instead of showing up twice
+const applicationItem = (application, bookmark) => ({
+  key: `application-${application.id}`,
+  source: 'application',
+  bookmark_id: bookmark?.id || null,
+  application_id: application.id,
+  job_id: application.job_id,
+  job: application.job || null,
+  title: application.job?.title || null,
+  company: application.job?.company?.name || null,
+  location: application.job?.location || null,
+  url: null,
+  stage: APPLICATION_STAGES[application.status] || 'applied',
+  application_status: application.status,
+  notes: bookmark?.notes || null,
+  tags: bookmark?.tags || [],
+  remind_days_before: null,
+  deadline: application.job?.application_deadline || null,
+  applied_at: application.applied_at,
+  updated_at: latest(application.updated_at, bookmark?.updated_at)
+});
+
+// Bookmarks, external applications and platform applications as one
+// pipeline, most recently touched first
+const buildTracker = async (userId, { stage, tag } = {}) => {
+  const [bookmarks, applications] = await Promise.all([
+    JobBookmark.findAll({ where: { user_id: userId }, include: [trackedJobInclude] }),
+    Application.findAll({ where: { applicant_id: userId }, include: [trackedJobInclude] })
+  ]);
+
+  const bookmarksByJob = new Map(bookmarks.filter(b => b.job_id).map(b => [b.job_id, b]));
+  const appliedJobIds = new Set(applications.map(application => application.job_id));
+
+  let items = [
+    ...applications.map(application => applicationItem(application, bookmarksByJob.get(application.job_id))),
+    ...bookmarks.filter(b => !appliedJobIds.has(b.job_id)).map(bookmarkItem)
+  ];
+
+  const tags = [...new Set(items.flatMap(item => item.tags))].sort();
+  if (tag) {
+    items = items.filter(item => item.tags.includes(tag));
+  }
+
+  const stages = Object.fromEntries(TRACKER_STAGES.map(name => [
+    name,
+    items.filter(item => item.stage === name).length
+  ]));
+  if (stage) {
+    items = items.filter(item => item.stage === stage);
+  }
+
+  items.sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+  return { items, stages, tags };
+};
+
+const effectiveDeadline = (bookmark) => bookmark.job?.application_deadline || bookmark.deadline;
+
+// Same rule in SQL, so due reminders are found (and ordered) by the query
+// rather than filtered after the batch limit
+const EFFECTIVE_DEADLINE = 'DATE(COALESCE(`job`.`application_deadline`, `JobBookmark`.`deadline`))';
+
+// Remind users about saved jobs whose deadline is within their chosen
+// number of days, soonest first. Each bookmark is reminded once; changing
+// its deadline or lead time re-arms it.
+const processDeadlineReminders = async () => {
+  const now = new Date();
+
+  const bookmarks = await JobBookmark.findAll({
+    where: {
+      stage: 'saved',
+      reminder_sent_at: null,
+      remind_days_before: { [Op.ne]: null },
+      '$user.is_active$': true,
+      [Op.and]: [
+        literal(`${EFFECTIVE_DEADLINE} >= CURDATE()`),
+        literal(`${EFFECTIVE_DEADLINE} <= CURDATE() + INTERVAL \`JobBookmark\`.\`remind_days_before\` DAY`),
+        // Applying through the platform makes the reminder moot
+        literal('NOT EXISTS (SELECT 1 FROM applications WHERE applications.job_id = `JobBookmark`.`job_id` AND applications.applicant_id = `JobBookmark`.`user_id`)')
+      ]
+    },
+    include: [
+      trackedJobInclude,
+      { model: User, as: 'user', attributes: ['id', 'email', 'first_name', 'is_active'] }
+    ],
+    order: [[literal(EFFECTIVE_DEADLINE), 'ASC'], ['id', 'ASC']],
+    limit: REMINDER_BATCH_SIZE,
+    subQuery: false
+  });
+
+  let sent = 0;
+  for (const bookmark of bookmarks) {
+    try {
+      const [claimed] = await JobBookmark.update(
+        { reminder_sent_at: now },
+        { where: { id: bookmark.id, reminder_sent_at: null } }
+      );
+      if (claimed === 0) continue;
+
+      const deadline = effectiveDeadline(bookmark);
+      await notify(bookmark.user, buildDeadlineReminder({
+        bookmarkId: bookmark.id,
+        jobId: bookmark.job_id,
+        title: bookmark.job?.title || bookmark.title,
+        company: bookmark.job?.company?.name || bookmark.company_name,
+        url: bookmark.url,
+        deadline
+      }), ['email', 'in_app']);
+      sent += 1;
+    } catch (error) {
+      console.error(`Deadline reminder error for bookmark ${bookmark.id}:`, error);
+    }
+  }
+  return sent;
+};
+
+const startDeadlineReminderWorker = () => {
+  const poll = () => processDeadlineReminders().catch(error => {
+    console.error('Deadline reminder worker error:', error);
+  });
+
+  return setInterval(poll, REMINDER_POLL_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  TRACKER_STAGES,
+  APPLICATION_STAGES,
+  trackedJobInclude,
+  buildTracker,
+  processDeadlineReminders,
+  startDeadlineReminderWorker
+};
\ No newline at end of file
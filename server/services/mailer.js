@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Transports are selected with MAIL_TRANSPORT:
+//   smtp    - any SMTP server, including local catchers such as MailHog (SMTP_HOST/SMTP_PORT)
+//   file    - writes each message as JSON into MAIL_OUTPUT_DIR
+//   console - prints each message to stdout (default outside production)
+const createTransport = (type) => {
+  switch (type) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+
+    case 'file': {
+      const outputDir = process.env.MAIL_OUTPUT_DIR || './tmp/mail';
+      return {
+        sendMail: async (message) => {
+          await fs.promises.mkdir(outputDir, { recursive: true });
+          const fileName = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+          await fs.promises.writeFile(
+            path.join(outputDir, fileName),
+            JSON.stringify({ ...message, sent_at: new Date().toISOString() }, null, 2)
+          );
+          return { messageId: fileName };
+        }
+      };
+    }
+
+    case 'console':
+      return {
+        sendMail: async (message) => {
+          console.log('📧 Outgoing email');
+          console.log(`   To: ${message.to}`);
+          console.log(`   Subject: ${message.subject}`);
+          console.log(message.text);
+          return { messageId: `console-${Date.now()}` };
+        }
+      };
+
+    default:
+      throw new Error(`Unknown mail transport: ${type}`);
+  }
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const defaultType = process.env.NODE_ENV === 'production' ? 'smtp' : 'console';
+    transport = createTransport(process.env.MAIL_TRANSPORT || defaultType);
+  }
+  return transport;
+};
+
+// Send a message through the configured transport
+const sendMail = async ({ to, subject, text, html }) => {
+  return getTransport().sendMail({
+    from: process.env.MAIL_FROM || 'Job Board <no-reply@jobboard.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+// Allow tests and scripts to swap in a custom transport
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+module.exports = {
+  sendMail,
+  setTransport
+};
\ No newline at end of file
@@ -0,0 +1,60 @@
+const { Notification } = require('../models');
+const { sendMail } = require('./mailer');
+
+// Channels a message can be delivered through. Each notifier receives the
+// recipient and a message of { type, subject, text, html, data }.
+const notifiers = {
+  email: {
+    send: (user, message) => sendMail({
+      to: user.email,
+      subject: message.subject,
+      text: message.text,
+      html: message.html
+    })
+  },
+
+  in_app: {
+    send: (user, message) => Notification.create({
+      user_id: user.id,
+      type: message.type,
+      title: message.subject,
+      body: message.text,
+      data: message.data || null
+    })
+  }
+};
+
+// Add or replace a channel, e.g. a push or Slack notifier
+const registerNotifier = (channel, notifier) => {
+  notifiers[channel] = notifier;
+};
+
+const availableChannels = () => Object.keys(notifiers);
+
+// Deliver a message on every requested channel. One failing channel does not
+// stop the others; the channels that succeeded are returned.
+const notify = async (user, message, channels = ['in_app']) => {
+  const delivered = [];
+
+  for (const channel of channels) {
+    const notifier = notifiers[channel];
+    if (!notifier) {
+      console.warn(`Unknown notification channel: ${channel}`);
+      continue;
+    }
+    try {
+      await notifier.send(user, message);
+      delivered.push(channel);
+    } catch (error) {
+      console.error(`Notification error (${channel}) for user ${user.id}:`, error);
+    }
+  }
+
+  return delivered;
+};
+
+module.exports = {
+  registerNotifier,
+  availableChannels,
+  notify
+};
\ No newline at end of file
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const {
+  User,
+  Resume,
+  ResumeSkill,
+  Skill,
+  WorkExperience,
+  Education,
+  Application,
+  AIAnalysis,
+  Job,
+  CompanyMember,
+  Company,
+  SavedSearch,
+  Notification,
+  JobBookmark
+} = require('../models');
+const { SCREENING_UPLOAD_DIR } = require('./screening');
+
+// Multer stores uploads relative to the server's working directory
+const RESUME_UPLOAD_DIR = path.resolve('uploads/resumes');
+
+// Absolute path of an uploaded resume, or null for external/missing URLs
+const resumeFilePath = (resumeFileUrl) => {
+  if (!resumeFileUrl || !resumeFileUrl.startsWith('/uploads/resumes/')) {
+    return null;
+  }
+  return path.join(RESUME_UPLOAD_DIR, path.basename(resumeFileUrl));
+};
+
+// Absolute paths of the user's screening question uploads
+const listScreeningFiles = async (userId) => {
+  try {
+    const names = await fs.promises.readdir(SCREENING_UPLOAD_DIR);
+    return names
+      .filter(name => name.startsWith(`screening-${userId}-`))
+      .map(name => path.join(SCREENING_UPLOAD_DIR, name));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+};
+
+// Gather every row that belongs to the user into one JSON document
+const collectUserData = async (userId) => {
+  const user = await User.findByPk(userId, {
+    attributes: { exclude: ['password_hash', 'two_factor_secret'] }
+  });
+
+  const resumes = await Resume.findAll({
+    where: { user_id: userId },
+    include: [
+      {
+        model: ResumeSkill,
+        as: 'resume_skills',
+        include: [{ model: Skill, as: 'skill', attributes: ['id', 'name', 'category'] }]
+      },
+      { model: WorkExperience, as: 'work_experience' },
+      { model: Education, as: 'education' },
+      { model: AIAnalysis, as: 'ai_analyses' }
+    ],
+    order: [['created_at', 'ASC']]
+  });
+
+  const applications = await Application.findAll({
+    where: { applicant_id: userId },
+    include: [
+      {
+        model: Job,
+        as: 'job',
+        attributes: ['id', 'title', 'location', 'company_id']
+      }
+    ],
+    order: [['applied_at', 'ASC']]
+  });
+
+  const memberships = await CompanyMember.findAll({
+    where: { user_id: userId },
+    include: [{ model: Company, as: 'company', attributes: ['id', 'name'] }]
+  });
+
+  const savedSearches = await SavedSearch.findAll({
+    where: { user_id: userId },
+    attributes: { exclude: ['unsubscribe_token'] },
+    order: [['created_at', 'ASC']]
+  });
+
+  const bookmarks = await JobBookmark.findAll({
+    where: { user_id: userId },
+    order: [['created_at', 'ASC']]
+  });
+
+  const notifications = await Notification.findAll({
+    where: { user_id: userId },
+    order: [['created_at', 'ASC']]
+  });
+
+  return {
+    exported_at: new Date().toISOString(),
+    user,
+    resumes,
+    applications,
+    company_memberships: memberships,
+    saved_searches: savedSearches,
+    bookmarks,
+    notifications
+  };
+};
+
+// Stream a ZIP with data.json, the original resume uploads and screening files
+const streamDataExport = async (userId, res) => {
+  const data = await collectUserData(userId);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  archive.on('warning', (error) => {
+    console.warn('Data export warning:', error);
+  });
+  // Errors can come after finalize() (e.g. a file that fails to read), when
+  // all we can do is abort the half-sent download
+  archive.on('error', (error) => {
+    console.error('Data export error:', error);
+    res.destroy(error);
+  });
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="job-board-data-${userId}-${new Date().toISOString().slice(0, 10)}.zip"`
+  );
+  archive.pipe(res);
+
+  archive.append(JSON.stringify(data, null, 2), { name: 'data.json' });
+
+  for (const resume of data.resumes) {
+    const filePath = resumeFilePath(resume.resume_file_url);
+    if (filePath && fs.existsSync(filePath)) {
+      archive.file(filePath, { name: `resumes/${resume.id}-${path.basename(filePath)}` });
+    }
+  }
+
+  for (const filePath of await listScreeningFiles(userId)) {
+    archive.file(filePath, { name: `screening/${path.basename(filePath)}` });
+  }
+
+  await archive.finalize();
+};
+
+module.exports = {
+  RESUME_UPLOAD_DIR,
+  resumeFilePath,
+  listScreeningFiles,
+  collectUserData,
+  streamDataExport
+};
\ No newline at end of file
@@ -0,0 +1,81 @@
+const net = require('net');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved
+// ranges (and NAT64 addresses, which can wrap any of them) that outbound
+// requests to user-supplied URLs (feeds, webhooks, callbacks) may not reach
+const PRIVATE_RANGES = new net.BlockList();
+PRIVATE_RANGES.addSubnet('0.0.0.0', 8);
+PRIVATE_RANGES.addSubnet('10.0.0.0', 8);
+PRIVATE_RANGES.addSubnet('100.64.0.0', 10);
+PRIVATE_RANGES.addSubnet('127.0.0.0', 8);
+PRIVATE_RANGES.addSubnet('169.254.0.0', 16);
+PRIVATE_RANGES.addSubnet('172.16.0.0', 12);
+PRIVATE_RANGES.addSubnet('192.168.0.0', 16);
+PRIVATE_RANGES.addSubnet('224.0.0.0', 4);
+PRIVATE_RANGES.addSubnet('240.0.0.0', 4);
+PRIVATE_RANGES.addSubnet('::', 127, 'ipv6');
+PRIVATE_RANGES.addSubnet('fc00::', 7, 'ipv6');
+PRIVATE_RANGES.addSubnet('fe80::', 10, 'ipv6');
+PRIVATE_RANGES.addSubnet('64:ff9b::', 96, 'ipv6');
+
+class PrivateHostError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PrivateHostError';
+    this.status = 400;
+  }
+}
+
+const isPrivateAddress = (address, family) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return PRIVATE_RANGES.check(mapped[1], 'ipv4');
+  return PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Resolve the URL's host and reject it if any address is private. Returns
+// the checked addresses. Callers also disable redirects, since a redirect
+// could lead to a private host.
+const assertPublicUrl = async (url) => {
+  const { hostname } = new URL(url);
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+  const addresses = await dns.promises.lookup(host, { all: true }).catch(() => {
+    throw new PrivateHostError(`Could not resolve ${host}`);
+  });
+  if (addresses.some(({ address, family }) => isPrivateAddress(address, family))) {
+    throw new PrivateHostError(`${host} is not a public host`);
+  }
+  return addresses;
+};
+
+// A `lookup` for net.connect that only answers with `addresses`
+const pinnedLookup = (addresses) => (hostname, options, callback) => {
+  const matching = addresses.filter(({ family }) => !options.family || family === options.family);
+  if (matching.length === 0) {
+    return callback(Object.assign(new Error(`No address for ${hostname}`), { code: 'ENOTFOUND' }));
+  }
+  if (options.all) return callback(null, matching);
+  callback(null, matching[0].address, matching[0].family);
+};
+
+// Check the URL's host and return axios options whose agents connect to the
+// addresses that were checked. Letting the request resolve the host again
+// would give it a chance to answer with a private address the second time.
+const publicRequestOptions = async (url) => {
+  const lookup = pinnedLookup(await assertPublicUrl(url));
+  return {
+    httpAgent: new http.Agent({ lookup }),
+    httpsAgent: new https.Agent({ lookup })
+  };
+};
+
+module.exports = {
+  PRIVATE_RANGES,
+  PrivateHostError,
+  isPrivateAddress,
+  assertPublicUrl,
+  pinnedLookup,
+  publicRequestOptions
+};
\ No newline at end of file
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const { Op, fn, col, literal } = require('sequelize');
+
+// Offline exchange rates: units of each currency per unit of `base`.
+// EXCHANGE_RATES_DATASET points at a fresher export with the same shape.
+const RATES_PATH = process.env.EXCHANGE_RATES_DATASET ||
+  path.join(__dirname, '../data/exchange_rates.json');
+
+// Pay-transparency rules per jurisdiction; PAY_TRANSPARENCY_RULES points at
+// a replacement list with the same shape
+const RULES_PATH = process.env.PAY_TRANSPARENCY_RULES ||
+  path.join(__dirname, '../data/pay_transparency.json');
+
+const SALARY_PERIODS = ['hourly', 'daily', 'monthly', 'yearly'];
+
+// Full-time equivalents used to annualize pay
+const PERIODS_PER_YEAR = {
+  hourly: 2080,
+  daily: 260,
+  monthly: 12,
+  yearly: 1
+};
+
+const SALARY_FIELDS = ['salary_min', 'salary_max', 'salary_currency', 'salary_period'];
+
+const { base, as_of: RATES_AS_OF, rates: RATES } = JSON.parse(fs.readFileSync(RATES_PATH, 'utf8'));
+
+const SALARY_CURRENCIES = Object.keys(RATES);
+
+// Annualized salaries are stored in this currency for filtering and sorting
+const NORMALIZED_CURRENCY = process.env.SALARY_NORMALIZED_CURRENCY || base;
+const DEFAULT_CURRENCY = process.env.SALARY_DEFAULT_CURRENCY || NORMALIZED_CURRENCY;
+
+class SalaryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SalaryError';
+    this.status = 400;
+  }
+}
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Yearly pay in `to` (the normalized currency by default), in whole units
+const annualize = (amount, currency = DEFAULT_CURRENCY, period = 'yearly', to = NORMALIZED_CURRENCY) => {
+  if (isBlank(amount)) return null;
+  if (!Number.isFinite(Number(amount))) {
+    throw new SalaryError('Salary amounts must be numbers');
+  }
+  if (!RATES[currency] || !RATES[to]) {
+    throw new SalaryError(`Unsupported currency: ${RATES[currency] ? to : currency}`);
+  }
+  if (!PERIODS_PER_YEAR[period]) {
+    throw new SalaryError(`Unknown salary period: ${period}`);
+  }
+  return Math.round(Number(amount) * PERIODS_PER_YEAR[period] / RATES[currency] * RATES[to]);
+};
+
+const touchesSalary = (body) => SALARY_FIELDS.some(field => field in body);
+
+// Currency, period and normalized yearly range of a job's advertised pay;
+// `current` fills in whatever an update leaves alone
+const salaryAttributes = (body, current = {}) => {
+  const value = (field) => (field in body ? body[field] : current[field]);
+  const currency = value('salary_currency') || DEFAULT_CURRENCY;
+  const period = value('salary_period') || 'yearly';
+
+  return {
+    salary_currency: currency,
+    salary_period: period,
+    salary_min_annual: annualize(value('salary_min'), currency, period),
+    salary_max_annual: annualize(value('salary_max'), currency, period)
+  };
+};
+
+// Same for a resume's salary expectation
+const expectationAttributes = (body, current = {}) => {
+  const value = (field) => (field in body ? body[field] : current[field]);
+  const currency = value('salary_expectation_currency') || DEFAULT_CURRENCY;
+  const period = value('salary_expectation_period') || 'yearly';
+
+  return {
+    salary_expectation_currency: currency,
+    salary_expectation_period: period,
+    salary_expectation_annual: annualize(value('salary_expectation'), currency, period)
+  };
+};
+
+// Jobs without any figure are "salary not disclosed"
+const undisclosedWhere = { salary_min_annual: null, salary_max_annual: null };
+
+// `salary_min`/`salary_max` filters on `GET /api/jobs`, given in
+// `salary_currency` per `salary_period` (yearly in the normalized currency by
+// default) and compared on annualized pay. Undisclosed jobs only match with
+// `include_undisclosed=true`.
+const salaryFilterConditions = (query) => {
+  const { salary_min, salary_max, salary_currency, salary_period, include_undisclosed } = query;
+  if (isBlank(salary_min) && isBlank(salary_max)) return [];
+
+  const currency = salary_currency || NORMALIZED_CURRENCY;
+  const period = salary_period || 'yearly';
+  const range = {};
+
+  if (!isBlank(salary_min)) {
+    range.salary_min_annual = { [Op.gte]: annualize(salary_min, currency, period) };
+  }
+  if (!isBlank(salary_max)) {
+    range.salary_max_annual = { [Op.lte]: annualize(salary_max, currency, period) };
+  }
+
+  return [String(include_undisclosed) === 'true' ? { [Op.or]: [range, undisclosedWhere] } : range];
+};
+
+// `sort=salary`: best-paid first by the top of the range (or its only
+// figure); undisclosed salaries sort last either way
+const salaryOrder = (direction = 'DESC') => [
+  [literal('COALESCE(salary_max_annual, salary_min_annual) IS NULL'), 'ASC'],
+  [fn('COALESCE', col('salary_max_annual'), col('salary_min_annual')), direction]
+];
+
+let rules = null;
+const loadRules = () => {
+  if (!rules) {
+    rules = JSON.parse(fs.readFileSync(RULES_PATH, 'utf8'));
+  }
+  return rules;
+};
+
+// Rules apply where the job's location geocodes to: a country, optionally
+// narrowed to regions (US states, Canadian provinces)
+const rulesFor = (job) => loadRules().filter(rule =>
+  (rule.country_codes || []).includes(job.country_code) &&
+  (!rule.regions || rule.regions.includes(job.region))
+);
+
+// Reasons a job cannot be advertised as-is under the rules of its location.
+// Rules may require any figure (`require_salary`), a full range
+// (`require_range`) and cap the range's yearly width (`max_range_width`, in
+// the rule's `currency`).
+const payTransparencyViolations = (job) => {
+  const hasMin = !isBlank(job.salary_min);
+  const hasMax = !isBlank(job.salary_max);
+  const violations = [];
+
+  for (const rule of rulesFor(job)) {
+    if (rule.require_range && !(hasMin && hasMax)) {
+      violations.push(`Jobs in ${rule.name} must advertise a salary range`);
+    } else if (rule.require_salary && !hasMin && !hasMax) {
+      violations.push(`Jobs in ${rule.name} must advertise a salary`);
+    } else if (rule.max_range_width && hasMin && hasMax) {
+      const currency = rule.currency || NORMALIZED_CURRENCY;
+      const period = job.salary_period || 'yearly';
+      const width = annualize(job.salary_max, job.salary_currency || DEFAULT_CURRENCY, period, currency) -
+        annualize(job.salary_min, job.salary_currency || DEFAULT_CURRENCY, period, currency);
+      if (width > rule.max_range_width) {
+        violations.push(`Salary ranges in ${rule.name} cannot span more than ${rule.max_range_width} ${currency} a year`);
+      }
+    }
+  }
+
+  return violations;
+};
+
+// Options for salary inputs and the rules employers are held to
+const salaryOptions = () => ({
+  currencies: SALARY_CURRENCIES,
+  periods: SALARY_PERIODS,
+  default_currency: DEFAULT_CURRENCY,
+  normalized_currency: NORMALIZED_CURRENCY,
+  rates_as_of: RATES_AS_OF,
+  pay_transparency: loadRules()
+});
+
+module.exports = {
+  SALARY_CURRENCIES,
+  SALARY_PERIODS,
+  SALARY_FIELDS,
+  NORMALIZED_CURRENCY,
+  DEFAULT_CURRENCY,
+  SalaryError,
+  annualize,
+  touchesSalary,
+  salaryAttributes,
+  expectationAttributes,
+  undisclosedWhere,
+  salaryFilterConditions,
+  salaryOrder,
+  payTransparencyViolations,
+  salaryOptions
+};
\ No newline at end of file
@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const path = require('path');
+const { sequelize } = require('../models');
+
+const QUESTION_TYPES = ['yes_no', 'single_choice', 'multi_choice', 'number', 'text', 'file'];
+const CHOICE_TYPES = ['single_choice', 'multi_choice'];
+
+const MAX_TEXT_ANSWER = 2000;
+
+// Multer stores screening uploads relative to the server's working directory
+const SCREENING_UPLOAD_DIR = path.resolve('uploads/screening');
+
+class ScreeningError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScreeningError';
+    this.status = 400;
+  }
+}
+
+// Questions keep a stable id so answers can refer to them after edits
+const withQuestionIds = (questions = []) => (questions || []).map(question => ({
+  ...question,
+  id: question.id || `q_${crypto.randomBytes(4).toString('hex')}`,
+  required: question.required ?? false
+}));
+
+// Applicants see the questions but not what disqualifies them
+const publicQuestions = (questions) => (questions || []).map(({ knockout, ...question }) => question);
+
+// Uploads are named after their owner, so an applicant can only attach
+// files they uploaded themselves
+const screeningFileName = (userId, extension) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return `screening-${userId}-${uniqueSuffix}${extension}`;
+};
+
+const screeningFilePath = (fileUrl) => {
+  if (!fileUrl || !fileUrl.startsWith('/uploads/screening/')) {
+    return null;
+  }
+  return path.join(SCREENING_UPLOAD_DIR, path.basename(fileUrl));
+};
+
+const ownsScreeningFile = (userId, fileUrl) => {
+  return typeof fileUrl === 'string' &&
+    path.basename(fileUrl).startsWith(`screening-${userId}-`) &&
+    !!screeningFilePath(fileUrl);
+};
+
+const isMissing = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+const checkAnswer = (question, value, userId) => {
+  const valid = {
+    yes_no: () => typeof value === 'boolean',
+    single_choice: () => question.options.includes(value),
+    multi_choice: () => Array.isArray(value) && value.every(option => question.options.includes(option)),
+    number: () => typeof value === 'number' && Number.isFinite(value),
+    text: () => typeof value === 'string' && value.length <= MAX_TEXT_ANSWER,
+    file: () => ownsScreeningFile(userId, value)
+  }[question.type];
+
+  if (!valid || !valid()) {
+    throw new ScreeningError(`Invalid answer to "${question.question}"`);
+  }
+};
+
+// Whether an answer trips the question's knockout rule
+const knocksOut = (question, value) => {
+  const rule = question.knockout;
+  if (!rule) return false;
+
+  switch (question.type) {
+    case 'yes_no':
+      return rule.reject_when === value;
+    case 'single_choice':
+      return (rule.reject_options || []).includes(value);
+    case 'multi_choice':
+      return value.some(option => (rule.reject_options || []).includes(option));
+    case 'number':
+      return (rule.min !== undefined && value < rule.min) ||
+        (rule.max !== undefined && value > rule.max);
+    default:
+      return false;
+  }
+};
+
+// Check `answers` ({ question_id: value }) against a job's questions.
+// Returns the answers as stored on the application, with each question's
+// text and type snapshotted, and the questions that knocked the applicant
+// out. Throws ScreeningError for missing, unknown or malformed answers.
+const evaluateAnswers = (questions, answers = {}, userId) => {
+  const known = new Set((questions || []).map(question => question.id));
+  const unknown = Object.keys(answers).find(id => !known.has(id));
+  if (unknown) {
+    throw new ScreeningError(`Unknown screening question: ${unknown}`);
+  }
+
+  const stored = [];
+  const knockouts = [];
+
+  for (const question of questions || []) {
+    const value = answers[question.id];
+
+    if (isMissing(value)) {
+      if (question.required) {
+        throw new ScreeningError(`Please answer "${question.question}"`);
+      }
+      continue;
+    }
+
+    checkAnswer(question, value, userId);
+    stored.push({
+      question_id: question.id,
+      question: question.question,
+      type: question.type,
+      value
+    });
+
+    if (knocksOut(question, value)) {
+      knockouts.push({ question_id: question.id, question: question.question });
+    }
+  }
+
+  return { answers: stored, knockouts };
+};
+
+// Query-string answers arrive as strings; coerce them to the question type
+const parseFilterValue = (question, raw) => {
+  switch (question.type) {
+    case 'yes_no':
+      return ['true', 'yes', '1'].includes(String(raw).toLowerCase());
+    case 'number':
+      return Number(raw);
+    case 'multi_choice':
+      return Array.isArray(raw) ? raw : String(raw).split(',');
+    default:
+      return String(raw);
+  }
+};
+
+// Where conditions for `answers[<question_id>]=<value>` filters on a job's
+// applications; multi-choice filters match applicants who picked every value
+const answerConditions = (questions, filters) => {
+  if (!filters || typeof filters !== 'object') return [];
+
+  return Object.entries(filters)
+    .map(([questionId, raw]) => {
+      const question = (questions || []).find(item => item.id === questionId);
+      if (!question || question.type === 'file' || isMissing(raw)) return null;
+
+      const candidate = { question_id: questionId, value: parseFilterValue(question, raw) };
+      if (question.type === 'number' && !Number.isFinite(candidate.value)) return null;
+
+      return sequelize.where(
+        sequelize.fn('JSON_CONTAINS', sequelize.col('screening_answers'), JSON.stringify(candidate)),
+        1
+      );
+    })
+    .filter(Boolean);
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  CHOICE_TYPES,
+  SCREENING_UPLOAD_DIR,
+  ScreeningError,
+  withQuestionIds,
+  publicQuestions,
+  screeningFileName,
+  screeningFilePath,
+  ownsScreeningFile,
+  evaluateAnswers,
+  answerConditions
+};
\ No newline at end of file
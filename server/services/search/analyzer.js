@@ -0,0 +1,118 @@
+// Text analysis shared by every search engine, so indexed documents and
+// queries always reduce to the same terms
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have',
+  'in', 'is', 'it', 'its', 'of', 'on', 'or', 'our', 'that', 'the', 'this', 'to',
+  'we', 'will', 'with', 'you', 'your'
+]);
+
+// Keeps tech tokens such as "node.js", "c++", "c#" and ".net" in one piece
+const TOKEN_PATTERN = /\.?[a-z0-9][a-z0-9+#]*(?:\.[a-z0-9][a-z0-9+#]*)*/g;
+
+const MAX_TERM_LENGTH = 40;
+const MIN_STEM_LENGTH = 3;
+
+// Longest first; only one of these is removed per word
+const SUFFIXES = [
+  ['izations', 'iz'],
+  ['ization', 'iz'],
+  ['ations', 'at'],
+  ['ation', 'at'],
+  ['ments', ''],
+  ['ment', ''],
+  ['ness', ''],
+  ['ings', ''],
+  ['ing', ''],
+  ['ers', ''],
+  ['er', ''],
+  ['ed', ''],
+  ['ly', '']
+];
+
+const normalize = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '');
+
+const tokenize = (text) => normalize(text).match(TOKEN_PATTERN) || [];
+
+const hasVowel = (word) => /[aeiouy]/.test(word);
+
+const removePlural = (word) => {
+  if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('sses')) return word.slice(0, -2);
+  if (/[^sui]s$/.test(word)) return word.slice(0, -1);
+  return word;
+};
+
+// A light English stemmer: "developers", "developing" and "development" all
+// become "develop". Tokens with digits or symbols are left untouched.
+const stem = (token) => {
+  if (token.length <= MIN_STEM_LENGTH || /[^a-z]/.test(token)) {
+    return token;
+  }
+
+  let word = removePlural(token);
+
+  for (const [suffix, replacement] of SUFFIXES) {
+    if (!word.endsWith(suffix)) continue;
+    const base = word.slice(0, -suffix.length);
+    if (base.length >= MIN_STEM_LENGTH && hasVowel(base)) {
+      word = base + replacement;
+      // "running" -> "runn" -> "run", but keep "skill" and "class"
+      if (!replacement && /([^aeiouylsz])\1$/.test(word)) {
+        word = word.slice(0, -1);
+      }
+    }
+    break;
+  }
+
+  if (word.endsWith('e') && word.length > MIN_STEM_LENGTH + 1) {
+    word = word.slice(0, -1);
+  }
+
+  return word;
+};
+
+// Text -> ordered list of stemmed terms (positions matter for phrases)
+const analyze = (text) => tokenize(text)
+  .filter(token => !STOP_WORDS.has(token))
+  .map(token => stem(token).substring(0, MAX_TERM_LENGTH));
+
+// Edit distance that gives up once it exceeds maxDistance
+const editDistance = (a, b, maxDistance = Infinity) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// How many typos a query term may contain and still match
+const allowedTypos = (term) => {
+  if (/[^a-z]/.test(term)) return 0;
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+};
+
+module.exports = {
+  STOP_WORDS,
+  tokenize,
+  stem,
+  analyze,
+  editDistance,
+  allowedTypos
+};
\ No newline at end of file
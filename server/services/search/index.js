@@ -0,0 +1,181 @@
+const { Op } = require('sequelize');
+const { Job, Company, JobSkill, Skill } = require('../../models');
+const { analyze, editDistance, allowedTypos } = require('./analyzer');
+const { parseQuery, isEmptyQuery } = require('./queryParser');
+const createMysqlEngine = require('./mysqlEngine');
+const createMemoryEngine = require('./memoryEngine');
+
+const ENGINES = {
+  mysql: createMysqlEngine,
+  memory: createMemoryEngine
+};
+
+const MAX_RESULTS = 1000;
+const MAX_SPELLINGS = 5;
+const REINDEX_BATCH_SIZE = 500;
+
+// MySQL FULLTEXT in production; the embedded index for tests
+const engineName = process.env.SEARCH_ENGINE ||
+  (process.env.NODE_ENV === 'test' ? 'memory' : 'mysql');
+const engine = (ENGINES[engineName] || ENGINES.mysql)();
+
+const companyInclude = {
+  model: Company,
+  as: 'company',
+  attributes: ['id', 'name']
+};
+
+const skillsInclude = {
+  model: JobSkill,
+  as: 'job_skills',
+  attributes: ['id'],
+  include: [{ model: Skill, as: 'skill', attributes: ['name'] }]
+};
+
+const buildDocument = (job) => ({
+  job_id: job.id,
+  fields: {
+    title: analyze(job.title),
+    company: analyze(job.company?.name),
+    // Linked skills plus the free-text requirements older postings list them in
+    skills: analyze([...(job.job_skills || []).map(jobSkill => jobSkill.skill.name), job.requirements].join(' ')),
+    body: analyze(`${job.description || ''} ${job.location || ''}`)
+  }
+});
+
+// Refresh one job's search document. Failures are logged but never break the
+// request; `npm run search:reindex` repairs drift.
+const indexJob = async (jobId) => {
+  try {
+    const job = await Job.findByPk(jobId, { include: [companyInclude, skillsInclude] });
+    if (!job) {
+      await engine.remove(jobId);
+      return;
+    }
+    await engine.index(buildDocument(job));
+  } catch (error) {
+    console.error(`Search index error for job ${jobId}:`, error);
+  }
+};
+
+const removeJob = async (jobId) => {
+  try {
+    await engine.remove(jobId);
+  } catch (error) {
+    console.error(`Search index removal error for job ${jobId}:`, error);
+  }
+};
+
+// Company names are part of every document for that company's jobs
+const indexCompanyJobs = async (companyId) => {
+  try {
+    const jobs = await Job.findAll({ where: { company_id: companyId }, attributes: ['id'] });
+    for (const job of jobs) {
+      await indexJob(job.id);
+    }
+  } catch (error) {
+    console.error(`Search index error for company ${companyId}:`, error);
+  }
+};
+
+const reindexAll = async () => {
+  await engine.clear();
+
+  let indexed = 0;
+  let lastId = 0;
+  for (;;) {
+    const jobs = await Job.findAll({
+      where: { id: { [Op.gt]: lastId } },
+      include: [companyInclude, { ...skillsInclude, separate: true }],
+      order: [['id', 'ASC']],
+      limit: REINDEX_BATCH_SIZE
+    });
+    if (jobs.length === 0) break;
+
+    for (const job of jobs) {
+      await engine.index(buildDocument(job));
+    }
+    indexed += jobs.length;
+    lastId = jobs[jobs.length - 1].id;
+  }
+
+  return indexed;
+};
+
+// The embedded index lives in memory, so it has to be rebuilt on boot
+const initSearchIndex = async () => {
+  if (engine.name !== 'memory') return;
+  try {
+    const count = await reindexAll();
+    console.log(`🔎 Search index built (${count} jobs)`);
+  } catch (error) {
+    console.error('Search index build error:', error);
+  }
+};
+
+// Words the index has never seen also match indexed terms within one or two
+// edits ("kubernets" -> "kubernetes")
+const withTypoTolerance = async (query) => {
+  const terms = await Promise.all(query.terms.map(async ([term]) => {
+    const maxDistance = allowedTypos(term);
+    if (maxDistance === 0 || await engine.hasTerm(term)) {
+      return [term];
+    }
+
+    const candidates = await engine.candidateTerms(term, maxDistance);
+    const corrections = candidates
+      .map(candidate => ({ candidate, distance: editDistance(term, candidate, maxDistance) }))
+      .filter(({ distance }) => distance <= maxDistance)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, MAX_SPELLINGS)
+      .map(({ candidate }) => candidate);
+
+    return [term, ...corrections];
+  }));
+
+  return { ...query, terms };
+};
+
+// The parsed query with typo corrections, or null when the string has
+// nothing searchable in it (so callers can skip text filtering)
+const prepareSearch = async (text) => {
+  const query = parseQuery(text);
+  if (isEmptyQuery(query)) return null;
+
+  return withTypoTolerance(query);
+};
+
+// Condition on a Job query matching every job the prepared query matches, so
+// the other filters apply to all hits rather than to a capped top list
+const searchCondition = (query) => engine.matchCondition(query);
+
+// Ranked [{ job_id, score }] for the jobs in `jobIds` that match the query
+const rankJobs = (query, jobIds) => engine.search(query, { jobIds, limit: jobIds.length });
+
+// Top ranked [{ job_id, score }] for a query string, or null when the string
+// has nothing searchable in it
+const searchJobs = async (text) => {
+  const query = await prepareSearch(text);
+  return query && engine.search(query, { limit: MAX_RESULTS });
+};
+
+// Condition matching jobs whose indexed skills (linked skills plus the
+// requirements text) mention any of the names, or null if none is searchable
+const skillMentionCondition = async (names) => {
+  const sequences = names.map(name => analyze(name)).filter(terms => terms.length > 0);
+  return sequences.length > 0 ? engine.fieldCondition('skills', sequences) : null;
+};
+
+module.exports = {
+  engine,
+  indexJob,
+  removeJob,
+  indexCompanyJobs,
+  reindexAll,
+  initSearchIndex,
+  prepareSearch,
+  searchCondition,
+  rankJobs,
+  searchJobs,
+  skillMentionCondition
+};
\ No newline at end of file
@@ -0,0 +1,133 @@
+const { Op } = require('sequelize');
+const { FIELD_WEIGHTS, PHRASE_BOOST } = require('./scoring');
+
+const containsSequence = (terms, sequence) => {
+  for (let i = 0; i + sequence.length <= terms.length; i++) {
+    if (sequence.every((term, offset) => terms[i + offset] === term)) return true;
+  }
+  return false;
+};
+
+const countTerms = (terms) => {
+  const counts = new Map();
+  for (const term of terms) {
+    counts.set(term, (counts.get(term) || 0) + 1);
+  }
+  return counts;
+};
+
+// In-process index for tests and single-node development. Nothing is
+// persisted; the index is rebuilt from the database on startup.
+const createMemoryEngine = () => {
+  const documents = new Map();
+  const documentFrequency = new Map();
+
+  const remove = async (jobId) => {
+    const existing = documents.get(jobId);
+    if (!existing) return;
+
+    for (const term of existing.terms) {
+      const frequency = documentFrequency.get(term) - 1;
+      if (frequency > 0) {
+        documentFrequency.set(term, frequency);
+      } else {
+        documentFrequency.delete(term);
+      }
+    }
+    documents.delete(jobId);
+  };
+
+  const index = async ({ job_id, fields }) => {
+    await remove(job_id);
+
+    const counts = {};
+    const unique = new Set();
+    for (const [field, terms] of Object.entries(fields)) {
+      counts[field] = countTerms(terms);
+      terms.forEach(term => unique.add(term));
+    }
+
+    documents.set(job_id, { fields, counts, terms: unique });
+    for (const term of unique) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  };
+
+  // BM25-style saturation per field, weighted the same way as the MySQL engine
+  const termScore = (document, term) => {
+    const idf = Math.log(1 + documents.size / (documentFrequency.get(term) || 1));
+    let score = 0;
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      const frequency = document.counts[field]?.get(term) || 0;
+      score += weight * (frequency / (frequency + 1.2)) * idf;
+    }
+    return score;
+  };
+
+  const inAnyField = (document, sequence) => {
+    return Object.values(document.fields).some(terms => containsSequence(terms, sequence));
+  };
+
+  const search = async (query, { limit, jobIds } = {}) => {
+    const results = [];
+    const wanted = jobIds && new Set(jobIds);
+
+    for (const [jobId, document] of documents) {
+      if (wanted && !wanted.has(jobId)) continue;
+      if (query.excluded.some(sequence => inAnyField(document, sequence))) continue;
+      if (!query.phrases.every(sequence => inAnyField(document, sequence))) continue;
+
+      let score = 0;
+      let matchesAll = true;
+      for (const spellings of query.terms) {
+        const best = Math.max(...spellings.map(term => termScore(document, term)));
+        if (best <= 0) {
+          matchesAll = false;
+          break;
+        }
+        score += best;
+      }
+      if (!matchesAll) continue;
+
+      for (const sequence of query.phrases) {
+        score += PHRASE_BOOST * sequence.reduce((sum, term) => sum + termScore(document, term), 0);
+      }
+
+      results.push({ job_id: jobId, score });
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score || b.job_id - a.job_id)
+      .slice(0, limit);
+  };
+
+  const matchCondition = async (query) => ({
+    id: { [Op.in]: (await search(query)).map(result => result.job_id) }
+  });
+
+  const fieldCondition = async (field, sequences) => ({
+    id: {
+      [Op.in]: [...documents]
+        .filter(([, document]) => sequences.some(sequence => containsSequence(document.fields[field] || [], sequence)))
+        .map(([jobId]) => jobId)
+    }
+  });
+
+  return {
+    name: 'memory',
+    index,
+    remove,
+    clear: async () => {
+      documents.clear();
+      documentFrequency.clear();
+    },
+    hasTerm: async (term) => documentFrequency.has(term),
+    candidateTerms: async (term, maxDistance) => [...documentFrequency.keys()]
+      .filter(candidate => Math.abs(candidate.length - term.length) <= maxDistance),
+    search,
+    matchCondition,
+    fieldCondition
+  };
+};
+
+module.exports = createMemoryEngine;
\ No newline at end of file
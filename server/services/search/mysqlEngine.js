@@ -0,0 +1,135 @@
+const { Op, QueryTypes } = require('sequelize');
+const { sequelize, JobSearchDocument, JobSearchTerm } = require('../../models');
+const { allowedTypos } = require('./analyzer');
+const { hasPositiveClauses } = require('./queryParser');
+const { FIELD_WEIGHTS } = require('./scoring');
+
+const ALL_COLUMNS = Object.keys(FIELD_WEIGHTS).map(field => `${field}_terms`).join(', ');
+const MAX_CANDIDATE_TERMS = 2000;
+
+// InnoDB's FULLTEXT parser splits "node.js" and "c++", drops words shorter
+// than innodb_ft_min_token_size ("go", "ui") and applies its own stopword
+// list. Storing every analyzed term hex-encoded behind a letter sidesteps all
+// three: "node.js" -> "t6e6f64652e6a73".
+const encodeTerm = (term) => `t${Buffer.from(term).toString('hex')}`;
+
+const encodeTerms = (terms) => terms.map(encodeTerm).join(' ');
+
+const spellingGroup = (spellings) => `(${encodeTerms(spellings)})`;
+
+const sequenceExpression = (sequence) => {
+  return sequence.length === 1 ? encodeTerm(sequence[0]) : `"${encodeTerms(sequence)}"`;
+};
+
+// Every term and phrase is required, exclusions are forbidden
+const filterExpression = (query) => [
+  ...query.terms.map(spellings => `+${spellingGroup(spellings)}`),
+  ...query.phrases.map(sequence => `+${sequenceExpression(sequence)}`),
+  ...query.excluded.map(sequence => `-${sequenceExpression(sequence)}`)
+].join(' ');
+
+// Scored per column without operators so partial field matches still count
+const rankExpression = (query) => [
+  ...query.terms.map(spellingGroup),
+  ...query.phrases.map(sequenceExpression)
+].join(' ');
+
+// Whether a search document matches the query. A query of only exclusions
+// matches everything that avoids them.
+const matchExpression = (query) => {
+  const positive = hasPositiveClauses(query);
+  const filter = positive
+    ? filterExpression(query)
+    : query.excluded.map(sequenceExpression).join(' ');
+  return `${positive ? '' : 'NOT '}MATCH(${ALL_COLUMNS}) AGAINST(${sequelize.escape(filter)} IN BOOLEAN MODE)`;
+};
+
+const weightedScore = Object.entries(FIELD_WEIGHTS)
+  .map(([field, weight]) => `MATCH(${field}_terms) AGAINST(:rank IN BOOLEAN MODE) * ${weight}`)
+  .join(' + ');
+
+const createMysqlEngine = () => {
+  const index = async ({ job_id, fields }) => {
+    await JobSearchDocument.upsert({
+      job_id,
+      title_terms: encodeTerms(fields.title),
+      company_terms: encodeTerms(fields.company),
+      skills_terms: encodeTerms(fields.skills),
+      body_terms: encodeTerms(fields.body)
+    });
+
+    // Only words that typo correction can reach belong in the vocabulary
+    const vocabulary = [...new Set(Object.values(fields).flat())]
+      .filter(term => allowedTypos(term) > 0);
+    if (vocabulary.length > 0) {
+      await JobSearchTerm.bulkCreate(vocabulary.map(term => ({ term })), { ignoreDuplicates: true });
+    }
+  };
+
+  const search = async (query, { limit, jobIds }) => {
+    if (jobIds && jobIds.length === 0) return [];
+
+    // A query of only exclusions returns everything that avoids them
+    const positive = hasPositiveClauses(query);
+    const rows = await sequelize.query(`
+      SELECT job_id, ${positive ? weightedScore : '0'} AS score
+      FROM job_search_documents
+      WHERE ${matchExpression(query)}
+      ${jobIds ? 'AND job_id IN (:jobIds)' : ''}
+      ORDER BY score DESC, job_id DESC
+      LIMIT :limit
+    `, {
+      replacements: {
+        rank: rankExpression(query),
+        jobIds,
+        limit
+      },
+      type: QueryTypes.SELECT
+    });
+
+    return rows.map(row => ({ job_id: row.job_id, score: Number(row.score) }));
+  };
+
+  // Candidates share the first letter, which keeps the lookup on the primary key
+  const candidateTerms = async (term, maxDistance) => {
+    const rows = await JobSearchTerm.findAll({
+      attributes: ['term'],
+      where: {
+        term: { [Op.like]: `${term[0]}%` },
+        [Op.and]: sequelize.where(
+          sequelize.fn('CHAR_LENGTH', sequelize.col('term')),
+          { [Op.between]: [term.length - maxDistance, term.length + maxDistance] }
+        )
+      },
+      limit: MAX_CANDIDATE_TERMS
+    });
+    return rows.map(row => row.term);
+  };
+
+  // Jobs whose `field` contains any of the term sequences, as a condition on
+  // a Job query so it composes with the other filters
+  const fieldCondition = async (field, sequences) => sequelize.literal(
+    `EXISTS (SELECT 1 FROM job_search_documents WHERE job_search_documents.job_id = \`Job\`.\`id\`
+      AND MATCH(${field}_terms) AGAINST(${sequelize.escape(sequences.map(sequenceExpression).join(' '))} IN BOOLEAN MODE))`
+  );
+
+  // Jobs matching the whole query, as a condition on a Job query
+  const matchCondition = async (query) => sequelize.literal(
+    `EXISTS (SELECT 1 FROM job_search_documents WHERE job_search_documents.job_id = \`Job\`.\`id\`
+      AND ${matchExpression(query)})`
+  );
+
+  return {
+    name: 'mysql',
+    index,
+    remove: (jobId) => JobSearchDocument.destroy({ where: { job_id: jobId } }),
+    clear: () => JobSearchDocument.destroy({ where: {}, truncate: true }),
+    hasTerm: async (term) => Boolean(await JobSearchTerm.findByPk(term)),
+    candidateTerms,
+    search,
+    matchCondition,
+    fieldCondition
+  };
+};
+
+module.exports = createMysqlEngine;
\ No newline at end of file
@@ -0,0 +1,43 @@
+const { analyze } = require('./analyzer');
+
+const MAX_CLAUSES = 32;
+
+// `"node.js" -php senior -"team lead"` ->
+//   terms:    [['senior']]                 each entry is a list of accepted spellings
+//   phrases:  [['node.js']]                stems that must appear in order
+//   excluded: [['php'], ['team', 'lead']]  single terms or phrases that must not appear
+const parseQuery = (input) => {
+  const query = { terms: [], phrases: [], excluded: [] };
+  const pattern = /(-?)"([^"]*)"?|(-?)([^\s"]+)/g;
+
+  let match;
+  let clauses = 0;
+  while ((match = pattern.exec(String(input || ''))) && clauses < MAX_CLAUSES) {
+    const quoted = match[2] !== undefined;
+    const negated = Boolean(quoted ? match[1] : match[3]);
+    const stems = analyze(quoted ? match[2] : match[4]);
+    if (stems.length === 0) continue;
+
+    clauses += 1;
+    if (negated) {
+      query.excluded.push(stems);
+    } else if (quoted || stems.length > 1) {
+      // "full-time" tokenizes to two terms and is searched as a phrase
+      query.phrases.push(stems);
+    } else {
+      query.terms.push(stems);
+    }
+  }
+
+  return query;
+};
+
+const hasPositiveClauses = (query) => query.terms.length > 0 || query.phrases.length > 0;
+
+const isEmptyQuery = (query) => !hasPositiveClauses(query) && query.excluded.length === 0;
+
+module.exports = {
+  parseQuery,
+  hasPositiveClauses,
+  isEmptyQuery
+};
\ No newline at end of file
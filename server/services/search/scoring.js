@@ -0,0 +1,15 @@
+// Relative weight of a match in each document field, shared by all engines
+const FIELD_WEIGHTS = {
+  title: 4,
+  skills: 3,
+  company: 2,
+  body: 1
+};
+
+// Extra credit when quoted words appear next to each other
+const PHRASE_BOOST = 0.5;
+
+module.exports = {
+  FIELD_WEIGHTS,
+  PHRASE_BOOST
+};
\ No newline at end of file
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { UserSession, RefreshToken } = require('../models');
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// Short-lived access token bound to a session so revocation takes effect immediately
+const signAccessToken = (user, session) => {
+  return jwt.sign(
+    {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      sid: session.id
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+  );
+};
+
+// Create an opaque refresh token; only its hash is stored
+const createRefreshToken = async (session, transaction) => {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  await RefreshToken.create({
+    session_id: session.id,
+    token_hash: hashToken(token),
+    expires_at: session.expires_at
+  }, { transaction });
+
+  return token;
+};
+
+// Start a new session (one per device/login) and issue its first token pair
+const createSession = async (user, req) => {
+  const session = await UserSession.create({
+    user_id: user.id,
+    user_agent: req.get('User-Agent')?.substring(0, 500) || null,
+    ip_address: req.ip,
+    last_used_at: new Date(),
+    expires_at: refreshExpiry()
+  });
+
+  const refreshToken = await createRefreshToken(session);
+
+  return {
+    session,
+    token: signAccessToken(user, session),
+    refresh_token: refreshToken
+  };
+};
+
+const revokeSession = async (session, reason) => {
+  if (session.revoked_at) return session;
+  return session.update({ revoked_at: new Date(), revoked_reason: reason });
+};
+
+// Revoke every active session of a user, optionally keeping one (e.g. the current device)
+const revokeUserSessions = async (userId, reason, exceptSessionId = null) => {
+  const whereClause = {
+    user_id: userId,
+    revoked_at: null
+  };
+  if (exceptSessionId) {
+    whereClause.id = { [Op.ne]: exceptSessionId };
+  }
+
+  const [count] = await UserSession.update(
+    { revoked_at: new Date(), revoked_reason: reason },
+    { where: whereClause }
+  );
+  return count;
+};
+
+const isSessionActive = (session) => {
+  return !!session && !session.revoked_at && new Date(session.expires_at) > new Date();
+};
+
+class RefreshError extends Error {
+  constructor(message, code, sessionId = null) {
+    super(message);
+    this.name = 'RefreshError';
+    this.code = code;
+    this.sessionId = sessionId;
+  }
+}
+
+// Exchange a refresh token for a new token pair. A token that was already
+// rotated is treated as stolen and the whole session (token family) is revoked.
+const rotateRefreshToken = async (refreshToken, loadUser) => {
+  const stored = await RefreshToken.findOne({
+    where: { token_hash: hashToken(refreshToken) },
+    include: [{ model: UserSession, as: 'session' }]
+  });
+
+  if (!stored) {
+    throw new RefreshError('Invalid refresh token', 'invalid');
+  }
+
+  const { session } = stored;
+
+  if (stored.used_at) {
+    await revokeSession(session, 'token_reuse');
+    throw new RefreshError('Refresh token reuse detected. Session has been revoked.', 'reuse', session.id);
+  }
+
+  if (!isSessionActive(session) || new Date(stored.expires_at) <= new Date()) {
+    throw new RefreshError('Session expired or revoked', 'expired');
+  }
+
+  const user = await loadUser(session.user_id);
+  if (!user || !user.is_active) {
+    await revokeSession(session, 'user_revoked');
+    throw new RefreshError('Account is deactivated', 'inactive');
+  }
+
+  const nextToken = await UserSession.sequelize.transaction(async (transaction) => {
+    const [claimed] = await RefreshToken.update(
+      { used_at: new Date() },
+      { where: { id: stored.id, used_at: null }, transaction }
+    );
+
+    // Another request rotated this token in the meantime
+    if (!claimed) {
+      return null;
+    }
+
+    await session.update({ last_used_at: new Date() }, { transaction });
+    return createRefreshToken(session, transaction);
+  });
+
+  if (!nextToken) {
+    await revokeSession(session, 'token_reuse');
+    throw new RefreshError('Refresh token reuse detected. Session has been revoked.', 'reuse', session.id);
+  }
+
+  return {
+    user,
+    session,
+    token: signAccessToken(user, session),
+    refresh_token: nextToken
+  };
+};
+
+const findSessionByRefreshToken = async (refreshToken) => {
+  const stored = await RefreshToken.findOne({
+    where: { token_hash: hashToken(refreshToken) },
+    include: [{ model: UserSession, as: 'session' }]
+  });
+  return stored ? stored.session : null;
+};
+
+module.exports = {
+  RefreshError,
+  signAccessToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  isSessionActive,
+  findSessionByRefreshToken
+};
\ No newline at end of file
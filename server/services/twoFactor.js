@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { Op } = require('sequelize');
+const { authenticator } = require('otplib');
+const { User, RecoveryCode } = require('../models');
+
+// Accept the previous and next 30s step to tolerate clock drift
+authenticator.options = { window: 1 };
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Job Board';
+const RECOVERY_CODE_COUNT = 10;
+
+// Roles that must enroll before using role-restricted endpoints, e.g. "employer,admin"
+const requiredRoles = () => {
+  return (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
+};
+
+const isTwoFactorRequired = (user) => requiredRoles().includes(user.role);
+
+// TOTP secrets are encrypted at rest with AES-256-GCM
+const encryptionKey = () => {
+  return crypto
+    .createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+};
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Generate a new secret plus the otpauth:// URI and a QR code for authenticator apps
+const generateEnrollment = async (user) => {
+  const secret = authenticator.generateSecret();
+  const otpauthUrl = authenticator.keyuri(user.email, ISSUER, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  return {
+    secret,
+    encryptedSecret: encryptSecret(secret),
+    otpauthUrl,
+    qrCode
+  };
+};
+
+// A code is accepted once: the time step it belongs to is stored and codes
+// from that step or earlier are rejected, so an observed code cannot be replayed
+const verifyCode = async (user, code) => {
+  if (!user.two_factor_secret || !code) return false;
+  const delta = authenticator.checkDelta(
+    String(code).replace(/\s/g, ''),
+    decryptSecret(user.two_factor_secret)
+  );
+  if (delta === null) return false;
+
+  const step = Math.floor(Date.now() / 1000 / authenticator.allOptions().step) + delta;
+  const [claimed] = await User.update(
+    { two_factor_last_step: step },
+    {
+      where: {
+        id: user.id,
+        [Op.or]: [
+          { two_factor_last_step: null },
+          { two_factor_last_step: { [Op.lt]: step } }
+        ]
+      }
+    }
+  );
+  if (claimed === 0) return false;
+
+  user.two_factor_last_step = step;
+  return true;
+};
+
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(code.replace(/-/g, '').toLowerCase()).digest('hex');
+};
+
+// Replace a user's recovery codes; the plain codes are only returned here
+const generateRecoveryCodes = async (user) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await RecoveryCode.destroy({ where: { user_id: user.id } });
+  await RecoveryCode.bulkCreate(codes.map(code => ({
+    user_id: user.id,
+    code_hash: hashRecoveryCode(code)
+  })));
+
+  return codes;
+};
+
+const consumeRecoveryCode = async (user, code) => {
+  const [claimed] = await RecoveryCode.update(
+    { used_at: new Date() },
+    {
+      where: {
+        user_id: user.id,
+        code_hash: hashRecoveryCode(code),
+        used_at: null
+      }
+    }
+  );
+  return claimed > 0;
+};
+
+const clearTwoFactor = async (user) => {
+  await RecoveryCode.destroy({ where: { user_id: user.id } });
+  return user.update({ two_factor_enabled: false, two_factor_secret: null, two_factor_last_step: null });
+};
+
+// Short-lived token proving the password step succeeded; it cannot be used as an access token
+const signChallengeToken = (user) => {
+  return jwt.sign(
+    { id: user.id, purpose: '2fa_login' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+};
+
+const verifyChallengeToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== '2fa_login') {
+    throw new Error('Invalid two-factor challenge token');
+  }
+  return decoded;
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  generateEnrollment,
+  verifyCode,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  clearTwoFactor,
+  signChallengeToken,
+  verifyChallengeToken
+};
\ No newline at end of file
@@ -0,0 +1,319 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { Op } = require('sequelize');
+const { WebhookJob } = require('../models');
+const { findUserResume, analyzeResume, matchJobs, analyzeSkillGap } = require('./aiAnalysis');
+const { generateSecret, signPayload, scheduleRetry } = require('./webhooks');
+const { assertPublicUrl, publicRequestOptions } = require('./publicHosts');
+
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+const MAX_JOB_ATTEMPTS = 3;
+const PROCESSING_LEASE_MS = 10 * 60 * 1000;
+const CALLBACK_TIMEOUT_MS = 10 * 1000;
+const POLL_INTERVAL_MS = 30 * 1000;
+
+class WebhookJobError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WebhookJobError';
+    this.status = status;
+  }
+}
+
+// Verify "t=<timestamp>,v1=<hmac>" over "<timestamp>.<raw body>", the same
+// scheme we use to sign outbound deliveries, with the calling API key's
+// signing secret
+const verifySignature = (secret, header, rawBody) => {
+  const parts = Object.fromEntries(
+    String(header).split(',').map(part => part.trim().split('='))
+  );
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1) {
+    throw new WebhookJobError('Malformed signature header.', 401);
+  }
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new WebhookJobError('Signature timestamp is outside the tolerance window.', 401);
+  }
+
+  const expected = signPayload(secret, timestamp, rawBody || '').split('v1=')[1];
+  const valid = parts.v1.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(parts.v1), Buffer.from(expected));
+  if (!valid) {
+    throw new WebhookJobError('Invalid signature.', 401);
+  }
+};
+
+const hashRequest = (type, payload, callbackUrl) => {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ type, payload, callback_url: callbackUrl || null }))
+    .digest('hex');
+};
+
+// What callers see when polling and in the callback body
+const serializeJob = (job) => ({
+  job_id: job.id,
+  type: job.type,
+  status: job.status,
+  result: job.result,
+  error: job.error,
+  callback_status: job.callback_status,
+  created_at: job.created_at,
+  completed_at: job.completed_at
+});
+
+const JOB_RUNNERS = {
+  resume_analysis: async (job) => {
+    const { resume_id, analysis_type, target_role, target_industry } = job.payload;
+    const resume = await findUserResume(resume_id, job.user_id, ['skills', 'work_experience', 'education']);
+    if (!resume) {
+      throw new WebhookJobError('Resume not found', 404);
+    }
+
+    if (analysis_type === 'skills_gap') {
+      return analyzeSkillGap(resume, {
+        target_role: target_role || resume.current_position || resume.title,
+        target_industry
+      });
+    }
+    return analyzeResume(resume);
+  },
+
+  job_matching: async (job) => {
+    const { resume_id, preferences, limit } = job.payload;
+    const resume = await findUserResume(resume_id, job.user_id);
+    if (!resume) {
+      throw new WebhookJobError('Resume not found', 404);
+    }
+
+    return matchJobs(resume, { limit, preferences });
+  }
+};
+
+const callbackRetry = (attempts) => {
+  const { status, next_attempt_at } = scheduleRetry(attempts);
+  return { callback_status: status, callback_next_attempt_at: next_attempt_at };
+};
+
+const attemptCallback = async (job) => {
+  const body = JSON.stringify(serializeJob(job));
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempts = job.callback_attempts + 1;
+
+  try {
+    // Checked again on every attempt, as the host may resolve elsewhere by now
+    const hostOptions = await publicRequestOptions(job.callback_url);
+
+    const response = await axios.post(job.callback_url, body, {
+      ...hostOptions,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'JobBoard-Webhooks/1.0',
+        'X-JobBoard-Event': `webhook_job.${job.status}`,
+        'X-JobBoard-Job': job.id,
+        'X-JobBoard-Signature': signPayload(job.callback_secret, timestamp, body)
+      },
+      timeout: CALLBACK_TIMEOUT_MS,
+      maxRedirects: 0,
+      validateStatus: () => true
+    });
+
+    const succeeded = response.status >= 200 && response.status < 300;
+    await job.update({
+      callback_attempts: attempts,
+      callback_response_status: response.status,
+      ...(succeeded
+        ? { callback_status: 'succeeded', callback_next_attempt_at: null }
+        : callbackRetry(attempts))
+    });
+  } catch (error) {
+    await job.update({
+      callback_attempts: attempts,
+      callback_response_status: null,
+      ...callbackRetry(attempts)
+    });
+  }
+
+  return job;
+};
+
+// Lease a pending callback so the worker and the request path don't both send it
+const claimAndCallback = async (job) => {
+  const [claimed] = await WebhookJob.update(
+    { callback_next_attempt_at: new Date(Date.now() + CALLBACK_TIMEOUT_MS * 3) },
+    { where: { id: job.id, callback_status: 'pending', callback_attempts: job.callback_attempts } }
+  );
+  if (!claimed) return null;
+
+  return attemptCallback(job);
+};
+
+// Move a queued (or abandoned) job to processing; false if another worker has it
+const claimJob = async (job) => {
+  const [claimed] = await WebhookJob.update(
+    { status: 'processing', started_at: new Date(), attempts: job.attempts + 1 },
+    { where: { id: job.id, status: job.status, attempts: job.attempts } }
+  );
+  if (!claimed) return false;
+
+  await job.reload();
+  return true;
+};
+
+const runJob = async (job) => {
+  if (!await claimJob(job)) return null;
+
+  const callback = job.callback_url
+    ? { callback_status: 'pending', callback_next_attempt_at: new Date() }
+    : {};
+
+  try {
+    const result = await JOB_RUNNERS[job.type](job);
+    await job.update({ status: 'succeeded', result, error: null, completed_at: new Date(), ...callback });
+  } catch (error) {
+    if (!(error instanceof WebhookJobError)) {
+      console.error(`Webhook job ${job.id} error:`, error);
+    }
+    await job.update({
+      status: 'failed',
+      error: error.message.substring(0, 500),
+      completed_at: new Date(),
+      ...callback
+    });
+  }
+
+  if (job.callback_url) {
+    await claimAndCallback(job);
+  }
+
+  return job;
+};
+
+const runInBackground = (job) => {
+  setImmediate(async () => {
+    try {
+      await runJob(job);
+    } catch (error) {
+      console.error('Webhook job error:', error);
+    }
+  });
+};
+
+const findByIdempotencyKey = (userId, idempotencyKey) => {
+  return WebhookJob.findOne({ where: { user_id: userId, idempotency_key: idempotencyKey } });
+};
+
+// The same key must always describe the same request
+const reuseJob = (job, requestHash) => {
+  if (job.request_hash !== requestHash) {
+    throw new WebhookJobError('Idempotency-Key was already used with a different request.', 422);
+  }
+  return { job, created: false };
+};
+
+// Queue a job, or return the one already created for this idempotency key
+const enqueueJob = async ({ user, apiKey, type, payload, callbackUrl, idempotencyKey }) => {
+  const requestHash = hashRequest(type, payload, callbackUrl);
+
+  if (callbackUrl) {
+    await assertPublicUrl(callbackUrl).catch((error) => {
+      throw new WebhookJobError(`Callback URLs must point to a public host: ${error.message}`);
+    });
+  }
+
+  if (idempotencyKey) {
+    const existing = await findByIdempotencyKey(user.id, idempotencyKey);
+    if (existing) return reuseJob(existing, requestHash);
+  }
+
+  let job;
+  try {
+    job = await WebhookJob.create({
+      user_id: user.id,
+      api_key_id: apiKey?.id || null,
+      type,
+      idempotency_key: idempotencyKey || null,
+      request_hash: requestHash,
+      payload,
+      callback_url: callbackUrl || null,
+      callback_secret: callbackUrl ? generateSecret() : null
+    });
+  } catch (error) {
+    // A concurrent retry with the same key got there first
+    if (error.name === 'SequelizeUniqueConstraintError' && idempotencyKey) {
+      return reuseJob(await findByIdempotencyKey(user.id, idempotencyKey), requestHash);
+    }
+    throw error;
+  }
+
+  runInBackground(job);
+  return { job, created: true };
+};
+
+// Pick up jobs lost to a restart, abandoned leases and callbacks due for retry
+const processDueWebhookJobs = async () => {
+  const leaseExpired = new Date(Date.now() - PROCESSING_LEASE_MS);
+
+  const jobs = await WebhookJob.findAll({
+    where: {
+      [Op.or]: [
+        { status: 'queued' },
+        { status: 'processing', started_at: { [Op.lte]: leaseExpired } }
+      ]
+    },
+    order: [['created_at', 'ASC']],
+    limit: 20
+  });
+
+  for (const job of jobs) {
+    try {
+      if (job.attempts >= MAX_JOB_ATTEMPTS) {
+        await job.update({
+          status: 'failed',
+          error: 'Processing timed out',
+          completed_at: new Date(),
+          ...(job.callback_url ? { callback_status: 'pending', callback_next_attempt_at: new Date() } : {})
+        });
+      } else {
+        await runJob(job);
+      }
+    } catch (error) {
+      console.error(`Webhook job ${job.id} error:`, error);
+    }
+  }
+
+  const callbacks = await WebhookJob.findAll({
+    where: {
+      callback_status: 'pending',
+      callback_next_attempt_at: { [Op.lte]: new Date() }
+    },
+    order: [['callback_next_attempt_at', 'ASC']],
+    limit: 50
+  });
+
+  for (const job of callbacks) {
+    try {
+      await claimAndCallback(job);
+    } catch (error) {
+      console.error(`Webhook job ${job.id} callback error:`, error);
+    }
+  }
+
+  return jobs.length + callbacks.length;
+};
+
+const startWebhookJobWorker = () => {
+  const poll = () => processDueWebhookJobs().catch(error => {
+    console.error('Webhook job worker error:', error);
+  });
+
+  return setInterval(poll, POLL_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  WebhookJobError,
+  verifySignature,
+  serializeJob,
+  enqueueJob,
+  processDueWebhookJobs,
+  startWebhookJobWorker
+};
\ No newline at end of file
@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { Op } = require('sequelize');
+const { WebhookSubscription, WebhookDelivery } = require('../models');
+const { publicRequestOptions } = require('./publicHosts');
+
+const WEBHOOK_EVENTS = [
+  'job.created',
+  'job.published',
+  'job.closed',
+  'application.created',
+  'application.status_changed',
+  'resume.analyzed'
+];
+
+// Applicants may only subscribe to events about themselves
+const APPLICANT_WEBHOOK_EVENTS = ['application.status_changed', 'resume.analyzed'];
+
+const webhookEventsFor = (user) => (
+  ['employer', 'admin'].includes(user.role) ? WEBHOOK_EVENTS : APPLICANT_WEBHOOK_EVENTS
+);
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const RETRY_POLL_INTERVAL_MS = 30 * 1000;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Stripe-style signature over "<timestamp>.<body>" so receivers can reject replays
+const signPayload = (secret, timestamp, body) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// 1m, 2m, 4m, 8m, ... between attempts
+const retryDelay = (attempts) => BASE_RETRY_DELAY_MS * 2 ** (attempts - 1);
+
+const scheduleRetry = (attempts) => {
+  if (attempts >= MAX_ATTEMPTS) {
+    return { status: 'failed', next_attempt_at: null };
+  }
+  return { status: 'pending', next_attempt_at: new Date(Date.now() + retryDelay(attempts)) };
+};
+
+const attemptDelivery = async (delivery, subscription) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempts = delivery.attempts + 1;
+
+  try {
+    // Checked on every attempt, as the host may resolve elsewhere since it was registered
+    const hostOptions = await publicRequestOptions(subscription.url);
+
+    const response = await axios.post(subscription.url, body, {
+      ...hostOptions,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'JobBoard-Webhooks/1.0',
+        'X-JobBoard-Event': delivery.event,
+        'X-JobBoard-Delivery': delivery.id,
+        'X-JobBoard-Signature': signPayload(subscription.secret, timestamp, body)
+      },
+      timeout: DELIVERY_TIMEOUT_MS,
+      maxRedirects: 0,
+      // Only the status code is kept; the receiver's response body is never read back
+      responseType: 'stream',
+      validateStatus: () => true
+    });
+
+    response.data.destroy();
+    const succeeded = response.status >= 200 && response.status < 300;
+    await delivery.update({
+      attempts,
+      response_status: response.status,
+      error: succeeded ? null : `HTTP ${response.status}`,
+      ...(succeeded
+        ? { status: 'succeeded', delivered_at: new Date(), next_attempt_at: null }
+        : scheduleRetry(attempts))
+    });
+  } catch (error) {
+    await delivery.update({
+      attempts,
+      response_status: null,
+      error: error.message.substring(0, 500),
+      ...scheduleRetry(attempts)
+    });
+  }
+
+  return delivery;
+};
+
+// Claim a pending delivery so concurrent workers don't send it twice
+const claimAndDeliver = async (delivery) => {
+  const [claimed] = await WebhookDelivery.update(
+    { next_attempt_at: new Date(Date.now() + DELIVERY_TIMEOUT_MS * 3) },
+    { where: { id: delivery.id, status: 'pending', attempts: delivery.attempts } }
+  );
+  if (!claimed) return null;
+
+  const subscription = await WebhookSubscription.findByPk(delivery.subscription_id);
+  if (!subscription || !subscription.is_active) {
+    return delivery.update({ status: 'failed', error: 'Subscription disabled', next_attempt_at: null });
+  }
+
+  return attemptDelivery(delivery, subscription);
+};
+
+const deliverInBackground = (deliveries) => {
+  setImmediate(async () => {
+    for (const delivery of deliveries) {
+      try {
+        await claimAndDeliver(delivery);
+      } catch (error) {
+        console.error('Webhook delivery error:', error);
+      }
+    }
+  });
+};
+
+const buildPayload = (event, data, eventId = crypto.randomUUID()) => ({
+  id: eventId,
+  event,
+  created_at: new Date().toISOString(),
+  data
+});
+
+// Queue an event for every active subscription owned by the given users or
+// companies. Failures are logged but never break the request.
+const emitEvent = async (event, data, { userIds = [], companyId = null } = {}) => {
+  try {
+    const owners = [];
+    const ids = userIds.filter(Boolean);
+    if (ids.length > 0) {
+      owners.push({ user_id: { [Op.in]: ids }, company_id: null });
+    }
+    if (companyId) {
+      owners.push({ company_id: companyId });
+    }
+    if (owners.length === 0) return;
+
+    const subscriptions = await WebhookSubscription.findAll({
+      where: { is_active: true, [Op.or]: owners }
+    });
+    const subscribed = subscriptions.filter(subscription => subscription.events.includes(event));
+    if (subscribed.length === 0) return;
+
+    const payload = buildPayload(event, data);
+    const deliveries = await WebhookDelivery.bulkCreate(subscribed.map(subscription => ({
+      subscription_id: subscription.id,
+      event,
+      event_id: payload.id,
+      payload,
+      next_attempt_at: new Date()
+    })));
+
+    deliverInBackground(deliveries);
+  } catch (error) {
+    console.error('Webhook emit error:', error);
+  }
+};
+
+// Send a ping so users can check their endpoint
+const sendTestEvent = async (subscription) => {
+  const payload = buildPayload('ping', { subscription_id: subscription.id });
+  const delivery = await WebhookDelivery.create({
+    subscription_id: subscription.id,
+    event: 'ping',
+    event_id: payload.id,
+    payload,
+    next_attempt_at: new Date()
+  });
+
+  return attemptDelivery(delivery, subscription);
+};
+
+// Re-send a past delivery as a new log entry with the same event id
+const replayDelivery = async (delivery, subscription) => {
+  const replay = await WebhookDelivery.create({
+    subscription_id: delivery.subscription_id,
+    event: delivery.event,
+    event_id: delivery.event_id,
+    payload: delivery.payload,
+    next_attempt_at: new Date(),
+    replay_of: delivery.id
+  });
+
+  return attemptDelivery(replay, subscription);
+};
+
+// Retry deliveries whose backoff has elapsed
+const processDueDeliveries = async () => {
+  const due = await WebhookDelivery.findAll({
+    where: {
+      status: 'pending',
+      next_attempt_at: { [Op.lte]: new Date() }
+    },
+    order: [['next_attempt_at', 'ASC']],
+    limit: 50
+  });
+
+  for (const delivery of due) {
+    try {
+      await claimAndDeliver(delivery);
+    } catch (error) {
+      console.error(`Webhook delivery ${delivery.id} error:`, error);
+    }
+  }
+
+  return due.length;
+};
+
+const startWebhookWorker = () => {
+  const poll = () => processDueDeliveries().catch(error => {
+    console.error('Webhook worker error:', error);
+  });
+
+  return setInterval(poll, RETRY_POLL_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  webhookEventsFor,
+  generateSecret,
+  signPayload,
+  scheduleRetry,
+  emitEvent,
+  sendTestEvent,
+  replayDelivery,
+  processDueDeliveries,
+  startWebhookWorker
+};
\ No newline at end of file